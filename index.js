@@ -6,6 +6,13 @@ import { waitForReady } from "@rmdes/indiekit-startup-gate";
 
 import { dashboardController } from "./lib/controllers/dashboard.js";
 import { apiController } from "./lib/controllers/api.js";
+import { importController } from "./lib/controllers/import.js";
+import { historyController } from "./lib/controllers/history.js";
+import { resumeController } from "./lib/controllers/resume.js";
+import { variantsController } from "./lib/controllers/variants.js";
+import { sharesController } from "./lib/controllers/shares.js";
+import { exportController } from "./lib/controllers/export.js";
+import { restController } from "./lib/controllers/rest.js";
 import { CV_BLOCKS } from "./lib/blocks.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -15,6 +22,9 @@ const publicRouter = express.Router();
 
 const defaults = {
   mountPath: "/cv",
+  historyLimit: 50,
+  contentLanguages: [],
+  publicPdf: false,
 };
 
 export default class CvEndpoint {
@@ -71,24 +81,41 @@ export default class CvEndpoint {
     // Save CV data
     protectedRouter.post("/save", dashboardController.save);
 
+    // Basics: the person's details and profile links
+    protectedRouter.post("/basics/edit", dashboardController.editBasics);
+    protectedRouter.post("/basics/profiles/add", dashboardController.addProfile);
+    protectedRouter.post("/basics/profiles/:id/edit", dashboardController.editProfile);
+    protectedRouter.post("/basics/profiles/:id/delete", dashboardController.deleteProfile);
+    protectedRouter.post("/basics/profiles/:id/up", dashboardController.moveProfile);
+    protectedRouter.post("/basics/profiles/:id/down", dashboardController.moveProfile);
+
     // CRUD for individual sections
     protectedRouter.post("/experience/add", dashboardController.addExperience);
-    protectedRouter.post("/experience/:index/edit", dashboardController.editExperience);
-    protectedRouter.post("/experience/:index/delete", dashboardController.deleteExperience);
+    protectedRouter.post("/experience/:id/edit", dashboardController.editExperience);
+    protectedRouter.post("/experience/:id/delete", dashboardController.deleteExperience);
 
     protectedRouter.post("/projects/add", dashboardController.addProject);
-    protectedRouter.post("/projects/:index/edit", dashboardController.editProject);
-    protectedRouter.post("/projects/:index/delete", dashboardController.deleteProject);
+    protectedRouter.post("/projects/:id/edit", dashboardController.editProject);
+    protectedRouter.post("/projects/:id/delete", dashboardController.deleteProject);
 
     protectedRouter.post("/education/add", dashboardController.addEducation);
-    protectedRouter.post("/education/:index/edit", dashboardController.editEducation);
-    protectedRouter.post("/education/:index/delete", dashboardController.deleteEducation);
+    protectedRouter.post("/education/:id/edit", dashboardController.editEducation);
+    protectedRouter.post("/education/:id/delete", dashboardController.deleteEducation);
+
+    protectedRouter.post("/certifications/add", dashboardController.addCertification);
+    protectedRouter.post("/certifications/:id/edit", dashboardController.editCertification);
+    protectedRouter.post("/certifications/:id/delete", dashboardController.deleteCertification);
+
+    protectedRouter.post("/publications/add", dashboardController.addPublication);
+    protectedRouter.post("/publications/:id/edit", dashboardController.editPublication);
+    protectedRouter.post("/publications/:id/delete", dashboardController.deletePublication);
 
     protectedRouter.post("/languages/add", dashboardController.addLanguage);
-    protectedRouter.post("/languages/:index/edit", dashboardController.editLanguage);
-    protectedRouter.post("/languages/:index/delete", dashboardController.deleteLanguage);
+    protectedRouter.post("/languages/:id/edit", dashboardController.editLanguage);
+    protectedRouter.post("/languages/:id/delete", dashboardController.deleteLanguage);
 
     protectedRouter.post("/skills/add", dashboardController.addSkillCategory);
+    protectedRouter.post("/skills/details", dashboardController.editSkillDetails);
     protectedRouter.post("/skills/:category/edit", dashboardController.editSkillCategoryHandler);
     protectedRouter.post("/skills/:category/delete", dashboardController.deleteSkillCategory);
     protectedRouter.post("/skills/:category/up", dashboardController.moveSkillCategory);
@@ -100,9 +127,71 @@ export default class CvEndpoint {
     protectedRouter.post("/interests/:category/up", dashboardController.moveInterestCategory);
     protectedRouter.post("/interests/:category/down", dashboardController.moveInterestCategory);
 
+    // Live Markdown preview for description and highlights fields
+    protectedRouter.post("/preview", dashboardController.preview);
+
+    // Variants: tailored selections of the CV, one editor page each
+    protectedRouter.post("/variants/add", variantsController.add);
+    protectedRouter.get("/variants/:id", variantsController.get);
+    protectedRouter.post("/variants/:id/edit", variantsController.edit);
+    protectedRouter.post("/variants/:id/delete", variantsController.remove);
+
+    // Translations of entries and category names into other content languages
+    protectedRouter.post("/experience/:id/translate", dashboardController.translateItem);
+    protectedRouter.post("/projects/:id/translate", dashboardController.translateItem);
+    protectedRouter.post("/education/:id/translate", dashboardController.translateItem);
+    protectedRouter.post("/skills/:category/translate", dashboardController.translateCategoryHandler);
+    protectedRouter.post("/interests/:category/translate", dashboardController.translateCategoryHandler);
+
+    // Share links: signed, expiring URLs to the fuller CV
+    protectedRouter.post("/shares/add", sharesController.add);
+    protectedRouter.post("/shares/:id/revoke", sharesController.revoke);
+
+    // JSON Resume import: upload → preview → confirm
+    protectedRouter.post(
+      "/import",
+      express.raw({ type: "multipart/form-data", limit: "5mb" }),
+      importController.preview,
+    );
+    protectedRouter.post("/import/confirm", importController.confirm);
+
+    // LinkedIn data export import: upload ZIP or CSVs → review → add chosen entries
+    protectedRouter.post(
+      "/import/linkedin",
+      express.raw({ type: "multipart/form-data", limit: "20mb" }),
+      importController.linkedinPreview,
+    );
+    protectedRouter.post("/import/linkedin/confirm", importController.linkedinConfirm);
+
+    // BibTeX import: upload .bib → review → add chosen publications
+    protectedRouter.post(
+      "/import/bibtex",
+      express.raw({ type: "multipart/form-data", limit: "5mb" }),
+      importController.bibtexPreview,
+    );
+    protectedRouter.post("/import/bibtex/confirm", importController.bibtexConfirm);
+
+    // Document exports
+    protectedRouter.get("/export.pdf", exportController.pdf);
+    protectedRouter.get("/export.docx", exportController.docx);
+    protectedRouter.get("/export/europass.:format", exportController.europass);
+
+    // Revision history: list, compare two revisions, restore one
+    protectedRouter.get("/history", historyController.list);
+    protectedRouter.get("/history/compare", historyController.compare);
+    protectedRouter.post("/history/:revision/restore", historyController.restore);
+
+    // Keep experience, projects or education in date order instead
+    protectedRouter.post("/experience/sort", dashboardController.sortSection);
+    protectedRouter.post("/projects/sort", dashboardController.sortSection);
+    protectedRouter.post("/education/sort", dashboardController.sortSection);
+
+    // Leave expired certifications out of the public CV
+    protectedRouter.post("/certifications/hide-expired", dashboardController.hideExpiredCertifications);
+
     // Generic move (reorder) for any array section
-    protectedRouter.post("/:section/:index/up", dashboardController.move);
-    protectedRouter.post("/:section/:index/down", dashboardController.move);
+    protectedRouter.post("/:section/:id/up", dashboardController.move);
+    protectedRouter.post("/:section/:id/down", dashboardController.move);
 
     return protectedRouter;
   }
@@ -113,6 +202,35 @@ export default class CvEndpoint {
   get routesPublic() {
     // Public JSON API for Eleventy and homepage plugin
     publicRouter.get("/data.json", apiController.getData);
+    publicRouter.get("/data.jsonld", apiController.getJsonLd);
+    publicRouter.get("/export/jsonresume.json", apiController.getJsonResume);
+    publicRouter.get("/export/:format", apiController.getTextExport);
+    publicRouter.options(
+      ["/data.json", "/data.jsonld", "/export/jsonresume.json", "/export/:format"],
+      apiController.preflight,
+    );
+
+    // JSON API for scripts: IndieAuth bearer token with the `cv` scope, not
+    // the dashboard session, so it lives here rather than on protectedRouter
+    publicRouter.use("/api", express.json({ limit: "1mb" }), restController.authenticate);
+    publicRouter.get("/api/:section", restController.list);
+    publicRouter.post("/api/:section", restController.create);
+    publicRouter.patch("/api/:section", restController.update);
+    publicRouter.get("/api/:section/:id", restController.get);
+    publicRouter.patch("/api/:section/:id", restController.update);
+    publicRouter.delete("/api/:section/:id", restController.remove);
+    publicRouter.use("/api", restController.notFound, restController.error);
+
+    // PDF for anyone, when enabled (the owner, signed in, still gets the full one)
+    if (this.options.publicPdf) {
+      publicRouter.get("/export.pdf", exportController.pdf);
+    }
+
+    // Human- and parser-readable CV page (microformats2 h-resume)
+    publicRouter.get("/resume", resumeController.get);
+
+    // The CV behind a share link, private entries and contact details included
+    publicRouter.get("/shared/:token", sharesController.get);
 
     return publicRouter;
   }
@@ -126,6 +244,12 @@ export default class CvEndpoint {
     // persists for the one-time site-config migration that seeds page:cv.)
     Indiekit.addCollection("cvData");
 
+    // Snapshot of every saved revision, for history/diff/restore
+    Indiekit.addCollection("cvDataHistory");
+
+    // Share links (tokens are signed with the shareSecret option or SECRET)
+    Indiekit.addCollection("cvShares");
+
     // Store config in application for controller access
     Indiekit.config.application.cvConfig = this.options;
     Indiekit.config.application.cvEndpoint = this.mountPath;
@@ -140,13 +264,14 @@ export default class CvEndpoint {
       async () => {
         // Write CV data file
         try {
-          const { getCvData, getDefaultCvData, saveCvData, writeCvFile } = await import(
-            "./lib/storage/cv.js"
-          );
+          const { getCvData, getDefaultCvData, saveCvData, writeCvFile, hasMissingItemIds, hasStringDates } =
+            await import("./lib/storage/cv.js");
           const data = (await getCvData(app)) || getDefaultCvData();
-          // Migrate old flat interests array to category-based format on startup
-          if (Array.isArray(data.interests)) {
-            console.log("[CV] Migrating interests from flat array to categories");
+          // Migrate old flat interests array to category-based format, give
+          // items saved before ids existed a persistent id, and turn "YYYY-MM"
+          // date strings into { value, precision, circa } (saveCvData does all three)
+          if (Array.isArray(data.interests) || hasMissingItemIds(data) || hasStringDates(data)) {
+            console.log("[CV] Migrating stored CV data (interest categories, item ids, dates)");
             await saveCvData(app, data);
           } else {
             writeCvFile(app, data);
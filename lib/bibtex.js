@@ -0,0 +1,398 @@
+/**
+ * BibTeX import
+ * Reads a .bib file into publications: books and chapters become books,
+ * presentations (and misc entries described as a talk) become talks, and
+ * everything else an article. LaTeX in the values (braces, accents, escaped
+ * characters, dashes) is turned into plain text. Like the LinkedIn import,
+ * entries the CV already has are flagged, and the chosen ones merged in.
+ * @module bibtex
+ */
+
+import { isDoi, normalizeDoi } from "./publications.js";
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+const BOOK_TYPES = new Set(["book", "inbook", "incollection", "booklet", "collection", "mvbook", "proceedings"]);
+const TALK_TYPES = new Set(["presentation", "talk", "lecture", "speech"]);
+// Catch-all entry types whose `type`, `howpublished` or `note` may say they were a talk
+const MISC_TYPES = new Set(["misc", "unpublished", "online"]);
+const TALK_PATTERN = /\b(?:talk|presentation|keynote|lecture|slides|webinar)\b/i;
+
+// Fields the venue is taken from, in order of preference
+const VENUE_FIELDS = [
+  "journal",
+  "journaltitle",
+  "booktitle",
+  "eventtitle",
+  "howpublished",
+  "organization",
+  "school",
+  "institution",
+  "publisher",
+];
+
+// Accent commands and the combining character each one adds: \"o → ö
+const ACCENTS = {
+  '"': "\u0308",
+  "'": "\u0301",
+  "`": "\u0300",
+  "^": "\u0302",
+  "~": "\u0303",
+  "=": "\u0304",
+  ".": "\u0307",
+  c: "\u0327",
+  k: "\u0328",
+  H: "\u030B",
+  r: "\u030A",
+  u: "\u0306",
+  v: "\u030C",
+};
+
+// Letter commands: {\\ss} → ß
+const LETTERS = {
+  ss: "ß",
+  ae: "æ",
+  AE: "Æ",
+  oe: "œ",
+  OE: "Œ",
+  aa: "å",
+  AA: "Å",
+  o: "ø",
+  O: "Ø",
+  l: "ł",
+  L: "Ł",
+  i: "ı",
+  j: "ȷ",
+};
+
+/**
+ * Read a .bib file into publications
+ * @param {string} text - BibTeX source
+ * @returns {object[]} Publications ({ title, authors, venue, date, doi, url,
+ *   type }), in file order; entries without a title are left out
+ */
+export function readBibtex(text) {
+  return parseBibtex(text).map(toPublication).filter(Boolean);
+}
+
+/**
+ * Parse BibTeX into entries. @string abbreviations are expanded and `#`
+ * concatenations joined; @comment and @preamble are skipped. Values keep
+ * their LaTeX.
+ * @param {string} text - BibTeX source
+ * @returns {Array<{type: string, key: string, fields: object}>} Entries,
+ *   with lowercased types and field names
+ */
+export function parseBibtex(text) {
+  const reader = { input: String(text).replace(/^\uFEFF/, ""), position: 0 };
+  const strings = {};
+  const entries = [];
+
+  for (;;) {
+    const at = reader.input.indexOf("@", reader.position);
+    if (at === -1) break;
+    reader.position = at + 1;
+    const type = readWord(reader).toLowerCase();
+    skipSpace(reader);
+    const open = reader.input[reader.position];
+    if (!type || (open !== "{" && open !== "(")) continue;
+
+    if (type === "comment" || type === "preamble") {
+      skipGroup(reader);
+      continue;
+    }
+    reader.position++;
+    const close = open === "{" ? "}" : ")";
+
+    if (type === "string") {
+      Object.assign(strings, readFields(reader, close, strings));
+      continue;
+    }
+
+    skipSpace(reader);
+    const key = readWord(reader);
+    skipSpace(reader);
+    if (reader.input[reader.position] === ",") reader.position++;
+    entries.push({ type, key, fields: readFields(reader, close, strings) });
+  }
+
+  return entries;
+}
+
+/**
+ * Flag imported publications the CV already has: the same DOI, or the same
+ * title (ignoring case and spacing)
+ * @param {object} current - Current CV data
+ * @param {object[]} publications - Result of readBibtex
+ * @returns {object[]} Publications with `duplicate: true` on known ones
+ */
+export function markDuplicatePublications(current, publications) {
+  const known = current.publications || [];
+  const dois = new Set(known.map((item) => item.doi?.toLowerCase()).filter(Boolean));
+  const titles = new Set(known.map((item) => normalize(item.title)));
+  return publications.map((item) => ({
+    ...item,
+    duplicate: dois.has(item.doi?.toLowerCase()) || titles.has(normalize(item.title)),
+  }));
+}
+
+/**
+ * Add chosen imported publications to the CV
+ * @param {object} current - Current CV data
+ * @param {object[]} publications - Result of markDuplicatePublications
+ * @param {object} options - { include, visibility }, where include lists the
+ *   indexes of the chosen publications
+ * @returns {object} CV data with the publications appended
+ */
+export function mergePublications(current, publications, { include, visibility }) {
+  const chosen = new Set(include.map(String));
+  const additions = publications
+    .filter((item, index) => chosen.has(String(index)))
+    .map(({ duplicate, ...item }) => ({ ...item, visibility }));
+  return { ...current, publications: [...(current.publications || []), ...additions] };
+}
+
+/**
+ * Turn LaTeX markup into plain text: {\"o} → ö, \& → &, -- → –, and
+ * formatting commands and grouping braces dropped
+ * @param {string} value - BibTeX value
+ * @returns {string} Text
+ */
+export function latexToText(value) {
+  return String(value || "")
+    // Escaped braces are kept out of the way of the grouping ones
+    .replace(/\\([&%$#_{}])/g, (match, char) => ({ "{": "\uE000", "}": "\uE001" })[char] || char)
+    .replace(/\\(["'`^~=.])\s*(?:\{\s*(\\?[A-Za-z])\s*\}|(\\?[A-Za-z]))/g, accent)
+    .replace(/\\([ckHruv])(?:\s*\{\s*(\\?[A-Za-z])\s*\}|\s+([A-Za-z]))/g, accent)
+    .replace(/\\([A-Za-z]{1,2})\b\s?/g, (match, name) => LETTERS[name] || match)
+    .replace(/\\[A-Za-z]+\*?\s*/g, "")
+    .replace(/[{}]/g, "")
+    .replace(/---/g, "—")
+    .replace(/--/g, "–")
+    .replace(/``|''/g, (quote) => (quote === "``" ? "“" : "”"))
+    .replace(/~/g, " ")
+    .replace(/\uE000/g, "{")
+    .replace(/\uE001/g, "}")
+    .replace(/\s+/g, " ")
+    .trim()
+    .normalize("NFC");
+}
+
+/**
+ * Split a BibTeX author list into names, "First Last" order
+ * @param {string} value - "Lovelace, Ada and Charles Babbage"
+ * @returns {string[]} ["Ada Lovelace", "Charles Babbage"]; "and others" is
+ *   left out
+ */
+export function splitAuthors(value) {
+  return splitTopLevel(String(value || ""), /\s+and\s+/iy)
+    .map((name) => {
+      // "Last, First" or "Last, Jr., First"
+      const [last, ...rest] = splitTopLevel(name, /\s*,\s*/y);
+      const first = rest.at(-1);
+      const suffix = rest.length > 1 ? rest[0] : "";
+      return latexToText(first ? `${first} ${last}${suffix ? `, ${suffix}` : ""}` : last);
+    })
+    .filter((name) => name && name.toLowerCase() !== "others");
+}
+
+function toPublication({ type, fields }) {
+  const title = latexToText(fields.title);
+  if (!title) return null;
+
+  const text = (name) => latexToText(fields[name]);
+  // URLs and DOIs only lose \url and braces: ~ and -- are meant literally
+  const raw = (name) => String(fields[name] || "").replace(/\\url\s*|[{}]/g, "").trim();
+  const isUrl = (value) => /^https?:\/\//i.test(value);
+  const url = [raw("url"), raw("howpublished")].find(isUrl) || "";
+  const doi = normalizeDoi(raw("doi"));
+
+  return {
+    title,
+    authors: splitAuthors(fields.author || fields.editor),
+    venue: VENUE_FIELDS.map(text).find((value) => value && !isUrl(value)) || "",
+    date: toDate(fields),
+    doi: isDoi(doi) ? doi : "",
+    url,
+    type: publicationType(type, fields),
+  };
+}
+
+function publicationType(type, fields) {
+  if (BOOK_TYPES.has(type)) return "book";
+  if (TALK_TYPES.has(type)) return "talk";
+  if (MISC_TYPES.has(type) && ["type", "howpublished", "note"].some((name) => TALK_PATTERN.test(fields[name] || ""))) {
+    return "talk";
+  }
+  return "article";
+}
+
+/**
+ * The entry's date from biblatex `date` ("2024-03-14", or a range whose
+ * start is used) or from `year` and `month` ("mar", "March" or "3")
+ * @returns {string} YYYY, YYYY-MM or YYYY-MM-DD; "" without a year
+ */
+function toDate(fields) {
+  const date = /^(\d{4})(-\d{2}(?:-\d{2})?)?/.exec(latexToText(fields.date));
+  if (date) return date[1] + (date[2] || "");
+
+  const year = /\d{4}/.exec(latexToText(fields.year))?.[0];
+  if (!year) return "";
+  const month = latexToText(fields.month).toLowerCase();
+  const number = /^\d{1,2}$/.test(month) ? Number(month) : MONTHS.indexOf(month.slice(0, 3)) + 1;
+  return number >= 1 && number <= 12 ? `${year}-${String(number).padStart(2, "0")}` : year;
+}
+
+// --- Reading BibTeX ---
+
+function readFields(reader, close, strings) {
+  const fields = {};
+  const { input } = reader;
+
+  while (reader.position < input.length) {
+    skipSpace(reader);
+    const char = input[reader.position];
+    if (char === ",") {
+      reader.position++;
+      continue;
+    }
+    if (char === close) {
+      reader.position++;
+      break;
+    }
+
+    const name = readWord(reader).toLowerCase();
+    skipSpace(reader);
+    if (!name || input[reader.position] !== "=") {
+      // Not a field: skip to the next one
+      skipTo(reader, close);
+      continue;
+    }
+    reader.position++;
+    fields[name] = readValue(reader, strings);
+  }
+
+  return fields;
+}
+
+/**
+ * A field value: braced, quoted, a number or an @string name, joined by #
+ */
+function readValue(reader, strings) {
+  let value = "";
+  for (;;) {
+    skipSpace(reader);
+    const char = reader.input[reader.position];
+    if (char === "{") {
+      value += readGroup(reader);
+    } else if (char === '"') {
+      value += readQuoted(reader);
+    } else {
+      const word = readWord(reader);
+      value += /^\d+$/.test(word) ? word : (strings[word.toLowerCase()] ?? word);
+    }
+    skipSpace(reader);
+    if (reader.input[reader.position] !== "#") return value;
+    reader.position++;
+  }
+}
+
+function readWord(reader) {
+  const pattern = /[^\s,={}()"#]+/y;
+  pattern.lastIndex = reader.position;
+  const match = pattern.exec(reader.input);
+  if (!match) return "";
+  reader.position = pattern.lastIndex;
+  return match[0];
+}
+
+/**
+ * The contents of a {…} group, inner braces kept; the reader is left after it
+ */
+function readGroup(reader) {
+  const start = reader.position + 1;
+  skipGroup(reader);
+  return reader.input.slice(start, reader.position - 1);
+}
+
+function skipGroup(reader) {
+  const { input } = reader;
+  const close = input[reader.position] === "(" ? ")" : "}";
+  let depth = 0;
+  for (reader.position++; reader.position < input.length; reader.position++) {
+    const char = input[reader.position];
+    if (char === "{") depth++;
+    else if (char === "}" && depth > 0) depth--;
+    else if (char === close && depth === 0) break;
+  }
+  reader.position++;
+}
+
+function readQuoted(reader) {
+  const { input } = reader;
+  const start = reader.position + 1;
+  let depth = 0;
+  for (reader.position = start; reader.position < input.length; reader.position++) {
+    const char = input[reader.position];
+    if (char === "{") depth++;
+    else if (char === "}") depth--;
+    else if (char === '"' && depth <= 0) break;
+  }
+  return input.slice(start, reader.position++);
+}
+
+/**
+ * Move to the next top-level comma or the end of the entry
+ */
+function skipTo(reader, close) {
+  const { input } = reader;
+  let depth = 0;
+  for (; reader.position < input.length; reader.position++) {
+    const char = input[reader.position];
+    if (char === "{") depth++;
+    else if (char === "}" && depth > 0) depth--;
+    else if ((char === "," || char === close) && depth === 0) return;
+  }
+}
+
+function skipSpace(reader) {
+  while (/\s/.test(reader.input[reader.position] || "")) reader.position++;
+}
+
+/**
+ * Split text on a separator outside braces, so "{Barnes and Noble}" stays
+ * one name
+ * @param {string} text - Text to split
+ * @param {RegExp} separator - Sticky pattern
+ * @returns {string[]} Trimmed, non-empty parts
+ */
+function splitTopLevel(text, separator) {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (char === "{") depth++;
+    else if (char === "}") depth--;
+    else if (depth === 0) {
+      separator.lastIndex = index;
+      if (separator.test(text)) {
+        parts.push(text.slice(start, index));
+        start = separator.lastIndex;
+        index = start - 1;
+      }
+    }
+  }
+  parts.push(text.slice(start));
+  return parts.map((part) => part.trim()).filter(Boolean);
+}
+
+function accent(match, command, braced, bare) {
+  const letter = braced || bare;
+  const base = letter.startsWith("\\") ? letter.slice(1) : letter;
+  return ACCENTS[command] ? base + ACCENTS[command] : match;
+}
+
+function normalize(value) {
+  return String(value || "").trim().replace(/\s+/g, " ").toLowerCase();
+}
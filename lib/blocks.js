@@ -35,19 +35,57 @@ const SCHEMAS = {
       showTechnologies: { type: "boolean", title: "Show technologies", default: true },
     },
   },
+  skills: {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      showLevels: { type: "boolean", title: "Show proficiency levels", default: false },
+      showYears: { type: "boolean", title: "Show years of experience", default: false },
+    },
+  },
+  certifications: {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      maxItems: { type: "integer", title: "Max items", minimum: 1, maximum: 50, default: 10 },
+      showExpired: { type: "boolean", title: "Show expired certifications", default: true },
+    },
+  },
+  publications: {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      maxItems: { type: "integer", title: "Max items", minimum: 1, maximum: 50, default: 10 },
+      showCitation: { type: "boolean", title: "Show full citation", default: true },
+    },
+  },
+  basics: {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      showSummary: { type: "boolean", title: "Show summary", default: true },
+      showContact: { type: "boolean", title: "Show email and website", default: true },
+      showProfiles: { type: "boolean", title: "Show profile links", default: true },
+    },
+  },
 };
 
 const DEFAULT_CONFIGS = {
   none: undefined, // omit defaultConfig for config-less sections
   itemsHighlights: { maxItems: 10, showHighlights: true },
   itemsTechnologies: { maxItems: 10, showTechnologies: true },
+  skills: { showLevels: false, showYears: false },
+  certifications: { maxItems: 10, showExpired: true },
+  publications: { maxItems: 10, showCitation: true },
+  basics: { showSummary: true, showContact: true, showProfiles: true },
 };
 
-// The 15 sections, faithful to the legacy `homepageSections` (id/label/desc/icon
-// preserved). `config` selects the schema/defaults kind above.
+// The 15 legacy sections, faithful to the legacy `homepageSections` (id/label/
+// desc/icon preserved), followed by blocks added since. `config` selects the
+// schema/defaults kind above.
 const SECTIONS = [
   { id: "cv-experience", label: "Experience (All)", description: "All experience items (personal and work)", icon: "briefcase", config: "itemsHighlights" },
-  { id: "cv-skills", label: "Skills (All)", description: "All skills grouped by category", icon: "zap", config: "none" },
+  { id: "cv-skills", label: "Skills (All)", description: "All skills grouped by category", icon: "zap", config: "skills" },
   { id: "cv-education", label: "Education (All)", description: "All education items", icon: "book", config: "none" },
   { id: "cv-projects-personal", label: "Personal Projects", description: "Personal and side projects", icon: "folder", config: "itemsTechnologies" },
   { id: "cv-projects-work", label: "Work Projects", description: "Professional and work-related projects", icon: "briefcase", config: "itemsTechnologies" },
@@ -56,11 +94,15 @@ const SECTIONS = [
   { id: "cv-experience-work", label: "Work Experience", description: "Professional experience timeline", icon: "briefcase", config: "itemsHighlights" },
   { id: "cv-education-personal", label: "Personal Education", description: "Self-study and online courses", icon: "heart", config: "none" },
   { id: "cv-education-work", label: "Work Education", description: "Degrees and certifications", icon: "book", config: "none" },
-  { id: "cv-skills-personal", label: "Personal Skills", description: "Personal and hobby-related skills", icon: "heart", config: "none" },
-  { id: "cv-skills-work", label: "Professional Skills", description: "Work-related technical skills", icon: "zap", config: "none" },
+  { id: "cv-skills-personal", label: "Personal Skills", description: "Personal and hobby-related skills", icon: "heart", config: "skills" },
+  { id: "cv-skills-work", label: "Professional Skills", description: "Work-related technical skills", icon: "zap", config: "skills" },
   { id: "cv-interests-personal", label: "Personal Interests", description: "Personal hobbies and interests", icon: "heart", config: "none" },
   { id: "cv-interests-work", label: "Professional Interests", description: "Work-related interests and topics", icon: "briefcase", config: "none" },
   { id: "cv-languages", label: "Languages", description: "Language proficiency list", icon: "globe", config: "none" },
+  // Added after the migration (not in the legacy homepageSections)
+  { id: "cv-basics", label: "Profile", description: "Name, headline, summary, contact details and profile links", icon: "user", config: "basics" },
+  { id: "cv-certifications", label: "Certifications", description: "Certifications and licenses, with expiry dates", icon: "award", config: "certifications" },
+  { id: "cv-publications", label: "Publications", description: "Papers, books and talks, with citations", icon: "file-text", config: "publications" },
 ];
 
 /**
@@ -0,0 +1,63 @@
+/**
+ * Certifications
+ * Credentials with an issuer, an issue date and, for the ones that lapse, an
+ * expiry date. Expired certifications are kept: the dashboard flags them,
+ * and `hideExpiredCertifications` leaves them out of the public CV.
+ * @module certifications
+ */
+
+import { dateValue, formatDate } from "./dates.js";
+import { getLabels } from "./labels.js";
+
+/**
+ * Whether a certification has expired: its expiry date is wholly in the
+ * past, so one expiring in "2026-10" is still valid all through October
+ * @param {object} item - Certification
+ * @param {Date} [now] - Current date
+ * @returns {boolean} True if it has expired
+ */
+export function isExpired(item, now = new Date()) {
+  const expiry = dateValue(item.expiryDate);
+  if (!expiry) return false;
+  return expiry < now.toISOString().slice(0, expiry.length);
+}
+
+/**
+ * A certification's dates as text: "Issued Mar 2024 · Expires Mar 2027",
+ * "Expired …" once it has
+ * @param {object} item - Certification
+ * @param {string} [locale] - Language code
+ * @param {Date} [now] - Current date
+ * @returns {string} Dates; "" without dates
+ */
+export function formatCertificationDates(item, locale = "en", now = new Date()) {
+  const labels = getLabels(locale).certifications;
+  const issued = formatDate(item.issueDate, locale);
+  return [issued && labels.issuedOn.replace("{date}", issued), formatExpiry(item, locale, now)]
+    .filter(Boolean)
+    .join(" · ");
+}
+
+/**
+ * The expiry date alone as text: "Expires Mar 2027" or "Expired Mar 2025"
+ * @param {object} item - Certification
+ * @param {string} [locale] - Language code
+ * @param {Date} [now] - Current date
+ * @returns {string} Expiry; "" for certifications that don't expire
+ */
+export function formatExpiry(item, locale = "en", now = new Date()) {
+  const expiry = formatDate(item.expiryDate, locale);
+  if (!expiry) return "";
+  const labels = getLabels(locale).certifications;
+  return (isExpired(item, now) ? labels.expiredOn : labels.expiresOn).replace("{date}", expiry);
+}
+
+/**
+ * The credential ID with its label, "Credential ID: LF-123"
+ * @param {object} item - Certification
+ * @param {string} [locale] - Language code
+ * @returns {string} Credential ID; "" without one
+ */
+export function formatCredentialId(item, locale = "en") {
+  return item.credentialId ? `${getLabels(locale).certifications.credentialId}: ${item.credentialId}` : "";
+}
@@ -3,25 +3,182 @@
  * Serves CV data as JSON for Eleventy and homepage plugin
  */
 
+import { createHash } from "node:crypto";
+
 import { getCvData, getDefaultCvData } from "../storage/cv.js";
+import { toJsonResume } from "../jsonresume.js";
+import { toJsonLd } from "../jsonld.js";
+import { getLanguageSettings } from "../translations.js";
+import { applyQuery, applyView, QueryError, sectionOrder } from "../query.js";
+import { publicView } from "../visibility.js";
+import { withHtml } from "../markdown.js";
+import { withTimeline } from "../timeline.js";
+import { withSkillUsage } from "../skills.js";
+import { withCitations } from "../publications.js";
+import { withIsoDates } from "../dates.js";
+import { getLabels } from "../labels.js";
+import { renderResumeLatex } from "../resume-latex.js";
+import { renderResumeMarkdown } from "../resume-markdown.js";
+import { exportName } from "./export.js";
+
+// Text exports served at /cv/export/:format
+const TEXT_FORMATS = {
+  moderncv: { render: renderResumeLatex, extension: "tex", type: "application/x-tex" },
+  markdown: { render: renderResumeMarkdown, extension: "md", type: "text/markdown" },
+};
 
 export const apiController = {
   /**
    * GET /cv/data.json - Public CV data endpoint
+   * ?variant=<slug> returns that variant's selection instead of the full CV,
+   * ?lang=<code> the content in one of the configured content languages;
+   * ?sections=, ?type=, ?limit= and ?since= narrow it further (lib/query.js).
+   * Entries come with descriptionHtml/highlightsHtml rendered from Markdown,
+   * dated ones with durationMonths, duration and isCurrent, and dates as
+   * ISO strings.
    */
   async getData(request, response) {
+    setCorsHeaders(response);
+
+    try {
+      const { cv, lastUpdated } = await loadPublicData(request);
+      sendCached(request, response, withIsoDates(cv), lastUpdated);
+    } catch (error) {
+      if (error instanceof QueryError) {
+        return response.status(error.status).json({ error: error.message });
+      }
+      console.error("[CV] API error:", error);
+      response.status(500).json({ error: "Failed to load CV data" });
+    }
+  },
+
+  /**
+   * GET /cv/export/:format - The CV as a text document: `moderncv` (LaTeX
+   * source) or `markdown`
+   * Built from the data.json model, with the same query parameters; sections
+   * appear in the order of ?sections=. Other names fall through to the
+   * signed-in exports under /export/.
+   */
+  async getTextExport(request, response, next) {
+    if (!Object.hasOwn(TEXT_FORMATS, request.params.format)) {
+      return next();
+    }
+    const format = TEXT_FORMATS[request.params.format];
+    setCorsHeaders(response);
+
+    try {
+      const { cv, lastUpdated, defaultLanguage } = await loadPublicData(request);
+      const lang = cv.lang || defaultLanguage;
+      const text = format.render(cv, { sections: sectionOrder(request.query), labels: getLabels(lang), locale: lang });
+      response.set("Content-Disposition", `inline; filename="${exportName(cv)}.${format.extension}"`);
+      sendCached(request, response, text, lastUpdated, format.type);
+    } catch (error) {
+      if (error instanceof QueryError) {
+        return response.status(error.status).json({ error: error.message });
+      }
+      console.error("[CV] Text export error:", error);
+      response.status(500).json({ error: "Failed to export CV" });
+    }
+  },
+
+  /**
+   * GET /cv/export/jsonresume.json - CV data as a JSON Resume document
+   */
+  async getJsonResume(request, response) {
     const { application } = request.app.locals;
+    setCorsHeaders(response);
 
     try {
       const data = (await getCvData(application)) || getDefaultCvData();
+      sendCached(request, response, toJsonResume(publicView(data)), data.lastUpdated);
+    } catch (error) {
+      console.error("[CV] JSON Resume export error:", error);
+      response.status(500).json({ error: "Failed to load CV data" });
+    }
+  },
 
-      // Strip MongoDB internal fields
-      const { _id, ...cvData } = data;
+  /**
+   * GET /cv/data.jsonld - CV data as a schema.org Person (JSON-LD)
+   */
+  async getJsonLd(request, response) {
+    const { application } = request.app.locals;
+    setCorsHeaders(response);
 
-      response.json(cvData);
+    try {
+      const data = (await getCvData(application)) || getDefaultCvData();
+      sendCached(request, response, toJsonLd(publicView(data)), data.lastUpdated, "application/ld+json");
     } catch (error) {
-      console.error("[CV] API error:", error);
-      response.json(getDefaultCvData());
+      console.error("[CV] JSON-LD error:", error);
+      response.status(500).json({ error: "Failed to load CV data" });
     }
   },
+
+  /**
+   * OPTIONS - CORS preflight for the JSON endpoints (conditional requests
+   * send If-None-Match / If-Modified-Since, which aren't safelisted headers)
+   */
+  preflight(request, response) {
+    setCorsHeaders(response);
+    response.set({
+      "Access-Control-Allow-Methods": "GET, HEAD, OPTIONS",
+      "Access-Control-Allow-Headers": "If-None-Match, If-Modified-Since",
+      "Access-Control-Max-Age": "86400",
+    });
+    response.status(204).end();
+  },
 };
+
+/**
+ * The public CV as data.json serves it: without private entries, drafts or
+ * MongoDB fields, in the requested variant and language, narrowed by the
+ * query, with Markdown rendered and the timeline fields, citations and skill
+ * usage added
+ * @param {object} request - Request
+ * @returns {Promise<{cv: object, lastUpdated: string|null, defaultLanguage: string}>}
+ *   CV model, time of the last save and the language entries are written in
+ */
+async function loadPublicData(request) {
+  const { application } = request.app.locals;
+  const { _id, ...data } = (await getCvData(application)) || getDefaultCvData();
+  const { defaultLanguage, languages } = getLanguageSettings(application);
+  const locale = request.query.lang ? String(request.query.lang) : defaultLanguage;
+  const view = applyView(publicView(data), request.query, languages, data.variants);
+  const cv = withCitations(withTimeline(view, { locale }), { locale });
+
+  return { cv: applyQuery(withHtml(withSkillUsage(cv)), request.query), lastUpdated: data.lastUpdated, defaultLanguage };
+}
+
+/**
+ * Allow the public endpoints to be fetched from any origin, and let scripts
+ * read the validators they need for conditional requests
+ */
+function setCorsHeaders(response) {
+  response.set({
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Expose-Headers": "ETag, Last-Modified",
+  });
+}
+
+/**
+ * Send a JSON (or text) body with validators, answering 304 when the client's copy is
+ * still current
+ * The ETag is a hash of the exact body, so every query, variant and language
+ * gets its own; Last-Modified is the CV's lastUpdated.
+ * @param {object|string} body - Response document, or text sent as-is
+ * @param {string|null} lastUpdated - ISO timestamp of the last save
+ * @param {string} [type] - Content type
+ */
+function sendCached(request, response, body, lastUpdated, type = "application/json") {
+  const content = typeof body === "string" ? body : JSON.stringify(body);
+  response.set("ETag", `"${createHash("sha1").update(content).digest("base64url")}"`);
+  if (lastUpdated) {
+    response.set("Last-Modified", new Date(lastUpdated).toUTCString());
+  }
+  // Cacheable, but revalidated on every use
+  response.set("Cache-Control", "public, no-cache");
+
+  if (request.fresh) {
+    return response.status(304).end();
+  }
+  response.type(type).send(content);
+}
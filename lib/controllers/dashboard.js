@@ -19,7 +19,31 @@ import {
   editInterestCategory,
   removeInterestCategory,
   moveInterestCategoryOrder,
+  updateBasics,
+  addProfile,
+  updateProfile,
+  removeProfile,
+  moveProfile,
+  translateInSection,
+  translateCategory,
+  setSortByDate,
+  setSkillDetails,
+  setHideExpiredCertifications,
+  RevisionConflictError,
 } from "../storage/cv.js";
+import { validateEntry, hasErrors } from "../validation.js";
+import { getLanguageSettings, TRANSLATABLE_FIELDS } from "../translations.js";
+import { parseVisibility } from "../visibility.js";
+import { renderMarkdown, renderInline } from "../markdown.js";
+import { CEFR_LEVELS } from "../europass.js";
+import { formatDate, formatDateRange, isNormalizedDate, parseDate } from "../dates.js";
+import { SKILL_LEVELS, usesTechnology } from "../skills.js";
+import { formatCertificationDates, isExpired } from "../certifications.js";
+import { PUBLICATION_TYPES, formatCitation, normalizeDoi } from "../publications.js";
+import { getShareContext } from "./shares.js";
+
+// Array sections the drag and drop save form reorders
+const REORDERABLE_SECTIONS = ["experience", "projects", "education", "certifications", "publications", "languages"];
 
 export const dashboardController = {
   /**
@@ -34,6 +58,16 @@ export const dashboardController = {
       response.render("cv-dashboard", {
         title: "CV Editor",
         cv: data,
+        ...languageContext(application, request.query.lang),
+        ...(await getShareContext(application, request)),
+        cefrLevels: CEFR_LEVELS,
+        skillLevels: SKILL_LEVELS,
+        usesTechnology,
+        isExpired,
+        dateRange: (item) => formatDateRange(item, application.locale),
+        certificationDates: (item) => formatCertificationDates(item, application.locale),
+        publicationTypes: PUBLICATION_TYPES,
+        citation: (item) => formatCitation(item, application.locale),
         cvEndpoint: application.cvEndpoint,
       });
     } catch (error) {
@@ -47,29 +81,34 @@ export const dashboardController = {
   },
 
   /**
-   * POST /save - Save full CV data (bulk save from form)
+   * POST /save - Save the order set by drag and drop
+   * Only the order is taken from the form: entries are matched to the stored
+   * ones by id (categories by name), so nothing is saved that the entry forms
+   * wouldn't have validated.
    */
   async save(request, response) {
     const { application } = request.app.locals;
 
     try {
       const body = request.body;
+      const current = (await getCvData(application)) || getDefaultCvData();
 
-      const data = {
-        experience: parseArrayField(body, "experience"),
-        projects: parseArrayField(body, "projects"),
-        skills: parseSkillsField(body),
-        skillTypes: parseSkillTypesField(body),
-        education: parseArrayField(body, "education"),
-        languages: parseArrayField(body, "languages"),
-        interests: parseInterestsField(body),
-        interestTypes: parseInterestTypesField(body),
-      };
+      const data = { ...current, revision: parseRevision(body) };
+      for (const section of REORDERABLE_SECTIONS) {
+        const ids = parseArrayField(body, section).map((item) => item?.id);
+        data[section] = reorder(current[section] || [], ids, (item) => item.id);
+      }
+      for (const section of ["skills", "interests"]) {
+        const posted = body[section] && typeof body[section] === "object" ? Object.keys(body[section]) : [];
+        const categories = reorder(Object.entries(current[section] || {}), posted, ([category]) => category);
+        data[section] = Object.fromEntries(categories);
+      }
 
       await saveCvData(application, data);
 
       response.redirect(application.cvEndpoint + "?saved=1");
     } catch (error) {
+      if (error instanceof RevisionConflictError) return renderConflict(request, response);
       console.error("[CV] Save error:", error);
       response.status(500).render("error", {
         title: "Error",
@@ -79,26 +118,110 @@ export const dashboardController = {
     }
   },
 
+  // --- Basics (name, headline, contact, profile links) ---
+
+  async editBasics(request, response) {
+    const { application } = request.app.locals;
+    try {
+      const { name, headline, summary, location, email, phone, contactVisibility, website } =
+        request.body;
+      const basics = {
+        name: (name || "").trim(),
+        headline: (headline || "").trim(),
+        summary: summary || "",
+        location: (location || "").trim(),
+        email: (email || "").trim(),
+        phone: (phone || "").trim(),
+        contactVisibility: parseVisibility(contactVisibility),
+        website: (website || "").trim(),
+      };
+      const errors = validateEntry("basics", basics);
+      if (hasErrors(errors)) {
+        return renderInvalid(request, response, { section: "basics", id: "basics", values: basics, errors });
+      }
+      await updateBasics(application, basics, parseRevision(request.body));
+      response.redirect(application.cvEndpoint + "?saved=1#basics");
+    } catch (error) {
+      if (error instanceof RevisionConflictError) return renderConflict(request, response);
+      console.error("[CV] Edit basics error:", error);
+      response.redirect(application.cvEndpoint + "?error=1#basics");
+    }
+  },
+
+  async addProfile(request, response) {
+    const { application } = request.app.locals;
+    try {
+      const profile = parseProfile(request.body);
+      const errors = validateEntry("profiles", profile);
+      if (hasErrors(errors)) {
+        return renderInvalid(request, response, { section: "profiles", values: profile, errors });
+      }
+      await addProfile(application, profile, parseRevision(request.body));
+      response.redirect(application.cvEndpoint + "?saved=1#basics");
+    } catch (error) {
+      if (error instanceof RevisionConflictError) return renderConflict(request, response);
+      console.error("[CV] Add profile error:", error);
+      response.redirect(application.cvEndpoint + "?error=1#basics");
+    }
+  },
+
+  async editProfile(request, response) {
+    const { application } = request.app.locals;
+    try {
+      const { id } = request.params;
+      const profile = parseProfile(request.body);
+      const errors = validateEntry("profiles", profile);
+      if (hasErrors(errors)) {
+        return renderInvalid(request, response, { section: "profiles", id, values: profile, errors });
+      }
+      await updateProfile(application, id, profile, parseRevision(request.body));
+      response.redirect(application.cvEndpoint + "?saved=1#basics");
+    } catch (error) {
+      if (error instanceof RevisionConflictError) return renderConflict(request, response);
+      console.error("[CV] Edit profile error:", error);
+      response.redirect(application.cvEndpoint + "?error=1#basics");
+    }
+  },
+
+  async deleteProfile(request, response) {
+    const { application } = request.app.locals;
+    try {
+      await removeProfile(application, request.params.id, parseRevision(request.body));
+      response.redirect(application.cvEndpoint + "?saved=1#basics");
+    } catch (error) {
+      if (error instanceof RevisionConflictError) return renderConflict(request, response);
+      console.error("[CV] Delete profile error:", error);
+      response.redirect(application.cvEndpoint + "?error=1#basics");
+    }
+  },
+
+  async moveProfile(request, response) {
+    const { application } = request.app.locals;
+    const direction = request.path.endsWith("/up") ? "up" : "down";
+    try {
+      await moveProfile(application, request.params.id, direction, parseRevision(request.body));
+      response.redirect(application.cvEndpoint + "?saved=1#basics");
+    } catch (error) {
+      if (error instanceof RevisionConflictError) return renderConflict(request, response);
+      console.error("[CV] Move profile error:", error);
+      response.redirect(application.cvEndpoint + "?error=1#basics");
+    }
+  },
+
   // --- Experience CRUD ---
 
   async addExperience(request, response) {
     const { application } = request.app.locals;
     try {
-      const { title, company, location, startDate, endDate, type, experienceType, description, highlights } =
-        request.body;
-      await addToSection(application, "experience", {
-        title: title || "",
-        company: company || "",
-        location: location || "",
-        startDate: startDate || "",
-        endDate: endDate || null,
-        type: type || "full-time",
-        experienceType: experienceType || "personal",
-        description: description || "",
-        highlights: parseLines(highlights),
-      });
+      const item = parseExperience(request.body);
+      const errors = validateEntry("experience", item);
+      if (hasErrors(errors)) {
+        return renderInvalid(request, response, { section: "experience", values: item, errors });
+      }
+      await addToSection(application, "experience", item, parseRevision(request.body));
       response.redirect(application.cvEndpoint + "?saved=1#experience");
     } catch (error) {
+      if (error instanceof RevisionConflictError) return renderConflict(request, response);
       console.error("[CV] Add experience error:", error);
       response.redirect(application.cvEndpoint + "?error=1#experience");
     }
@@ -107,21 +230,16 @@ export const dashboardController = {
   async editExperience(request, response) {
     const { application } = request.app.locals;
     try {
-      const index = Number.parseInt(request.params.index, 10);
-      const { title, company, location, startDate, endDate, type, experienceType, description, highlights } = request.body;
-      await updateInSection(application, "experience", index, {
-        title: title || "",
-        company: company || "",
-        location: location || "",
-        startDate: startDate || "",
-        endDate: endDate || null,
-        type: type || "full-time",
-        experienceType: experienceType || "personal",
-        description: description || "",
-        highlights: parseLines(highlights),
-      });
+      const { id } = request.params;
+      const item = parseExperience(request.body);
+      const errors = validateEntry("experience", item);
+      if (hasErrors(errors)) {
+        return renderInvalid(request, response, { section: "experience", id, values: item, errors });
+      }
+      await updateInSection(application, "experience", id, item, parseRevision(request.body));
       response.redirect(application.cvEndpoint + "?saved=1#experience");
     } catch (error) {
+      if (error instanceof RevisionConflictError) return renderConflict(request, response);
       console.error("[CV] Edit experience error:", error);
       response.redirect(application.cvEndpoint + "?error=1#experience");
     }
@@ -130,9 +248,10 @@ export const dashboardController = {
   async deleteExperience(request, response) {
     const { application } = request.app.locals;
     try {
-      await removeFromSection(application, "experience", Number.parseInt(request.params.index, 10));
+      await removeFromSection(application, "experience", request.params.id, parseRevision(request.body));
       response.redirect(application.cvEndpoint + "?saved=1#experience");
     } catch (error) {
+      if (error instanceof RevisionConflictError) return renderConflict(request, response);
       console.error("[CV] Delete experience error:", error);
       response.redirect(application.cvEndpoint + "?error=1#experience");
     }
@@ -143,19 +262,15 @@ export const dashboardController = {
   async addProject(request, response) {
     const { application } = request.app.locals;
     try {
-      const { name, url, description, tags, technologies, status, projectType, startDate, endDate } = request.body;
-      await addToSection(application, "projects", {
-        name: name || "",
-        url: url || "",
-        description: description || "",
-        technologies: parseCommaList(tags || technologies),
-        status: status || "active",
-        projectType: projectType || "personal",
-        startDate: startDate || "",
-        endDate: endDate || null,
-      });
+      const item = parseProject(request.body);
+      const errors = validateEntry("projects", item);
+      if (hasErrors(errors)) {
+        return renderInvalid(request, response, { section: "projects", values: item, errors });
+      }
+      await addToSection(application, "projects", item, parseRevision(request.body));
       response.redirect(application.cvEndpoint + "?saved=1#projects");
     } catch (error) {
+      if (error instanceof RevisionConflictError) return renderConflict(request, response);
       console.error("[CV] Add project error:", error);
       response.redirect(application.cvEndpoint + "?error=1#projects");
     }
@@ -164,20 +279,16 @@ export const dashboardController = {
   async editProject(request, response) {
     const { application } = request.app.locals;
     try {
-      const index = Number.parseInt(request.params.index, 10);
-      const { name, url, description, tags, status, projectType, startDate, endDate } = request.body;
-      await updateInSection(application, "projects", index, {
-        name: name || "",
-        url: url || "",
-        description: description || "",
-        technologies: parseCommaList(tags),
-        status: status || "active",
-        projectType: projectType || "personal",
-        startDate: startDate || "",
-        endDate: endDate || null,
-      });
+      const { id } = request.params;
+      const item = parseProject(request.body);
+      const errors = validateEntry("projects", item);
+      if (hasErrors(errors)) {
+        return renderInvalid(request, response, { section: "projects", id, values: item, errors });
+      }
+      await updateInSection(application, "projects", id, item, parseRevision(request.body));
       response.redirect(application.cvEndpoint + "?saved=1#projects");
     } catch (error) {
+      if (error instanceof RevisionConflictError) return renderConflict(request, response);
       console.error("[CV] Edit project error:", error);
       response.redirect(application.cvEndpoint + "?error=1#projects");
     }
@@ -186,9 +297,10 @@ export const dashboardController = {
   async deleteProject(request, response) {
     const { application } = request.app.locals;
     try {
-      await removeFromSection(application, "projects", Number.parseInt(request.params.index, 10));
+      await removeFromSection(application, "projects", request.params.id, parseRevision(request.body));
       response.redirect(application.cvEndpoint + "?saved=1#projects");
     } catch (error) {
+      if (error instanceof RevisionConflictError) return renderConflict(request, response);
       console.error("[CV] Delete project error:", error);
       response.redirect(application.cvEndpoint + "?error=1#projects");
     }
@@ -199,18 +311,15 @@ export const dashboardController = {
   async addEducation(request, response) {
     const { application } = request.app.locals;
     try {
-      const { degree, institution, location, startDate, endDate, educationType, description } = request.body;
-      await addToSection(application, "education", {
-        degree: degree || "",
-        institution: institution || "",
-        location: location || "",
-        startDate: startDate || "",
-        endDate: endDate || null,
-        educationType: educationType || "personal",
-        description: description || "",
-      });
+      const item = parseEducation(request.body);
+      const errors = validateEntry("education", item);
+      if (hasErrors(errors)) {
+        return renderInvalid(request, response, { section: "education", values: item, errors });
+      }
+      await addToSection(application, "education", item, parseRevision(request.body));
       response.redirect(application.cvEndpoint + "?saved=1#education");
     } catch (error) {
+      if (error instanceof RevisionConflictError) return renderConflict(request, response);
       console.error("[CV] Add education error:", error);
       response.redirect(application.cvEndpoint + "?error=1#education");
     }
@@ -219,19 +328,16 @@ export const dashboardController = {
   async editEducation(request, response) {
     const { application } = request.app.locals;
     try {
-      const index = Number.parseInt(request.params.index, 10);
-      const { degree, institution, location, startDate, endDate, educationType, description } = request.body;
-      await updateInSection(application, "education", index, {
-        degree: degree || "",
-        institution: institution || "",
-        location: location || "",
-        startDate: startDate || "",
-        endDate: endDate || null,
-        educationType: educationType || "personal",
-        description: description || "",
-      });
+      const { id } = request.params;
+      const item = parseEducation(request.body);
+      const errors = validateEntry("education", item);
+      if (hasErrors(errors)) {
+        return renderInvalid(request, response, { section: "education", id, values: item, errors });
+      }
+      await updateInSection(application, "education", id, item, parseRevision(request.body));
       response.redirect(application.cvEndpoint + "?saved=1#education");
     } catch (error) {
+      if (error instanceof RevisionConflictError) return renderConflict(request, response);
       console.error("[CV] Edit education error:", error);
       response.redirect(application.cvEndpoint + "?error=1#education");
     }
@@ -240,26 +346,139 @@ export const dashboardController = {
   async deleteEducation(request, response) {
     const { application } = request.app.locals;
     try {
-      await removeFromSection(application, "education", Number.parseInt(request.params.index, 10));
+      await removeFromSection(application, "education", request.params.id, parseRevision(request.body));
       response.redirect(application.cvEndpoint + "?saved=1#education");
     } catch (error) {
+      if (error instanceof RevisionConflictError) return renderConflict(request, response);
       console.error("[CV] Delete education error:", error);
       response.redirect(application.cvEndpoint + "?error=1#education");
     }
   },
 
+  // --- Certifications CRUD ---
+
+  async addCertification(request, response) {
+    const { application } = request.app.locals;
+    try {
+      const item = parseCertification(request.body);
+      const errors = validateEntry("certifications", item);
+      if (hasErrors(errors)) {
+        return renderInvalid(request, response, { section: "certifications", values: item, errors });
+      }
+      await addToSection(application, "certifications", item, parseRevision(request.body));
+      response.redirect(application.cvEndpoint + "?saved=1#certifications");
+    } catch (error) {
+      if (error instanceof RevisionConflictError) return renderConflict(request, response);
+      console.error("[CV] Add certification error:", error);
+      response.redirect(application.cvEndpoint + "?error=1#certifications");
+    }
+  },
+
+  async editCertification(request, response) {
+    const { application } = request.app.locals;
+    try {
+      const { id } = request.params;
+      const item = parseCertification(request.body);
+      const errors = validateEntry("certifications", item);
+      if (hasErrors(errors)) {
+        return renderInvalid(request, response, { section: "certifications", id, values: item, errors });
+      }
+      await updateInSection(application, "certifications", id, item, parseRevision(request.body));
+      response.redirect(application.cvEndpoint + "?saved=1#certifications");
+    } catch (error) {
+      if (error instanceof RevisionConflictError) return renderConflict(request, response);
+      console.error("[CV] Edit certification error:", error);
+      response.redirect(application.cvEndpoint + "?error=1#certifications");
+    }
+  },
+
+  async deleteCertification(request, response) {
+    const { application } = request.app.locals;
+    try {
+      await removeFromSection(application, "certifications", request.params.id, parseRevision(request.body));
+      response.redirect(application.cvEndpoint + "?saved=1#certifications");
+    } catch (error) {
+      if (error instanceof RevisionConflictError) return renderConflict(request, response);
+      console.error("[CV] Delete certification error:", error);
+      response.redirect(application.cvEndpoint + "?error=1#certifications");
+    }
+  },
+
+  async hideExpiredCertifications(request, response) {
+    const { application } = request.app.locals;
+    try {
+      await setHideExpiredCertifications(application, request.body.hide === "1", parseRevision(request.body));
+      response.redirect(application.cvEndpoint + "?saved=1#certifications");
+    } catch (error) {
+      if (error instanceof RevisionConflictError) return renderConflict(request, response);
+      console.error("[CV] Hide expired certifications error:", error);
+      response.redirect(application.cvEndpoint + "?error=1#certifications");
+    }
+  },
+
+  // --- Publications CRUD ---
+
+  async addPublication(request, response) {
+    const { application } = request.app.locals;
+    try {
+      const item = parsePublication(request.body);
+      const errors = validateEntry("publications", item);
+      if (hasErrors(errors)) {
+        return renderInvalid(request, response, { section: "publications", values: item, errors });
+      }
+      await addToSection(application, "publications", item, parseRevision(request.body));
+      response.redirect(application.cvEndpoint + "?saved=1#publications");
+    } catch (error) {
+      if (error instanceof RevisionConflictError) return renderConflict(request, response);
+      console.error("[CV] Add publication error:", error);
+      response.redirect(application.cvEndpoint + "?error=1#publications");
+    }
+  },
+
+  async editPublication(request, response) {
+    const { application } = request.app.locals;
+    try {
+      const { id } = request.params;
+      const item = parsePublication(request.body);
+      const errors = validateEntry("publications", item);
+      if (hasErrors(errors)) {
+        return renderInvalid(request, response, { section: "publications", id, values: item, errors });
+      }
+      await updateInSection(application, "publications", id, item, parseRevision(request.body));
+      response.redirect(application.cvEndpoint + "?saved=1#publications");
+    } catch (error) {
+      if (error instanceof RevisionConflictError) return renderConflict(request, response);
+      console.error("[CV] Edit publication error:", error);
+      response.redirect(application.cvEndpoint + "?error=1#publications");
+    }
+  },
+
+  async deletePublication(request, response) {
+    const { application } = request.app.locals;
+    try {
+      await removeFromSection(application, "publications", request.params.id, parseRevision(request.body));
+      response.redirect(application.cvEndpoint + "?saved=1#publications");
+    } catch (error) {
+      if (error instanceof RevisionConflictError) return renderConflict(request, response);
+      console.error("[CV] Delete publication error:", error);
+      response.redirect(application.cvEndpoint + "?error=1#publications");
+    }
+  },
+
   // --- Languages CRUD ---
 
   async addLanguage(request, response) {
     const { application } = request.app.locals;
     try {
-      const { name, level } = request.body;
-      await addToSection(application, "languages", {
-        name: name || "",
-        level: level || "intermediate",
-      });
+      const item = parseLanguage(request.body);
+      const errors = validateEntry("languages", item);
+      if (hasErrors(errors)) {
+        return renderInvalid(request, response, { section: "languages", values: item, errors });
+      }
+      await addToSection(application, "languages", item, parseRevision(request.body));
       response.redirect(application.cvEndpoint + "?saved=1#languages");
     } catch (error) {
+      if (error instanceof RevisionConflictError) return renderConflict(request, response);
       console.error("[CV] Add language error:", error);
       response.redirect(application.cvEndpoint + "?error=1#languages");
     }
@@ -268,14 +487,16 @@ export const dashboardController = {
   async editLanguage(request, response) {
     const { application } = request.app.locals;
     try {
-      const index = Number.parseInt(request.params.index, 10);
-      const { name, level } = request.body;
-      await updateInSection(application, "languages", index, {
-        name: name || "",
-        level: level || "intermediate",
-      });
+      const { id } = request.params;
+      const item = parseLanguage(request.body);
+      const errors = validateEntry("languages", item);
+      if (hasErrors(errors)) {
+        return renderInvalid(request, response, { section: "languages", id, values: item, errors });
+      }
+      await updateInSection(application, "languages", id, item, parseRevision(request.body));
       response.redirect(application.cvEndpoint + "?saved=1#languages");
     } catch (error) {
+      if (error instanceof RevisionConflictError) return renderConflict(request, response);
       console.error("[CV] Edit language error:", error);
       response.redirect(application.cvEndpoint + "?error=1#languages");
     }
@@ -284,9 +505,10 @@ export const dashboardController = {
   async deleteLanguage(request, response) {
     const { application } = request.app.locals;
     try {
-      await removeFromSection(application, "languages", Number.parseInt(request.params.index, 10));
+      await removeFromSection(application, "languages", request.params.id, parseRevision(request.body));
       response.redirect(application.cvEndpoint + "?saved=1#languages");
     } catch (error) {
+      if (error instanceof RevisionConflictError) return renderConflict(request, response);
       console.error("[CV] Delete language error:", error);
       response.redirect(application.cvEndpoint + "?error=1#languages");
     }
@@ -298,9 +520,20 @@ export const dashboardController = {
     const { application } = request.app.locals;
     try {
       const { category, items, skillType } = request.body;
-      await addSkillCategory(application, category || "Uncategorized", parseCommaList(items), skillType);
+      const visibility = parseVisibility(request.body.visibility);
+      const values = { category: (category || "").trim(), items: parseCommaList(items), skillType, visibility };
+      const errors = validateEntry("skills", values);
+      if (hasErrors(errors)) {
+        return renderInvalid(request, response, { section: "skills", values, errors });
+      }
+      await addSkillCategory(application, values.category, values.items, {
+        skillType,
+        visibility,
+        revision: parseRevision(request.body),
+      });
       response.redirect(application.cvEndpoint + "?saved=1#skills");
     } catch (error) {
+      if (error instanceof RevisionConflictError) return renderConflict(request, response);
       console.error("[CV] Add skill category error:", error);
       response.redirect(application.cvEndpoint + "?error=1#skills");
     }
@@ -311,9 +544,20 @@ export const dashboardController = {
     try {
       const oldCategory = decodeURIComponent(request.params.category);
       const { category, items, skillType } = request.body;
-      await editSkillCategory(application, oldCategory, category || oldCategory, parseCommaList(items), skillType);
+      const visibility = parseVisibility(request.body.visibility);
+      const values = { category: (category || "").trim(), items: parseCommaList(items), skillType, visibility };
+      const errors = validateEntry("skills", values);
+      if (hasErrors(errors)) {
+        return renderInvalid(request, response, { section: "skills", id: oldCategory, values, errors });
+      }
+      await editSkillCategory(application, oldCategory, values.category, values.items, {
+        skillType,
+        visibility,
+        revision: parseRevision(request.body),
+      });
       response.redirect(application.cvEndpoint + "?saved=1#skills");
     } catch (error) {
+      if (error instanceof RevisionConflictError) return renderConflict(request, response);
       console.error("[CV] Edit skill category error:", error);
       response.redirect(application.cvEndpoint + "?error=1#skills");
     }
@@ -322,23 +566,52 @@ export const dashboardController = {
   async deleteSkillCategory(request, response) {
     const { application } = request.app.locals;
     try {
-      await removeSkillCategory(application, decodeURIComponent(request.params.category));
+      await removeSkillCategory(application, decodeURIComponent(request.params.category), parseRevision(request.body));
       response.redirect(application.cvEndpoint + "?saved=1#skills");
     } catch (error) {
+      if (error instanceof RevisionConflictError) return renderConflict(request, response);
       console.error("[CV] Delete skill category error:", error);
       response.redirect(application.cvEndpoint + "?error=1#skills");
     }
   },
 
+  async editSkillDetails(request, response) {
+    const { application } = request.app.locals;
+    try {
+      const { skill, ...values } = parseSkillDetails(request.body);
+      const errors = validateEntry("skillDetails", values);
+      if (hasErrors(errors)) {
+        return renderInvalid(request, response, { section: "skillDetails", id: skill, values, errors });
+      }
+      await setSkillDetails(application, skill, values, parseRevision(request.body));
+      response.redirect(application.cvEndpoint + "?saved=1#skills");
+    } catch (error) {
+      if (error instanceof RevisionConflictError) return renderConflict(request, response);
+      console.error("[CV] Edit skill details error:", error);
+      response.redirect(application.cvEndpoint + "?error=1#skills");
+    }
+  },
+
   // --- Interests CRUD (category-based, mirrors skills) ---
 
   async addInterestCategory(request, response) {
     const { application } = request.app.locals;
     try {
       const { category, items, interestType } = request.body;
-      await addInterestCategory(application, category || "Uncategorized", parseCommaList(items), interestType);
+      const visibility = parseVisibility(request.body.visibility);
+      const values = { category: (category || "").trim(), items: parseCommaList(items), interestType, visibility };
+      const errors = validateEntry("interests", values);
+      if (hasErrors(errors)) {
+        return renderInvalid(request, response, { section: "interests", values, errors });
+      }
+      await addInterestCategory(application, values.category, values.items, {
+        interestType,
+        visibility,
+        revision: parseRevision(request.body),
+      });
       response.redirect(application.cvEndpoint + "?saved=1#interests");
     } catch (error) {
+      if (error instanceof RevisionConflictError) return renderConflict(request, response);
       console.error("[CV] Add interest category error:", error);
       response.redirect(application.cvEndpoint + "?error=1#interests");
     }
@@ -349,9 +622,20 @@ export const dashboardController = {
     try {
       const oldCategory = decodeURIComponent(request.params.category);
       const { category, items, interestType } = request.body;
-      await editInterestCategory(application, oldCategory, category || oldCategory, parseCommaList(items), interestType);
+      const visibility = parseVisibility(request.body.visibility);
+      const values = { category: (category || "").trim(), items: parseCommaList(items), interestType, visibility };
+      const errors = validateEntry("interests", values);
+      if (hasErrors(errors)) {
+        return renderInvalid(request, response, { section: "interests", id: oldCategory, values, errors });
+      }
+      await editInterestCategory(application, oldCategory, values.category, values.items, {
+        interestType,
+        visibility,
+        revision: parseRevision(request.body),
+      });
       response.redirect(application.cvEndpoint + "?saved=1#interests");
     } catch (error) {
+      if (error instanceof RevisionConflictError) return renderConflict(request, response);
       console.error("[CV] Edit interest category error:", error);
       response.redirect(application.cvEndpoint + "?error=1#interests");
     }
@@ -360,9 +644,10 @@ export const dashboardController = {
   async deleteInterestCategory(request, response) {
     const { application } = request.app.locals;
     try {
-      await removeInterestCategory(application, decodeURIComponent(request.params.category));
+      await removeInterestCategory(application, decodeURIComponent(request.params.category), parseRevision(request.body));
       response.redirect(application.cvEndpoint + "?saved=1#interests");
     } catch (error) {
+      if (error instanceof RevisionConflictError) return renderConflict(request, response);
       console.error("[CV] Delete interest category error:", error);
       response.redirect(application.cvEndpoint + "?error=1#interests");
     }
@@ -375,9 +660,10 @@ export const dashboardController = {
     const category = decodeURIComponent(request.params.category);
     const direction = request.path.endsWith("/up") ? "up" : "down";
     try {
-      await moveSkillCategoryOrder(application, category, direction);
+      await moveSkillCategoryOrder(application, category, direction, parseRevision(request.body));
       response.redirect(application.cvEndpoint + "?saved=1#skills");
     } catch (error) {
+      if (error instanceof RevisionConflictError) return renderConflict(request, response);
       console.error("[CV] Move skill category error:", error);
       response.redirect(application.cvEndpoint + "?error=1#skills");
     }
@@ -388,33 +674,394 @@ export const dashboardController = {
     const category = decodeURIComponent(request.params.category);
     const direction = request.path.endsWith("/up") ? "up" : "down";
     try {
-      await moveInterestCategoryOrder(application, category, direction);
+      await moveInterestCategoryOrder(application, category, direction, parseRevision(request.body));
       response.redirect(application.cvEndpoint + "?saved=1#interests");
     } catch (error) {
+      if (error instanceof RevisionConflictError) return renderConflict(request, response);
       console.error("[CV] Move interest category error:", error);
       response.redirect(application.cvEndpoint + "?error=1#interests");
     }
   },
 
+  // --- Translations (configured content languages other than the default) ---
+
+  async translateItem(request, response) {
+    const { application } = request.app.locals;
+    const section = request.path.split("/")[1];
+    const { lang } = request.body;
+    const back = `${application.cvEndpoint}?lang=${encodeURIComponent(lang || "")}`;
+    try {
+      if (!TRANSLATABLE_FIELDS[section] || !isTranslationLanguage(application, lang)) {
+        throw new Error(`Can't translate ${section} into ${lang}`);
+      }
+      const fields = {};
+      for (const field of TRANSLATABLE_FIELDS[section]) {
+        fields[field] = field === "highlights" ? parseLines(request.body[field]) : request.body[field] || "";
+      }
+      await translateInSection(application, section, request.params.id, lang, fields, parseRevision(request.body));
+      response.redirect(`${back}&saved=1#${section}`);
+    } catch (error) {
+      if (error instanceof RevisionConflictError) return renderConflict(request, response);
+      console.error(`[CV] Translate ${section} error:`, error);
+      response.redirect(`${back}&error=1#${section}`);
+    }
+  },
+
+  async translateCategoryHandler(request, response) {
+    const { application } = request.app.locals;
+    const section = request.path.split("/")[1];
+    const { lang } = request.body;
+    const back = `${application.cvEndpoint}?lang=${encodeURIComponent(lang || "")}`;
+    try {
+      if (!isTranslationLanguage(application, lang)) {
+        throw new Error(`Can't translate ${section} into ${lang}`);
+      }
+      const category = decodeURIComponent(request.params.category);
+      const name = (request.body.name || "").trim();
+      await translateCategory(application, section, category, lang, name, parseRevision(request.body));
+      response.redirect(`${back}&saved=1#${section}`);
+    } catch (error) {
+      if (error instanceof RevisionConflictError) return renderConflict(request, response);
+      console.error(`[CV] Translate ${section} category error:`, error);
+      response.redirect(`${back}&error=1#${section}`);
+    }
+  },
+
   // --- Generic move (reorder) ---
 
   async move(request, response) {
     const { application } = request.app.locals;
-    const { section, index } = request.params;
+    const { section, id } = request.params;
     // Direction is the last segment of the URL path (up or down)
     const direction = request.path.endsWith("/up") ? "up" : "down";
     try {
-      await moveInSection(application, section, Number.parseInt(index, 10), direction);
+      await moveInSection(application, section, id, direction, parseRevision(request.body));
       response.redirect(application.cvEndpoint + "?saved=1#" + section);
     } catch (error) {
+      if (error instanceof RevisionConflictError) return renderConflict(request, response);
       console.error(`[CV] Move ${section} error:`, error);
       response.redirect(application.cvEndpoint + "?error=1#" + section);
     }
   },
+
+  // --- Date order for dated sections ---
+
+  async sortSection(request, response) {
+    const { application } = request.app.locals;
+    const section = request.path.split("/")[1];
+    try {
+      await setSortByDate(application, section, request.body.byDate === "1", parseRevision(request.body));
+      response.redirect(application.cvEndpoint + "?saved=1#" + section);
+    } catch (error) {
+      if (error instanceof RevisionConflictError) return renderConflict(request, response);
+      console.error(`[CV] Sort ${section} error:`, error);
+      response.redirect(application.cvEndpoint + "?error=1#" + section);
+    }
+  },
+
+  // --- Markdown preview ---
+
+  /**
+   * POST /preview - Render a description (or highlights, one per line) as
+   * the JSON outputs will
+   */
+  preview(request, response) {
+    const { text, field } = request.body || {};
+    if (typeof text !== "string") {
+      return response.status(400).json({ error: "Send the text to preview as a string" });
+    }
+    const html =
+      field === "highlights"
+        ? `<ul>${parseLines(text).map((line) => `<li>${renderInline(line)}</li>`).join("")}</ul>`
+        : renderMarkdown(text);
+    response.json({ html });
+  },
 };
 
 // --- Helper functions ---
 
+/**
+ * Re-render the dashboard (422) for a submission that failed validation,
+ * keeping the user's input in the form it came from
+ * @param {object} form - { section, id, values, errors }; id is the item id
+ *   or category name for edit forms, undefined for add forms
+ */
+export async function renderInvalid(request, response, form) {
+  const { application } = request.app.locals;
+  const cv = (await getCvData(application)) || getDefaultCvData();
+
+  // Re-rendering would hand out the latest revision and silently drop
+  // whatever changed in between, so report that as a conflict instead
+  const revision = parseRevision(request.body);
+  if (revision !== undefined && revision !== (cv.revision || 0)) {
+    return renderConflict(request, response);
+  }
+
+  response.status(422).render("cv-dashboard", {
+    title: "CV Editor",
+    cv,
+    form,
+    ...languageContext(application),
+    ...(await getShareContext(application, request)),
+    cefrLevels: CEFR_LEVELS,
+    skillLevels: SKILL_LEVELS,
+    usesTechnology,
+    isExpired,
+    dateRange: (item) => formatDateRange(item, application.locale),
+    certificationDates: (item) => formatCertificationDates(item, application.locale),
+    publicationTypes: PUBLICATION_TYPES,
+    citation: (item) => formatCitation(item, application.locale),
+    cvEndpoint: application.cvEndpoint,
+  });
+}
+
+/**
+ * Language switcher state for the dashboard
+ * @param {string} [requested] - ?lang= value; anything not configured shows
+ *   the default language
+ * @returns {object} { languages, defaultLanguage, contentLang, translating }
+ */
+function languageContext(application, requested) {
+  const { defaultLanguage, languages } = getLanguageSettings(application);
+  const contentLang = languages.includes(requested) ? requested : defaultLanguage;
+  return { languages, defaultLanguage, contentLang, translating: contentLang !== defaultLanguage };
+}
+
+/**
+ * Check a submitted language is one translations can be saved for
+ * @returns {boolean} True for configured languages other than the default
+ */
+function isTranslationLanguage(application, lang) {
+  const { defaultLanguage, languages } = getLanguageSettings(application);
+  return lang !== defaultLanguage && languages.includes(lang);
+}
+
+/**
+ * Render the "CV changed since you opened it" screen (409)
+ * Shows the current version of the entry next to the submitted values, and
+ * lets the user re-apply their change on top of the latest revision or
+ * discard it.
+ */
+export async function renderConflict(request, response) {
+  const { application } = request.app.locals;
+  const cv = (await getCvData(application)) || getDefaultCvData();
+  const { revision, ...submitted } = request.body || {};
+  const section = request.params.section || request.path.split("/")[1] || "";
+
+  response.status(409).render("cv-conflict", {
+    title: "CV changed",
+    action: request.originalUrl,
+    section,
+    current: findCurrentEntry(cv, section, request.params, application.locale),
+    fields: flattenFields(submitted),
+    // The bulk save posts whole sections as JSON — too large to edit by hand
+    editable: request.path !== "/save" && !request.path.startsWith("/import"),
+    revision: cv.revision || 0,
+    cvEndpoint: application.cvEndpoint,
+  });
+}
+
+/**
+ * Find the stored version of the entry a conflicting request targeted
+ * @returns {Array<{name: string, value: string}>|undefined} Entry fields, or
+ *   undefined for new entries and entries that were deleted
+ */
+function findCurrentEntry(cv, section, params, locale) {
+  let entry;
+  if (section === "basics") {
+    // Either a profile link (by id) or the basics fields themselves
+    const { profiles = [], ...fields } = cv.basics || {};
+    entry = params.id ? profiles.find((profile) => profile.id === params.id) : fields;
+  } else if (section === "variants") {
+    // Show the selection per section rather than one nested object
+    const variant = (cv.variants || []).find((item) => item.id === params.id);
+    entry = variant && { name: variant.name, slug: variant.slug, ...variant.sections };
+  } else if (params.id && Array.isArray(cv[section])) {
+    entry = cv[section].find((item) => item.id === params.id);
+  } else if (params.category && cv[section] && !Array.isArray(cv[section])) {
+    const category = decodeURIComponent(params.category);
+    entry = cv[section][category] && { category, items: cv[section][category] };
+  }
+  if (!entry) return;
+
+  return Object.entries(entry)
+    .filter(([name]) => name !== "id")
+    .map(([name, value]) => ({
+      name,
+      value: Array.isArray(value)
+        ? value.join("\n")
+        : isNormalizedDate(value)
+          ? formatDate(value, locale)
+          : String(value ?? ""),
+    }));
+}
+
+/**
+ * Flatten a parsed form body back into name/value pairs, using the bracket
+ * notation the urlencoded parser understands (skills[Tools] = "Git, Docker")
+ * @returns {Array<{name: string, value: string}>} Form fields
+ */
+function flattenFields(value, prefix = "") {
+  if (value && typeof value === "object") {
+    return Object.entries(value).flatMap(([key, child]) =>
+      flattenFields(child, prefix ? `${prefix}[${key}]` : key),
+    );
+  }
+  return [{ name: prefix, value: value === undefined || value === null ? "" : String(value) }];
+}
+
+/**
+ * Parse the revision a form was rendered with
+ * @returns {number|undefined} Revision, or undefined if the form didn't send one
+ */
+export function parseRevision(body) {
+  const revision = Number.parseInt(body?.revision, 10);
+  return Number.isNaN(revision) ? undefined : revision;
+}
+
+/**
+ * Build a profile link from form fields
+ */
+function parseProfile(body) {
+  const { network, username, url, visibility } = body;
+  return {
+    network: (network || "").trim(),
+    username: (username || "").trim(),
+    url: (url || "").trim(),
+    visibility: parseVisibility(visibility),
+  };
+}
+
+/**
+ * Build an experience entry from form fields
+ */
+function parseExperience(body) {
+  const { title, company, location, startDate, startCirca, endDate, endCirca, type, experienceType, description, highlights, visibility } =
+    body;
+  return {
+    title: title || "",
+    company: company || "",
+    location: location || "",
+    startDate: parseDateField(startDate, startCirca),
+    endDate: parseDateField(endDate, endCirca),
+    type: type || "full-time",
+    experienceType: experienceType || "personal",
+    description: description || "",
+    highlights: parseLines(highlights),
+    visibility: parseVisibility(visibility),
+  };
+}
+
+/**
+ * Build a project entry from form fields
+ */
+function parseProject(body) {
+  const { name, url, description, tags, technologies, status, projectType, startDate, startCirca, endDate, endCirca, visibility } =
+    body;
+  return {
+    name: name || "",
+    url: url || "",
+    description: description || "",
+    technologies: parseCommaList(tags || technologies),
+    status: status || "active",
+    projectType: projectType || "personal",
+    startDate: parseDateField(startDate, startCirca),
+    endDate: parseDateField(endDate, endCirca),
+    visibility: parseVisibility(visibility),
+  };
+}
+
+/**
+ * Build an education entry from form fields
+ */
+function parseEducation(body) {
+  const { degree, institution, location, startDate, startCirca, endDate, endCirca, educationType, description, visibility } =
+    body;
+  return {
+    degree: degree || "",
+    institution: institution || "",
+    location: location || "",
+    startDate: parseDateField(startDate, startCirca),
+    endDate: parseDateField(endDate, endCirca),
+    educationType: educationType || "personal",
+    description: description || "",
+    visibility: parseVisibility(visibility),
+  };
+}
+
+/**
+ * Build a certification entry from form fields
+ */
+function parseCertification(body) {
+  const { name, issuer, issueDate, issueCirca, expiryDate, expiryCirca, credentialId, url, visibility } = body;
+  return {
+    name: (name || "").trim(),
+    issuer: (issuer || "").trim(),
+    issueDate: parseDateField(issueDate, issueCirca),
+    expiryDate: parseDateField(expiryDate, expiryCirca),
+    credentialId: (credentialId || "").trim(),
+    url: (url || "").trim(),
+    visibility: parseVisibility(visibility),
+  };
+}
+
+/**
+ * Build a publication from form fields; authors are one per line, as names
+ * may contain commas
+ */
+function parsePublication(body) {
+  const { title, authors, venue, date, dateCirca, doi, url, type, visibility } = body;
+  return {
+    title: (title || "").trim(),
+    authors: parseLines(authors),
+    venue: (venue || "").trim(),
+    date: parseDateField(date, dateCirca),
+    doi: normalizeDoi(doi),
+    url: (url || "").trim(),
+    type: type || "article",
+    visibility: parseVisibility(visibility),
+  };
+}
+
+/**
+ * Read a date field and its "approximate" checkbox
+ * @returns {object|null} Normalized date; text that isn't a date is kept in
+ *   the same shape, for validation to flag and the form to show again
+ */
+function parseDateField(value, circa) {
+  const date = parseDate(value, circa === "1");
+  return date === undefined ? { value: String(value), circa: circa === "1" } : date;
+}
+
+/**
+ * Build a skill's details from form fields; experience and projects arrive
+ * as one value per ticked checkbox
+ */
+function parseSkillDetails(body) {
+  const { skill, level, years, lastUsed, lastUsedCirca, experience, projects } = body;
+  return {
+    skill: skill || "",
+    level: level || null,
+    years: (years || "").trim() || null,
+    lastUsed: parseDateField(lastUsed, lastUsedCirca),
+    experience: [experience || []].flat(),
+    projects: [projects || []].flat(),
+  };
+}
+
+/**
+ * Build a language entry from form fields
+ */
+function parseLanguage(body) {
+  const { name, level, cefr, visibility } = body;
+  return {
+    name: name || "",
+    level: level || "intermediate",
+    cefr: (cefr || "").trim().toUpperCase(),
+    visibility: parseVisibility(visibility),
+  };
+}
+
 /**
  * Parse comma-separated string into array
  */
@@ -461,51 +1108,19 @@ function parseArrayField(body, fieldName) {
 }
 
 /**
- * Parse skills from form body
- * Skills come as skills[categoryName] = "skill1, skill2, skill3"
+ * Put entries in the order of the given keys; entries whose key isn't listed
+ * keep their relative order after the listed ones, and unknown keys are
+ * ignored
+ * @param {Array} entries - Stored entries
+ * @param {Array<string>} keys - Keys in the new order
+ * @param {Function} keyOf - Key of an entry
+ * @returns {Array} The same entries, reordered
  */
-function parseSkillsField(body) {
-  const skills = body.skills;
-  if (!skills || typeof skills !== "object") return {};
-
-  const result = {};
-  for (const [category, items] of Object.entries(skills)) {
-    if (typeof items === "string") {
-      result[category] = parseCommaList(items);
-    } else if (Array.isArray(items)) {
-      result[category] = items;
-    }
+function reorder(entries, keys, keyOf) {
+  const position = new Map();
+  for (const key of keys) {
+    if (typeof key === "string" && !position.has(key)) position.set(key, position.size);
   }
-  return result;
-}
-
-function parseSkillTypesField(body) {
-  const skillTypes = body.skillTypes;
-  if (!skillTypes || typeof skillTypes !== "object") return {};
-  return skillTypes;
-}
-
-/**
- * Parse interests from form body
- * Interests come as interests[categoryName] = "interest1, interest2"
- */
-function parseInterestsField(body) {
-  const interests = body.interests;
-  if (!interests || typeof interests !== "object") return {};
-
-  const result = {};
-  for (const [category, items] of Object.entries(interests)) {
-    if (typeof items === "string") {
-      result[category] = parseCommaList(items);
-    } else if (Array.isArray(items)) {
-      result[category] = items;
-    }
-  }
-  return result;
-}
-
-function parseInterestTypesField(body) {
-  const interestTypes = body.interestTypes;
-  if (!interestTypes || typeof interestTypes !== "object") return {};
-  return interestTypes;
+  const rank = (entry) => position.get(keyOf(entry)) ?? position.size;
+  return [...entries].sort((a, b) => rank(a) - rank(b));
 }
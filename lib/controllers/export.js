@@ -0,0 +1,151 @@
+/**
+ * Export controller
+ * Document downloads of the CV. Signed in, they include private entries and
+ * contact details (drafts never); the public PDF, when enabled, doesn't.
+ */
+
+import { getCvData, getDefaultCvData } from "../storage/cv.js";
+import { getLanguageSettings } from "../translations.js";
+import { applyQuery, applyView, QueryError, sectionOrder } from "../query.js";
+import { filterVisibility, publicView } from "../visibility.js";
+import { slugify } from "../variants.js";
+import { getLabels } from "../labels.js";
+import { renderResumePdf, LAYOUTS } from "../resume-pdf.js";
+import { renderResumeDocx } from "../resume-docx.js";
+import { toEuropass, toEuropassXml, validateEuropass } from "../europass.js";
+
+export const exportController = {
+  /**
+   * GET /export.pdf - The CV as a PDF
+   * ?layout=classic|compact, ?sections= (printed in the order given),
+   * ?type=personal|work, ?variant= and ?lang=
+   */
+  async pdf(request, response) {
+    try {
+      const { cv, sections, lang } = await loadExport(request);
+      const layout = request.query.layout ? String(request.query.layout) : "classic";
+      if (!(layout in LAYOUTS)) {
+        throw new QueryError(`layout must be one of: ${Object.keys(LAYOUTS).join(", ")}`);
+      }
+
+      const pdf = renderResumePdf(cv, { layout, sections, labels: getLabels(lang), locale: lang });
+      response
+        .set({
+          "Content-Disposition": `inline; filename="${exportName(cv)}.pdf"`,
+          "Cache-Control": "private, no-cache",
+        })
+        .type("application/pdf")
+        .send(pdf);
+    } catch (error) {
+      if (error instanceof QueryError) {
+        return response.status(error.status).json({ error: error.message });
+      }
+      console.error("[CV] PDF export error:", error);
+      response.status(500).json({ error: "Failed to export CV" });
+    }
+  },
+
+  /**
+   * GET /export.docx - The CV as an editable Word document
+   * Same ?sections=, ?type=, ?variant= and ?lang= as the PDF
+   */
+  async docx(request, response) {
+    try {
+      const { cv, sections, lang } = await loadExport(request);
+      const docx = renderResumeDocx(cv, { sections, labels: getLabels(lang), locale: lang });
+      response
+        .set({
+          "Content-Disposition": `attachment; filename="${exportName(cv)}.docx"`,
+          "Cache-Control": "private, no-cache",
+        })
+        .type("application/vnd.openxmlformats-officedocument.wordprocessingml.document")
+        .send(docx);
+    } catch (error) {
+      if (error instanceof QueryError) {
+        return response.status(error.status).json({ error: error.message });
+      }
+      console.error("[CV] DOCX export error:", error);
+      response.status(500).json({ error: "Failed to export CV" });
+    }
+  },
+
+  /**
+   * GET /export/europass.xml|json - The CV in the Europass data model
+   * Same ?type=, ?variant= and ?lang= as the PDF. Before it is sent, the
+   * document is checked against the schema rules lib/europass.js covers (a
+   * subset, not the full XSD); data that still breaks them is a 422.
+   */
+  async europass(request, response) {
+    const { format } = request.params;
+    if (format !== "xml" && format !== "json") {
+      return response.status(404).json({ error: `Unknown Europass format: ${format}` });
+    }
+
+    try {
+      const { cv, lang } = await loadExport(request);
+      const document = toEuropass(cv, { lang });
+      const errors = validateEuropass(document);
+      if (errors.length > 0) {
+        return response
+          .status(422)
+          .json({ error: "The CV can't be written as a valid Europass document", details: errors });
+      }
+
+      response.set({
+        "Content-Disposition": `attachment; filename="${exportName(cv)}-europass.${format}"`,
+        "Cache-Control": "private, no-cache",
+      });
+      if (format === "xml") {
+        response.type("application/xml").send(toEuropassXml(document));
+      } else {
+        response.json(document);
+      }
+    } catch (error) {
+      if (error instanceof QueryError) {
+        return response.status(error.status).json({ error: error.message });
+      }
+      console.error("[CV] Europass export error:", error);
+      response.status(500).json({ error: "Failed to export CV" });
+    }
+  },
+};
+
+/**
+ * The CV an export request asks for
+ * @param {object} request - Request ({ variant, lang, type, sections } query)
+ * @returns {Promise<{cv: object, sections: string[], lang: string}>} Filtered
+ *   CV, the sections to include in order, and the language of its labels
+ */
+export async function loadExport(request) {
+  const { application } = request.app.locals;
+  // Empty form fields mean "not set"
+  const query = Object.fromEntries(Object.entries(request.query).filter(([, value]) => value !== ""));
+  const { _id, ...data } = (await getCvData(application)) || getDefaultCvData();
+  const { defaultLanguage, languages } = getLanguageSettings(application);
+
+  const visible = isSignedIn(request) ? filterVisibility(data, ["public", "private"]) : publicView(data);
+  const cv = applyQuery(applyView(visible, query, languages, data.variants), {
+    type: query.type,
+    sections: query.sections,
+  });
+
+  return { cv, sections: sectionOrder(query), lang: query.lang ? String(query.lang) : defaultLanguage };
+}
+
+/**
+ * File name for an export, from the person's name
+ * @param {object} cv - CV data
+ * @returns {string} e.g. "ada-example-cv"
+ */
+export function exportName(cv) {
+  const name = slugify(cv.basics?.name || "");
+  return name ? `${name}-cv` : "cv";
+}
+
+/**
+ * Whether the request comes from the signed-in owner (Indiekit keeps the
+ * access token in the session)
+ */
+function isSignedIn(request) {
+  return Boolean(request.session?.access_token);
+}
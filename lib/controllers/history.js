@@ -0,0 +1,93 @@
+/**
+ * History controller
+ * Lists CV revisions, compares any two of them and restores one
+ */
+
+import {
+  getCvData,
+  getDefaultCvData,
+  restoreCvRevision,
+  RevisionConflictError,
+} from "../storage/cv.js";
+import { listHistory, getHistorySnapshot } from "../storage/history.js";
+import { diffCv } from "../diff.js";
+import { parseRevision, renderConflict } from "./dashboard.js";
+
+export const historyController = {
+  /**
+   * GET /history - Revision list
+   */
+  async list(request, response) {
+    const { application } = request.app.locals;
+
+    try {
+      const cv = (await getCvData(application)) || getDefaultCvData();
+      const revisions = await listHistory(application);
+
+      response.render("cv-history", {
+        title: "CV History",
+        cv,
+        revisions,
+        cvEndpoint: application.cvEndpoint,
+      });
+    } catch (error) {
+      console.error("[CV] History error:", error);
+      response.status(500).render("error", {
+        title: "Error",
+        message: "Failed to load CV history",
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * GET /history/compare?from=&to= - Per-section diff between two revisions
+   */
+  async compare(request, response) {
+    const { application } = request.app.locals;
+
+    try {
+      const from = Number.parseInt(request.query.from, 10);
+      const to = Number.parseInt(request.query.to, 10);
+      // Always diff older → newer, whichever way round the radios were picked
+      const [older, newer] = await Promise.all([
+        getHistorySnapshot(application, Math.min(from, to)),
+        getHistorySnapshot(application, Math.max(from, to)),
+      ]);
+      if (!older || !newer) {
+        return response.redirect(application.cvEndpoint + "/history?error=1");
+      }
+
+      const cv = (await getCvData(application)) || getDefaultCvData();
+
+      response.render("cv-history-compare", {
+        title: "CV History",
+        cv,
+        older,
+        newer,
+        sections: diffCv(older.data, newer.data),
+        cvEndpoint: application.cvEndpoint,
+      });
+    } catch (error) {
+      console.error("[CV] History compare error:", error);
+      response.redirect(application.cvEndpoint + "/history?error=1");
+    }
+  },
+
+  /**
+   * POST /history/:revision/restore - Restore an earlier revision
+   */
+  async restore(request, response) {
+    const { application } = request.app.locals;
+
+    try {
+      const revision = Number.parseInt(request.params.revision, 10);
+      await restoreCvRevision(application, revision, parseRevision(request.body));
+      response.redirect(application.cvEndpoint + "?saved=1");
+    } catch (error) {
+      if (error instanceof RevisionConflictError) return renderConflict(request, response);
+      console.error("[CV] History restore error:", error);
+      response.redirect(application.cvEndpoint + "/history?error=1");
+    }
+  },
+};
@@ -0,0 +1,189 @@
+/**
+ * Import controller
+ * JSON Resume upload with a preview step before anything is overwritten, and
+ * LinkedIn data export and BibTeX uploads with a review step before entries
+ * are added
+ */
+
+import { getCvData, getDefaultCvData, saveCvData, RevisionConflictError } from "../storage/cv.js";
+import { fromJsonResume } from "../jsonresume.js";
+import { readLinkedInExport, markDuplicates, mergeLinkedIn } from "../linkedin.js";
+import { readBibtex, markDuplicatePublications, mergePublications } from "../bibtex.js";
+import { parseMultipart } from "../upload.js";
+import { parseVisibility } from "../visibility.js";
+import { cleanImport } from "../validation.js";
+import { ZipEntryTooLargeError } from "../zip.js";
+import { parseRevision, renderConflict, renderInvalid } from "./dashboard.js";
+import { formatDateRange } from "../dates.js";
+import { formatCertificationDates } from "../certifications.js";
+import { formatCitation } from "../publications.js";
+
+// Settings stored with the CV rather than entries of it: a JSON Resume import
+// replaces the entries and keeps these
+const KEPT_ON_IMPORT = ["variants", "sortByDate", "hideExpiredCertifications", "skillVisibility", "interestVisibility"];
+
+export const importController = {
+  /**
+   * POST /import - Parse an uploaded JSON Resume file and show a preview
+   */
+  async preview(request, response) {
+    const { application } = request.app.locals;
+
+    try {
+      const { files } = parseMultipart(request.body, request.headers["content-type"]);
+      const file = files.find((f) => f.name === "resume");
+      if (!file) {
+        return response.redirect(application.cvEndpoint + "?error=1#import");
+      }
+
+      const imported = cleanImport(fromJsonResume(JSON.parse(file.data.toString("utf8"))));
+      const current = await getCvData(application);
+
+      response.render("cv-import", {
+        title: "Import JSON Resume",
+        cv: imported,
+        filename: file.filename,
+        revision: current?.revision || 0,
+        dateRange: (item) => formatDateRange(item, application.locale),
+        cvEndpoint: application.cvEndpoint,
+      });
+    } catch (error) {
+      console.error("[CV] Import preview error:", error);
+      response.redirect(application.cvEndpoint + "?error=1#import");
+    }
+  },
+
+  /**
+   * POST /import/confirm - Replace the CV's entries with the previewed import,
+   * keeping its variants and settings
+   */
+  async confirm(request, response) {
+    const { application } = request.app.locals;
+
+    try {
+      // The preview posts the data back, so check it again
+      const data = cleanImport(JSON.parse(request.body.data || "{}"));
+      const current = (await getCvData(application)) || getDefaultCvData();
+      for (const field of KEPT_ON_IMPORT) data[field] = current[field];
+      // Only replace the CV the preview was shown against
+      await saveCvData(application, { ...data, revision: parseRevision(request.body) });
+      response.redirect(application.cvEndpoint + "?saved=1");
+    } catch (error) {
+      if (error instanceof RevisionConflictError) return renderConflict(request, response);
+      console.error("[CV] Import error:", error);
+      response.redirect(application.cvEndpoint + "?error=1#import");
+    }
+  },
+
+  /**
+   * POST /import/linkedin - Read an uploaded LinkedIn export (the ZIP or some
+   * of its CSV files) and show the entries for review
+   */
+  async linkedinPreview(request, response) {
+    const { application } = request.app.locals;
+
+    try {
+      const { files } = parseMultipart(request.body, request.headers["content-type"]);
+      const imported = cleanImport(readLinkedInExport(files.filter((f) => f.name === "export")));
+      if (imported.files.length === 0) {
+        return response.redirect(application.cvEndpoint + "?error=1#import");
+      }
+
+      const current = (await getCvData(application)) || getDefaultCvData();
+
+      response.render("cv-import-linkedin", {
+        title: "Import LinkedIn data",
+        imported: markDuplicates(current, imported),
+        revision: current.revision || 0,
+        dateRange: (item) => formatDateRange(item, application.locale),
+        certificationDates: (item) => formatCertificationDates(item, application.locale),
+        cvEndpoint: application.cvEndpoint,
+      });
+    } catch (error) {
+      if (error instanceof ZipEntryTooLargeError) {
+        return renderInvalid(request, response, { section: "import", errors: { export: "cv.validation.fileSize" } });
+      }
+      console.error("[CV] LinkedIn import preview error:", error);
+      response.redirect(application.cvEndpoint + "?error=1#import");
+    }
+  },
+
+  /**
+   * POST /import/linkedin/confirm - Add the entries ticked on the review screen
+   */
+  async linkedinConfirm(request, response) {
+    const { application } = request.app.locals;
+
+    try {
+      const imported = cleanImport(JSON.parse(request.body.data || "{}"));
+      const current = (await getCvData(application)) || getDefaultCvData();
+      const merged = mergeLinkedIn(current, imported, {
+        include: [request.body.include || []].flat(),
+        visibility: parseVisibility(request.body.visibility),
+        skillCategory: (request.body.skillCategory || "").trim() || "Skills",
+      });
+      // Only add to the CV the review was shown against
+      await saveCvData(application, { ...merged, revision: parseRevision(request.body) });
+      response.redirect(application.cvEndpoint + "?saved=1");
+    } catch (error) {
+      if (error instanceof RevisionConflictError) return renderConflict(request, response);
+      console.error("[CV] LinkedIn import error:", error);
+      response.redirect(application.cvEndpoint + "?error=1#import");
+    }
+  },
+
+  /**
+   * POST /import/bibtex - Read an uploaded .bib file and show its entries
+   * for review
+   */
+  async bibtexPreview(request, response) {
+    const { application } = request.app.locals;
+
+    try {
+      const { files } = parseMultipart(request.body, request.headers["content-type"]);
+      const file = files.find((f) => f.name === "bibtex");
+      const { publications = [] } = file ? cleanImport({ publications: readBibtex(file.data.toString("utf8")) }) : {};
+      if (publications.length === 0) {
+        return response.redirect(application.cvEndpoint + "?error=1#import");
+      }
+
+      const current = (await getCvData(application)) || getDefaultCvData();
+
+      response.render("cv-import-bibtex", {
+        title: "Import BibTeX",
+        publications: markDuplicatePublications(current, publications),
+        filename: file.filename,
+        revision: current.revision || 0,
+        citation: (item) => formatCitation(item, application.locale),
+        cvEndpoint: application.cvEndpoint,
+      });
+    } catch (error) {
+      console.error("[CV] BibTeX import preview error:", error);
+      response.redirect(application.cvEndpoint + "?error=1#import");
+    }
+  },
+
+  /**
+   * POST /import/bibtex/confirm - Add the publications ticked on the review
+   * screen
+   */
+  async bibtexConfirm(request, response) {
+    const { application } = request.app.locals;
+
+    try {
+      const { publications } = cleanImport({ publications: JSON.parse(request.body.data || "[]") });
+      const current = (await getCvData(application)) || getDefaultCvData();
+      const merged = mergePublications(current, publications, {
+        include: [request.body.include || []].flat(),
+        visibility: parseVisibility(request.body.visibility),
+      });
+      // Only add to the CV the review was shown against
+      await saveCvData(application, { ...merged, revision: parseRevision(request.body) });
+      response.redirect(application.cvEndpoint + "?saved=1#publications");
+    } catch (error) {
+      if (error instanceof RevisionConflictError) return renderConflict(request, response);
+      console.error("[CV] BibTeX import error:", error);
+      response.redirect(application.cvEndpoint + "?error=1#import");
+    }
+  },
+};
@@ -0,0 +1,480 @@
+/**
+ * JSON API controller
+ * Reads and edits the CV for scripts (CI jobs, command line tools) at
+ * /cv/api/:section[/:id]. Requests need an IndieAuth bearer token with the
+ * `cv` scope; entries are validated as on the dashboard, and writes can be
+ * made conditional on the CV's revision with If-Match.
+ */
+
+import {
+  getCvData,
+  getDefaultCvData,
+  addToSection,
+  updateInSection,
+  removeFromSection,
+  updateBasics,
+  addProfile,
+  updateProfile,
+  removeProfile,
+  addSkillCategory,
+  editSkillCategory,
+  removeSkillCategory,
+  addInterestCategory,
+  editInterestCategory,
+  removeInterestCategory,
+  RevisionConflictError,
+} from "../storage/cv.js";
+import { validateEntry, hasErrors } from "../validation.js";
+import { VISIBILITIES } from "../visibility.js";
+import { getLabels } from "../labels.js";
+import { DATE_FIELDS, parseDate } from "../dates.js";
+import { normalizeDoi } from "../publications.js";
+import { AuthError, findBearerToken, verifyToken } from "../indieauth.js";
+
+export const API_SCOPE = "cv";
+
+// The fields each kind of entry accepts, with the values new entries start
+// from (the same defaults as the dashboard forms)
+const FIELDS = {
+  basics: {
+    name: "",
+    headline: "",
+    summary: "",
+    location: "",
+    email: "",
+    phone: "",
+    contactVisibility: "public",
+    website: "",
+  },
+  profiles: { network: "", username: "", url: "", visibility: "public" },
+  experience: {
+    title: "",
+    company: "",
+    location: "",
+    startDate: null,
+    endDate: null,
+    type: "full-time",
+    experienceType: "personal",
+    description: "",
+    highlights: [],
+    visibility: "public",
+  },
+  projects: {
+    name: "",
+    url: "",
+    description: "",
+    technologies: [],
+    status: "active",
+    projectType: "personal",
+    startDate: null,
+    endDate: null,
+    visibility: "public",
+  },
+  education: {
+    degree: "",
+    institution: "",
+    location: "",
+    startDate: null,
+    endDate: null,
+    educationType: "personal",
+    description: "",
+    visibility: "public",
+  },
+  certifications: {
+    name: "",
+    issuer: "",
+    issueDate: null,
+    expiryDate: null,
+    credentialId: "",
+    url: "",
+    visibility: "public",
+  },
+  publications: {
+    title: "",
+    authors: [],
+    venue: "",
+    date: null,
+    doi: "",
+    url: "",
+    type: "article",
+    visibility: "public",
+  },
+  languages: { name: "", level: "intermediate", cefr: "", visibility: "public" },
+  skills: { category: "", items: [], type: "personal", visibility: "public" },
+  interests: { category: "", items: [], type: "personal", visibility: "public" },
+};
+
+// How each section is stored: the basics block, entries with ids (profiles
+// live in basics), or categories of names addressed by category name
+const SECTIONS = {
+  basics: "single",
+  profiles: "items",
+  experience: "items",
+  projects: "items",
+  education: "items",
+  certifications: "items",
+  publications: "items",
+  languages: "items",
+  skills: "categories",
+  interests: "categories",
+};
+
+export const restController = {
+  /**
+   * Require a bearer token with the `cv` scope. The dashboard session isn't
+   * accepted: cookies would let other sites make writes on the owner's behalf.
+   */
+  async authenticate(request, response, next) {
+    const { application, publication } = request.app.locals;
+    if (!publication?.me) {
+      // Tokens can't be checked against the site they were issued for
+      console.error("[CV] API unavailable: the publication URL (me) isn't configured");
+      return response.status(500).json({ error: "The site URL isn't configured" });
+    }
+    try {
+      const token = findBearerToken(request);
+      if (!token) {
+        throw new AuthError("Send an access token in the Authorization header", 401);
+      }
+      request.token = await verifyToken(application, token, { scope: API_SCOPE, me: publication.me });
+      next();
+    } catch (error) {
+      if (error instanceof AuthError) {
+        const challenge = error.code ? `Bearer error="${error.code}", scope="${API_SCOPE}"` : "Bearer";
+        return response.status(error.status).set("WWW-Authenticate", challenge).json({ error: error.message });
+      }
+      console.error("[CV] Token verification error:", error);
+      response.status(502).json({ error: "Failed to verify the access token" });
+    }
+  },
+
+  /**
+   * GET /api/:section - The basics, or all entries of a section in order
+   */
+  async list(request, response) {
+    const { application } = request.app.locals;
+    const { section } = request.params;
+    try {
+      if (!SECTIONS[section]) return sendNotFound(response, section);
+      const data = (await getCvData(application)) || getDefaultCvData();
+      sendEntry(response, data, readSection(data, section));
+    } catch (error) {
+      console.error("[CV] API read error:", error);
+      response.status(500).json({ error: "Failed to load CV data" });
+    }
+  },
+
+  /**
+   * GET /api/:section/:id - One entry, by id or category name
+   */
+  async get(request, response) {
+    const { application } = request.app.locals;
+    const { section, id } = request.params;
+    try {
+      if (!SECTIONS[section] || section === "basics") return sendNotFound(response, section);
+      const data = (await getCvData(application)) || getDefaultCvData();
+      const entry = findEntry(data, section, id);
+      if (!entry) return sendNotFound(response, section, id);
+      sendEntry(response, data, entry);
+    } catch (error) {
+      console.error("[CV] API read error:", error);
+      response.status(500).json({ error: "Failed to load CV data" });
+    }
+  },
+
+  /**
+   * POST /api/:section - Add an entry; 201 with its URL in Location
+   */
+  async create(request, response) {
+    const { application } = request.app.locals;
+    const { section } = request.params;
+    try {
+      if (!SECTIONS[section]) return sendNotFound(response, section);
+      if (section === "basics") return sendMethodNotAllowed(response, "GET, PATCH");
+      const data = await readForWrite(request, response);
+      if (!data) return;
+
+      const { entry, errors } = parseEntry(section, request.body, FIELDS[section]);
+      if (hasErrors(errors)) return sendInvalid(response, errors);
+      if (SECTIONS[section] === "categories" && findEntry(data, section, entry.category)) {
+        return response.status(409).json({ error: `The ${section} category "${entry.category}" already exists` });
+      }
+
+      const saved = await CREATE[section](application, entry, data.revision || 0);
+      const created =
+        SECTIONS[section] === "categories"
+          ? findEntry(saved, section, entry.category)
+          : readSection(saved, section).at(-1);
+      const id = created.id ?? created.category;
+      response.location(`${application.cvEndpoint}/api/${section}/${encodeURIComponent(id)}`);
+      sendEntry(response.status(201), saved, created);
+    } catch (error) {
+      sendWriteError(response, error, `Add ${section}`);
+    }
+  },
+
+  /**
+   * PATCH /api/basics, PATCH /api/:section/:id - Change some fields of an
+   * entry; fields left out keep their values
+   */
+  async update(request, response) {
+    const { application } = request.app.locals;
+    const { section, id } = request.params;
+    try {
+      if (!SECTIONS[section] || (section === "basics" && id !== undefined)) return sendNotFound(response, section, id);
+      if (section !== "basics" && id === undefined) return sendMethodNotAllowed(response, "GET, POST");
+      const data = await readForWrite(request, response);
+      if (!data) return;
+
+      const current = section === "basics" ? readSection(data, section) : findEntry(data, section, id);
+      if (!current) return sendNotFound(response, section, id);
+      const { id: _id, ...fields } = current;
+      const { entry, errors } = parseEntry(section, request.body, { ...FIELDS[section], ...fields });
+      if (hasErrors(errors)) return sendInvalid(response, errors);
+      if (SECTIONS[section] === "categories" && entry.category !== id && findEntry(data, section, entry.category)) {
+        return response.status(409).json({ error: `The ${section} category "${entry.category}" already exists` });
+      }
+
+      const saved = await UPDATE[section](application, id, entry, data.revision || 0);
+      const updated = section === "basics" ? readSection(saved, section) : findEntry(saved, section, entry.category ?? id);
+      sendEntry(response, saved, updated);
+    } catch (error) {
+      sendWriteError(response, error, `Edit ${section}`);
+    }
+  },
+
+  /**
+   * DELETE /api/:section/:id - Remove an entry; 204
+   */
+  async remove(request, response) {
+    const { application } = request.app.locals;
+    const { section, id } = request.params;
+    try {
+      if (!SECTIONS[section]) return sendNotFound(response, section);
+      if (section === "basics") return sendMethodNotAllowed(response, "GET, PATCH");
+      const data = await readForWrite(request, response);
+      if (!data) return;
+      if (!findEntry(data, section, id)) return sendNotFound(response, section, id);
+
+      const saved = await REMOVE[section](application, id, data.revision || 0);
+      response.set("ETag", revisionTag(saved)).status(204).end();
+    } catch (error) {
+      sendWriteError(response, error, `Delete ${section}`);
+    }
+  },
+
+  /**
+   * Anything else under /api
+   */
+  notFound(request, response) {
+    response.status(404).json({ error: "Not found" });
+  },
+
+  /**
+   * Request bodies express.json() couldn't read, as JSON errors rather than
+   * Indiekit's error page
+   */
+  error(error, request, response, next) {
+    if (error.type === "entity.parse.failed") {
+      return response.status(400).json({ error: "The request body isn't valid JSON" });
+    }
+    if (error.type === "entity.too.large") {
+      return response.status(413).json({ error: "The request body is too large" });
+    }
+    next(error);
+  },
+};
+
+// --- Storage operations per section ---
+
+const CREATE = {
+  profiles: (application, entry, revision) => addProfile(application, entry, revision),
+  experience: (application, entry, revision) => addToSection(application, "experience", entry, revision),
+  projects: (application, entry, revision) => addToSection(application, "projects", entry, revision),
+  education: (application, entry, revision) => addToSection(application, "education", entry, revision),
+  certifications: (application, entry, revision) => addToSection(application, "certifications", entry, revision),
+  publications: (application, entry, revision) => addToSection(application, "publications", entry, revision),
+  languages: (application, entry, revision) => addToSection(application, "languages", entry, revision),
+  skills: (application, { category, items, type, visibility }, revision) =>
+    addSkillCategory(application, category, items, { skillType: type, visibility, revision }),
+  interests: (application, { category, items, type, visibility }, revision) =>
+    addInterestCategory(application, category, items, { interestType: type, visibility, revision }),
+};
+
+const UPDATE = {
+  basics: (application, id, entry, revision) => updateBasics(application, entry, revision),
+  profiles: (application, id, entry, revision) => updateProfile(application, id, entry, revision),
+  experience: (application, id, entry, revision) => updateInSection(application, "experience", id, entry, revision),
+  projects: (application, id, entry, revision) => updateInSection(application, "projects", id, entry, revision),
+  education: (application, id, entry, revision) => updateInSection(application, "education", id, entry, revision),
+  certifications: (application, id, entry, revision) =>
+    updateInSection(application, "certifications", id, entry, revision),
+  publications: (application, id, entry, revision) => updateInSection(application, "publications", id, entry, revision),
+  languages: (application, id, entry, revision) => updateInSection(application, "languages", id, entry, revision),
+  skills: (application, id, { category, items, type, visibility }, revision) =>
+    editSkillCategory(application, id, category, items, { skillType: type, visibility, revision }),
+  interests: (application, id, { category, items, type, visibility }, revision) =>
+    editInterestCategory(application, id, category, items, { interestType: type, visibility, revision }),
+};
+
+const REMOVE = {
+  profiles: removeProfile,
+  experience: (application, id, revision) => removeFromSection(application, "experience", id, revision),
+  projects: (application, id, revision) => removeFromSection(application, "projects", id, revision),
+  education: (application, id, revision) => removeFromSection(application, "education", id, revision),
+  certifications: (application, id, revision) => removeFromSection(application, "certifications", id, revision),
+  publications: (application, id, revision) => removeFromSection(application, "publications", id, revision),
+  languages: (application, id, revision) => removeFromSection(application, "languages", id, revision),
+  skills: removeSkillCategory,
+  interests: removeInterestCategory,
+};
+
+// --- Helper functions ---
+
+/**
+ * A section as the API shows it: the basics without their profile links,
+ * entries as stored, categories as { category, items, type, visibility }
+ */
+function readSection(data, section) {
+  if (section === "basics") {
+    const { profiles, ...basics } = { ...getDefaultCvData().basics, ...data.basics };
+    return basics;
+  }
+  if (section === "profiles") return data.basics?.profiles || [];
+  if (SECTIONS[section] === "categories") {
+    const prefix = section === "skills" ? "skill" : "interest";
+    return Object.entries(data[section] || {}).map(([category, items]) => ({
+      category,
+      items,
+      type: data[`${prefix}Types`]?.[category] || "personal",
+      visibility: data[`${prefix}Visibility`]?.[category] || "public",
+    }));
+  }
+  return data[section] || [];
+}
+
+function findEntry(data, section, id) {
+  const key = SECTIONS[section] === "categories" ? "category" : "id";
+  return readSection(data, section).find((entry) => entry[key] === id);
+}
+
+/**
+ * Read the CV for a write, honouring If-Match (the revision as sent in ETag).
+ * Answers bodies that aren't a JSON object (415, 400) and outdated revisions
+ * (412) itself, returning undefined in those cases.
+ */
+async function readForWrite(request, response) {
+  const { application } = request.app.locals;
+  if (request.method !== "DELETE" && !request.is("application/json")) {
+    response.status(415).json({ error: "Send the entry as JSON (Content-Type: application/json)" });
+    return;
+  }
+  if (request.method !== "DELETE" && !isObject(request.body)) {
+    response.status(400).json({ error: "Send the entry as a JSON object" });
+    return;
+  }
+
+  const data = (await getCvData(application)) || getDefaultCvData();
+  const ifMatch = request.get("if-match");
+  if (ifMatch && ifMatch.trim() !== "*" && !ifMatch.split(",").some((tag) => tag.trim() === revisionTag(data))) {
+    response.status(412).set("ETag", revisionTag(data)).json({ error: "The CV has changed since that revision" });
+    return;
+  }
+  return data;
+}
+
+/**
+ * Build an entry from a JSON body on top of the given values, checking
+ * field types before running the dashboard's validation
+ * @param {string} section - Section name
+ * @param {object} body - Request body
+ * @param {object} base - Defaults for a new entry, or the current entry
+ * @returns {{entry: object, errors: object}} Entry and locale key per
+ *   invalid field
+ */
+function parseEntry(section, body, base) {
+  const entry = { ...base };
+  const errors = {};
+
+  for (const [field, value] of Object.entries(body)) {
+    if (!Object.hasOwn(FIELDS[section], field)) continue;
+    const fallback = FIELDS[section][field];
+    if (DATE_FIELDS.includes(field)) {
+      // "2009-03", "c. 2009", { value, circa } or null
+      const date = parseDate(value);
+      if (date === undefined) errors[field] = "cv.validation.date";
+      else entry[field] = date;
+    } else if (Array.isArray(fallback)) {
+      if (!Array.isArray(value) || value.some((item) => typeof item !== "string")) {
+        errors[field] = "cv.validation.list";
+      } else {
+        entry[field] = value.map((item) => item.trim()).filter(Boolean);
+      }
+    } else if (value === null && fallback === null) {
+      entry[field] = null;
+    } else if (typeof value !== "string") {
+      errors[field] = "cv.validation.text";
+    } else {
+      entry[field] = value === "" && fallback === null ? null : value;
+    }
+  }
+
+  // Like the dashboard form, accept a DOI as a doi.org link or with "doi:"
+  if (section === "publications" && "doi" in body && !errors.doi) {
+    entry.doi = normalizeDoi(entry.doi);
+  }
+
+  for (const field of ["visibility", "contactVisibility"]) {
+    if (field in entry && !errors[field] && !VISIBILITIES.includes(entry[field])) {
+      errors[field] = "cv.validation.choice";
+    }
+  }
+  return { entry, errors: { ...validateEntry(section, entry), ...errors } };
+}
+
+function isObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * ETag for the CV's revision; the same value works in If-Match
+ */
+function revisionTag(data) {
+  return `"${data.revision || 0}"`;
+}
+
+function sendEntry(response, data, entry) {
+  response.set({ ETag: revisionTag(data), "Cache-Control": "private, no-store" }).json(entry);
+}
+
+/**
+ * 422 with a message per invalid field, in English
+ */
+function sendInvalid(response, errors) {
+  const { validation } = getLabels("en");
+  const fields = Object.fromEntries(
+    Object.entries(errors).map(([field, key]) => {
+      const code = key.replace(/^cv\.validation\./, "");
+      return [field, { code, message: validation[code] || code }];
+    }),
+  );
+  response.status(422).json({ error: validation.summary, fields });
+}
+
+function sendNotFound(response, section, id) {
+  const what = id === undefined ? `No CV section named ${section}` : `No ${section} entry ${id}`;
+  response.status(404).json({ error: what });
+}
+
+function sendMethodNotAllowed(response, allow) {
+  response.status(405).set("Allow", allow).json({ error: `Use one of: ${allow}` });
+}
+
+function sendWriteError(response, error, action) {
+  // Another save landed between reading the CV and writing it
+  if (error instanceof RevisionConflictError) {
+    return response.status(409).json({ error: "The CV changed during the request; try again" });
+  }
+  console.error(`[CV] API ${action} error:`, error);
+  response.status(500).json({ error: "Failed to save CV data" });
+}
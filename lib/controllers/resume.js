@@ -0,0 +1,62 @@
+/**
+ * Resume controller
+ * Public HTML rendering of the CV, marked up as a microformats2 h-resume
+ */
+
+import { getCvData, getDefaultCvData } from "../storage/cv.js";
+import { publicView } from "../visibility.js";
+import { withHtml } from "../markdown.js";
+import { dateValue, formatDate } from "../dates.js";
+
+export const resumeController = {
+  /**
+   * GET /cv/resume - Public h-resume page
+   */
+  async get(request, response) {
+    const { application } = request.app.locals;
+
+    let data;
+    try {
+      data = withHtml(publicView((await getCvData(application)) || getDefaultCvData()));
+    } catch (error) {
+      // Not an empty CV: crawlers and caches would keep that as the real page
+      console.error("[CV] Resume page error:", error);
+      return response.status(500).render("cv-shared-unavailable", {
+        locale: application.locale || "en",
+        reason: "error",
+        hint: "cv.resume.retry",
+      });
+    }
+
+    response.render("cv-resume", {
+      cv: data,
+      affiliations: getAffiliations(data.experience),
+      ...dateHelpers(application.locale || "en"),
+      locale: application.locale || "en",
+      cvEndpoint: application.cvEndpoint,
+    });
+  },
+};
+
+/**
+ * Organisations the person currently works for, as p-affiliation h-cards
+ * @param {Array<object>} experience - Experience items
+ * @returns {string[]} Distinct company names of positions without an end date
+ */
+export function getAffiliations(experience) {
+  if (!Array.isArray(experience)) return [];
+  const companies = experience
+    .filter((item) => item.company && !item.endDate)
+    .map((item) => item.company);
+  return [...new Set(companies)];
+}
+
+/**
+ * Date helpers for the h-resume template: the ISO value for datetime
+ * attributes and the text shown, in the page's language
+ * @param {string} locale - Language code
+ * @returns {object} { dateValue, formatDate }
+ */
+export function dateHelpers(locale) {
+  return { dateValue, formatDate: (date) => formatDate(date, locale) };
+}
@@ -0,0 +1,160 @@
+/**
+ * Share links controller
+ * Create and revoke share links on the dashboard, and serve the shared CV
+ * (HTML, or JSON with ?format=json) at /cv/shared/:token
+ */
+
+import { getCvData, getDefaultCvData } from "../storage/cv.js";
+import { addShare, listShares, getShare, revokeShare, recordShareAccess } from "../storage/shares.js";
+import {
+  getShareSecret,
+  signShareToken,
+  verifyShareToken,
+  sharedView,
+  SHARE_SECTIONS,
+  SHARE_EXPIRY_DAYS,
+} from "../shares.js";
+import { withHtml } from "../markdown.js";
+import { withIsoDates } from "../dates.js";
+import { dateHelpers, getAffiliations } from "./resume.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const sharesController = {
+  /**
+   * POST /shares/add - Create a share link
+   */
+  async add(request, response) {
+    const { application } = request.app.locals;
+    try {
+      const label = (request.body.label || "").trim();
+      const sections = parseSections(request.body.sections);
+      const days = Number(request.body.expiresIn);
+      if (!getShareSecret(application) || !label || !sections || !SHARE_EXPIRY_DAYS.includes(days)) {
+        return response.redirect(application.cvEndpoint + "?error=1#shares");
+      }
+      await addShare(application, {
+        label,
+        sections,
+        expiresAt: new Date(Date.now() + days * DAY).toISOString(),
+      });
+      response.redirect(application.cvEndpoint + "?saved=1#shares");
+    } catch (error) {
+      console.error("[CV] Add share error:", error);
+      response.redirect(application.cvEndpoint + "?error=1#shares");
+    }
+  },
+
+  /**
+   * POST /shares/:id/revoke - Stop a share link from opening
+   */
+  async revoke(request, response) {
+    const { application } = request.app.locals;
+    try {
+      await revokeShare(application, request.params.id);
+      response.redirect(application.cvEndpoint + "?saved=1#shares");
+    } catch (error) {
+      console.error("[CV] Revoke share error:", error);
+      response.redirect(application.cvEndpoint + "?error=1#shares");
+    }
+  },
+
+  /**
+   * GET /shared/:token - The shared CV
+   * Unknown and revoked links are 404, expired ones 410. Nothing here is
+   * cached or indexed, and the token isn't passed on as a referrer.
+   */
+  async get(request, response) {
+    const { application } = request.app.locals;
+    const json = request.query.format === "json";
+    response.set({
+      "Cache-Control": "private, no-store",
+      "X-Robots-Tag": "noindex, nofollow",
+      "Referrer-Policy": "no-referrer",
+    });
+
+    try {
+      const secret = getShareSecret(application);
+      const token = secret && verifyShareToken(request.params.token, secret);
+      const share = token && (await getShare(application, token.id));
+      if (!share || share.revokedAt) {
+        return sendUnavailable(response, application, 404, "notFound", json);
+      }
+      if (token.expiresAt <= new Date()) {
+        return sendUnavailable(response, application, 410, "expired", json);
+      }
+
+      await recordShareAccess(application, share.id);
+      const { _id, ...data } = (await getCvData(application)) || getDefaultCvData();
+      const cv = withHtml(sharedView(data, share));
+
+      if (json) {
+        return response.json(withIsoDates(cv));
+      }
+      response.render("cv-resume", {
+        cv,
+        affiliations: getAffiliations(cv.experience),
+        ...dateHelpers(application.locale || "en"),
+        locale: application.locale || "en",
+        cvEndpoint: application.cvEndpoint,
+        shared: true,
+        alternateUrl: `${application.cvEndpoint}/shared/${request.params.token}?format=json`,
+      });
+    } catch (error) {
+      console.error("[CV] Shared CV error:", error);
+      if (json) {
+        return response.status(500).json({ error: "Failed to load CV data" });
+      }
+      response.status(500).render("cv-shared-unavailable", {
+        locale: application.locale || "en",
+        reason: "error",
+      });
+    }
+  },
+};
+
+/**
+ * Share links for the dashboard, each with its URL and state
+ * @param {object} application - Application instance
+ * @param {object} request - Request, for the site's origin
+ * @returns {Promise<object>} { shares, canShare, shareSections, shareExpiryDays }
+ */
+export async function getShareContext(application, request) {
+  const secret = getShareSecret(application);
+  const now = new Date().toISOString();
+  const base = `${request.protocol}://${request.get("host")}${application.cvEndpoint}/shared/`;
+  const shares = (await listShares(application)).map((share) => ({
+    ...share,
+    url: secret ? base + signShareToken(share, secret) : undefined,
+    state: share.revokedAt ? "revoked" : share.expiresAt <= now ? "expired" : "active",
+  }));
+  return {
+    shares,
+    canShare: Boolean(secret),
+    shareSections: SHARE_SECTIONS,
+    shareExpiryDays: SHARE_EXPIRY_DAYS,
+  };
+}
+
+/**
+ * Read the section checkboxes
+ * Every section ticked is stored as no restriction, so sections added later
+ * are shared too.
+ * @returns {string[]|null} Sections, [] for all, or null when none is ticked
+ */
+function parseSections(value) {
+  const picked = [value || []].flat().filter((section) => SHARE_SECTIONS.includes(section));
+  if (picked.length === 0) return null;
+  return picked.length === SHARE_SECTIONS.length ? [] : SHARE_SECTIONS.filter((s) => picked.includes(s));
+}
+
+function sendUnavailable(response, application, status, reason, json) {
+  if (json) {
+    const messages = { notFound: "Share link not found", expired: "Share link has expired" };
+    return response.status(status).json({ error: messages[reason] });
+  }
+  response.status(status).render("cv-shared-unavailable", {
+    locale: application.locale || "en",
+    reason,
+  });
+}
@@ -0,0 +1,199 @@
+/**
+ * Variants controller
+ * Create tailored versions of the CV and pick, per variant, which entries of
+ * each section it includes and in what order
+ */
+
+import {
+  getCvData,
+  getDefaultCvData,
+  addVariant,
+  updateVariant,
+  removeFromSection,
+  RevisionConflictError,
+} from "../storage/cv.js";
+import { slugify, VARIANT_SECTIONS } from "../variants.js";
+import { validateEntry, hasErrors } from "../validation.js";
+import { parseRevision, renderConflict, renderInvalid } from "./dashboard.js";
+
+export const variantsController = {
+  /**
+   * POST /variants/add - Create a variant and open its editor
+   */
+  async add(request, response) {
+    const { application } = request.app.locals;
+    try {
+      const cv = (await getCvData(application)) || getDefaultCvData();
+      const variant = parseVariantName(request.body);
+      const errors = validateVariant(cv, variant);
+      if (hasErrors(errors)) {
+        return renderInvalid(request, response, { section: "variants", values: variant, errors });
+      }
+      const saved = await addVariant(application, variant, parseRevision(request.body));
+      const added = saved.variants.at(-1);
+      response.redirect(`${application.cvEndpoint}/variants/${added.id}`);
+    } catch (error) {
+      if (error instanceof RevisionConflictError) return renderConflict(request, response);
+      console.error("[CV] Add variant error:", error);
+      response.redirect(application.cvEndpoint + "?error=1#variants");
+    }
+  },
+
+  /**
+   * GET /variants/:id - Variant editor
+   */
+  async get(request, response) {
+    const { application } = request.app.locals;
+    try {
+      const cv = (await getCvData(application)) || getDefaultCvData();
+      const variant = (cv.variants || []).find((item) => item.id === request.params.id);
+      if (!variant) {
+        return response.redirect(application.cvEndpoint + "?error=1#variants");
+      }
+      renderVariant(response, application, cv, variant, { values: variant, errors: {} });
+    } catch (error) {
+      console.error("[CV] Variant error:", error);
+      response.redirect(application.cvEndpoint + "?error=1#variants");
+    }
+  },
+
+  /**
+   * POST /variants/:id/edit - Save a variant's name, slug and selection
+   */
+  async edit(request, response) {
+    const { application } = request.app.locals;
+    const { id } = request.params;
+    try {
+      const cv = (await getCvData(application)) || getDefaultCvData();
+      const variant = {
+        ...parseVariantName(request.body),
+        sections: parseSelection(request.body),
+      };
+      const errors = validateVariant(cv, variant, id);
+      if (hasErrors(errors)) {
+        // As on the dashboard, a stale form is a conflict rather than a re-render
+        const revision = parseRevision(request.body);
+        const current = (cv.variants || []).find((item) => item.id === id);
+        if (!current || (revision !== undefined && revision !== (cv.revision || 0))) {
+          return renderConflict(request, response);
+        }
+        response.status(422);
+        return renderVariant(response, application, cv, current, { values: variant, errors });
+      }
+      await updateVariant(application, id, variant, parseRevision(request.body));
+      response.redirect(`${application.cvEndpoint}/variants/${id}?saved=1`);
+    } catch (error) {
+      if (error instanceof RevisionConflictError) return renderConflict(request, response);
+      console.error("[CV] Edit variant error:", error);
+      response.redirect(`${application.cvEndpoint}/variants/${id}?error=1`);
+    }
+  },
+
+  /**
+   * POST /variants/:id/delete - Delete a variant (its data file goes with it)
+   */
+  async remove(request, response) {
+    const { application } = request.app.locals;
+    try {
+      await removeFromSection(application, "variants", request.params.id, parseRevision(request.body));
+      response.redirect(application.cvEndpoint + "?saved=1#variants");
+    } catch (error) {
+      if (error instanceof RevisionConflictError) return renderConflict(request, response);
+      console.error("[CV] Delete variant error:", error);
+      response.redirect(application.cvEndpoint + "?error=1#variants");
+    }
+  },
+};
+
+/**
+ * Render the variant editor
+ * @param {object} form - { values, errors }; values.sections is the selection
+ *   to show (the stored one, or the one that failed validation)
+ */
+function renderVariant(response, application, cv, variant, form) {
+  response.render("cv-variant", {
+    title: "CV Variant",
+    cv,
+    variant,
+    form,
+    choices: listChoices(cv, form.values.sections || {}),
+    cvEndpoint: application.cvEndpoint,
+  });
+}
+
+/**
+ * Everything a variant can include, per section: the selected entries first
+ * (in the variant's order), then the rest in CV order
+ * @returns {object} Section name → [{ value, label, detail, included }]
+ */
+function listChoices(cv, selection) {
+  const choices = {};
+  for (const [section, kind] of Object.entries(VARIANT_SECTIONS)) {
+    const entries =
+      kind === "items"
+        ? (cv[section] || []).map((item) => ({
+            value: item.id,
+            label: section === "experience" ? item.title : item.name,
+            detail: section === "experience" ? item.company : (item.technologies || []).join(", "),
+          }))
+        : Object.entries(cv[section] || {}).map(([category, items]) => ({
+            value: category,
+            label: category,
+            detail: items.join(", "),
+          }));
+
+    const selected = selection[section] || [];
+    const byValue = new Map(entries.map((entry) => [entry.value, entry]));
+    choices[section] = [
+      ...selected
+        .filter((value) => byValue.has(value))
+        .map((value) => ({ ...byValue.get(value), included: true })),
+      ...entries
+        .filter((entry) => !selected.includes(entry.value))
+        .map((entry) => ({ ...entry, included: false })),
+    ];
+  }
+  return choices;
+}
+
+/**
+ * Validate a variant, including that no other variant uses its slug
+ * @param {string} [id] - Id of the variant being edited
+ */
+function validateVariant(cv, variant, id) {
+  const errors = validateEntry("variants", variant);
+  const taken = (cv.variants || []).some(
+    (other) => other.slug === variant.slug && other.id !== id,
+  );
+  if (!errors.slug && taken) errors.slug = "cv.validation.slugTaken";
+  return errors;
+}
+
+/**
+ * Build a variant's name and slug from form fields
+ * The slug falls back to the name, and is what the variant's URL and data
+ * file are named after.
+ */
+function parseVariantName(body) {
+  const name = (body.name || "").trim();
+  return { name, slug: slugify(body.slug || name) };
+}
+
+/**
+ * Read the ticked entries of each section, in the order they were submitted
+ * (the order of the checkboxes on the page)
+ */
+function parseSelection(body) {
+  const sections = {};
+  for (const section of Object.keys(VARIANT_SECTIONS)) {
+    const value = body[section];
+    // Long lists can come back from the urlencoded parser as an indexed object
+    const values = Array.isArray(value)
+      ? value
+      : value && typeof value === "object"
+        ? Object.values(value)
+        : [value];
+    sections[section] = values.filter(Boolean).map(String);
+  }
+  return sections;
+}
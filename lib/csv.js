@@ -0,0 +1,69 @@
+/**
+ * CSV parsing (RFC 4180)
+ * Quoted fields may contain commas, doubled quotes and line breaks.
+ * @module csv
+ */
+
+/**
+ * Parse CSV text into rows
+ * @param {string} text - CSV contents
+ * @returns {string[][]} Rows of fields, blank lines left out
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  // A byte order mark would otherwise end up in the first header
+  const input = String(text).replace(/^\uFEFF/, "");
+
+  for (let index = 0; index < input.length; index++) {
+    const char = input[index];
+
+    if (quoted) {
+      if (char === '"' && input[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[index + 1] === "\n") index++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  row.push(field);
+  rows.push(row);
+  return rows.filter((fields) => fields.some((value) => value.trim() !== ""));
+}
+
+/**
+ * Parse CSV text into objects keyed by a header row
+ * @param {string} text - CSV contents
+ * @param {string} column - A column the header row must have; rows above it
+ *   (notes some exports start with) are skipped
+ * @returns {Array<object>} One object per row after the header
+ */
+export function parseCsvRecords(text, column) {
+  const rows = parseCsv(text);
+  const headerIndex = rows.findIndex((fields) => fields.some((value) => value.trim() === column));
+  if (headerIndex === -1) return [];
+
+  const header = rows[headerIndex].map((value) => value.trim());
+  return rows
+    .slice(headerIndex + 1)
+    .map((fields) => Object.fromEntries(header.map((name, index) => [name, (fields[index] || "").trim()])));
+}
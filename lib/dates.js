@@ -0,0 +1,178 @@
+/**
+ * Partial dates
+ * Entry dates are stored as { value, precision, circa }: an ISO 8601 date
+ * cut to what is known ("2009", "2009-03" or "2009-03-14"), its precision,
+ * and whether it is approximate. The value sorts as text. Forms, imports and
+ * the API may send the short text forms ("2009-03", "c. 2009"), which
+ * parseDate() normalizes.
+ * @module dates
+ */
+
+import { getLabels } from "./labels.js";
+
+export const DATE_PRECISIONS = ["year", "month", "day"];
+
+// Fields holding partial dates, in the sections that have them
+export const DATE_FIELDS = ["startDate", "endDate", "issueDate", "expiryDate", "date"];
+
+const DATE_PATTERN = /^(\d{4})(?:-(0[1-9]|1[0-2])(?:-(0[1-9]|[12]\d|3[01]))?)?$/;
+
+// "c. 2009", "ca 2009", "circa 2009", "~2009"
+const CIRCA_PATTERN = /^(?:~|c\.|ca\.?|circa)\s*/i;
+
+/**
+ * Normalize a date as sent by a form, an import or the API
+ * @param {string|object|null} input - "2009", "2009-03", "2009-03-14",
+ *   optionally prefixed with "c." / "circa" / "~", or a stored date object
+ * @param {boolean} [circa] - Mark the date approximate
+ * @returns {object|null|undefined} { value, precision, circa }; null for no
+ *   date; undefined if the input isn't a date
+ */
+export function parseDate(input, circa = false) {
+  if (input === null || input === undefined || input === "") return null;
+  if (typeof input === "object") {
+    if (Array.isArray(input)) return undefined;
+    return parseDate(input.value, circa || input.circa === true);
+  }
+  if (typeof input !== "string") return undefined;
+
+  let text = input.trim();
+  if (!text) return null;
+  if (CIRCA_PATTERN.test(text)) {
+    circa = true;
+    text = text.replace(CIRCA_PATTERN, "");
+  }
+
+  const match = DATE_PATTERN.exec(text);
+  if (!match) return undefined;
+  const [, year, month, day] = match;
+  if (day && new Date(`${text}T00:00:00Z`).getUTCDate() !== Number(day)) return undefined;
+
+  const precision = DATE_PRECISIONS[[year, month, day].filter(Boolean).length - 1];
+  return { value: text, precision, circa: Boolean(circa) };
+}
+
+/**
+ * Check a value is a date as stored
+ * @param {*} date - Value of a date field
+ * @returns {boolean} True for a normalized { value, precision, circa }
+ */
+export function isNormalizedDate(date) {
+  const parsed = parseDate(date);
+  return (
+    Boolean(parsed) &&
+    typeof date === "object" &&
+    date.value === parsed.value &&
+    date.precision === parsed.precision &&
+    typeof date.circa === "boolean"
+  );
+}
+
+/**
+ * The ISO 8601 form of a date, for JSON Resume, JSON-LD and datetime
+ * attributes
+ * @param {object|string|null} date - Date
+ * @returns {string} "2009", "2009-03" or "2009-03-14"; "" without a date
+ */
+export function dateValue(date) {
+  return parseDate(date)?.value || "";
+}
+
+/**
+ * The months a date covers, as indexes (year × 12 + month - 1): a year is
+ * January to December, a day its month
+ * @param {object|string|null} date - Date
+ * @returns {{first: number, last: number}|undefined} Range, or undefined
+ *   without a date
+ */
+export function monthSpan(date) {
+  const parsed = parseDate(date);
+  if (!parsed) return;
+  const [year, month] = parsed.value.split("-").map(Number);
+  const base = year * 12;
+  return month ? { first: base + month - 1, last: base + month - 1 } : { first: base, last: base + 11 };
+}
+
+/**
+ * Whether one date is certainly before another, comparing only as far as
+ * both are known ("2009" isn't before "2009-05")
+ * @returns {boolean} True if `a` is earlier than `b`
+ */
+export function isBefore(a, b) {
+  const first = dateValue(a);
+  const second = dateValue(b);
+  const length = Math.min(first.length, second.length);
+  return first.slice(0, length) < second.slice(0, length);
+}
+
+/**
+ * A date as text in a language, at its precision: "2009", "Mar 2009",
+ * "Mar 14, 2009", with the locale's "circa" marker when approximate
+ * @param {object|string|null} date - Date
+ * @param {string} [locale] - Language code
+ * @returns {string} Formatted date; "" without a date, and text that isn't
+ *   a date as it is
+ */
+export function formatDate(date, locale = "en") {
+  const parsed = parseDate(date);
+  if (parsed === undefined) return typeof date === "string" ? date : "";
+  if (!parsed) return "";
+
+  const options = { year: "numeric", timeZone: "UTC" };
+  if (parsed.precision !== "year") options.month = "short";
+  if (parsed.precision === "day") options.day = "numeric";
+  const iso = parsed.precision === "year" ? `${parsed.value}-01-01` : parsed.value.padEnd(10, "-01");
+  const text = new Intl.DateTimeFormat(locale, options).format(new Date(`${iso}T00:00:00Z`));
+
+  return parsed.circa ? getLabels(locale).dates.circa.replace("{date}", text) : text;
+}
+
+/**
+ * An entry's dates as text: "Mar 2009 – Present", "c. 2001 – 2004", or the
+ * end date alone for entries without a start
+ * @param {object} item - Entry with startDate and endDate
+ * @param {string} [locale] - Language code
+ * @param {object} [options] - { separator }: between the two dates
+ * @returns {string} Date range; "" without dates
+ */
+export function formatDateRange(item, locale = "en", { separator = " – " } = {}) {
+  const start = formatDate(item.startDate, locale);
+  const end = formatDate(item.endDate, locale);
+  if (!start) return end;
+  return `${start}${separator}${end || getLabels(locale).resume.present}`;
+}
+
+/**
+ * Published data with ISO date strings, the form cv.json and data.json have
+ * always had: `startDate: "2009-03"`, with `startDatePrecision: "month"` and
+ * `startDateCirca: false` next to it. Covers the entries of every section
+ * and skillUsage's lastUsed; stored documents and the editing API keep the
+ * date objects.
+ * @param {object} data - CV data, as published
+ * @returns {object} CV data with string dates
+ */
+export function withIsoDates(data) {
+  const result = { ...data };
+  for (const [key, value] of Object.entries(data)) {
+    if (Array.isArray(value)) result[key] = value.map((item) => flattenDates(item, DATE_FIELDS));
+  }
+  if (data.skillUsage) {
+    result.skillUsage = Object.fromEntries(
+      Object.entries(data.skillUsage).map(([skill, usage]) => [skill, flattenDates(usage, ["lastUsed"])]),
+    );
+  }
+  return result;
+}
+
+function flattenDates(item, fields) {
+  if (!item || typeof item !== "object" || Array.isArray(item)) return item;
+  const result = { ...item };
+  for (const field of fields) {
+    const date = field in item ? parseDate(item[field]) : undefined;
+    if (!date) continue;
+    result[field] = date.value;
+    result[`${field}Precision`] = date.precision;
+    result[`${field}Circa`] = date.circa;
+  }
+  return result;
+}
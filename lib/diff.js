@@ -0,0 +1,166 @@
+/**
+ * CV revision diff
+ * Compares two CV documents section by section: array sections by item id,
+ * category sections (skills, interests) by category name, together with each
+ * category's type, visibility and translated names, skill details by skill
+ * name, and basics as its fields plus one entry per profile link.
+ * @module diff
+ */
+
+import { isNormalizedDate } from "./dates.js";
+
+// Array sections, with how to label an item in the diff view
+const ARRAY_SECTIONS = {
+  experience: (item) => [item.title, item.company].filter(Boolean).join(" — "),
+  projects: (item) => item.name,
+  education: (item) => [item.degree, item.institution].filter(Boolean).join(" — "),
+  certifications: (item) => [item.name, item.issuer].filter(Boolean).join(" — "),
+  publications: (item) => item.title,
+  languages: (item) => item.name,
+  variants: (item) => item.name,
+};
+
+// Category sections and the parallel maps keyed by category name
+const CATEGORY_SECTIONS = {
+  skills: { types: "skillTypes", visibility: "skillVisibility", translations: "skillTranslations" },
+  interests: { types: "interestTypes", visibility: "interestVisibility", translations: "interestTranslations" },
+};
+
+/**
+ * Compare two CV documents
+ * @param {object} from - Older CV data
+ * @param {object} to - Newer CV data
+ * @returns {Array<object>} One entry per section:
+ *   { section, added, removed, changed, reordered, hasChanges }, where added and
+ *   removed are [{ key, label }] and changed is [{ key, label, fields: [{ field, from, to }] }].
+ *   The skill details section also carries the translation key of its heading (title).
+ */
+export function diffCv(from = {}, to = {}) {
+  const sections = [diffEntries("basics", keyBasics(from.basics), keyBasics(to.basics))];
+
+  for (const [section, label] of Object.entries(ARRAY_SECTIONS)) {
+    sections.push(
+      diffEntries(section, keyItems(from[section], label), keyItems(to[section], label)),
+    );
+  }
+
+  for (const [section, maps] of Object.entries(CATEGORY_SECTIONS)) {
+    sections.push(
+      diffEntries(section, keyCategories(from, section, maps), keyCategories(to, section, maps)),
+    );
+  }
+
+  sections.push({
+    ...diffEntries("skillDetails", keyMap(from.skillDetails), keyMap(to.skillDetails)),
+    title: "cv.skills.details.title",
+  });
+
+  return sections;
+}
+
+/**
+ * Diff two keyed entry lists
+ * @param {string} section - Section name
+ * @param {Array<{key: string, label: string, value: object}>} before - Older entries
+ * @param {Array<{key: string, label: string, value: object}>} after - Newer entries
+ * @returns {object} Section diff
+ */
+function diffEntries(section, before, after) {
+  const beforeByKey = new Map(before.map((entry) => [entry.key, entry]));
+  const afterByKey = new Map(after.map((entry) => [entry.key, entry]));
+
+  const added = after
+    .filter((entry) => !beforeByKey.has(entry.key))
+    .map(({ key, label }) => ({ key, label }));
+  const removed = before
+    .filter((entry) => !afterByKey.has(entry.key))
+    .map(({ key, label }) => ({ key, label }));
+
+  const changed = [];
+  for (const entry of after) {
+    const previous = beforeByKey.get(entry.key);
+    if (!previous) continue;
+    const fields = diffFields(previous.value, entry.value);
+    if (fields.length > 0) {
+      changed.push({ key: entry.key, label: entry.label, fields });
+    }
+  }
+
+  // Same entries on both sides, different order
+  const keptBefore = before.filter((entry) => afterByKey.has(entry.key)).map((e) => e.key);
+  const keptAfter = after.filter((entry) => beforeByKey.has(entry.key)).map((e) => e.key);
+  const reordered = keptBefore.some((key, index) => key !== keptAfter[index]);
+
+  return {
+    section,
+    added,
+    removed,
+    changed,
+    reordered,
+    hasChanges: added.length + removed.length + changed.length > 0 || reordered,
+  };
+}
+
+/**
+ * List the fields that differ between two versions of an entry
+ * @returns {Array<{field: string, from: string, to: string}>} Changed fields
+ */
+function diffFields(before, after) {
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  fields.delete("id");
+
+  const changes = [];
+  for (const field of fields) {
+    if (JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null)) {
+      changes.push({ field, from: display(before[field]), to: display(after[field]) });
+    }
+  }
+  return changes;
+}
+
+function keyItems(items, label) {
+  if (!Array.isArray(items)) return [];
+  // Snapshots from before item ids existed fall back to position
+  return items.map((item, index) => ({
+    key: item.id || `#${index}`,
+    label: label(item) || `#${index + 1}`,
+    value: item,
+  }));
+}
+
+function keyBasics(basics) {
+  if (!basics) return [];
+  const { profiles, ...fields } = basics;
+  return [
+    { key: "basics", label: fields.name || "—", value: fields },
+    ...keyItems(profiles, (profile) => profile.network),
+  ];
+}
+
+function keyCategories(data, section, maps) {
+  const categories = data[section];
+  if (!categories || typeof categories !== "object" || Array.isArray(categories)) return [];
+  return Object.entries(categories).map(([category, items]) => ({
+    key: category,
+    label: category,
+    value: {
+      items,
+      type: data[maps.types]?.[category] || "personal",
+      visibility: data[maps.visibility]?.[category] || "public",
+      translations: data[maps.translations]?.[category] || {},
+    },
+  }));
+}
+
+function keyMap(map) {
+  if (!map || typeof map !== "object" || Array.isArray(map)) return [];
+  return Object.entries(map).map(([key, value]) => ({ key, label: key, value }));
+}
+
+function display(value) {
+  if (value === undefined || value === null) return "";
+  if (Array.isArray(value)) return value.join(", ");
+  if (isNormalizedDate(value)) return value.circa ? `~${value.value}` : value.value;
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
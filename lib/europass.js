@@ -0,0 +1,344 @@
+/**
+ * Europass export
+ * Maps the CV onto the Europass CV data model (SkillsPassport, schema v3.4),
+ * written as JSON or XML. Languages get CEFR levels: the one chosen on the
+ * entry, or one derived from its level. Descriptions are HTML, as Europass
+ * stores them. Values Europass would reject (an email address or link that
+ * isn't one, a period ending before it starts, a blank label) are left out.
+ * validateEuropass checks the document against a hand-written subset of the
+ * schema's rules, the ones covering what this export writes; it is not a full
+ * XSD validation.
+ * @module europass
+ */
+
+import { renderInline, renderMarkdown } from "./markdown.js";
+import { parseDate } from "./dates.js";
+
+// Common European Framework of Reference levels, lowest first
+export const CEFR_LEVELS = ["A1", "A2", "B1", "B2", "C1", "C2"];
+
+// CEFR level assumed for each language level when none is chosen; native
+// speakers are listed as mother tongues, which have no level
+const LEVEL_CEFR = { fluent: "C1", advanced: "B2", intermediate: "B1", basic: "A2" };
+
+// The five self-assessed skills of a Europass language entry
+const PROFICIENCY_SKILLS = ["Listening", "Reading", "SpokenInteraction", "SpokenProduction", "Writing"];
+
+// Locales the schema accepts for the document
+// prettier-ignore
+const EUROPASS_LOCALES = [
+  "bg", "cs", "da", "de", "el", "en", "es", "et", "fi", "fr", "hr", "hu", "is", "it",
+  "lt", "lv", "mk", "mt", "nl", "no", "pl", "pt", "ro", "sk", "sl", "sv", "tr",
+];
+
+const NAMESPACE = "http://europass.cedefop.europa.eu/Europass";
+const SCHEMA_LOCATION = "http://europass.cedefop.europa.eu/xml/v3.4.0/EuropassSchema.xsd";
+const XSD_VERSION = "V3.4";
+
+const YEAR_PATTERN = /^\d{4}$/;
+const MONTH_PATTERN = /^--(0[1-9]|1[0-2])$/;
+const DAY_PATTERN = /^---(0[1-9]|[12]\d|3[01])$/;
+const DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const WEB_URL_PATTERN = /^https?:\/\/\S+$/;
+
+/**
+ * CEFR level of a language entry
+ * @param {object} language - Language entry ({ level, cefr })
+ * @returns {string|null} A1–C2, or null for a mother tongue
+ */
+export function toCefr(language) {
+  if (CEFR_LEVELS.includes(language.cefr)) return language.cefr;
+  if (language.level === "native") return null;
+  return LEVEL_CEFR[language.level] || LEVEL_CEFR.intermediate;
+}
+
+/**
+ * Map CV data onto a Europass document
+ * @param {object} data - CV data, already filtered
+ * @param {object} [options] - { lang, now }: the content language, and the
+ *   time to record as the document's creation
+ * @returns {object} { SkillsPassport } in the Europass JSON layout
+ */
+export function toEuropass(data, { lang = "en", now = new Date() } = {}) {
+  const locale = String(lang).split("-")[0].toLowerCase();
+  const created = now.toISOString();
+  const basics = data.basics || {};
+
+  const learner = {
+    Identification: compact({
+      PersonName: personName(basics.name),
+      ContactInfo: compact({
+        Address: basics.location ? { Contact: { Municipality: basics.location } } : undefined,
+        Email: EMAIL_PATTERN.test(basics.email || "") ? { Contact: basics.email } : undefined,
+        Telephone: basics.phone ? [{ Contact: basics.phone, Use: { Code: "mobile" } }] : undefined,
+        Website: nonEmpty(
+          [basics.website, ...(basics.profiles || []).map((profile) => profile.url)]
+            .filter((url) => WEB_URL_PATTERN.test(url || ""))
+            .map((url) => ({ Contact: url, Use: { Code: "personal" } })),
+        ),
+      }),
+    }),
+    Headline: isText(basics.headline)
+      ? { Type: { Code: "position" }, Description: { Label: basics.headline } }
+      : undefined,
+    WorkExperience: nonEmpty(
+      (data.experience || []).map((item) =>
+        compact({
+          Period: period(item),
+          Position: isText(item.title) ? { Label: item.title } : undefined,
+          Activities: activities(item),
+          Employer: item.company ? organisation(item.company, item.location) : undefined,
+        }),
+      ),
+    ),
+    Education: nonEmpty(
+      (data.education || []).map((item) =>
+        compact({
+          Period: period(item),
+          Title: isText(item.degree) ? item.degree : undefined,
+          Activities: activities(item),
+          Organisation: item.institution ? organisation(item.institution, item.location) : undefined,
+        }),
+      ),
+    ),
+    Skills: skills(data),
+  };
+
+  return {
+    SkillsPassport: {
+      Locale: EUROPASS_LOCALES.includes(locale) ? locale : "en",
+      DocumentInfo: {
+        DocumentType: "ECV",
+        CreationDate: created,
+        LastUpdateDate: data.lastUpdated ? new Date(data.lastUpdated).toISOString() : created,
+        XSDVersion: XSD_VERSION,
+        Generator: "indiekit-endpoint-cv",
+      },
+      LearnerInfo: compact(learner),
+    },
+  };
+}
+
+/**
+ * Write a Europass document as XML
+ * Lists become <NameList><Name>…</Name></NameList> and period bounds carry
+ * their year and month as attributes, as the schema has them.
+ * @param {object} document - Result of toEuropass
+ * @returns {string} XML document
+ */
+export function toEuropassXml(document) {
+  const { Locale, ...passport } = document.SkillsPassport;
+  const children = Object.entries(passport).map(([name, value]) => xmlElement(name, value));
+  return (
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<SkillsPassport xmlns="${NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" ` +
+    `xsi:schemaLocation="${NAMESPACE} ${SCHEMA_LOCATION}" locale="${escapeXml(Locale)}">` +
+    children.join("") +
+    "</SkillsPassport>\n"
+  );
+}
+
+/**
+ * Check a Europass document against the schema's constraints on the fields
+ * this export writes: locale and code lists, CEFR levels, date formats,
+ * period order and non-empty labels. These are rules taken from the schema by
+ * hand, not a validation against the XSD itself.
+ * @param {object} document - Result of toEuropass
+ * @returns {string[]} Problems, as "path: message"; empty when valid
+ */
+export function validateEuropass(document) {
+  const errors = [];
+  const check = (valid, path, message) => {
+    if (!valid) errors.push(`${path}: ${message}`);
+  };
+
+  const passport = document?.SkillsPassport;
+  if (!passport) return ["SkillsPassport: missing"];
+  check(EUROPASS_LOCALES.includes(passport.Locale), "SkillsPassport.Locale", "unsupported locale");
+
+  const info = passport.DocumentInfo || {};
+  check(info.DocumentType === "ECV", "DocumentInfo.DocumentType", "must be ECV");
+  check(DATE_TIME_PATTERN.test(info.CreationDate), "DocumentInfo.CreationDate", "must be a UTC date-time");
+  check(DATE_TIME_PATTERN.test(info.LastUpdateDate), "DocumentInfo.LastUpdateDate", "must be a UTC date-time");
+  check(info.XSDVersion === XSD_VERSION, "DocumentInfo.XSDVersion", `must be ${XSD_VERSION}`);
+
+  const learner = passport.LearnerInfo || {};
+  const contact = learner.Identification?.ContactInfo || {};
+  if (contact.Email) check(EMAIL_PATTERN.test(contact.Email.Contact), "ContactInfo.Email", "invalid address");
+  for (const [index, phone] of (contact.Telephone || []).entries()) {
+    check(["home", "work", "mobile"].includes(phone.Use?.Code), `ContactInfo.Telephone[${index}]`, "unknown use");
+  }
+  for (const [index, website] of (contact.Website || []).entries()) {
+    check(WEB_URL_PATTERN.test(website.Contact), `ContactInfo.Website[${index}]`, "must be an http(s) URL");
+    check(
+      ["personal", "business", "work", "portfolio"].includes(website.Use?.Code),
+      `ContactInfo.Website[${index}]`,
+      "unknown use",
+    );
+  }
+  if (learner.Headline) {
+    check(learner.Headline.Type?.Code === "position", "Headline.Type", "unknown headline type");
+    check(isText(learner.Headline.Description?.Label), "Headline.Description", "empty label");
+  }
+
+  for (const [list, labelPath] of [
+    ["WorkExperience", ["Position", "Label"]],
+    ["Education", ["Title"]],
+  ]) {
+    for (const [index, item] of (learner[list] || []).entries()) {
+      const path = `${list}[${index}]`;
+      if (item.Period) checkPeriod(item.Period, `${path}.Period`, check);
+      const label = labelPath.reduce((value, key) => value?.[key], item);
+      if (label !== undefined) check(isText(label), path, `empty ${labelPath.join(".")}`);
+    }
+  }
+
+  const linguistic = learner.Skills?.Linguistic || {};
+  for (const [index, language] of (linguistic.MotherTongue || []).entries()) {
+    check(isText(language.Description?.Label), `MotherTongue[${index}]`, "empty label");
+  }
+  for (const [index, language] of (linguistic.ForeignLanguage || []).entries()) {
+    const path = `ForeignLanguage[${index}]`;
+    check(isText(language.Description?.Label), path, "empty label");
+    for (const skill of PROFICIENCY_SKILLS) {
+      check(CEFR_LEVELS.includes(language.ProficiencyLevel?.[skill]), `${path}.${skill}`, "must be a CEFR level");
+    }
+  }
+
+  return errors;
+}
+
+function checkPeriod(period, path, check) {
+  for (const bound of ["From", "To"]) {
+    const date = period[bound];
+    if (!date) continue;
+    check(YEAR_PATTERN.test(String(date.Year)), `${path}.${bound}`, "year must have four digits");
+    if (date.Month !== undefined) check(MONTH_PATTERN.test(date.Month), `${path}.${bound}`, "month must be --MM");
+    if (date.Day !== undefined) check(DAY_PATTERN.test(date.Day), `${path}.${bound}`, "day must be ---DD");
+  }
+  check(!(period.Current && period.To), path, "a current period has no end");
+  if (period.From && period.To) {
+    check(periodKey(period.From) <= periodKey(period.To), path, "ends before it starts");
+  }
+}
+
+function periodKey(date) {
+  return `${date.Year}${date.Month || "--00"}${date.Day || "---00"}`;
+}
+
+// --- Mapping ---
+
+function personName(name) {
+  const words = String(name || "").trim().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return undefined;
+  const surname = words.pop();
+  return compact({ FirstName: words.join(" ") || undefined, Surname: surname });
+}
+
+function organisation(name, location) {
+  return compact({
+    Name: name,
+    ContactInfo: location ? { Address: { Contact: { Municipality: location } } } : undefined,
+  });
+}
+
+/**
+ * Europass period from the entry's dates, to the day, month or year they are
+ * known; no end date means current. Europass has no approximate dates. A
+ * period that ends before it starts is left out.
+ */
+function period(item) {
+  const from = periodDate(item.startDate);
+  if (!from) return undefined;
+  const to = periodDate(item.endDate);
+  if (!to) return { From: from, Current: true };
+  return periodKey(from) <= periodKey(to) ? { From: from, To: to, Current: false } : undefined;
+}
+
+function periodDate(value) {
+  const date = parseDate(value);
+  if (!date || !/^\d{4}(-|$)/.test(date.value)) return undefined;
+  const [year, month, day] = date.value.split("-");
+  return compact({ Year: Number(year), Month: month && `--${month}`, Day: day && `---${day}` });
+}
+
+function activities(item) {
+  const highlights = (item.highlights || []).map((highlight) => `<li>${renderInline(highlight)}</li>`);
+  const html = renderMarkdown(item.description) + (highlights.length ? `<ul>${highlights.join("")}</ul>` : "");
+  return html || undefined;
+}
+
+function skills(data) {
+  const languages = (data.languages || []).filter((language) => isText(language.name));
+  const levelled = languages.map((language) => ({ language, cefr: toCefr(language) }));
+  const linguistic = compact({
+    MotherTongue: nonEmpty(
+      levelled.filter(({ cefr }) => !cefr).map(({ language }) => ({ Description: { Label: language.name } })),
+    ),
+    ForeignLanguage: nonEmpty(
+      levelled
+        .filter(({ cefr }) => cefr)
+        .map(({ language, cefr }) => ({
+          Description: { Label: language.name },
+          ProficiencyLevel: Object.fromEntries(PROFICIENCY_SKILLS.map((skill) => [skill, cefr])),
+        })),
+    ),
+  });
+
+  // Work skill categories are job-related; the rest go under other skills
+  const types = data.skillTypes || {};
+  const categories = Object.entries(data.skills || {}).filter(([, items]) => items?.length);
+  const describe = (type) => {
+    const html = categories
+      .filter(([category]) => (types[category] || "personal") === type)
+      .map(([category, items]) => `<p><strong>${escapeXml(category)}</strong>: ${escapeXml(items.join(", "))}</p>`)
+      .join("");
+    return html ? { Description: html } : undefined;
+  };
+
+  return compact({ Linguistic: linguistic, JobRelated: describe("work"), Other: describe("personal") });
+}
+
+// --- Helpers ---
+
+/**
+ * Drop undefined fields; an object left empty becomes undefined
+ */
+function compact(object) {
+  const entries = Object.entries(object).filter(([, value]) => value !== undefined);
+  return entries.length > 0 ? Object.fromEntries(entries) : undefined;
+}
+
+function nonEmpty(list) {
+  const items = list.filter(Boolean);
+  return items.length > 0 ? items : undefined;
+}
+
+function isText(value) {
+  return typeof value === "string" && value.trim() !== "";
+}
+
+function xmlElement(name, value) {
+  if (Array.isArray(value)) {
+    return `<${name}List>${value.map((item) => xmlElement(name, item)).join("")}</${name}List>`;
+  }
+  if (value && typeof value === "object") {
+    // Period bounds: <From year="2020" month="--01" day="---15"/>
+    if (name === "From" || name === "To") {
+      const attributes = Object.entries(value).map(([key, part]) => ` ${key.toLowerCase()}="${escapeXml(part)}"`);
+      return `<${name}${attributes.join("")}/>`;
+    }
+    const children = Object.entries(value).map(([key, child]) => xmlElement(key, child));
+    return `<${name}>${children.join("")}</${name}>`;
+  }
+  return `<${name}>${escapeXml(value)}</${name}>`;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;");
+}
@@ -0,0 +1,126 @@
+/**
+ * IndieAuth bearer tokens
+ * Checks the tokens scripts send to the JSON API. Tokens are verified with
+ * the publication's token endpoint: RFC 7662 introspection when Indiekit has
+ * an introspection endpoint, otherwise the IndieAuth token verification
+ * request (GET with the token in the Authorization header).
+ * @module indieauth
+ */
+
+// How long to wait for the token endpoint before giving up on a request
+const TOKEN_ENDPOINT_TIMEOUT = 10_000;
+
+/**
+ * Thrown when a request has no usable token; carries the HTTP status and the
+ * RFC 6750 error code for the WWW-Authenticate header
+ */
+export class AuthError extends Error {
+  /**
+   * @param {string} message - Description for the response body
+   * @param {number} status - 401 (no or bad token) or 403 (missing scope)
+   * @param {string} [code] - "invalid_token" or "insufficient_scope"; none
+   *   when no token was sent at all
+   */
+  constructor(message, status, code) {
+    super(message);
+    this.name = "AuthError";
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Read the bearer token from the Authorization header
+ * @param {object} request - Request
+ * @returns {string|undefined} Token
+ */
+export function findBearerToken(request) {
+  const match = /^Bearer\s+(\S+)\s*$/i.exec(request.get?.("authorization") || "");
+  return match?.[1];
+}
+
+/**
+ * Verify a token and check it grants a scope
+ * @param {object} application - Indiekit application (introspectionEndpoint,
+ *   tokenEndpoint)
+ * @param {string} token - Bearer token
+ * @param {object} options - { scope, me }: the scope the token needs, and the
+ *   publication URL the token must have been issued for (required: without
+ *   it, a token for any site would pass)
+ * @returns {Promise<{me: string, scope: string[], clientId: string|undefined}>}
+ *   Token details
+ * @throws {AuthError} When the token is missing, invalid, for another site or
+ *   without the scope; other errors when `me` is unset or the token endpoint
+ *   fails or doesn't answer in time
+ */
+export async function verifyToken(application, token, { scope, me }) {
+  if (!me) {
+    throw new Error("No publication URL to check tokens against");
+  }
+  const details = await requestTokenDetails(application, token);
+  if (details.active === false || !details.me) {
+    throw new AuthError("The access token is invalid or has expired", 401, "invalid_token");
+  }
+  if (!sameSite(details.me, me)) {
+    throw new AuthError("The access token was issued for another site", 401, "invalid_token");
+  }
+
+  const scopes = String(details.scope || "").split(/\s+/).filter(Boolean);
+  if (!scopes.includes(scope)) {
+    throw new AuthError(`The access token needs the ${scope} scope`, 403, "insufficient_scope");
+  }
+  return { me: details.me, scope: scopes, clientId: details.client_id };
+}
+
+async function requestTokenDetails(application, token) {
+  const { introspectionEndpoint, tokenEndpoint } = application;
+  let response;
+  try {
+    if (introspectionEndpoint) {
+      response = await fetch(introspectionEndpoint, {
+        method: "POST",
+        headers: {
+          Accept: "application/json",
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/x-www-form-urlencoded",
+        },
+        body: new URLSearchParams({ token }).toString(),
+        signal: AbortSignal.timeout(TOKEN_ENDPOINT_TIMEOUT),
+      });
+    } else if (tokenEndpoint) {
+      response = await fetch(tokenEndpoint, {
+        headers: { Accept: "application/json", Authorization: `Bearer ${token}` },
+        signal: AbortSignal.timeout(TOKEN_ENDPOINT_TIMEOUT),
+      });
+    } else {
+      throw new Error("No token endpoint configured");
+    }
+  } catch (error) {
+    if (error.name === "TimeoutError") {
+      throw new Error(`Token endpoint didn't respond within ${TOKEN_ENDPOINT_TIMEOUT / 1000} seconds`);
+    }
+    throw error;
+  }
+
+  // Token endpoints answer 400/401/403 for tokens they don't recognise
+  if (response.status >= 400 && response.status < 500) return { active: false };
+  if (!response.ok) {
+    throw new Error(`Token endpoint responded ${response.status}`);
+  }
+  return response.json();
+}
+
+/**
+ * Compare two site URLs, ignoring a trailing slash and the host's case
+ */
+function sameSite(a, b) {
+  try {
+    const normalize = (url) => {
+      const { origin, pathname } = new URL(url);
+      return origin + pathname.replace(/\/+$/, "");
+    };
+    return normalize(a) === normalize(b);
+  } catch {
+    return false;
+  }
+}
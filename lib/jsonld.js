@@ -0,0 +1,128 @@
+/**
+ * Schema.org JSON-LD mapping
+ * Expresses the CV as a schema.org Person so themes can embed structured data
+ * for search engines (https://schema.org/Person).
+ * @module jsonld
+ */
+
+import { dateValue } from "./dates.js";
+
+/**
+ * Convert CV data to a schema.org Person
+ * Experience uses the Role pattern (hasOccupation → OrganizationRole →
+ * Occupation), current positions are also listed under worksFor, and
+ * education becomes alumniOf plus hasCredential, as do certifications.
+ * @param {object} data - CV data (as returned by getCvData)
+ * @returns {object} JSON-LD document
+ */
+export function toJsonLd(data) {
+  const basics = data.basics || {};
+  const experience = list(data.experience);
+  const education = list(data.education);
+
+  return compact({
+    "@context": "https://schema.org",
+    "@type": "Person",
+    name: basics.name,
+    jobTitle: basics.headline,
+    description: basics.summary,
+    email: basics.email,
+    telephone: basics.phone,
+    url: basics.website,
+    sameAs: list(basics.profiles).map((profile) => profile.url).filter(Boolean),
+    address: basics.location
+      ? { "@type": "PostalAddress", addressLocality: basics.location }
+      : undefined,
+    hasOccupation: experience.map((item) =>
+      compact({
+        "@type": "OrganizationRole",
+        roleName: item.title,
+        startDate: dateValue(item.startDate),
+        endDate: dateValue(item.endDate),
+        description: item.description,
+        hasOccupation: compact({
+          "@type": "Occupation",
+          name: item.title,
+          occupationLocation: item.location
+            ? { "@type": "Place", name: item.location }
+            : undefined,
+        }),
+      }),
+    ),
+    worksFor: experience
+      .filter((item) => item.company && !item.endDate)
+      .map((item) =>
+        compact({
+          "@type": "OrganizationRole",
+          roleName: item.title,
+          startDate: dateValue(item.startDate),
+          worksFor: { "@type": "Organization", name: item.company },
+        }),
+      ),
+    alumniOf: education
+      .filter((item) => item.institution)
+      .map((item) =>
+        compact({
+          "@type": "EducationalOrganization",
+          name: item.institution,
+          address: item.location
+            ? { "@type": "PostalAddress", addressLocality: item.location }
+            : undefined,
+        }),
+      ),
+    hasCredential: [
+      ...education
+        .filter((item) => item.degree)
+        .map((item) =>
+          compact({
+            "@type": "EducationalOccupationalCredential",
+            name: item.degree,
+            description: item.description,
+            dateCreated: dateValue(item.endDate),
+            recognizedBy: item.institution
+              ? { "@type": "EducationalOrganization", name: item.institution }
+              : undefined,
+          }),
+        ),
+      ...list(data.certifications)
+        .filter((item) => item.name)
+        .map((item) =>
+          compact({
+            "@type": "EducationalOccupationalCredential",
+            credentialCategory: "certification",
+            name: item.name,
+            identifier: item.credentialId,
+            url: item.url,
+            dateCreated: dateValue(item.issueDate),
+            expires: dateValue(item.expiryDate),
+            recognizedBy: item.issuer ? { "@type": "Organization", name: item.issuer } : undefined,
+          }),
+        ),
+    ],
+    knowsAbout: [...new Set(Object.values(objectOrEmpty(data.skills)).flat())],
+    knowsLanguage: list(data.languages)
+      .filter((item) => item.name)
+      .map((item) => ({ "@type": "Language", name: item.name })),
+  });
+}
+
+/**
+ * Drop empty values so the document only carries what we know
+ */
+function compact(object) {
+  const result = {};
+  for (const [key, value] of Object.entries(object)) {
+    if (value === undefined || value === null || value === "") continue;
+    if (Array.isArray(value) && value.length === 0) continue;
+    result[key] = value;
+  }
+  return result;
+}
+
+function list(value) {
+  return Array.isArray(value) ? value : [];
+}
+
+function objectOrEmpty(value) {
+  return value && typeof value === "object" && !Array.isArray(value) ? value : {};
+}
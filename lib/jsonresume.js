@@ -0,0 +1,335 @@
+/**
+ * JSON Resume mapping
+ * Converts between the cvData document and the jsonresume.org schema
+ * (https://jsonresume.org/schema) so CVs can move in and out of other tools.
+ * @module jsonresume
+ */
+
+import { dateValue } from "./dates.js";
+import { publicationLink } from "./publications.js";
+
+const SCHEMA_URL =
+  "https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json";
+
+// Our language levels → JSON Resume free-text fluency
+const FLUENCY = {
+  native: "Native speaker",
+  fluent: "Fluent",
+  advanced: "Advanced",
+  intermediate: "Intermediate",
+  basic: "Basic",
+};
+
+// Keys that identify an object as a JSON Resume document
+const RESUME_KEYS = [
+  "basics",
+  "work",
+  "volunteer",
+  "education",
+  "certificates",
+  "publications",
+  "projects",
+  "skills",
+  "languages",
+  "interests",
+];
+
+/**
+ * Convert CV data to a JSON Resume document
+ * @param {object} data - CV data (as returned by getCvData)
+ * @returns {object} JSON Resume document
+ */
+export function toJsonResume(data) {
+  const experience = Array.isArray(data.experience) ? data.experience : [];
+
+  return {
+    $schema: SCHEMA_URL,
+    basics: toBasics(data.basics),
+    work: experience
+      .filter((item) => item.type !== "volunteer")
+      .map((item) =>
+        compact({
+          name: item.company,
+          position: item.title,
+          location: item.location,
+          startDate: dateValue(item.startDate),
+          endDate: dateValue(item.endDate),
+          summary: item.description,
+          highlights: item.highlights,
+        }),
+      ),
+    volunteer: experience
+      .filter((item) => item.type === "volunteer")
+      .map((item) =>
+        compact({
+          organization: item.company,
+          position: item.title,
+          startDate: dateValue(item.startDate),
+          endDate: dateValue(item.endDate),
+          summary: item.description,
+          highlights: item.highlights,
+        }),
+      ),
+    education: (data.education || []).map((item) =>
+      compact({
+        institution: item.institution,
+        studyType: item.degree,
+        startDate: dateValue(item.startDate),
+        endDate: dateValue(item.endDate),
+        summary: item.description,
+      }),
+    ),
+    // JSON Resume has no expiry date or credential ID
+    certificates: (data.certifications || []).map((item) =>
+      compact({
+        name: item.name,
+        issuer: item.issuer,
+        date: dateValue(item.issueDate),
+        url: item.url,
+      }),
+    ),
+    // Nor authors, a DOI or a publication type: the DOI becomes the URL
+    publications: (data.publications || []).map((item) =>
+      compact({
+        name: item.title,
+        publisher: item.venue,
+        releaseDate: dateValue(item.date),
+        url: publicationLink(item),
+      }),
+    ),
+    projects: (data.projects || []).map((item) =>
+      compact({
+        name: item.name,
+        description: item.description,
+        url: item.url,
+        keywords: item.technologies,
+        startDate: dateValue(item.startDate),
+        endDate: dateValue(item.endDate),
+      }),
+    ),
+    skills: Object.entries(data.skills || {}).map(([name, keywords]) => ({
+      name,
+      keywords,
+    })),
+    languages: (data.languages || []).map((item) =>
+      compact({
+        language: item.name,
+        fluency: FLUENCY[item.level] || item.level,
+      }),
+    ),
+    interests: Object.entries(objectOrEmpty(data.interests)).map(([name, keywords]) => ({
+      name,
+      keywords,
+    })),
+    meta: compact({
+      lastModified: data.lastUpdated,
+    }),
+  };
+}
+
+/**
+ * Convert a JSON Resume document to CV data
+ * Sections the document doesn't have come back empty, as the import
+ * replaces the whole CV.
+ * @param {object} resume - JSON Resume document
+ * @returns {object} CV data sections
+ */
+export function fromJsonResume(resume) {
+  if (
+    !resume ||
+    typeof resume !== "object" ||
+    Array.isArray(resume) ||
+    !RESUME_KEYS.some((key) => key in resume)
+  ) {
+    throw new Error("Not a JSON Resume document");
+  }
+
+  const work = list(resume.work).map((item) => ({
+    title: text(item.position),
+    company: text(item.name || item.company),
+    location: text(item.location),
+    startDate: toIsoDate(item.startDate),
+    endDate: toIsoDate(item.endDate) || null,
+    type: "full-time",
+    experienceType: "work",
+    description: text(item.summary),
+    highlights: list(item.highlights).map(text).filter(Boolean),
+  }));
+
+  const volunteer = list(resume.volunteer).map((item) => ({
+    title: text(item.position),
+    company: text(item.organization),
+    location: "",
+    startDate: toIsoDate(item.startDate),
+    endDate: toIsoDate(item.endDate) || null,
+    type: "volunteer",
+    experienceType: "personal",
+    description: text(item.summary),
+    highlights: list(item.highlights).map(text).filter(Boolean),
+  }));
+
+  const skills = {};
+  const skillTypes = {};
+  for (const skill of list(resume.skills)) {
+    const keywords = list(skill.keywords).map(text).filter(Boolean);
+    // Skills without keywords are single skills, not categories
+    const category = keywords.length > 0 ? text(skill.name) || "Skills" : "Skills";
+    const items = keywords.length > 0 ? keywords : [text(skill.name)].filter(Boolean);
+    if (items.length === 0) continue;
+    skills[category] = [...(skills[category] || []), ...items];
+    skillTypes[category] = "work";
+  }
+
+  const interests = {};
+  const interestTypes = {};
+  for (const interest of list(resume.interests)) {
+    const keywords = list(interest.keywords).map(text).filter(Boolean);
+    const category = keywords.length > 0 ? text(interest.name) || "Interests" : "Interests";
+    const items = keywords.length > 0 ? keywords : [text(interest.name)].filter(Boolean);
+    if (items.length === 0) continue;
+    interests[category] = [...(interests[category] || []), ...items];
+    interestTypes[category] = "personal";
+  }
+
+  const basics = objectOrEmpty(resume.basics);
+  const location = objectOrEmpty(basics.location);
+
+  return {
+    basics: {
+      name: text(basics.name),
+      headline: text(basics.label),
+      summary: text(basics.summary),
+      location: [text(location.city), text(location.region), text(location.countryCode)]
+        .filter(Boolean)
+        .join(", "),
+      email: text(basics.email),
+      phone: text(basics.phone),
+      website: text(basics.url),
+      profiles: list(basics.profiles)
+        .map((profile) => ({
+          network: text(profile.network),
+          username: text(profile.username),
+          url: text(profile.url),
+        }))
+        .filter((profile) => profile.url),
+    },
+    experience: [...work, ...volunteer],
+    projects: list(resume.projects).map((item) => ({
+      name: text(item.name),
+      url: text(item.url),
+      description: text(item.description),
+      technologies: list(item.keywords).map(text).filter(Boolean),
+      status: item.endDate ? "completed" : "active",
+      projectType: "personal",
+      startDate: toIsoDate(item.startDate),
+      endDate: toIsoDate(item.endDate) || null,
+    })),
+    skills,
+    skillTypes,
+    education: list(resume.education).map((item) => ({
+      degree: [text(item.studyType), text(item.area)].filter(Boolean).join(" in "),
+      institution: text(item.institution),
+      location: text(item.location),
+      startDate: toIsoDate(item.startDate),
+      endDate: toIsoDate(item.endDate) || null,
+      educationType: "work",
+      description: text(item.summary) || list(item.courses).map(text).filter(Boolean).join(", "),
+    })),
+    certifications: list(resume.certificates).map((item) => ({
+      name: text(item.name),
+      issuer: text(item.issuer),
+      issueDate: toIsoDate(item.date) || null,
+      expiryDate: null,
+      credentialId: "",
+      url: text(item.url),
+    })),
+    publications: list(resume.publications).map((item) => ({
+      title: text(item.name),
+      authors: [],
+      venue: text(item.publisher),
+      date: toIsoDate(item.releaseDate) || null,
+      doi: "",
+      url: text(item.url),
+      type: "article",
+    })),
+    languages: list(resume.languages).map((item) => ({
+      name: text(item.language),
+      level: fluencyToLevel(item.fluency),
+    })),
+    interests,
+    interestTypes,
+  };
+}
+
+/**
+ * Map the basics block onto JSON Resume basics
+ * Our location is free text, so it goes into `city` as the field themes show
+ * @param {object} [basics] - CV basics
+ * @returns {object} JSON Resume basics
+ */
+function toBasics(basics = {}) {
+  return compact({
+    name: basics.name,
+    label: basics.headline,
+    email: basics.email,
+    phone: basics.phone,
+    url: basics.website,
+    summary: basics.summary,
+    location: basics.location ? { city: basics.location } : undefined,
+    profiles: list(basics.profiles).map((profile) =>
+      compact({
+        network: profile.network,
+        username: profile.username,
+        url: profile.url,
+      }),
+    ),
+  });
+}
+
+/**
+ * Map JSON Resume free-text fluency onto our language levels
+ * @param {string} fluency - e.g. "Native speaker", "Full professional proficiency"
+ * @returns {string} native, fluent, advanced, intermediate or basic
+ */
+export function fluencyToLevel(fluency) {
+  const value = text(fluency).toLowerCase();
+  if (/native|mother|bilingual/.test(value)) return "native";
+  if (/fluent|full professional/.test(value)) return "fluent";
+  if (/advanced|professional/.test(value)) return "advanced";
+  if (/basic|elementary|beginner/.test(value)) return "basic";
+  return "intermediate";
+}
+
+/**
+ * Keep the date part of an ISO 8601 date, at whatever precision it has
+ * @param {string} value - YYYY, YYYY-MM, YYYY-MM-DD or a full timestamp
+ * @returns {string} YYYY, YYYY-MM or YYYY-MM-DD, or "" when missing
+ */
+function toIsoDate(value) {
+  return text(value).slice(0, 10);
+}
+
+/**
+ * Drop empty values so exported entries only carry what we know
+ */
+function compact(object) {
+  const result = {};
+  for (const [key, value] of Object.entries(object)) {
+    if (value === undefined || value === null || value === "") continue;
+    if (Array.isArray(value) && value.length === 0) continue;
+    result[key] = value;
+  }
+  return result;
+}
+
+function list(value) {
+  return Array.isArray(value) ? value.filter((item) => item !== null && item !== undefined) : [];
+}
+
+function text(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+function objectOrEmpty(value) {
+  return value && typeof value === "object" && !Array.isArray(value) ? value : {};
+}
@@ -0,0 +1,45 @@
+/**
+ * Plugin strings outside templates
+ * Document exports (PDF, …) need section titles and level names in the CV's
+ * language, without a request-bound `__()`. They are read from the plugin's
+ * own locale files, falling back to English.
+ * @module labels
+ */
+
+import { readFileSync } from "node:fs";
+
+const cache = new Map();
+
+/**
+ * The `cv` strings of a locale
+ * @param {string} [locale] - Locale code (e.g. "fr", "pt-BR")
+ * @returns {object} Strings, with English for anything the locale lacks
+ */
+export function getLabels(locale = "en") {
+  if (!cache.has(locale)) {
+    const english = readLocale("en");
+    cache.set(locale, locale === "en" ? english : merge(english, readLocale(locale)));
+  }
+  return cache.get(locale);
+}
+
+function readLocale(locale) {
+  if (!/^[A-Za-z]+(-[A-Za-z0-9]+)*$/.test(locale)) return {};
+  try {
+    const url = new URL(`../locales/${locale}.json`, import.meta.url);
+    return JSON.parse(readFileSync(url, "utf8")).cv || {};
+  } catch {
+    return {};
+  }
+}
+
+function merge(base, override) {
+  const result = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    result[key] =
+      value && typeof value === "object" && typeof base[key] === "object"
+        ? merge(base[key], value)
+        : value;
+  }
+  return result;
+}
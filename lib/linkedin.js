@@ -0,0 +1,243 @@
+/**
+ * LinkedIn data export import
+ * Maps the CSV files of LinkedIn's "Download your data" archive (Positions,
+ * Education, Skills, Languages, Projects, Certifications) onto CV entries,
+ * flags the ones the CV already has, and merges the chosen ones in.
+ * @module linkedin
+ */
+
+import { basename } from "node:path";
+
+import { parseCsvRecords } from "./csv.js";
+import { isZip, readZip } from "./zip.js";
+import { fluencyToLevel } from "./jsonresume.js";
+import { dateValue } from "./dates.js";
+
+// Export files we read, by lowercased name, with a column their header has
+const FILES = {
+  "positions.csv": { section: "experience", column: "Company Name" },
+  "education.csv": { section: "education", column: "School Name" },
+  "skills.csv": { section: "skills", column: "Name" },
+  "languages.csv": { section: "languages", column: "Name" },
+  "projects.csv": { section: "projects", column: "Title" },
+  "certifications.csv": { section: "certifications", column: "Authority" },
+};
+
+// Most a CSV in the archive may unpack to: as much as could be uploaded loose
+export const MAX_CSV_SIZE = 20 * 1024 * 1024;
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+// Array sections entries are merged into
+export const LINKEDIN_SECTIONS = ["experience", "education", "certifications", "projects", "languages"];
+
+/**
+ * Read uploaded LinkedIn files: the whole ZIP archive or individual CSVs
+ * @param {Array<{filename: string, data: Buffer}>} files - Uploaded files
+ * @returns {object} { experience, education, certifications, projects,
+ *   languages, skills, files } where skills are names and files are the
+ *   export files that were recognised
+ * @throws {ZipEntryTooLargeError} When an export file in the archive unpacks
+ *   to more than MAX_CSV_SIZE
+ */
+export function readLinkedInExport(files) {
+  const csvFiles = files.flatMap((file) =>
+    isZip(file.data)
+      ? readZip(file.data, { filter: isExportFile, maxSize: MAX_CSV_SIZE }).map((entry) => ({
+          filename: entry.path,
+          data: entry.data,
+        }))
+      : [file],
+  );
+
+  const result = {
+    experience: [],
+    education: [],
+    projects: [],
+    languages: [],
+    skills: [],
+    certifications: [],
+    files: [],
+  };
+
+  for (const file of csvFiles) {
+    const name = basename(file.filename).toLowerCase();
+    const config = FILES[name];
+    if (!config) continue;
+
+    const records = parseCsvRecords(file.data.toString("utf8"), config.column);
+    result[config.section].push(...records.map(MAPPERS[config.section]).filter(Boolean));
+    result.files.push(basename(file.filename));
+  }
+
+  return result;
+}
+
+/**
+ * Mark imported entries the CV already has as duplicates
+ * Experience matches on company, title and start month; education on
+ * institution and degree; certifications on name and issuer; projects and
+ * languages on name; skills on name in any category. Case and spacing are
+ * ignored.
+ * @param {object} current - Current CV data
+ * @param {object} imported - Result of readLinkedInExport
+ * @returns {object} Imported data with `duplicate: true` on known entries
+ */
+export function markDuplicates(current, imported) {
+  const result = { ...imported };
+
+  for (const section of LINKEDIN_SECTIONS) {
+    const known = new Set((current[section] || []).map((item) => KEYS[section](item)));
+    result[section] = imported[section].map((item) => ({
+      ...item,
+      duplicate: known.has(KEYS[section](item)),
+    }));
+  }
+
+  const knownSkills = new Set(Object.values(current.skills || {}).flat().map(normalize));
+  result.skills = imported.skills.map((name) => ({
+    name,
+    duplicate: knownSkills.has(normalize(name)),
+  }));
+
+  return result;
+}
+
+/**
+ * Add chosen imported entries to the CV
+ * @param {object} current - Current CV data
+ * @param {object} imported - Result of markDuplicates
+ * @param {object} options - { include, visibility, skillCategory }, where
+ *   include lists the chosen entries as "<section>:<index>"
+ * @returns {object} CV data with the entries appended
+ */
+export function mergeLinkedIn(current, imported, { include, visibility, skillCategory }) {
+  const chosen = new Set(include);
+  const pick = (section) =>
+    (imported[section] || []).filter((item, index) => chosen.has(`${section}:${index}`));
+  const result = { ...current };
+
+  for (const section of LINKEDIN_SECTIONS) {
+    const additions = pick(section).map(({ duplicate, ...item }) => ({ ...item, visibility }));
+    result[section] = [...(current[section] || []), ...additions];
+  }
+
+  const skills = pick("skills").map((skill) => skill.name);
+  if (skills.length > 0) {
+    const existing = current.skills?.[skillCategory];
+    result.skills = {
+      ...current.skills,
+      [skillCategory]: [...new Set([...(existing || []), ...skills])],
+    };
+    if (!existing) {
+      result.skillTypes = { ...current.skillTypes, [skillCategory]: "work" };
+      result.skillVisibility = { ...current.skillVisibility, [skillCategory]: visibility };
+    }
+  }
+
+  return result;
+}
+
+const MAPPERS = {
+  experience: (row) =>
+    row["Company Name"] || row.Title
+      ? {
+          title: row.Title || "",
+          company: row["Company Name"] || "",
+          location: row.Location || "",
+          startDate: toMonth(row["Started On"]),
+          endDate: toMonth(row["Finished On"]) || null,
+          type: "full-time",
+          experienceType: "work",
+          description: row.Description || "",
+          highlights: [],
+        }
+      : null,
+  education: (row) =>
+    row["School Name"]
+      ? {
+          degree: row["Degree Name"] || "",
+          institution: row["School Name"],
+          location: "",
+          startDate: toMonth(row["Start Date"]),
+          endDate: toMonth(row["End Date"]) || null,
+          educationType: "personal",
+          description: [row.Notes, row.Activities].filter(Boolean).join("\n\n"),
+        }
+      : null,
+  projects: (row) =>
+    row.Title
+      ? {
+          name: row.Title,
+          url: /^https?:\/\//.test(row.Url || "") ? row.Url : "",
+          description: row.Description || "",
+          technologies: [],
+          status: row["Finished On"] ? "completed" : "active",
+          projectType: "personal",
+          startDate: toMonth(row["Started On"]),
+          endDate: toMonth(row["Finished On"]) || null,
+        }
+      : null,
+  languages: (row) =>
+    row.Name ? { name: row.Name, level: fluencyToLevel(row.Proficiency) } : null,
+  skills: (row) => row.Name || null,
+  // "Finished On" is when the certification expires
+  certifications: (row) =>
+    row.Name
+      ? {
+          name: row.Name,
+          issuer: row.Authority || "",
+          issueDate: toMonth(row["Started On"]) || null,
+          expiryDate: toMonth(row["Finished On"]) || null,
+          credentialId: row["License Number"] || "",
+          url: /^https?:\/\//.test(row.Url || "") ? row.Url : "",
+        }
+      : null,
+};
+
+const KEYS = {
+  experience: (item) => [item.company, item.title, dateValue(item.startDate)].map(normalize).join("|"),
+  education: (item) => [item.institution, item.degree].map(normalize).join("|"),
+  certifications: (item) => [item.name, item.issuer].map(normalize).join("|"),
+  projects: (item) => normalize(item.name),
+  languages: (item) => normalize(item.name),
+};
+
+/**
+ * Check a file is one of the export files read, whatever folder it is in
+ * @param {string} path - File name or path in the archive
+ * @returns {boolean} True for the CSVs listed in FILES
+ */
+function isExportFile(path) {
+  return Object.hasOwn(FILES, basename(path).toLowerCase());
+}
+
+/**
+ * Read a LinkedIn date ("Jan 2020", "2020", "01/2020" or ISO)
+ * @param {string} value - Date as exported
+ * @returns {string} YYYY-MM or YYYY, or "" when missing or unreadable
+ *   (including months outside 1–12)
+ */
+export function toMonth(value) {
+  const text = String(value || "").trim();
+  let match = /^([A-Za-z]{3})[a-z]*\.?\s+(\d{4})$/.exec(text);
+  if (match) {
+    const month = MONTHS.indexOf(match[1].toLowerCase()) + 1;
+    return month > 0 ? `${match[2]}-${String(month).padStart(2, "0")}` : match[2];
+  }
+  match = /^(\d{1,2})\/(\d{4})$/.exec(text);
+  if (match) return isMonth(match[1]) ? `${match[2]}-${match[1].padStart(2, "0")}` : "";
+  match = /^(\d{4})(?:-(\d{2}))?/.exec(text);
+  if (!match) return "";
+  if (!match[2]) return match[1];
+  return isMonth(match[2]) ? `${match[1]}-${match[2]}` : "";
+}
+
+function isMonth(value) {
+  const month = Number(value);
+  return month >= 1 && month <= 12;
+}
+
+function normalize(value) {
+  return String(value || "").trim().replace(/\s+/g, " ").toLowerCase();
+}
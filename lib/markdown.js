@@ -0,0 +1,137 @@
+/**
+ * Markdown in descriptions and highlights
+ * A deliberately small inline subset: links, **strong**, *emphasis* (or
+ * _emphasis_) and `code`, plus paragraphs and line breaks in descriptions.
+ * Everything else is escaped, so the HTML is safe to output as-is: the only
+ * tags produced are the ones built here, and links must be http(s), mailto
+ * or relative.
+ * @module markdown
+ */
+
+// Array sections whose items have Markdown fields
+const MARKDOWN_SECTIONS = ["experience", "projects", "education"];
+
+// Link targets allowed through; anything with another scheme is dropped
+const SAFE_URL = /^(https?:|mailto:|[^:]*$|[^:]*[/?#])/i;
+
+/**
+ * Render a description: paragraphs split on blank lines, single line breaks
+ * kept as <br>
+ * @param {string} text - Markdown source
+ * @returns {string} Sanitized HTML ("" for empty text)
+ */
+export function renderMarkdown(text) {
+  return String(text || "")
+    .split(/\r?\n\s*\r?\n/)
+    .map((paragraph) => paragraph.trim())
+    .filter(Boolean)
+    .map((paragraph) => `<p>${renderInline(paragraph).replace(/\r?\n/g, "<br>")}</p>`)
+    .join("");
+}
+
+/**
+ * Render a single line (a highlight) without a wrapping paragraph
+ * @param {string} text - Markdown source
+ * @returns {string} Sanitized HTML
+ */
+export function renderInline(text) {
+  // Code spans and links are set aside so emphasis can't reach into them
+  const stash = [];
+  const hold = (html) => `\u0000${stash.push(html) - 1}\u0000`;
+
+  let html = escapeHtml(String(text || "").replaceAll("\u0000", ""));
+  html = html.replace(/`([^`]+)`/g, (match, code) => hold(`<code>${code}</code>`));
+  // A URL may hold balanced parentheses, e.g. .../wiki/Rust_(programming_language);
+  // an unsafe link leaves just its label
+  html = html.replace(/\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/g, (match, label, url) =>
+    SAFE_URL.test(url) ? hold(`<a href="${url}">${emphasis(label)}</a>`) : label,
+  );
+  html = emphasis(html);
+  return html.replace(/\u0000(\d+)\u0000/g, (match, index) => stash[index]);
+}
+
+/**
+ * Reduce Markdown to its text, for formats without links or emphasis
+ * @param {string} text - Markdown source
+ * @returns {string} Text with the markup removed (line breaks kept)
+ */
+export function toPlainText(text) {
+  return String(text || "")
+    .split("\n")
+    .map((line) =>
+      inlineTokens(line)
+        .map((token) => token.text || "")
+        .join(""),
+    )
+    .join("\n");
+}
+
+/**
+ * Parse Markdown into text and formatting tokens, for output formats with
+ * their own markup (Word, LaTeX, Markdown itself)
+ * Tokens are { text }, { open: tag, href } or { close: tag }, where tag is
+ * strong, em, code or a; open and close always pair up, and code never
+ * contains other tags.
+ * @param {string} text - Markdown source
+ * @returns {Array<object>} Tokens (text keeps its line breaks)
+ */
+export function inlineTokens(text) {
+  return renderInline(text)
+    .split(/(<[^>]+>)/)
+    .filter(Boolean)
+    .map((token) => {
+      const tag = /^<(\/?)(strong|em|code|a)(?: href="([^"]*)")?>$/.exec(token);
+      if (!tag) return { text: decodeHtml(token) };
+      if (tag[1]) return { close: tag[2] };
+      return tag[3] === undefined ? { open: tag[2] } : { open: tag[2], href: decodeHtml(tag[3]) };
+    });
+}
+
+/**
+ * Add rendered `descriptionHtml` and `highlightsHtml` next to the Markdown
+ * source of every entry
+ * @param {object} data - CV data
+ * @returns {object} CV data with the HTML fields
+ */
+export function withHtml(data) {
+  const result = { ...data };
+  for (const section of MARKDOWN_SECTIONS) {
+    if (!Array.isArray(data[section])) continue;
+    result[section] = data[section].map((item) => {
+      const rendered = { ...item };
+      if (typeof item.description === "string") {
+        rendered.descriptionHtml = renderMarkdown(item.description);
+      }
+      if (Array.isArray(item.highlights)) {
+        rendered.highlightsHtml = item.highlights.map((highlight) => renderInline(highlight));
+      }
+      return rendered;
+    });
+  }
+  return result;
+}
+
+function emphasis(html) {
+  return html
+    .replace(/\*\*(?=\S)([^*]*?\S)\*\*/g, "<strong>$1</strong>")
+    .replace(/\*(?=\S)([^*]*?\S)\*/g, "<em>$1</em>")
+    .replace(/(^|[^\w])_(?=\S)([^_]*?\S)_(?!\w)/g, "$1<em>$2</em>");
+}
+
+function decodeHtml(html) {
+  return html
+    .replaceAll("&lt;", "<")
+    .replaceAll("&gt;", ">")
+    .replaceAll("&quot;", '"')
+    .replaceAll("&#39;", "'")
+    .replaceAll("&amp;", "&");
+}
+
+function escapeHtml(text) {
+  return text
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#39;");
+}
@@ -0,0 +1,244 @@
+/**
+ * Minimal PDF writer
+ * Pages of positioned text and lines in the standard Helvetica fonts, which
+ * every PDF reader has, so nothing needs embedding. Text is WinAnsi encoded:
+ * Latin-1 plus typographic punctuation; other characters lose their accents
+ * or become "?".
+ * @module pdf
+ */
+
+import { deflateSync } from "node:zlib";
+
+// A4 in points
+export const PAGE_WIDTH = 595.28;
+export const PAGE_HEIGHT = 841.89;
+
+// Resource names of the fonts pages can use
+export const FONTS = {
+  regular: { name: "F1", base: "Helvetica" },
+  bold: { name: "F2", base: "Helvetica-Bold" },
+  italic: { name: "F3", base: "Helvetica-Oblique" },
+};
+
+// Glyph widths (1/1000 em) of ASCII 32–126, from the Adobe font metrics
+// prettier-ignore
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+
+// prettier-ignore
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+];
+
+// WinAnsi code points 0x80–0x9F that differ from Latin-1, with widths
+// (regular, bold) for the characters outside ASCII that are common in CVs
+const WIN_ANSI = {
+  "€": [0x80, 556, 556],
+  "‚": [0x82, 222, 278],
+  "„": [0x84, 333, 500],
+  "…": [0x85, 1000, 1000],
+  "‘": [0x91, 222, 278],
+  "’": [0x92, 222, 278],
+  "“": [0x93, 333, 500],
+  "”": [0x94, 333, 500],
+  "•": [0x95, 350, 350],
+  "–": [0x96, 556, 556],
+  "—": [0x97, 1000, 1000],
+  "™": [0x99, 1000, 1000],
+  Š: [0x8a, 667, 667],
+  š: [0x9a, 500, 556],
+  Œ: [0x8c, 1000, 1000],
+  œ: [0x9c, 944, 944],
+  Ž: [0x8e, 611, 611],
+  ž: [0x9e, 500, 500],
+  Ÿ: [0x9f, 667, 667],
+};
+
+/**
+ * Width of a string in points
+ * @param {string} text - Text
+ * @param {string} font - regular, bold or italic
+ * @param {number} size - Font size in points
+ * @returns {number} Width
+ */
+export function measureText(text, font, size) {
+  let width = 0;
+  for (const char of String(text)) width += charWidth(char, font);
+  return (width * size) / 1000;
+}
+
+/**
+ * Break text into lines no wider than `width`
+ * Words longer than a line (URLs) are split where they overflow.
+ * @param {string} text - Text (line breaks are kept)
+ * @param {string} font - regular, bold or italic
+ * @param {number} size - Font size in points
+ * @param {number} width - Available width in points
+ * @returns {string[]} Lines
+ */
+export function wrapText(text, font, size, width) {
+  const lines = [];
+  for (const paragraph of String(text).split(/\r?\n/)) {
+    let line = "";
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (measureText(candidate, font, size) <= width) {
+        line = candidate;
+        continue;
+      }
+      if (line) lines.push(line);
+      line = word;
+      while (measureText(line, font, size) > width && line.length > 1) {
+        let cut = line.length - 1;
+        while (cut > 1 && measureText(line.slice(0, cut), font, size) > width) cut--;
+        lines.push(line.slice(0, cut));
+        line = line.slice(cut);
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+/**
+ * Write a PDF document
+ * @param {Array<Array<object>>} pages - Drawing operations per page:
+ *   { type: "text", x, y, text, font, size, gray } or
+ *   { type: "line", x1, y1, x2, y2, width, gray }; y counts from the bottom
+ * @param {object} [info] - Document information ({ title, author })
+ * @returns {Buffer} PDF file
+ */
+export function writePdf(pages, info = {}) {
+  const objects = [];
+  // Object numbers start at 1, so the new length is the new object's number
+  const add = (body) => objects.push(body);
+
+  const catalog = add(null);
+  const pageTree = add(null);
+  const fonts = Object.values(FONTS).map(({ name, base }) => [
+    name,
+    add(`<< /Type /Font /Subtype /Type1 /BaseFont /${base} /Encoding /WinAnsiEncoding >>`),
+  ]);
+  const resources = `<< /Font << ${fonts.map(([name, id]) => `/${name} ${id} 0 R`).join(" ")} >> >>`;
+
+  const pageIds = pages.map((operations) => {
+    const stream = deflateSync(Buffer.from(contentStream(operations), "latin1"));
+    const content = add(
+      Buffer.concat([
+        Buffer.from(`<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`),
+        stream,
+        Buffer.from("\nendstream"),
+      ]),
+    );
+    return add(
+      `<< /Type /Page /Parent ${pageTree} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources ${resources} /Contents ${content} 0 R >>`,
+    );
+  });
+
+  objects[catalog - 1] = `<< /Type /Catalog /Pages ${pageTree} 0 R >>`;
+  objects[pageTree - 1] =
+    `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pageIds.length} >>`;
+  const infoId = add(
+    `<< /Producer (${pdfString("indiekit-endpoint-cv")})` +
+      (info.title ? ` /Title (${pdfString(info.title)})` : "") +
+      (info.author ? ` /Author (${pdfString(info.author)})` : "") +
+      " >>",
+  );
+
+  // Body, then the cross-reference table of each object's byte offset
+  const chunks = [Buffer.from("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n", "latin1")];
+  let length = chunks[0].length;
+  const offsets = objects.map((body, index) => {
+    const offset = length;
+    const chunk = Buffer.concat([
+      Buffer.from(`${index + 1} 0 obj\n`),
+      Buffer.isBuffer(body) ? body : Buffer.from(body, "latin1"),
+      Buffer.from("\nendobj\n"),
+    ]);
+    chunks.push(chunk);
+    length += chunk.length;
+    return offset;
+  });
+
+  const xref = [
+    "xref",
+    `0 ${objects.length + 1}`,
+    "0000000000 65535 f ",
+    ...offsets.map((offset) => `${String(offset).padStart(10, "0")} 00000 n `),
+    "trailer",
+    `<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${infoId} 0 R >>`,
+    "startxref",
+    String(length),
+    "%%EOF",
+  ].join("\n");
+  chunks.push(Buffer.from(xref + "\n"));
+
+  return Buffer.concat(chunks);
+}
+
+function contentStream(operations) {
+  return operations
+    .map((operation) => {
+      const gray = (operation.gray ?? 0).toFixed(2);
+      if (operation.type === "line") {
+        const { x1, y1, x2, y2, width = 0.5 } = operation;
+        return `${gray} G ${width} w ${n(x1)} ${n(y1)} m ${n(x2)} ${n(y2)} l S`;
+      }
+      const { name } = FONTS[operation.font || "regular"];
+      return `BT ${gray} g /${name} ${operation.size} Tf ${n(operation.x)} ${n(operation.y)} Td (${pdfString(operation.text)}) Tj ET`;
+    })
+    .join("\n");
+}
+
+/**
+ * Encode text as the inside of a PDF literal string, in WinAnsi bytes
+ */
+function pdfString(text) {
+  let result = "";
+  for (const char of String(text)) {
+    const code = winAnsiCode(char);
+    const byte = String.fromCharCode(code);
+    result += byte === "\\" || byte === "(" || byte === ")" ? `\\${byte}` : byte;
+  }
+  return result;
+}
+
+function winAnsiCode(char) {
+  if (WIN_ANSI[char]) return WIN_ANSI[char][0];
+  const code = char.codePointAt(0);
+  if ((code >= 0x20 && code <= 0x7e) || (code >= 0xa0 && code <= 0xff)) return code;
+  // Drop accents the encoding lacks (ł and ő have no decomposition)
+  const base = char.normalize("NFKD").replace(/[\u0300-\u036f]/g, "");
+  if (base && base !== char && [...base].every((c) => c.codePointAt(0) <= 0x7e)) {
+    return base.codePointAt(0);
+  }
+  return 0x3f;
+}
+
+function charWidth(char, font) {
+  const bold = font === "bold";
+  if (WIN_ANSI[char]) return WIN_ANSI[char][bold ? 2 : 1];
+  let code = winAnsiCode(char);
+  // Latin-1 letters are about as wide as their unaccented form
+  if (code >= 0xa0) {
+    const base = char.normalize("NFKD")[0].codePointAt(0);
+    code = base >= 0x20 && base <= 0x7e ? base : 0x6f;
+  }
+  return (bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS)[code - 32] ?? 556;
+}
+
+function n(value) {
+  return Number(value.toFixed(2));
+}
@@ -0,0 +1,79 @@
+/**
+ * Publications
+ * Papers, books and talks, each with its authors, where it appeared or was
+ * given (venue), a date, and a DOI and/or URL. Outputs show them as one
+ * citation string: authors (date). Title. Venue. link.
+ * @module publications
+ */
+
+import { formatDate } from "./dates.js";
+
+export const PUBLICATION_TYPES = ["article", "talk", "book"];
+
+// 10.<registrant>/<suffix>, the form DOIs are stored in
+const DOI_PATTERN = /^10\.\d{4,9}\/\S+$/;
+
+/**
+ * A DOI without the resolver or "doi:" prefix it is often copied with
+ * @param {string} value - "10.1000/xyz", "doi:10.1000/xyz" or
+ *   "https://doi.org/10.1000/xyz"
+ * @returns {string} "10.1000/xyz"; other text trimmed but unchanged
+ */
+export function normalizeDoi(value) {
+  return String(value || "")
+    .trim()
+    .replace(/^(?:doi:\s*|https?:\/\/(?:dx\.)?doi\.org\/)/i, "");
+}
+
+/**
+ * Check a DOI is in the stored form
+ * @param {string} value - DOI
+ * @returns {boolean} True for "10.<registrant>/<suffix>"
+ */
+export function isDoi(value) {
+  return DOI_PATTERN.test(value);
+}
+
+/**
+ * Where a publication can be read: its DOI resolved, or its URL
+ * @param {object} item - Publication
+ * @returns {string} URL; "" without either
+ */
+export function publicationLink(item) {
+  return item.doi ? `https://doi.org/${item.doi}` : item.url || "";
+}
+
+/**
+ * A publication as a citation: "Ada Lovelace and Charles Babbage (Mar 2024).
+ * Title. Venue. https://doi.org/…", with the authors joined and the date
+ * written in the CV's language
+ * @param {object} item - Publication
+ * @param {string} [locale] - Language code
+ * @param {object} [options] - { link }: end with the DOI or URL; turn off
+ *   for outputs that link it themselves
+ * @returns {string} Citation
+ */
+export function formatCitation(item, locale = "en", { link = true } = {}) {
+  const authors = new Intl.ListFormat(locale, { type: "conjunction", style: "long" }).format(item.authors || []);
+  const date = formatDate(item.date, locale);
+  const byline = [authors, date && `(${date})`].filter(Boolean).join(" ");
+  return [byline, item.title, item.venue]
+    .filter(Boolean)
+    .map((part) => (/[.!?]$/.test(part) ? part : `${part}.`))
+    .concat((link && publicationLink(item)) || [])
+    .join(" ");
+}
+
+/**
+ * Add a `citation` to every publication, for published data
+ * @param {object} data - CV data
+ * @param {object} [options] - { locale }: language of the citations
+ * @returns {object} CV data with citations
+ */
+export function withCitations(data, { locale = "en" } = {}) {
+  if (!Array.isArray(data.publications)) return data;
+  return {
+    ...data,
+    publications: data.publications.map((item) => ({ ...item, citation: formatCitation(item, locale) })),
+  };
+}
@@ -0,0 +1,241 @@
+/**
+ * Public data query parameters
+ * Narrows the CV served by /cv/data.json: ?sections=, ?type=, ?skill=,
+ * ?limit= and ?since=, after ?variant= and ?lang= pick the version of the
+ * CV. Invalid parameters throw QueryError, which the API reports as 400 (404
+ * for an unknown variant or language).
+ * @module query
+ */
+
+import { applyVariant, findVariant } from "./variants.js";
+import { localizeCv } from "./translations.js";
+import { monthSpan } from "./dates.js";
+
+// Sections that can be requested, with the maps that travel with them
+const SECTIONS = {
+  basics: [],
+  experience: ["companyTotals"],
+  projects: [],
+  skills: ["skillTypes", "skillTranslations", "skillTotals", "skillUsage"],
+  education: [],
+  certifications: [],
+  publications: [],
+  languages: [],
+  interests: ["interestTypes", "interestTranslations"],
+};
+
+// Section names, in display order
+export const SECTION_NAMES = Object.keys(SECTIONS);
+
+// Document-level fields kept whatever sections are requested
+const META_FIELDS = ["lang", "variant", "revision", "lastUpdated"];
+
+// Field holding the personal/work type of items, per array section
+const ITEM_TYPES = {
+  experience: "experienceType",
+  projects: "projectType",
+  education: "educationType",
+};
+
+// Parallel map holding the personal/work type of each category
+const CATEGORY_TYPES = {
+  skills: "skillTypes",
+  interests: "interestTypes",
+};
+
+// Array sections whose items have a date range
+const DATED_SECTIONS = ["experience", "projects", "education"];
+
+const TYPES = ["personal", "work"];
+
+/**
+ * A query parameter that can't be applied
+ */
+export class QueryError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "QueryError";
+    this.status = status;
+  }
+}
+
+/**
+ * Apply ?variant= and ?lang=
+ * @param {object} data - CV data
+ * @param {object} query - Request query ({ variant, lang })
+ * @param {string[]} languages - Configured content languages
+ * @param {object[]} [variants] - Variant definitions, for data that no
+ *   longer has them (publicView)
+ * @returns {object} The variant's selection, in the requested language
+ */
+export function applyView(data, query, languages, variants = data.variants) {
+  let result = data;
+
+  if (query.variant) {
+    const slug = String(query.variant);
+    const variant = findVariant({ variants }, slug);
+    if (!variant) {
+      throw new QueryError(`Unknown variant: ${slug}`, 404);
+    }
+    result = applyVariant(result, variant);
+  }
+
+  if (query.lang) {
+    const lang = String(query.lang);
+    if (!languages.includes(lang)) {
+      throw new QueryError(`Unknown language: ${lang}`, 404);
+    }
+    result = localizeCv(result, lang);
+  }
+
+  return result;
+}
+
+/**
+ * The sections a document shows, in order: as listed in ?sections=, or all
+ * of them in display order
+ * @param {object} query - Request query ({ sections })
+ * @returns {string[]} Section names
+ */
+export function sectionOrder(query = {}) {
+  if (query.sections === undefined) return SECTION_NAMES;
+  const sections = String(query.sections).split(",").map((section) => section.trim());
+  return [...new Set(sections.filter(Boolean))];
+}
+
+/**
+ * Apply query parameters to CV data
+ * @param {object} data - CV data
+ * @param {object} query - Request query ({ sections, type, skill, limit,
+ *   since })
+ * @returns {object} Filtered CV data
+ */
+export function applyQuery(data, query = {}) {
+  let result = data;
+
+  if (query.type !== undefined) {
+    const type = String(query.type);
+    if (!TYPES.includes(type)) {
+      throw new QueryError(`type must be one of: ${TYPES.join(", ")}`);
+    }
+    result = filterByType(result, type);
+  }
+
+  if (query.skill !== undefined) {
+    result = filterBySkill(result, String(query.skill));
+  }
+
+  if (query.since !== undefined) {
+    // Entries are compared by month; a full date counts as its month, a year
+    // as its January
+    const match = /^(\d{4})(?:-(0[1-9]|1[0-2])(-\d{2})?)?$/.exec(String(query.since));
+    if (!match) {
+      throw new QueryError("since must be a YYYY, YYYY-MM or YYYY-MM-DD date");
+    }
+    result = filterSince(result, `${match[1]}-${match[2] || "01"}`);
+  }
+
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 0) {
+      throw new QueryError("limit must be a non-negative integer");
+    }
+    result = limitItems(result, limit);
+  }
+
+  if (query.sections !== undefined) {
+    const sections = String(query.sections)
+      .split(",")
+      .map((section) => section.trim())
+      .filter(Boolean);
+    const unknown = sections.filter((section) => !(section in SECTIONS));
+    if (unknown.length > 0) {
+      throw new QueryError(`Unknown section: ${unknown.join(", ")}`);
+    }
+    result = pickSections(result, sections);
+  }
+
+  return result;
+}
+
+/**
+ * Keep only personal or only work entries and categories
+ */
+function filterByType(data, type) {
+  const result = { ...data };
+
+  for (const [section, field] of Object.entries(ITEM_TYPES)) {
+    if (!Array.isArray(data[section])) continue;
+    result[section] = data[section].filter((item) => (item[field] || "personal") === type);
+  }
+
+  for (const [section, typesField] of Object.entries(CATEGORY_TYPES)) {
+    const types = data[typesField] || {};
+    result[section] = Object.fromEntries(
+      Object.entries(data[section] || {}).filter(
+        ([category]) => (types[category] || "personal") === type,
+      ),
+    );
+  }
+
+  return result;
+}
+
+/**
+ * Keep the experience and projects a skill was used in, as listed in
+ * skillUsage; the skill's name is matched ignoring case. An unknown skill
+ * leaves both lists empty.
+ */
+function filterBySkill(data, name) {
+  const skill = Object.keys(data.skillUsage || {}).find((key) => key.toLowerCase() === name.toLowerCase());
+  const usage = data.skillUsage?.[skill] || { experience: [], projects: [] };
+  const result = { ...data };
+  for (const section of ["experience", "projects"]) {
+    if (!Array.isArray(data[section])) continue;
+    const ids = new Set(usage[section].map((item) => item.id));
+    result[section] = data[section].filter((item) => ids.has(item.id));
+  }
+  return result;
+}
+
+/**
+ * Keep dated entries that were still ongoing at or after a month
+ * Entries without an end date are current and always kept; an end date given
+ * as a year counts until December.
+ */
+function filterSince(data, month) {
+  const since = monthSpan(month).first;
+  const result = { ...data };
+  for (const section of DATED_SECTIONS) {
+    if (!Array.isArray(data[section])) continue;
+    result[section] = data[section].filter((item) => (monthSpan(item.endDate)?.last ?? Infinity) >= since);
+  }
+  return result;
+}
+
+/**
+ * Cap every array section at `limit` entries
+ */
+function limitItems(data, limit) {
+  const result = { ...data };
+  for (const section of Object.keys(SECTIONS)) {
+    if (Array.isArray(data[section])) result[section] = data[section].slice(0, limit);
+  }
+  return result;
+}
+
+/**
+ * Keep only the requested sections (and document metadata)
+ */
+function pickSections(data, sections) {
+  const result = {};
+  for (const field of META_FIELDS) {
+    if (field in data) result[field] = data[field];
+  }
+  for (const section of sections) {
+    for (const field of [section, ...SECTIONS[section]]) {
+      if (field in data) result[field] = data[field];
+    }
+  }
+  return result;
+}
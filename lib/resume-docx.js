@@ -0,0 +1,303 @@
+/**
+ * Word résumé
+ * Writes the CV as an Office Open XML document (.docx) meant to be edited
+ * further: headings use Word's built-in heading styles, highlights are a real
+ * bulleted list, and languages and skills are tables. Markdown emphasis and
+ * code become formatted runs.
+ * @module resume-docx
+ */
+
+import { inlineTokens } from "./markdown.js";
+import { writeZip } from "./zip.js";
+import { formatDateRange } from "./dates.js";
+import { formatCertificationDates, formatCredentialId } from "./certifications.js";
+import { formatCitation } from "./publications.js";
+
+const MAIN = "http://schemas.openxmlformats.org/wordprocessingml/2006/main";
+const RELATIONSHIPS = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+const PACKAGE_RELATIONSHIPS = "http://schemas.openxmlformats.org/package/2006/relationships";
+
+// Numbering instance of the highlights list (see numbering.xml below)
+const BULLETS = 1;
+
+/**
+ * Render the CV as a Word document
+ * @param {object} data - CV data, already filtered
+ * @param {object} options - { sections, labels, locale }: the sections to
+ *   include in order, the `cv` locale strings, and the language dates are
+ *   written in
+ * @returns {Buffer} .docx file
+ */
+export function renderResumeDocx(data, { sections, labels, locale = "en" }) {
+  const body = sections.flatMap((section) => SECTIONS[section]?.(data, labels, locale) || []);
+  const title = data.basics?.name || labels.title;
+
+  return writeZip([
+    { path: "[Content_Types].xml", data: CONTENT_TYPES },
+    { path: "_rels/.rels", data: PACKAGE_RELS },
+    { path: "docProps/core.xml", data: coreProperties(title, data.basics?.name) },
+    { path: "word/_rels/document.xml.rels", data: DOCUMENT_RELS },
+    { path: "word/styles.xml", data: STYLES },
+    { path: "word/numbering.xml", data: NUMBERING },
+    { path: "word/document.xml", data: documentXml(body) },
+  ]);
+}
+
+// --- Sections ---
+
+const SECTIONS = {
+  basics(data, labels) {
+    const basics = data.basics || {};
+    const result = [paragraph(basics.name || labels.title, { style: "Title" })];
+    if (basics.headline) result.push(paragraph(basics.headline, { style: "Subtitle" }));
+    const contact = [basics.location, basics.email, basics.phone, basics.website].filter(Boolean);
+    if (contact.length > 0) result.push(paragraph(contact.join("  ·  "), { style: "EntryMeta" }));
+    const profiles = (basics.profiles || []).map((profile) => `${profile.network}: ${profile.url}`);
+    if (profiles.length > 0) result.push(paragraph(profiles.join("  ·  "), { style: "EntryMeta" }));
+    if (basics.summary) result.push(...description(basics.summary));
+    return result;
+  },
+
+  experience(data, labels, locale) {
+    return entries(data.experience, labels.experience.title, (item) => [
+      paragraph(item.title, { style: "Heading2" }),
+      meta([item.company, item.location, formatDateRange(item, locale)]),
+      ...description(item.description),
+      ...(item.highlights || []).map((highlight) => markdownParagraph(highlight, { list: BULLETS })),
+    ]);
+  },
+
+  projects(data, labels, locale) {
+    return entries(data.projects, labels.projects.title, (item) => [
+      paragraph(item.name, { style: "Heading2" }),
+      meta([item.url, formatDateRange(item, locale)]),
+      ...description(item.description),
+      item.technologies?.length ? paragraph(item.technologies.join(", "), { style: "EntryMeta" }) : "",
+    ]);
+  },
+
+  education(data, labels, locale) {
+    return entries(data.education, labels.education.title, (item) => [
+      paragraph(item.degree || item.institution, { style: "Heading2" }),
+      meta([item.degree ? item.institution : "", item.location, formatDateRange(item, locale)]),
+      ...description(item.description),
+    ]);
+  },
+
+  certifications(data, labels, locale) {
+    return entries(data.certifications, labels.certifications.title, (item) => [
+      paragraph(item.name, { style: "Heading2" }),
+      meta([item.issuer, formatCertificationDates(item, locale), formatCredentialId(item, locale), item.url]),
+    ]);
+  },
+
+  publications(data, labels, locale) {
+    return entries(data.publications, labels.publications.title, (item) => [
+      paragraph(formatCitation(item, locale), { list: BULLETS }),
+    ]);
+  },
+
+  skills(data, labels) {
+    const rows = categoryRows(data.skills);
+    if (rows.length === 0) return [];
+    return [paragraph(labels.skills.title, { style: "Heading1" }), table(rows)];
+  },
+
+  languages(data, labels) {
+    if (!data.languages?.length) return [];
+    const rows = data.languages.map((item) => [item.name, labels.languages.levelOptions[item.level] || item.level]);
+    return [
+      paragraph(labels.languages.title, { style: "Heading1" }),
+      table(rows, [labels.languages.name, labels.languages.level]),
+    ];
+  },
+
+  interests(data, labels) {
+    const rows = categoryRows(data.interests);
+    if (rows.length === 0) return [];
+    return [
+      paragraph(labels.interests.title, { style: "Heading1" }),
+      ...rows.map(([category, items]) => paragraph([run(`${category}: `, { bold: true }), run(items)])),
+    ];
+  },
+};
+
+function entries(items, title, render) {
+  if (!items?.length) return [];
+  return [paragraph(title, { style: "Heading1" }), ...items.flatMap(render).filter(Boolean)];
+}
+
+function meta(parts) {
+  const text = parts.filter(Boolean).join("  ·  ");
+  return text ? paragraph(text, { style: "EntryMeta" }) : "";
+}
+
+function description(text) {
+  return String(text || "")
+    .split(/\r?\n\s*\r?\n/)
+    .filter((part) => part.trim())
+    .map((part) => markdownParagraph(part.trim()));
+}
+
+function categoryRows(groups) {
+  return Object.entries(groups || {})
+    .filter(([, items]) => items?.length)
+    .map(([category, items]) => [category, items.join(", ")]);
+}
+
+// --- WordprocessingML ---
+
+/**
+ * A paragraph of plain text, or of prepared runs
+ */
+function paragraph(content, { style, list } = {}) {
+  const properties =
+    (style ? `<w:pStyle w:val="${style}"/>` : "") +
+    (list ? `<w:pStyle w:val="ListBullet"/><w:numPr><w:ilvl w:val="0"/><w:numId w:val="${list}"/></w:numPr>` : "");
+  const runs = Array.isArray(content) ? content.join("") : run(content);
+  return `<w:p>${properties ? `<w:pPr>${properties}</w:pPr>` : ""}${runs}</w:p>`;
+}
+
+/**
+ * A paragraph from Markdown: strong, emphasis and code become formatting,
+ * links keep their text, single line breaks stay line breaks
+ */
+function markdownParagraph(text, options) {
+  const runs = [];
+  const depth = { strong: 0, em: 0, code: 0, a: 0 };
+  for (const token of inlineTokens(text)) {
+    if (token.open) depth[token.open]++;
+    else if (token.close) depth[token.close]--;
+    else runs.push(run(token.text, { bold: depth.strong > 0, italic: depth.em > 0, code: depth.code > 0 }));
+  }
+  return paragraph(runs, options);
+}
+
+function run(text, { bold, italic, code } = {}) {
+  const properties =
+    (code ? '<w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/>' : "") +
+    (bold ? "<w:b/>" : "") +
+    (italic ? "<w:i/>" : "");
+  const lines = String(text ?? "").split(/\r?\n/);
+  const content = lines.map((line) => `<w:t xml:space="preserve">${escapeXml(line)}</w:t>`).join("<w:br/>");
+  return `<w:r>${properties ? `<w:rPr>${properties}</w:rPr>` : ""}${content}</w:r>`;
+}
+
+/**
+ * A two-column table, the first column bold unless there is a header row
+ */
+function table(rows, header) {
+  const cell = (text, bold) =>
+    `<w:tc><w:tcPr><w:tcW w:w="0" w:type="auto"/></w:tcPr>${paragraph([run(text, { bold })])}</w:tc>`;
+  const headerRow = header
+    ? `<w:tr><w:trPr><w:tblHeader/></w:trPr>${header.map((text) => cell(text, true)).join("")}</w:tr>`
+    : "";
+  const bodyRows = rows.map(([first, second]) => `<w:tr>${cell(first, !header)}${cell(second, false)}</w:tr>`);
+  return (
+    `<w:tbl><w:tblPr><w:tblStyle w:val="TableGrid"/><w:tblW w:w="5000" w:type="pct"/></w:tblPr>` +
+    `<w:tblGrid><w:gridCol w:w="3000"/><w:gridCol w:w="6000"/></w:tblGrid>` +
+    headerRow +
+    bodyRows.join("") +
+    "</w:tbl>"
+  );
+}
+
+function documentXml(body) {
+  // A4 with 2 cm margins, in twentieths of a point
+  return (
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>` +
+    `<w:document xmlns:w="${MAIN}" xmlns:r="${RELATIONSHIPS}"><w:body>` +
+    body.join("") +
+    `<w:sectPr><w:pgSz w:w="11906" w:h="16838"/>` +
+    `<w:pgMar w:top="1134" w:right="1134" w:bottom="1134" w:left="1134" w:header="709" w:footer="709" w:gutter="0"/>` +
+    `</w:sectPr></w:body></w:document>`
+  );
+}
+
+function coreProperties(title, creator) {
+  return (
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>` +
+    `<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" ` +
+    `xmlns:dc="http://purl.org/dc/elements/1.1/">` +
+    `<dc:title>${escapeXml(title)}</dc:title>` +
+    (creator ? `<dc:creator>${escapeXml(creator)}</dc:creator>` : "") +
+    `</cp:coreProperties>`
+  );
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/[^\t\n\r\u0020-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;");
+}
+
+// --- Package parts that don't depend on the CV ---
+
+const CONTENT_TYPES =
+  `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>` +
+  `<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+  `<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>` +
+  `<Default Extension="xml" ContentType="application/xml"/>` +
+  `<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>` +
+  `<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>` +
+  `<Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/>` +
+  `<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>` +
+  `</Types>`;
+
+const PACKAGE_RELS =
+  `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>` +
+  `<Relationships xmlns="${PACKAGE_RELATIONSHIPS}">` +
+  `<Relationship Id="rId1" Type="${RELATIONSHIPS}/officeDocument" Target="word/document.xml"/>` +
+  `<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>` +
+  `</Relationships>`;
+
+const DOCUMENT_RELS =
+  `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>` +
+  `<Relationships xmlns="${PACKAGE_RELATIONSHIPS}">` +
+  `<Relationship Id="rId1" Type="${RELATIONSHIPS}/styles" Target="styles.xml"/>` +
+  `<Relationship Id="rId2" Type="${RELATIONSHIPS}/numbering" Target="numbering.xml"/>` +
+  `</Relationships>`;
+
+// Built-in style ids, so Word lists them as its own Title, Heading 1, …
+const STYLES =
+  `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>` +
+  `<w:styles xmlns:w="${MAIN}">` +
+  `<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri"/>` +
+  `<w:sz w:val="21"/></w:rPr></w:rPrDefault>` +
+  `<w:pPrDefault><w:pPr><w:spacing w:after="80" w:line="264" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>` +
+  `<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>` +
+  `<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>` +
+  `<w:pPr><w:spacing w:after="40"/></w:pPr><w:rPr><w:b/><w:sz w:val="44"/></w:rPr></w:style>` +
+  `<w:style w:type="paragraph" w:styleId="Subtitle"><w:name w:val="Subtitle"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>` +
+  `<w:rPr><w:color w:val="595959"/><w:sz w:val="26"/></w:rPr></w:style>` +
+  `<w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>` +
+  `<w:pPr><w:keepNext/><w:pBdr><w:bottom w:val="single" w:sz="4" w:space="1" w:color="A6A6A6"/></w:pBdr>` +
+  `<w:spacing w:before="360" w:after="120"/><w:outlineLvl w:val="0"/></w:pPr>` +
+  `<w:rPr><w:b/><w:sz w:val="28"/></w:rPr></w:style>` +
+  `<w:style w:type="paragraph" w:styleId="Heading2"><w:name w:val="heading 2"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>` +
+  `<w:pPr><w:keepNext/><w:spacing w:before="200" w:after="20"/><w:outlineLvl w:val="1"/></w:pPr>` +
+  `<w:rPr><w:b/><w:sz w:val="23"/></w:rPr></w:style>` +
+  `<w:style w:type="paragraph" w:customStyle="1" w:styleId="EntryMeta"><w:name w:val="Entry Details"/><w:basedOn w:val="Normal"/><w:qFormat/>` +
+  `<w:pPr><w:keepNext/></w:pPr><w:rPr><w:color w:val="666666"/><w:sz w:val="19"/></w:rPr></w:style>` +
+  `<w:style w:type="paragraph" w:styleId="ListBullet"><w:name w:val="List Bullet"/><w:basedOn w:val="Normal"/>` +
+  `<w:pPr><w:spacing w:after="40"/><w:ind w:left="360" w:hanging="360"/></w:pPr></w:style>` +
+  `<w:style w:type="table" w:styleId="TableGrid"><w:name w:val="Table Grid"/>` +
+  `<w:tblPr><w:tblBorders>` +
+  ["top", "left", "bottom", "right", "insideH", "insideV"]
+    .map((side) => `<w:${side} w:val="single" w:sz="4" w:space="0" w:color="BFBFBF"/>`)
+    .join("") +
+  `</w:tblBorders><w:tblCellMar><w:top w:w="40" w:type="dxa"/><w:left w:w="100" w:type="dxa"/>` +
+  `<w:bottom w:w="40" w:type="dxa"/><w:right w:w="100" w:type="dxa"/></w:tblCellMar></w:tblPr></w:style>` +
+  `</w:styles>`;
+
+const NUMBERING =
+  `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>` +
+  `<w:numbering xmlns:w="${MAIN}">` +
+  `<w:abstractNum w:abstractNumId="0"><w:multiLevelType w:val="singleLevel"/>` +
+  `<w:lvl w:ilvl="0"><w:start w:val="1"/><w:numFmt w:val="bullet"/><w:lvlText w:val="•"/><w:lvlJc w:val="left"/>` +
+  `<w:pPr><w:ind w:left="360" w:hanging="360"/></w:pPr></w:lvl></w:abstractNum>` +
+  `<w:num w:numId="${BULLETS}"><w:abstractNumId w:val="0"/></w:num>` +
+  `</w:numbering>`;
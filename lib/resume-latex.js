@@ -0,0 +1,234 @@
+/**
+ * LaTeX résumé
+ * Writes the CV as a moderncv document (classic style) to compile with
+ * pdflatex, or to keep editing by hand. Text is escaped for LaTeX, and
+ * Markdown emphasis, code and links become \textbf, \emph, \texttt and \href.
+ * @module resume-latex
+ */
+
+import { inlineTokens } from "./markdown.js";
+import { formatDate, formatDateRange } from "./dates.js";
+import { formatCredentialId, formatExpiry } from "./certifications.js";
+import { formatCitation, publicationLink } from "./publications.js";
+
+// Characters with a meaning in LaTeX, and how to typeset them literally
+const SPECIAL_CHARACTERS = {
+  "\\": "\\textbackslash{}",
+  "{": "\\{",
+  "}": "\\}",
+  $: "\\$",
+  "&": "\\&",
+  "#": "\\#",
+  "%": "\\%",
+  _: "\\_",
+  "~": "\\textasciitilde{}",
+  "^": "\\textasciicircum{}",
+  "<": "\\textless{}",
+  ">": "\\textgreater{}",
+  "`": "\\textasciigrave{}",
+};
+
+// Profile networks moderncv has an icon for (\social[network]{account})
+const SOCIAL_NETWORKS = ["github", "gitlab", "linkedin", "orcid", "researchgate", "stackoverflow", "twitter"];
+
+const MARKUP = { strong: "\\textbf{", em: "\\emph{", code: "\\texttt{" };
+
+/**
+ * Render the CV as moderncv LaTeX source
+ * @param {object} data - CV data, already filtered
+ * @param {object} options - { sections, labels, locale }: the sections to
+ *   include in order, the `cv` locale strings, and the language dates are
+ *   written in
+ * @returns {string} .tex file
+ */
+export function renderResumeLatex(data, { sections, labels, locale = "en" }) {
+  const basics = sections.includes("basics") ? data.basics || {} : {};
+  const body = sections
+    .filter((section) => section !== "basics")
+    .flatMap((section) => SECTIONS[section]?.(data, labels, locale) || []);
+
+  return [
+    "\\documentclass[11pt,a4paper,sans]{moderncv}",
+    "\\moderncvstyle{classic}",
+    "\\moderncvcolor{blue}",
+    "\\usepackage[utf8]{inputenc}",
+    "\\usepackage[T1]{fontenc}",
+    "\\usepackage[scale=0.8]{geometry}",
+    "",
+    ...personalData(basics),
+    "",
+    "\\begin{document}",
+    ...(basics.name ? ["\\makecvtitle", ""] : []),
+    ...(basics.summary ? [paragraphs(basics.summary, "\n\n"), ""] : []),
+    ...body,
+    "\\end{document}",
+    "",
+  ].join("\n");
+}
+
+/**
+ * Escape text for LaTeX
+ * @param {string} text - Plain text
+ * @returns {string} LaTeX source that typesets the text as-is
+ */
+export function escapeLatex(text) {
+  return String(text ?? "").replace(/[\\{}$&#%_~^<>`]/g, (char) => SPECIAL_CHARACTERS[char]);
+}
+
+function personalData(basics) {
+  // moderncv wants first and last names apart; the last word is the last name
+  const words = String(basics.name || "").trim().split(/\s+/).filter(Boolean);
+  const last = words.pop() || "";
+  const lines = [`\\name{${escapeLatex(words.join(" "))}}{${escapeLatex(last)}}`];
+
+  if (basics.headline) lines.push(`\\title{${escapeLatex(basics.headline)}}`);
+  if (basics.location) lines.push(`\\address{${escapeLatex(basics.location)}}{}{}`);
+  if (basics.phone) lines.push(`\\phone[mobile]{${escapeLatex(basics.phone)}}`);
+  if (basics.email) lines.push(`\\email{${escapeLatex(basics.email)}}`);
+  if (basics.website) lines.push(`\\homepage{${escapeLatex(basics.website.replace(/^https?:\/\//, ""))}}`);
+
+  for (const profile of basics.profiles || []) {
+    const network = String(profile.network || "").toLowerCase().replace(/\s+/g, "");
+    if (SOCIAL_NETWORKS.includes(network) && profile.username) {
+      lines.push(`\\social[${network}]{${escapeLatex(profile.username)}}`);
+    } else if (profile.url) {
+      lines.push(`\\extrainfo{${link(profile.url, profile.network || profile.url)}}`);
+    }
+  }
+
+  return lines;
+}
+
+const SECTIONS = {
+  experience(data, labels, locale) {
+    return section(labels.experience.title, data.experience, (item) =>
+      cventry(
+        dateRange(item, locale),
+        escapeLatex(item.title),
+        escapeLatex(item.company),
+        escapeLatex(item.location),
+        [paragraphs(item.description), list(item.highlights)],
+      ),
+    );
+  },
+
+  projects(data, labels, locale) {
+    return section(labels.projects.title, data.projects, (item) =>
+      cventry(dateRange(item, locale), escapeLatex(item.name), item.url ? link(item.url, item.url) : "", "", [
+        paragraphs(item.description),
+        item.technologies?.length ? `\\emph{${escapeLatex(item.technologies.join(", "))}}` : "",
+      ]),
+    );
+  },
+
+  education(data, labels, locale) {
+    return section(labels.education.title, data.education, (item) =>
+      cventry(
+        dateRange(item, locale),
+        escapeLatex(item.degree || item.institution),
+        escapeLatex(item.degree ? item.institution : ""),
+        escapeLatex(item.location),
+        [paragraphs(item.description)],
+      ),
+    );
+  },
+
+  skills(data, labels) {
+    return categories(labels.skills.title, data.skills);
+  },
+
+  certifications(data, labels, locale) {
+    return section(labels.certifications.title, data.certifications, (item) =>
+      cventry(
+        escapeLatex(formatDate(item.issueDate, locale)),
+        escapeLatex(item.name),
+        escapeLatex(item.issuer),
+        escapeLatex(formatExpiry(item, locale)),
+        [escapeLatex(formatCredentialId(item, locale)), item.url ? link(item.url, labels.certifications.verify) : ""],
+      ),
+    );
+  },
+
+  publications(data, labels, locale) {
+    return section(labels.publications.title, data.publications, (item) => {
+      const type = labels.publications.typeOptions[item.type] || "";
+      const url = publicationLink(item);
+      const citation = escapeLatex(formatCitation(item, locale, { link: false }));
+      return `\\cvitem{${escapeLatex(type)}}{${citation}${url ? ` ${link(url, url)}` : ""}}`;
+    });
+  },
+
+  languages(data, labels) {
+    return section(labels.languages.title, data.languages, (item) => {
+      const level = labels.languages.levelOptions[item.level] || item.level;
+      return `\\cvitemwithcomment{${escapeLatex(item.name)}}{${escapeLatex(level)}}{}`;
+    });
+  },
+
+  interests(data, labels) {
+    return categories(labels.interests.title, data.interests);
+  },
+};
+
+function section(title, items, render) {
+  if (!items?.length) return [];
+  return [`\\section{${escapeLatex(title)}}`, ...items.map(render), ""];
+}
+
+function categories(title, groups) {
+  const entries = Object.entries(groups || {}).filter(([, items]) => items?.length);
+  return section(title, entries, ([category, items]) =>
+    `\\cvitem{${escapeLatex(category)}}{${escapeLatex(items.join(", "))}}`,
+  );
+}
+
+/**
+ * \cventry{dates}{title}{organisation}{location}{grade}{description}, from
+ * arguments that are LaTeX already
+ */
+function cventry(dates, title, organisation, location, details) {
+  const description = details.filter(Boolean).join("\n");
+  return `\\cventry{${dates}}{${title}}{${organisation}}{${location}}{}{${description}}`;
+}
+
+function dateRange(item, locale) {
+  // "--" is LaTeX's en dash, and escapeLatex leaves it alone
+  return escapeLatex(formatDateRange(item, locale, { separator: "--" }));
+}
+
+/**
+ * Markdown paragraphs as LaTeX; within an entry they are separated by
+ * \newline, as moderncv's entry arguments can't hold blank lines
+ */
+function paragraphs(text, separator = "\\newline{}\n") {
+  return String(text || "")
+    .split(/\r?\n\s*\r?\n/)
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map(inline)
+    .join(separator);
+}
+
+function list(items) {
+  if (!items?.length) return "";
+  return ["\\begin{itemize}", ...items.map((item) => `\\item ${inline(item)}`), "\\end{itemize}"].join("\n");
+}
+
+function inline(markdown) {
+  return inlineTokens(markdown)
+    .map((token) => {
+      if (token.text !== undefined) return escapeLatex(token.text).replaceAll("\n", "\\newline{}\n");
+      if (token.open === "a") return `\\href{${escapeUrl(token.href)}}{`;
+      return token.open ? MARKUP[token.open] : "}";
+    })
+    .join("");
+}
+
+function link(url, text) {
+  return `\\href{${escapeUrl(url)}}{${escapeLatex(text)}}`;
+}
+
+// \href takes URLs nearly verbatim; only these would break the argument
+function escapeUrl(url) {
+  return String(url).replace(/[\\{}]/g, "").replace(/[%#]/g, "\\$&");
+}
@@ -0,0 +1,201 @@
+/**
+ * Markdown résumé
+ * Writes the CV as a CommonMark document for a README or a Git-hosted CV.
+ * Plain fields are escaped so names like "C#" or "*nix" stay literal, and
+ * descriptions are rewritten from their parsed form, so whatever the CV's
+ * own Markdown subset treats as text stays text here too.
+ * @module resume-markdown
+ */
+
+import { inlineTokens } from "./markdown.js";
+import { formatDateRange } from "./dates.js";
+import { formatCertificationDates, formatCredentialId } from "./certifications.js";
+import { formatCitation, publicationLink } from "./publications.js";
+
+const MARKUP = { strong: "**", em: "*" };
+
+/**
+ * Render the CV as Markdown
+ * @param {object} data - CV data, already filtered
+ * @param {object} options - { sections, labels, locale }: the sections to
+ *   include in order, the `cv` locale strings, and the language dates are
+ *   written in
+ * @returns {string} .md file
+ */
+export function renderResumeMarkdown(data, { sections, labels, locale = "en" }) {
+  const blocks = sections.flatMap((section) => SECTIONS[section]?.(data, labels, locale) || []);
+  return blocks.join("\n\n") + "\n";
+}
+
+/**
+ * Escape text so Markdown shows it as typed
+ * @param {string} text - Plain text
+ * @returns {string} Markdown source
+ */
+export function escapeMarkdown(text) {
+  return String(text ?? "")
+    .replace(/[\\`*_[\]<>|~&]/g, "\\$&")
+    .replace(/^(\s*)([#+-])/gm, "$1\\$2")
+    .replace(/^(\s*\d+)([.)])/gm, "$1\\$2");
+}
+
+const SECTIONS = {
+  basics(data, labels) {
+    const basics = data.basics || {};
+    const blocks = [`# ${escapeMarkdown(basics.name || labels.title)}`];
+    if (basics.headline) blocks.push(`**${escapeMarkdown(basics.headline)}**`);
+
+    const contact = [
+      escapeMarkdown(basics.location),
+      basics.email ? link(basics.email, `mailto:${basics.email}`) : "",
+      escapeMarkdown(basics.phone),
+      basics.website ? link(basics.website.replace(/^https?:\/\//, ""), basics.website) : "",
+    ].filter(Boolean);
+    if (contact.length > 0) blocks.push(contact.join(" · "));
+
+    const profiles = (basics.profiles || []).filter((profile) => profile.url);
+    if (profiles.length > 0) {
+      blocks.push(profiles.map((profile) => link(profile.network || profile.url, profile.url)).join(" · "));
+    }
+
+    if (basics.summary) blocks.push(...paragraphs(basics.summary));
+    return blocks;
+  },
+
+  experience(data, labels, locale) {
+    return section(labels.experience.title, data.experience, (item) => [
+      `### ${escapeMarkdown(item.title)}`,
+      meta([escapeMarkdown(item.company), escapeMarkdown(item.location), dateRange(item, locale)]),
+      ...paragraphs(item.description),
+      list(item.highlights),
+    ]);
+  },
+
+  projects(data, labels, locale) {
+    return section(labels.projects.title, data.projects, (item) => [
+      `### ${escapeMarkdown(item.name)}`,
+      meta([item.url ? link(item.url, item.url) : "", dateRange(item, locale)]),
+      ...paragraphs(item.description),
+      item.technologies?.length ? `*${escapeMarkdown(item.technologies.join(", "))}*` : "",
+    ]);
+  },
+
+  education(data, labels, locale) {
+    return section(labels.education.title, data.education, (item) => [
+      `### ${escapeMarkdown(item.degree || item.institution)}`,
+      meta([escapeMarkdown(item.degree ? item.institution : ""), escapeMarkdown(item.location), dateRange(item, locale)]),
+      ...paragraphs(item.description),
+    ]);
+  },
+
+  skills(data, labels) {
+    return categories(labels.skills.title, data.skills);
+  },
+
+  certifications(data, labels, locale) {
+    return section(labels.certifications.title, data.certifications, (item) => [
+      `### ${escapeMarkdown(item.name)}`,
+      meta([
+        escapeMarkdown(item.issuer),
+        escapeMarkdown(formatCertificationDates(item, locale)),
+        escapeMarkdown(formatCredentialId(item, locale)),
+        item.url ? link(labels.certifications.verify, item.url) : "",
+      ]),
+    ]);
+  },
+
+  publications(data, labels, locale) {
+    if (!data.publications?.length) return [];
+    const items = data.publications.map((item) => {
+      const url = publicationLink(item);
+      return `- ${escapeMarkdown(formatCitation(item, locale, { link: false }))}${url ? ` ${link(url, url)}` : ""}`;
+    });
+    return [`## ${escapeMarkdown(labels.publications.title)}`, items.join("\n")];
+  },
+
+  languages(data, labels) {
+    if (!data.languages?.length) return [];
+    const items = data.languages.map((item) => {
+      const level = labels.languages.levelOptions[item.level] || item.level;
+      return `- **${escapeMarkdown(item.name)}:** ${escapeMarkdown(level)}`;
+    });
+    return [`## ${escapeMarkdown(labels.languages.title)}`, items.join("\n")];
+  },
+
+  interests(data, labels) {
+    return categories(labels.interests.title, data.interests);
+  },
+};
+
+function section(title, items, render) {
+  if (!items?.length) return [];
+  return [`## ${escapeMarkdown(title)}`, ...items.flatMap(render).filter(Boolean)];
+}
+
+function categories(title, groups) {
+  const entries = Object.entries(groups || {}).filter(([, items]) => items?.length);
+  if (entries.length === 0) return [];
+  const items = entries.map(
+    ([category, names]) => `- **${escapeMarkdown(category)}:** ${escapeMarkdown(names.join(", "))}`,
+  );
+  return [`## ${escapeMarkdown(title)}`, items.join("\n")];
+}
+
+function meta(parts) {
+  const text = parts.filter(Boolean).join(" · ");
+  return text ? `*${text}*` : "";
+}
+
+function dateRange(item, locale) {
+  return escapeMarkdown(formatDateRange(item, locale));
+}
+
+function paragraphs(text) {
+  return String(text || "")
+    .split(/\r?\n\s*\r?\n/)
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map(inline);
+}
+
+function list(items) {
+  if (!items?.length) return "";
+  return items.map((item) => `- ${inline(item)}`).join("\n");
+}
+
+/**
+ * Rewrite the CV's Markdown from its tokens; single line breaks become hard
+ * breaks, as they are on the CV page
+ */
+function inline(markdown) {
+  let href;
+  return inlineTokens(markdown)
+    .map((token, index, tokens) => {
+      if (token.text !== undefined) {
+        return tokens[index - 1]?.open === "code" ? code(token.text) : escapeMarkdown(token.text).replaceAll("\n", "\\\n");
+      }
+      if (token.open === "a") {
+        href = token.href;
+        return "[";
+      }
+      if (token.close === "a") return `](${escapeUrl(href)})`;
+      return MARKUP[token.open || token.close] || "";
+    })
+    .join("");
+}
+
+function code(text) {
+  // A fence longer than any run of backticks inside; padded if it touches one
+  const longest = Math.max(0, ...(text.match(/`+/g) || []).map((run) => run.length));
+  const fence = "`".repeat(longest + 1);
+  const padding = text.startsWith("`") || text.endsWith("`") ? " " : "";
+  return `${fence}${padding}${text}${padding}${fence}`;
+}
+
+function link(text, url) {
+  return `[${escapeMarkdown(text)}](${escapeUrl(url)})`;
+}
+
+function escapeUrl(url) {
+  return String(url).replace(/[\s()<>]/g, (char) => encodeURIComponent(char));
+}
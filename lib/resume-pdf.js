@@ -0,0 +1,295 @@
+/**
+ * PDF résumé
+ * Lays the CV out on A4 pages with the PDF writer: sections in the order
+ * asked for, each entry kept from starting at the very bottom of a page, and
+ * page numbers in the footer. Descriptions are Markdown, printed as text.
+ * @module resume-pdf
+ */
+
+import { PAGE_WIDTH, PAGE_HEIGHT, measureText, wrapText, writePdf } from "./pdf.js";
+import { toPlainText } from "./markdown.js";
+import { formatDateRange } from "./dates.js";
+import { formatCertificationDates, formatCredentialId } from "./certifications.js";
+import { formatCitation } from "./publications.js";
+
+// Type sizes and spacing of each layout, in points
+export const LAYOUTS = {
+  // Roomy single column; dates under each title
+  classic: {
+    margin: 56,
+    name: 22,
+    headline: 12,
+    heading: 13,
+    title: 11,
+    body: 10,
+    meta: 9,
+    leading: 1.4,
+    sectionGap: 18,
+    entryGap: 10,
+    inlineDates: false,
+    uppercaseHeadings: false,
+  },
+  // Denser; dates right-aligned on the title line
+  compact: {
+    margin: 42,
+    name: 18,
+    headline: 10.5,
+    heading: 10,
+    title: 9.5,
+    body: 8.5,
+    meta: 8,
+    leading: 1.3,
+    sectionGap: 12,
+    entryGap: 6,
+    inlineDates: true,
+    uppercaseHeadings: true,
+  },
+};
+
+const GRAY = 0.4;
+
+/**
+ * Render the CV as a PDF
+ * @param {object} data - CV data, already filtered
+ * @param {object} options - { layout, sections, labels, locale }: a LAYOUTS
+ *   key, the sections to print in order, the `cv` locale strings, and the
+ *   language dates are written in
+ * @returns {Buffer} PDF file
+ */
+export function renderResumePdf(data, { layout = "classic", sections, labels, locale = "en" }) {
+  const style = LAYOUTS[layout] || LAYOUTS.classic;
+  const page = createPageFlow(style);
+
+  for (const section of sections) {
+    SECTIONS[section]?.(page, data, style, labels, locale);
+  }
+
+  const pages = page.finish();
+  const total = pages.length;
+  pages.forEach((operations, index) => {
+    const text = `${index + 1} / ${total}`;
+    operations.push({
+      type: "text",
+      text,
+      font: "regular",
+      size: style.meta,
+      gray: GRAY,
+      x: (PAGE_WIDTH - measureText(text, "regular", style.meta)) / 2,
+      y: style.margin / 2,
+    });
+  });
+
+  return writePdf(pages, { title: data.basics?.name || labels.title, author: data.basics?.name });
+}
+
+/**
+ * Top-to-bottom flow of text over as many pages as it needs
+ */
+function createPageFlow(style) {
+  const pages = [[]];
+  const width = PAGE_WIDTH - 2 * style.margin;
+  const bottom = style.margin;
+  let y = PAGE_HEIGHT - style.margin;
+
+  const flow = {
+    width,
+    left: style.margin,
+
+    /** Start a new page unless `height` more points fit on this one */
+    keep(height) {
+      if (y - height < bottom) {
+        pages.push([]);
+        y = PAGE_HEIGHT - style.margin;
+      }
+    },
+
+    space(height) {
+      y -= height;
+    },
+
+    /** Wrapped text; `indent` shifts it right, `bullet` hangs in the indent */
+    paragraph(text, { font = "regular", size = style.body, gray = 0, indent = 0, bullet } = {}) {
+      const lineHeight = size * style.leading;
+      const lines = wrapText(text, font, size, width - indent);
+      lines.forEach((line, index) => {
+        flow.keep(lineHeight);
+        y -= lineHeight;
+        if (bullet && index === 0) {
+          pages.at(-1).push({ type: "text", text: bullet, font, size, gray, x: style.margin + indent - size, y });
+        }
+        pages.at(-1).push({ type: "text", text: line, font, size, gray, x: style.margin + indent, y });
+      });
+    },
+
+    /** One line with text on the left and right (title and dates) */
+    split(leftText, rightText, { font = "bold", size = style.title } = {}) {
+      const lineHeight = size * style.leading;
+      const rightWidth = measureText(rightText, "regular", style.meta);
+      const [line] = wrapText(leftText, font, size, width - rightWidth - 12);
+      flow.keep(lineHeight);
+      y -= lineHeight;
+      pages.at(-1).push({ type: "text", text: line, font, size, x: style.margin, y });
+      pages.at(-1).push({
+        type: "text",
+        text: rightText,
+        font: "regular",
+        size: style.meta,
+        gray: GRAY,
+        x: style.margin + width - rightWidth,
+        y,
+      });
+    },
+
+    rule() {
+      y -= 3;
+      pages.at(-1).push({ type: "line", x1: style.margin, y1: y, x2: style.margin + width, y2: y, gray: 0.7 });
+      y -= 4;
+    },
+
+    finish() {
+      return pages;
+    },
+  };
+
+  return flow;
+}
+
+// --- Sections ---
+
+function heading(page, style, text) {
+  // A heading is never left alone at the bottom of a page
+  page.keep(style.heading * style.leading + 7 + style.title * style.leading * 3);
+  page.space(style.sectionGap);
+  page.paragraph(style.uppercaseHeadings ? text.toUpperCase() : text, {
+    font: "bold",
+    size: style.heading,
+  });
+  page.rule();
+}
+
+function entryTitle(page, style, locale, title, item) {
+  page.keep(style.title * style.leading * 3);
+  const dates = formatDateRange(item, locale);
+  if (style.inlineDates && dates) {
+    page.split(title, dates);
+  } else {
+    page.paragraph(title, { font: "bold", size: style.title });
+  }
+  return style.inlineDates ? "" : dates;
+}
+
+function description(page, style, text) {
+  for (const paragraph of toPlainText(text).split(/\n\s*\n/).filter((p) => p.trim())) {
+    page.paragraph(paragraph);
+  }
+}
+
+const SECTIONS = {
+  basics(page, data, style, labels) {
+    const basics = data.basics || {};
+    page.paragraph(basics.name || labels.title, { font: "bold", size: style.name });
+    if (basics.headline) page.paragraph(basics.headline, { size: style.headline, gray: GRAY });
+    const contact = [basics.location, basics.email, basics.phone, basics.website].filter(Boolean);
+    if (contact.length > 0) page.paragraph(contact.join("  ·  "), { size: style.meta });
+    const profiles = (basics.profiles || []).map((profile) => `${profile.network}: ${profile.url}`);
+    if (profiles.length > 0) page.paragraph(profiles.join("  ·  "), { size: style.meta, gray: GRAY });
+    if (basics.summary) {
+      page.space(style.entryGap / 2);
+      description(page, style, basics.summary);
+    }
+  },
+
+  experience(page, data, style, labels, locale) {
+    if (!data.experience?.length) return;
+    heading(page, style, labels.experience.title);
+    for (const item of data.experience) {
+      const dates = entryTitle(page, style, locale, item.title, item);
+      const meta = [item.company, item.location, dates].filter(Boolean).join("  ·  ");
+      if (meta) page.paragraph(meta, { size: style.meta, gray: GRAY });
+      if (item.description) description(page, style, item.description);
+      for (const highlight of item.highlights || []) {
+        page.paragraph(toPlainText(highlight), { indent: style.body * 1.2, bullet: "•" });
+      }
+      page.space(style.entryGap);
+    }
+  },
+
+  projects(page, data, style, labels, locale) {
+    if (!data.projects?.length) return;
+    heading(page, style, labels.projects.title);
+    for (const item of data.projects) {
+      const dates = entryTitle(page, style, locale, item.name, item);
+      const meta = [item.url, dates].filter(Boolean).join("  ·  ");
+      if (meta) page.paragraph(meta, { size: style.meta, gray: GRAY });
+      if (item.description) description(page, style, item.description);
+      if (item.technologies?.length) {
+        page.paragraph(item.technologies.join(", "), { font: "italic", size: style.meta });
+      }
+      page.space(style.entryGap);
+    }
+  },
+
+  education(page, data, style, labels, locale) {
+    if (!data.education?.length) return;
+    heading(page, style, labels.education.title);
+    for (const item of data.education) {
+      const dates = entryTitle(page, style, locale, item.degree || item.institution, item);
+      const meta = [item.degree ? item.institution : "", item.location, dates].filter(Boolean).join("  ·  ");
+      if (meta) page.paragraph(meta, { size: style.meta, gray: GRAY });
+      if (item.description) description(page, style, item.description);
+      page.space(style.entryGap);
+    }
+  },
+
+  skills(page, data, style, labels) {
+    categories(page, style, labels.skills.title, data.skills);
+  },
+
+  certifications(page, data, style, labels, locale) {
+    if (!data.certifications?.length) return;
+    heading(page, style, labels.certifications.title);
+    for (const item of data.certifications) {
+      page.keep(style.title * style.leading * 3);
+      page.paragraph(item.name, { font: "bold", size: style.title });
+      const meta = [item.issuer, formatCertificationDates(item, locale), formatCredentialId(item, locale), item.url]
+        .filter(Boolean)
+        .join("  ·  ");
+      if (meta) page.paragraph(meta, { size: style.meta, gray: GRAY });
+      page.space(style.entryGap);
+    }
+  },
+
+  publications(page, data, style, labels, locale) {
+    if (!data.publications?.length) return;
+    heading(page, style, labels.publications.title);
+    for (const item of data.publications) {
+      page.keep(style.body * style.leading * 2);
+      page.paragraph(formatCitation(item, locale));
+      page.space(style.entryGap);
+    }
+  },
+
+  interests(page, data, style, labels) {
+    categories(page, style, labels.interests.title, data.interests);
+  },
+
+  languages(page, data, style, labels) {
+    if (!data.languages?.length) return;
+    heading(page, style, labels.languages.title);
+    const list = data.languages.map(
+      (item) => `${item.name} (${labels.languages.levelOptions[item.level] || item.level})`,
+    );
+    page.paragraph(list.join(",  "));
+  },
+};
+
+function categories(page, style, title, groups) {
+  const entries = Object.entries(groups || {}).filter(([, items]) => items?.length);
+  if (entries.length === 0) return;
+  heading(page, style, title);
+  for (const [category, items] of entries) {
+    page.paragraph(category, { font: "bold", size: style.body });
+    page.paragraph(items.join(", "));
+    page.space(style.entryGap / 2);
+  }
+}
@@ -0,0 +1,76 @@
+/**
+ * Share links
+ * A share link hands someone (say, a recruiter) the fuller CV: public and
+ * private entries plus contact details, optionally limited to some sections.
+ * Its token is `<share id>.<expiry>.<signature>`, an HMAC over the id and
+ * expiry, so guessed or altered tokens are rejected before the database is
+ * asked and an expired token needs no lookup at all.
+ * @module shares
+ */
+
+import { createHmac, timingSafeEqual } from "node:crypto";
+
+import { filterVisibility, withoutInternalFields } from "./visibility.js";
+import { applyQuery, SECTION_NAMES } from "./query.js";
+
+export const SHARE_SECTIONS = SECTION_NAMES;
+
+// Expiry choices offered on the dashboard, in days
+export const SHARE_EXPIRY_DAYS = [7, 30, 90, 365];
+
+/**
+ * Secret the tokens are signed with: the `shareSecret` option, or Indiekit's
+ * own SECRET
+ * @param {object} application - Application instance
+ * @returns {string|undefined} Secret, if one is configured
+ */
+export function getShareSecret(application) {
+  return application.cvConfig?.shareSecret || process.env.SECRET || undefined;
+}
+
+/**
+ * Create the token for a share
+ * @param {object} share - { id, expiresAt }
+ * @param {string} secret - Signing secret
+ * @returns {string} Token
+ */
+export function signShareToken(share, secret) {
+  const payload = `${share.id}.${Math.floor(Date.parse(share.expiresAt) / 1000).toString(36)}`;
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+/**
+ * Check a token's signature and read it
+ * @param {string} token - Token from the URL
+ * @param {string} secret - Signing secret
+ * @returns {{id: string, expiresAt: Date}|null} Share id and expiry, or null
+ *   when the token is malformed or wasn't signed with this secret
+ */
+export function verifyShareToken(token, secret) {
+  const match = /^([\w-]+)\.([0-9a-z]+)\.([\w-]+)$/.exec(String(token));
+  if (!match) return null;
+
+  const [, id, expiry, signature] = match;
+  const expected = Buffer.from(sign(`${id}.${expiry}`, secret));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+    return null;
+  }
+  return { id, expiresAt: new Date(Number.parseInt(expiry, 36) * 1000) };
+}
+
+/**
+ * The CV as a share link shows it
+ * @param {object} data - CV data
+ * @param {object} share - Share, whose `sections` (if any) limit the output
+ * @returns {object} Public and private entries of the shared sections
+ */
+export function sharedView(data, share) {
+  const shared = withoutInternalFields(filterVisibility(data, ["public", "private"]));
+  if (!share.sections?.length) return shared;
+  return applyQuery(shared, { sections: share.sections.join(",") });
+}
+
+function sign(payload, secret) {
+  return createHmac("sha256", secret).update(payload).digest("base64url");
+}
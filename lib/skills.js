@@ -0,0 +1,121 @@
+/**
+ * Skill details
+ * Skills stay names grouped by category (`skills`). What is known about each
+ * one is kept in the parallel `skillDetails` map, keyed by skill name: a
+ * proficiency level, years of experience, when it was last used, and the ids
+ * of the experience and project entries it was used in. Projects also count
+ * for every skill their technologies name (ignoring case), without being
+ * listed.
+ * @module skills
+ */
+
+import { parseDate } from "./dates.js";
+
+export const SKILL_LEVELS = ["beginner", "intermediate", "advanced", "expert"];
+
+/**
+ * Every skill name, once, in category order
+ * @param {object} data - CV data
+ * @returns {string[]} Skill names
+ */
+export function skillNames(data) {
+  const skills = data.skills && typeof data.skills === "object" ? data.skills : {};
+  return [...new Set(Object.values(skills).flat())];
+}
+
+/**
+ * The experience and project entries each skill was used in: those linked by
+ * hand, and projects whose technologies include the skill
+ * @param {object} data - CV data
+ * @returns {Map<string, {experience: object[], projects: object[]}>} Entries
+ *   per skill name, in category order
+ */
+export function skillLinks(data) {
+  const details = data.skillDetails || {};
+  const links = new Map();
+  for (const skill of skillNames(data)) {
+    const linked = details[skill] || {};
+    links.set(skill, {
+      experience: (data.experience || []).filter((item) => linked.experience?.includes(item.id)),
+      projects: (data.projects || []).filter(
+        (item) => linked.projects?.includes(item.id) || usesTechnology(item, skill),
+      ),
+    });
+  }
+  return links;
+}
+
+/**
+ * Check whether a project counts for a skill through its technologies
+ * @param {object} project - Project entry
+ * @param {string} skill - Skill name
+ * @returns {boolean} True if a technology names the skill
+ */
+export function usesTechnology(project, skill) {
+  const name = skill.toLowerCase();
+  return (project.technologies || []).some((technology) => technology.toLowerCase() === name);
+}
+
+/**
+ * Clean up skill details before they are stored: unknown levels and
+ * negative years are dropped, lastUsed is normalized like entry dates, links
+ * only point at entries that exist, and skills no longer listed lose their
+ * details
+ * @param {object} details - Submitted or stored skillDetails
+ * @param {object} data - CV data the details belong to (skills, experience,
+ *   projects)
+ * @returns {object} skillDetails
+ */
+export function normalizeSkillDetails(details, data) {
+  const names = new Set(skillNames(data));
+  const ids = (section) => new Set((data[section] || []).map((item) => item.id));
+  const experienceIds = ids("experience");
+  const projectIds = ids("projects");
+
+  const result = {};
+  for (const [skill, detail] of Object.entries(details || {})) {
+    if (!names.has(skill) || !detail || typeof detail !== "object") continue;
+    const years = Number(detail.years);
+    const lastUsed = parseDate(detail.lastUsed);
+    const normalized = {
+      level: SKILL_LEVELS.includes(detail.level) ? detail.level : null,
+      years: detail.years !== null && detail.years !== "" && Number.isFinite(years) && years >= 0 ? years : null,
+      lastUsed: lastUsed === undefined ? detail.lastUsed : lastUsed,
+      experience: [detail.experience || []].flat().filter((id) => experienceIds.has(id)),
+      projects: [detail.projects || []].flat().filter((id) => projectIds.has(id)),
+    };
+    const empty =
+      !normalized.level &&
+      normalized.years === null &&
+      !normalized.lastUsed &&
+      normalized.experience.length === 0 &&
+      normalized.projects.length === 0;
+    if (!empty) result[skill] = normalized;
+  }
+  return result;
+}
+
+/**
+ * Swap skillDetails for skillUsage in published data: per skill, its level,
+ * years and last-used date, and the entries it was used in by id and title,
+ * so "where did I use Rust?" is `skillUsage.Rust`
+ * @param {object} data - CV data, after visibility and variant filtering
+ * @returns {object} CV data with skillUsage
+ */
+export function withSkillUsage(data) {
+  const { skillDetails = {}, ...result } = data;
+  if (!data.skills || typeof data.skills !== "object") return result;
+
+  result.skillUsage = {};
+  for (const [skill, { experience, projects }] of skillLinks(data)) {
+    const { level = null, years = null, lastUsed = null } = skillDetails[skill] || {};
+    result.skillUsage[skill] = {
+      level,
+      years,
+      lastUsed,
+      experience: experience.map((item) => ({ id: item.id, title: item.title, company: item.company })),
+      projects: projects.map((item) => ({ id: item.id, name: item.name })),
+    };
+  }
+  return result;
+}
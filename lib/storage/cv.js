@@ -1,12 +1,45 @@
 /**
  * CV data storage
- * Single MongoDB document with five collections:
- * experience, projects, skills, education, languages, interests
+ * Single MongoDB document with the person (basics) and eight sections:
+ * experience, projects, skills, education, certifications, publications,
+ * languages, interests, plus the named variants that select from them
  * @module storage/cv
  */
 
-import { writeFileSync, mkdirSync } from "node:fs";
-import { join } from "node:path";
+import { randomUUID } from "node:crypto";
+import { readFileSync, writeFileSync, mkdirSync, unlinkSync } from "node:fs";
+import { basename, join } from "node:path";
+
+import { addHistorySnapshot, getHistorySnapshot } from "./history.js";
+import { toJsonLd } from "../jsonld.js";
+import { applyVariant, selectAll, slugify } from "../variants.js";
+import { compactTranslation, getLanguageSettings, localizeCv } from "../translations.js";
+import { publicView } from "../visibility.js";
+import { withHtml } from "../markdown.js";
+import { DATED_SECTIONS, sortByDate, withTimeline } from "../timeline.js";
+import { DATE_FIELDS, isNormalizedDate, parseDate, withIsoDates } from "../dates.js";
+import { normalizeSkillDetails, skillNames, withSkillUsage } from "../skills.js";
+import { withCitations } from "../publications.js";
+
+// Array sections whose items are addressed by a persistent id
+const ITEM_SECTIONS = ["experience", "projects", "education", "certifications", "publications", "languages"];
+
+/**
+ * Thrown when a write was made against an outdated revision of the CV, i.e.
+ * the document changed between the page being opened (or read) and the save
+ */
+export class RevisionConflictError extends Error {
+  /**
+   * @param {number} expected - Revision the write was based on
+   * @param {number} [current] - Revision currently stored, if known
+   */
+  constructor(expected, current) {
+    super(`CV changed since revision ${expected}`);
+    this.name = "RevisionConflictError";
+    this.expected = expected;
+    this.current = current;
+  }
+}
 
 /**
  * Get collection reference
@@ -30,6 +63,9 @@ export async function getCvData(application) {
 
 /**
  * Save full CV data
+ * The write only succeeds if the stored document is still at `data.revision`
+ * (the revision the data was read from); otherwise a concurrent save got there
+ * first and RevisionConflictError is thrown instead of overwriting it.
  * @param {object} application - Application instance
  * @param {object} data - CV data object
  * @returns {Promise<object>} Saved document
@@ -37,21 +73,58 @@ export async function getCvData(application) {
 export async function saveCvData(application, data) {
   const collection = getCollection(application);
   const now = new Date().toISOString();
+  const revision = data.revision || 0;
+  const experience = orderedItems(data, "experience");
+  const projects = orderedItems(data, "projects");
+  const skills = data.skills || {};
 
   const document = {
     _id: "cv",
-    experience: data.experience || [],
-    projects: data.projects || [],
-    skills: data.skills || {},
+    basics: normalizeBasics(data.basics),
+    experience,
+    projects,
+    skills,
     skillTypes: data.skillTypes || {},
-    education: data.education || [],
-    languages: data.languages || [],
+    skillTranslations: data.skillTranslations || {},
+    skillVisibility: data.skillVisibility || {},
+    // Links to entries are checked against the entries as saved
+    skillDetails: normalizeSkillDetails(data.skillDetails, { skills, experience, projects }),
+    education: orderedItems(data, "education"),
+    certifications: orderedItems(data, "certifications"),
+    publications: orderedItems(data, "publications"),
+    languages: withItemIds(data.languages),
     interests: migrateInterests(data.interests, data.interestTypes),
     interestTypes: migrateInterestTypes(data.interests, data.interestTypes),
+    interestTranslations: data.interestTranslations || {},
+    interestVisibility: data.interestVisibility || {},
+    variants: withItemIds(data.variants),
+    sortByDate: data.sortByDate || {},
+    hideExpiredCertifications: data.hideExpiredCertifications === true,
+    revision: revision + 1,
     lastUpdated: now,
   };
 
-  await collection.replaceOne({ _id: "cv" }, document, { upsert: true });
+  // Documents saved before revisions existed have no revision field
+  const filter = { _id: "cv", revision: revision || { $in: [0, null] } };
+  let result;
+  try {
+    result = await collection.replaceOne(filter, document, { upsert: revision === 0 });
+  } catch (error) {
+    // Upserting a first revision when a document already exists hits the _id index
+    if (error.code === 11000) throw new RevisionConflictError(revision);
+    throw error;
+  }
+  if (result.matchedCount === 0 && !result.upsertedCount) {
+    throw new RevisionConflictError(revision);
+  }
+
+  // Keep the saved state in the revision history. The save itself has already
+  // succeeded, so a history failure is logged rather than thrown.
+  try {
+    await addHistorySnapshot(application, document);
+  } catch (error) {
+    console.error("[CV] History snapshot error:", error);
+  }
 
   // Write JSON file for Eleventy to pick up
   writeCvFile(application, document);
@@ -59,34 +132,323 @@ export async function saveCvData(application, data) {
   return document;
 }
 
+/**
+ * Restore the CV to an earlier revision
+ * Saves the snapshot's data as a new revision (so the restore itself can be
+ * undone), which also rewrites the Eleventy data file.
+ * @param {object} application - Application instance
+ * @param {number} snapshotRevision - Revision to restore
+ * @param {number} [revision] - Revision the change was made against
+ * @returns {Promise<object>} Saved document
+ */
+export async function restoreCvRevision(application, snapshotRevision, revision) {
+  const snapshot = await getHistorySnapshot(application, snapshotRevision);
+  if (!snapshot) {
+    throw new Error(`No CV revision ${snapshotRevision} in history`);
+  }
+  const data = await getCvDataForUpdate(application, revision);
+  return saveCvData(application, { ...snapshot.data, revision: data.revision });
+}
+
 /**
  * Get default empty CV data
  * @returns {object} Empty CV structure
  */
 export function getDefaultCvData() {
   return {
+    basics: normalizeBasics(),
     experience: [],
     projects: [],
     skills: {},
     skillTypes: {},
+    skillTranslations: {},
+    skillVisibility: {},
+    skillDetails: {},
     education: [],
+    certifications: [],
+    publications: [],
     languages: [],
     interests: {},
     interestTypes: {},
+    interestTranslations: {},
+    interestVisibility: {},
+    variants: [],
+    sortByDate: {},
+    hideExpiredCertifications: false,
+    revision: 0,
     lastUpdated: null,
   };
 }
 
+/**
+ * Read the CV for a read-modify-write, checking it is still at the revision
+ * the change was made against
+ * @param {object} application - Application instance
+ * @param {number} [revision] - Revision the user saw; omit to skip the check
+ * @returns {Promise<object>} CV data
+ */
+async function getCvDataForUpdate(application, revision) {
+  const data = (await getCvData(application)) || getDefaultCvData();
+  const current = data.revision || 0;
+  if (revision !== undefined && revision !== current) {
+    throw new RevisionConflictError(revision, current);
+  }
+  return data;
+}
+
+// --- Basics (the person the CV is about) ---
+
+/**
+ * Fill in the basics block, giving every profile link a persistent id
+ * @param {object} [basics] - Stored or submitted basics
+ * @returns {object} { name, headline, summary, location, email, phone,
+ *   contactVisibility, website, profiles }
+ */
+function normalizeBasics(basics = {}) {
+  return {
+    name: basics.name || "",
+    headline: basics.headline || "",
+    summary: basics.summary || "",
+    location: basics.location || "",
+    email: basics.email || "",
+    phone: basics.phone || "",
+    contactVisibility: basics.contactVisibility || "public",
+    website: basics.website || "",
+    profiles: withItemIds(basics.profiles),
+  };
+}
+
+/**
+ * Update the basics fields, keeping the profile links as they are
+ * @param {object} application - Application instance
+ * @param {object} basics - name, headline, summary, location, email, phone,
+ *   contactVisibility, website
+ * @param {number} [revision] - Revision the change was made against
+ */
+export async function updateBasics(application, basics, revision) {
+  const data = await getCvDataForUpdate(application, revision);
+  const { profiles } = normalizeBasics(data.basics);
+  data.basics = { ...basics, profiles };
+  return saveCvData(application, data);
+}
+
+/**
+ * Add a profile link (GitHub, LinkedIn, Mastodon, …)
+ * @param {object} application - Application instance
+ * @param {object} profile - { network, username, url }
+ * @param {number} [revision] - Revision the change was made against
+ */
+export async function addProfile(application, profile, revision) {
+  const data = await getCvDataForUpdate(application, revision);
+  data.basics = normalizeBasics(data.basics);
+  data.basics.profiles.push(profile);
+  return saveCvData(application, data);
+}
+
+/**
+ * Update a profile link by id
+ * @param {object} application - Application instance
+ * @param {string} id - Id of the profile to update
+ * @param {object} profile - Updated profile data
+ * @param {number} [revision] - Revision the change was made against
+ */
+export async function updateProfile(application, id, profile, revision) {
+  const data = await getCvDataForUpdate(application, revision);
+  data.basics = normalizeBasics(data.basics);
+  const index = findItemIndex(data.basics, "profiles", id);
+  if (index === -1) {
+    throw new Error(`No profile with id ${id}`);
+  }
+  data.basics.profiles[index] = { ...profile, id };
+  return saveCvData(application, data);
+}
+
+/**
+ * Remove a profile link by id
+ * @param {object} application - Application instance
+ * @param {string} id - Id of the profile to remove
+ * @param {number} [revision] - Revision the change was made against
+ */
+export async function removeProfile(application, id, revision) {
+  const data = await getCvDataForUpdate(application, revision);
+  data.basics = normalizeBasics(data.basics);
+  const index = findItemIndex(data.basics, "profiles", id);
+  if (index !== -1) {
+    data.basics.profiles.splice(index, 1);
+  }
+  return saveCvData(application, data);
+}
+
+/**
+ * Move a profile link up or down
+ * @param {object} application - Application instance
+ * @param {string} id - Id of the profile to move
+ * @param {string} direction - "up" or "down"
+ * @param {number} [revision] - Revision the change was made against
+ */
+export async function moveProfile(application, id, direction, revision) {
+  const data = await getCvDataForUpdate(application, revision);
+  data.basics = normalizeBasics(data.basics);
+  const profiles = data.basics.profiles;
+  const index = findItemIndex(data.basics, "profiles", id);
+  const targetIndex = direction === "up" ? index - 1 : index + 1;
+  if (index === -1 || targetIndex < 0 || targetIndex >= profiles.length) return data;
+
+  [profiles[index], profiles[targetIndex]] = [profiles[targetIndex], profiles[index]];
+  return saveCvData(application, data);
+}
+
+// --- Variants (tailored selections of the CV) ---
+
+/**
+ * Add a variant, initially including everything in the CV
+ * @param {object} application - Application instance
+ * @param {object} variant - { name, slug }
+ * @param {number} [revision] - Revision the change was made against
+ */
+export async function addVariant(application, variant, revision) {
+  const data = await getCvDataForUpdate(application, revision);
+  data.variants = withItemIds(data.variants);
+  data.variants.push({ ...variant, sections: selectAll(data) });
+  return saveCvData(application, data);
+}
+
+/**
+ * Update a variant's name, slug and selection by id
+ * @param {object} application - Application instance
+ * @param {string} id - Id of the variant to update
+ * @param {object} variant - { name, slug, sections }
+ * @param {number} [revision] - Revision the change was made against
+ */
+export async function updateVariant(application, id, variant, revision) {
+  const data = await getCvDataForUpdate(application, revision);
+  const index = findItemIndex(data, "variants", id);
+  if (index === -1) {
+    throw new Error(`No variant with id ${id}`);
+  }
+  data.variants[index] = { ...variant, id };
+  return saveCvData(application, data);
+}
+
+/**
+ * Keep variant selections pointing at a category after it is renamed
+ * (variants reference categories by name)
+ * @param {object} data - CV data object
+ * @param {string} section - "skills" or "interests"
+ * @param {string} oldCategory - Previous category name
+ * @param {string} newCategory - New category name
+ */
+function renameInVariants(data, section, oldCategory, newCategory) {
+  for (const variant of data.variants || []) {
+    const selected = variant.sections?.[section];
+    if (!Array.isArray(selected)) continue;
+    variant.sections[section] = selected.map((category) =>
+      category === oldCategory ? newCategory : category,
+    );
+  }
+}
+
+/**
+ * Move a key of a category map (types, translations) to a renamed category
+ */
+function renameKey(map, oldKey, newKey) {
+  if (!map || !(oldKey in map)) return;
+  map[newKey] = map[oldKey];
+  delete map[oldKey];
+}
+
+// --- Translations ---
+
+/**
+ * Set the translation of an item's translatable fields into one language
+ * Empty fields are left out so they fall back to the default language.
+ * @param {object} application - Application instance
+ * @param {string} section - Section name (experience, projects, education)
+ * @param {string} id - Id of the item to translate
+ * @param {string} lang - Language code
+ * @param {object} fields - Translated fields (title, description, highlights, …)
+ * @param {number} [revision] - Revision the change was made against
+ */
+export async function translateInSection(application, section, id, lang, fields, revision) {
+  const data = await getCvDataForUpdate(application, revision);
+  const index = findItemIndex(data, section, id);
+  if (index === -1) {
+    throw new Error(`No ${section} item with id ${id}`);
+  }
+  const item = data[section][index];
+  const translations = { ...item.translations, [lang]: compactTranslation(fields) };
+  if (Object.keys(translations[lang]).length === 0) delete translations[lang];
+  data[section][index] = { ...item, translations };
+  return saveCvData(application, data);
+}
+
+/**
+ * Set the name of a skill or interest category in one language
+ * @param {object} application - Application instance
+ * @param {string} section - "skills" or "interests"
+ * @param {string} category - Category name (in the default language)
+ * @param {string} lang - Language code
+ * @param {string} name - Translated name; empty to remove the translation
+ * @param {number} [revision] - Revision the change was made against
+ */
+export async function translateCategory(application, section, category, lang, name, revision) {
+  const data = await getCvDataForUpdate(application, revision);
+  const field = section === "skills" ? "skillTranslations" : "interestTranslations";
+  if (!data[section] || !(category in data[section])) {
+    throw new Error(`No ${section} category ${category}`);
+  }
+  const translations = { ...data[field]?.[category] };
+  if (name) {
+    translations[lang] = name;
+  } else {
+    delete translations[lang];
+  }
+  data[field] = { ...data[field], [category]: translations };
+  return saveCvData(application, data);
+}
+
+// --- Item id helpers ---
+
+/**
+ * Give every item in an array section a persistent id
+ * Items keep their id across edits and reorders, so routes can address them
+ * without depending on array position.
+ * @param {Array} items - Section items
+ * @returns {Array} Items, each with an `id`
+ */
+function withItemIds(items) {
+  if (!Array.isArray(items)) return [];
+  return items.map((item) => {
+    if (item.id) return item;
+    const { id, ...rest } = item;
+    return { id: randomUUID(), ...rest };
+  });
+}
+
+/**
+ * Check whether a stored document still has items without ids
+ * (documents saved before ids were introduced)
+ * @param {object} data - CV data object
+ * @returns {boolean} True if any array section item lacks an id
+ */
+export function hasMissingItemIds(data) {
+  return ITEM_SECTIONS.some(
+    (section) => Array.isArray(data[section]) && data[section].some((item) => !item.id),
+  );
+}
+
 // --- Section-level helpers ---
 
 /**
  * Add an item to a CV array section
  * @param {object} application - Application instance
- * @param {string} section - Section name (experience, projects, education, languages)
+ * @param {string} section - Section name (experience, projects, education,
+ *   certifications, publications, languages)
  * @param {object} item - Item to add
+ * @param {number} [revision] - Revision the change was made against
  */
-export async function addToSection(application, section, item) {
-  const data = (await getCvData(application)) || getDefaultCvData();
+export async function addToSection(application, section, item, revision) {
+  const data = await getCvDataForUpdate(application, revision);
   if (!Array.isArray(data[section])) {
     data[section] = [];
   }
@@ -95,29 +457,36 @@ export async function addToSection(application, section, item) {
 }
 
 /**
- * Update an item in a CV array section by index
+ * Update an item in a CV array section by id
  * @param {object} application - Application instance
  * @param {string} section - Section name
- * @param {number} index - Index to update
+ * @param {string} id - Id of the item to update
  * @param {object} item - Updated item data
+ * @param {number} [revision] - Revision the change was made against
  */
-export async function updateInSection(application, section, index, item) {
-  const data = (await getCvData(application)) || getDefaultCvData();
-  if (Array.isArray(data[section]) && index >= 0 && index < data[section].length) {
-    data[section][index] = item;
+export async function updateInSection(application, section, id, item, revision) {
+  const data = await getCvDataForUpdate(application, revision);
+  const index = findItemIndex(data, section, id);
+  if (index === -1) {
+    throw new Error(`No ${section} item with id ${id}`);
   }
+  // Translations are edited on their own and survive edits of the entry
+  const { translations } = data[section][index];
+  data[section][index] = translations ? { ...item, translations, id } : { ...item, id };
   return saveCvData(application, data);
 }
 
 /**
- * Remove an item from a CV array section by index
+ * Remove an item from a CV array section by id
  * @param {object} application - Application instance
  * @param {string} section - Section name
- * @param {number} index - Index to remove
+ * @param {string} id - Id of the item to remove
+ * @param {number} [revision] - Revision the change was made against
  */
-export async function removeFromSection(application, section, index) {
-  const data = (await getCvData(application)) || getDefaultCvData();
-  if (Array.isArray(data[section]) && index >= 0 && index < data[section].length) {
+export async function removeFromSection(application, section, id, revision) {
+  const data = await getCvDataForUpdate(application, revision);
+  const index = findItemIndex(data, section, id);
+  if (index !== -1) {
     data[section].splice(index, 1);
   }
   return saveCvData(application, data);
@@ -127,13 +496,15 @@ export async function removeFromSection(application, section, index) {
  * Move an item up or down in a CV array section
  * @param {object} application - Application instance
  * @param {string} section - Section name
- * @param {number} index - Current index
+ * @param {string} id - Id of the item to move
  * @param {string} direction - "up" or "down"
+ * @param {number} [revision] - Revision the change was made against
  */
-export async function moveInSection(application, section, index, direction) {
-  const data = (await getCvData(application)) || getDefaultCvData();
+export async function moveInSection(application, section, id, direction, revision) {
+  const data = await getCvDataForUpdate(application, revision);
   const arr = data[section];
-  if (!Array.isArray(arr)) return data;
+  const index = findItemIndex(data, section, id);
+  if (index === -1) return data;
 
   const targetIndex = direction === "up" ? index - 1 : index + 1;
   if (targetIndex < 0 || targetIndex >= arr.length) return data;
@@ -143,15 +514,98 @@ export async function moveInSection(application, section, index, direction) {
   return saveCvData(application, data);
 }
 
+/**
+ * Keep a dated section in date order, or order it by hand (up/down, drag and
+ * drop); the stored order is what every output uses
+ * @param {object} application - Application instance
+ * @param {string} section - experience, projects or education
+ * @param {boolean} enabled - Sort by date on every save
+ * @param {number} [revision] - Revision the change was made against
+ */
+export async function setSortByDate(application, section, enabled, revision) {
+  if (!DATED_SECTIONS.includes(section)) {
+    throw new Error(`${section} has no dates to sort by`);
+  }
+  const data = await getCvDataForUpdate(application, revision);
+  data.sortByDate = { ...data.sortByDate, [section]: enabled };
+  return saveCvData(application, data);
+}
+
+/**
+ * Publish expired certifications, or leave them out of the public CV (they
+ * stay on the dashboard either way)
+ * @param {object} application - Application instance
+ * @param {boolean} enabled - Hide expired certifications
+ * @param {number} [revision] - Revision the change was made against
+ */
+export async function setHideExpiredCertifications(application, enabled, revision) {
+  const data = await getCvDataForUpdate(application, revision);
+  data.hideExpiredCertifications = enabled;
+  return saveCvData(application, data);
+}
+
+/**
+ * A dated section's items with ids and normalized dates, sorted by date if
+ * the section is set to be
+ */
+function orderedItems(data, section) {
+  const items = withItemIds(data[section]).map((item) => {
+    const dates = DATE_FIELDS.filter((field) => field in item && !isNormalizedDate(item[field]));
+    return dates.length ? { ...item, ...Object.fromEntries(dates.map((field) => [field, toStoredDate(item[field])])) } : item;
+  });
+  return data.sortByDate?.[section] ? sortByDate(items) : items;
+}
+
+/**
+ * A date as stored: { value, precision, circa }, or null. Text that isn't a
+ * date is kept as it is rather than lost.
+ */
+function toStoredDate(value) {
+  const date = parseDate(value);
+  return date === undefined ? value : date;
+}
+
+/**
+ * Check whether a stored document still has dates as strings ("2020-01"),
+ * as saved before dates had a precision
+ * @param {object} data - CV data object
+ * @returns {boolean} True if any date can be converted to the stored form
+ */
+export function hasStringDates(data) {
+  return DATED_SECTIONS.some(
+    (section) =>
+      Array.isArray(data[section]) &&
+      data[section].some((item) =>
+        DATE_FIELDS.some(
+          (field) => typeof item[field] === "string" && toStoredDate(item[field]) !== item[field],
+        ),
+      ),
+  );
+}
+
+/**
+ * Find the position of an item in an array section
+ * @param {object} data - CV data object
+ * @param {string} section - Section name
+ * @param {string} id - Item id
+ * @returns {number} Index, or -1 if the section or item doesn't exist
+ */
+function findItemIndex(data, section, id) {
+  if (!Array.isArray(data[section])) return -1;
+  return data[section].findIndex((item) => item.id === id);
+}
+
 /**
  * Add a skill category
  * @param {object} application - Application instance
  * @param {string} category - Category name
  * @param {string[]} items - Skills in this category
- * @param {string} skillType - Type of skill (personal or work)
+ * @param {object} [options] - { skillType, visibility, revision }: personal
+ *   or work, public, private or draft, and the revision the change was made
+ *   against
  */
-export async function addSkillCategory(application, category, items, skillType) {
-  const data = (await getCvData(application)) || getDefaultCvData();
+export async function addSkillCategory(application, category, items, { skillType, visibility, revision } = {}) {
+  const data = await getCvDataForUpdate(application, revision);
   if (typeof data.skills !== "object" || Array.isArray(data.skills)) {
     data.skills = {};
   }
@@ -160,6 +614,24 @@ export async function addSkillCategory(application, category, items, skillType)
   }
   data.skills[category] = items;
   data.skillTypes[category] = skillType || "personal";
+  data.skillVisibility = { ...data.skillVisibility, [category]: visibility || "public" };
+  return saveCvData(application, data);
+}
+
+/**
+ * Set what is known about one skill: level, years, last use and the entries
+ * it was used in
+ * @param {object} application - Application instance
+ * @param {string} skill - Skill name, as listed in a category
+ * @param {object} details - { level, years, lastUsed, experience, projects }
+ * @param {number} [revision] - Revision the change was made against
+ */
+export async function setSkillDetails(application, skill, details, revision) {
+  const data = await getCvDataForUpdate(application, revision);
+  if (!skillNames(data).includes(skill)) {
+    throw new Error(`No skill named ${skill}`);
+  }
+  data.skillDetails = { ...data.skillDetails, [skill]: details };
   return saveCvData(application, data);
 }
 
@@ -169,10 +641,17 @@ export async function addSkillCategory(application, category, items, skillType)
  * @param {string} oldCategory - Current category name
  * @param {string} newCategory - New category name
  * @param {string[]} items - Updated skills list
- * @param {string} skillType - Type of skill (personal or work)
+ * @param {object} [options] - { skillType, visibility, revision }, as for
+ *   addSkillCategory
  */
-export async function editSkillCategory(application, oldCategory, newCategory, items, skillType) {
-  const data = (await getCvData(application)) || getDefaultCvData();
+export async function editSkillCategory(
+  application,
+  oldCategory,
+  newCategory,
+  items,
+  { skillType, visibility, revision } = {},
+) {
+  const data = await getCvDataForUpdate(application, revision);
   if (typeof data.skills !== "object" || Array.isArray(data.skills)) {
     data.skills = {};
   }
@@ -186,8 +665,14 @@ export async function editSkillCategory(application, oldCategory, newCategory, i
   if (oldCategory !== newCategory && data.skillTypes[oldCategory]) {
     delete data.skillTypes[oldCategory];
   }
+  if (oldCategory !== newCategory) {
+    renameInVariants(data, "skills", oldCategory, newCategory);
+    renameKey(data.skillTranslations, oldCategory, newCategory);
+    if (data.skillVisibility) delete data.skillVisibility[oldCategory];
+  }
   data.skills[newCategory] = items;
   data.skillTypes[newCategory] = skillType || "personal";
+  data.skillVisibility = { ...data.skillVisibility, [newCategory]: visibility || "public" };
   return saveCvData(application, data);
 }
 
@@ -195,15 +680,22 @@ export async function editSkillCategory(application, oldCategory, newCategory, i
  * Remove a skill category
  * @param {object} application - Application instance
  * @param {string} category - Category name to remove
+ * @param {number} [revision] - Revision the change was made against
  */
-export async function removeSkillCategory(application, category) {
-  const data = (await getCvData(application)) || getDefaultCvData();
+export async function removeSkillCategory(application, category, revision) {
+  const data = await getCvDataForUpdate(application, revision);
   if (data.skills && data.skills[category]) {
     delete data.skills[category];
   }
   if (data.skillTypes && data.skillTypes[category]) {
     delete data.skillTypes[category];
   }
+  if (data.skillTranslations) {
+    delete data.skillTranslations[category];
+  }
+  if (data.skillVisibility) {
+    delete data.skillVisibility[category];
+  }
   return saveCvData(application, data);
 }
 
@@ -240,9 +732,10 @@ function reorderObjectKey(obj, key, direction) {
  * @param {object} application - Application instance
  * @param {string} category - Category name to move
  * @param {string} direction - "up" or "down"
+ * @param {number} [revision] - Revision the change was made against
  */
-export async function moveSkillCategoryOrder(application, category, direction) {
-  const data = (await getCvData(application)) || getDefaultCvData();
+export async function moveSkillCategoryOrder(application, category, direction, revision) {
+  const data = await getCvDataForUpdate(application, revision);
   data.skills = reorderObjectKey(data.skills || {}, category, direction);
   data.skillTypes = reorderObjectKey(data.skillTypes || {}, category, direction);
   return saveCvData(application, data);
@@ -253,9 +746,10 @@ export async function moveSkillCategoryOrder(application, category, direction) {
  * @param {object} application - Application instance
  * @param {string} category - Category name to move
  * @param {string} direction - "up" or "down"
+ * @param {number} [revision] - Revision the change was made against
  */
-export async function moveInterestCategoryOrder(application, category, direction) {
-  const data = (await getCvData(application)) || getDefaultCvData();
+export async function moveInterestCategoryOrder(application, category, direction, revision) {
+  const data = await getCvDataForUpdate(application, revision);
   data.interests = reorderObjectKey(data.interests || {}, category, direction);
   data.interestTypes = reorderObjectKey(data.interestTypes || {}, category, direction);
   return saveCvData(application, data);
@@ -327,10 +821,12 @@ function migrateInterestTypes(interests, interestTypes) {
  * @param {object} application - Application instance
  * @param {string} category - Category name
  * @param {string[]} items - Interests in this category
- * @param {string} interestType - Type of interest (personal or work)
+ * @param {object} [options] - { interestType, visibility, revision }: personal
+ *   or work, public, private or draft, and the revision the change was made
+ *   against
  */
-export async function addInterestCategory(application, category, items, interestType) {
-  const data = (await getCvData(application)) || getDefaultCvData();
+export async function addInterestCategory(application, category, items, { interestType, visibility, revision } = {}) {
+  const data = await getCvDataForUpdate(application, revision);
   if (typeof data.interests !== "object" || Array.isArray(data.interests)) {
     data.interests = {};
   }
@@ -339,6 +835,7 @@ export async function addInterestCategory(application, category, items, interest
   }
   data.interests[category] = items;
   data.interestTypes[category] = interestType || "personal";
+  data.interestVisibility = { ...data.interestVisibility, [category]: visibility || "public" };
   return saveCvData(application, data);
 }
 
@@ -348,10 +845,17 @@ export async function addInterestCategory(application, category, items, interest
  * @param {string} oldCategory - Current category name
  * @param {string} newCategory - New category name
  * @param {string[]} items - Updated interests list
- * @param {string} interestType - Type of interest (personal or work)
+ * @param {object} [options] - { interestType, visibility, revision }, as for
+ *   addInterestCategory
  */
-export async function editInterestCategory(application, oldCategory, newCategory, items, interestType) {
-  const data = (await getCvData(application)) || getDefaultCvData();
+export async function editInterestCategory(
+  application,
+  oldCategory,
+  newCategory,
+  items,
+  { interestType, visibility, revision } = {},
+) {
+  const data = await getCvDataForUpdate(application, revision);
   if (typeof data.interests !== "object" || Array.isArray(data.interests)) {
     data.interests = {};
   }
@@ -365,8 +869,14 @@ export async function editInterestCategory(application, oldCategory, newCategory
   if (oldCategory !== newCategory && data.interestTypes[oldCategory]) {
     delete data.interestTypes[oldCategory];
   }
+  if (oldCategory !== newCategory) {
+    renameInVariants(data, "interests", oldCategory, newCategory);
+    renameKey(data.interestTranslations, oldCategory, newCategory);
+    if (data.interestVisibility) delete data.interestVisibility[oldCategory];
+  }
   data.interests[newCategory] = items;
   data.interestTypes[newCategory] = interestType || "personal";
+  data.interestVisibility = { ...data.interestVisibility, [newCategory]: visibility || "public" };
   return saveCvData(application, data);
 }
 
@@ -374,21 +884,36 @@ export async function editInterestCategory(application, oldCategory, newCategory
  * Remove an interest category
  * @param {object} application - Application instance
  * @param {string} category - Category name to remove
+ * @param {number} [revision] - Revision the change was made against
  */
-export async function removeInterestCategory(application, category) {
-  const data = (await getCvData(application)) || getDefaultCvData();
+export async function removeInterestCategory(application, category, revision) {
+  const data = await getCvDataForUpdate(application, revision);
   if (data.interests && data.interests[category]) {
     delete data.interests[category];
   }
   if (data.interestTypes && data.interestTypes[category]) {
     delete data.interestTypes[category];
   }
+  if (data.interestTranslations) {
+    delete data.interestTranslations[category];
+  }
+  if (data.interestVisibility) {
+    delete data.interestVisibility[category];
+  }
   return saveCvData(application, data);
 }
 
 /**
  * Write CV data to JSON file in content directory
- * This triggers an Eleventy rebuild via the file watcher.
+ * This triggers an Eleventy rebuild via the file watcher. Only public entries
+ * are written (see lib/visibility.js). A schema.org
+ * JSON-LD rendering of the same data is written next to it as cv.jsonld, each
+ * variant with a valid slug as cv-<slug>.json and each additional content
+ * language as cv.<lang>.json. The variant and language files are recorded in a manifest
+ * ({contentDir}/.indiekit/cv-files.json), so the ones a later write no
+ * longer produces can be deleted without touching the site's own files in
+ * _data/. The JSON files carry the timeline fields (lib/timeline.js),
+ * with ongoing durations as of the time of writing.
  *
  * Path: {contentDir}/_data/cv.json — the v2 location matching this plugin's
  * declared block contract (lib/blocks.js: data.source:"file", file:"cv.json")
@@ -409,8 +934,92 @@ export function writeCvFile(application, data) {
     // Directory may already exist
   }
 
-  // Write data (excluding MongoDB-specific fields)
-  const { _id, ...fileData } = data;
-  writeFileSync(filePath, JSON.stringify(fileData, null, 2));
+  // Write data (excluding MongoDB-specific fields, private entries and drafts)
+  const { _id, ...stored } = data;
+  const fileData = publicView(stored);
+  const { defaultLanguage, languages } = getLanguageSettings(application);
+  const published = (cv, locale = defaultLanguage) => {
+    const model = withHtml(withSkillUsage(withCitations(withTimeline(cv, { locale }), { locale })));
+    return JSON.stringify(withIsoDates(model), null, 2);
+  };
+  writeFileSync(filePath, published(fileData));
+  writeFileSync(join(dataDir, "cv.jsonld"), JSON.stringify(toJsonLd(fileData), null, 2));
+
+  const manifest = readManifest(contentDir);
+
+  const variantFiles = new Set();
+  for (const variant of stored.variants || []) {
+    // The variants form makes slugs file-safe; skip one that reached storage
+    // some other way (an older import, a restored revision) rather than
+    // writing outside _data/
+    if (!isSlug(variant.slug)) continue;
+    const variantFile = `cv-${variant.slug}.json`;
+    writeFileSync(join(dataDir, variantFile), published(applyVariant(fileData, variant)));
+    variantFiles.add(variantFile);
+  }
+  const previousVariantFiles = Array.isArray(manifest.variants) ? manifest.variants.filter(isVariantFile) : [];
+  removeGeneratedFiles(dataDir, previousVariantFiles, variantFiles);
+  manifest.variants = [...variantFiles];
+
+  const languageFiles = new Set();
+  for (const lang of languages.filter((lang) => lang !== defaultLanguage)) {
+    const languageFile = `cv.${lang}.json`;
+    writeFileSync(join(dataDir, languageFile), published(localizeCv(fileData, lang), lang));
+    languageFiles.add(languageFile);
+  }
+  removeGeneratedFiles(dataDir, manifest.languages, languageFiles);
+  manifest.languages = [...languageFiles];
+
+  writeManifest(contentDir, manifest);
+
   console.log(`[CV] Wrote data to ${filePath}`);
 }
+
+function isSlug(value) {
+  return typeof value === "string" && value !== "" && slugify(value) === value;
+}
+
+function isVariantFile(file) {
+  const match = /^cv-(.*)\.json$/.exec(file);
+  return Boolean(match) && isSlug(match[1]);
+}
+
+/**
+ * The files in _data/ earlier writes generated, by kind
+ * @param {string} contentDir - Content directory
+ * @returns {object} { variants: string[], languages: string[] }; empty
+ *   before the first write
+ */
+function readManifest(contentDir) {
+  try {
+    const manifest = JSON.parse(readFileSync(join(contentDir, ".indiekit", "cv-files.json"), "utf8"));
+    return manifest && typeof manifest === "object" ? manifest : {};
+  } catch {
+    return {};
+  }
+}
+
+function writeManifest(contentDir, manifest) {
+  const dir = join(contentDir, ".indiekit");
+  mkdirSync(dir, { recursive: true });
+  writeFileSync(join(dir, "cv-files.json"), JSON.stringify(manifest, null, 2));
+}
+
+/**
+ * Delete files an earlier write generated that this one didn't, e.g. the
+ * file of a renamed or deleted variant, or of a language no longer configured
+ * @param {string} dataDir - Eleventy data directory
+ * @param {string[]} [previous] - Files the manifest lists
+ * @param {Set<string>} keep - Files that are still current
+ */
+function removeGeneratedFiles(dataDir, previous, keep) {
+  for (const file of Array.isArray(previous) ? previous : []) {
+    // Plain file names only: the manifest can't point outside _data/
+    if (typeof file !== "string" || file !== basename(file) || keep.has(file)) continue;
+    try {
+      unlinkSync(join(dataDir, file));
+    } catch {
+      // Already gone
+    }
+  }
+}
@@ -0,0 +1,62 @@
+/**
+ * CV revision history storage
+ * One snapshot document per saved revision of the CV, in the cvDataHistory
+ * collection: { revision, savedAt, data }
+ * @module storage/history
+ */
+
+const DEFAULT_HISTORY_LIMIT = 50;
+
+/**
+ * Get collection reference
+ * @param {object} application - Application instance
+ * @returns {Collection} MongoDB collection
+ */
+function getCollection(application) {
+  const db = application.getCvDb();
+  return db.collection("cvDataHistory");
+}
+
+/**
+ * Record a saved CV document as a history snapshot, dropping snapshots
+ * beyond the configured limit (cvConfig.historyLimit, default 50)
+ * @param {object} application - Application instance
+ * @param {object} document - CV document as just saved
+ */
+export async function addHistorySnapshot(application, document) {
+  const collection = getCollection(application);
+  const { _id, ...data } = document;
+
+  await collection.insertOne({
+    revision: document.revision,
+    savedAt: document.lastUpdated,
+    data,
+  });
+
+  const limit = application.cvConfig?.historyLimit || DEFAULT_HISTORY_LIMIT;
+  await collection.deleteMany({ revision: { $lte: document.revision - limit } });
+}
+
+/**
+ * List history snapshots, newest first (without their data)
+ * @param {object} application - Application instance
+ * @returns {Promise<Array<{revision: number, savedAt: string}>>} Snapshots
+ */
+export async function listHistory(application) {
+  const collection = getCollection(application);
+  return collection
+    .find({}, { projection: { data: 0 } })
+    .sort({ revision: -1 })
+    .toArray();
+}
+
+/**
+ * Get a single history snapshot
+ * @param {object} application - Application instance
+ * @param {number} revision - Revision number
+ * @returns {Promise<object|null>} Snapshot with its data, or null
+ */
+export async function getHistorySnapshot(application, revision) {
+  const collection = getCollection(application);
+  return collection.findOne({ revision });
+}
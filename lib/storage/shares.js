@@ -0,0 +1,88 @@
+/**
+ * Share link storage
+ * One document per share link in the cvShares collection:
+ * { id, label, sections, createdAt, expiresAt, revokedAt, lastAccessedAt }
+ * Kept outside the CV document so that visits don't create revisions.
+ * @module storage/shares
+ */
+
+import { randomUUID } from "node:crypto";
+
+/**
+ * Get collection reference
+ * @param {object} application - Application instance
+ * @returns {Collection} MongoDB collection
+ */
+function getCollection(application) {
+  const db = application.getCvDb();
+  return db.collection("cvShares");
+}
+
+/**
+ * Create a share link
+ * @param {object} application - Application instance
+ * @param {object} share - { label, sections, expiresAt }
+ * @returns {Promise<object>} Stored share
+ */
+export async function addShare(application, { label, sections, expiresAt }) {
+  const share = {
+    id: randomUUID(),
+    label,
+    sections,
+    createdAt: new Date().toISOString(),
+    // Whole seconds, as signed into the token
+    expiresAt: new Date(Math.floor(Date.parse(expiresAt) / 1000) * 1000).toISOString(),
+    revokedAt: null,
+    lastAccessedAt: null,
+  };
+  await getCollection(application).insertOne(share);
+  return share;
+}
+
+/**
+ * List share links, newest first
+ * @param {object} application - Application instance
+ * @returns {Promise<Array<object>>} Shares
+ */
+export async function listShares(application) {
+  return getCollection(application)
+    .find({}, { projection: { _id: 0 } })
+    .sort({ createdAt: -1 })
+    .toArray();
+}
+
+/**
+ * Get a share link by id
+ * @param {object} application - Application instance
+ * @param {string} id - Share id
+ * @returns {Promise<object|null>} Share, or null
+ */
+export async function getShare(application, id) {
+  return getCollection(application).findOne({ id });
+}
+
+/**
+ * Revoke a share link; it stays listed, but no longer opens
+ * @param {object} application - Application instance
+ * @param {string} id - Share id
+ * @returns {Promise<boolean>} Whether a live share was revoked
+ */
+export async function revokeShare(application, id) {
+  const result = await getCollection(application).updateOne(
+    { id, revokedAt: null },
+    { $set: { revokedAt: new Date().toISOString() } },
+  );
+  return result.matchedCount > 0;
+}
+
+/**
+ * Note that a share link was just opened
+ * @param {object} application - Application instance
+ * @param {string} id - Share id
+ */
+export async function recordShareAccess(application, id) {
+  await getCollection(application).updateOne(
+    { id },
+    { $set: { lastAccessedAt: new Date().toISOString() } },
+  );
+}
@@ -0,0 +1,157 @@
+import { formatDateRange, monthSpan } from "./dates.js";
+import { skillLinks } from "./skills.js";
+import { formatCertificationDates, isExpired } from "./certifications.js";
+
+/**
+ * Timeline fields
+ * Derived values for dated entries, so consumers of the published data don't
+ * each parse dates: the dates as localized text, how long an entry lasted, in
+ * months and as localized text, whether it is current, and the total time per
+ * company and per skill, and for certifications, whether they have expired.
+ * Also the date order the dashboard can keep sections in.
+ * @module timeline
+ */
+
+// Array sections whose entries have a start/end date range
+export const DATED_SECTIONS = ["experience", "projects", "education"];
+
+/**
+ * Add dateRange, durationMonths, duration and isCurrent to every dated entry,
+ * dateRange and isExpired to every certification, and companyTotals
+ * (experience) and skillTotals (skills, from the experience and projects they
+ * were used in)
+ * @param {object} data - CV data
+ * @param {object} [options] - { locale, now }: language of the date and
+ *   duration text, and the date ongoing entries run until
+ * @returns {object} CV data with the derived fields
+ */
+export function withTimeline(data, { locale = "en", now = new Date() } = {}) {
+  const current = now.getUTCFullYear() * 12 + now.getUTCMonth();
+  const result = { ...data };
+
+  for (const section of DATED_SECTIONS) {
+    if (!Array.isArray(data[section])) continue;
+    result[section] = data[section].map((item) => {
+      const period = entryPeriod(item, current);
+      const months = period ? period.end - period.start + 1 : null;
+      return {
+        ...item,
+        dateRange: formatDateRange(item, locale),
+        durationMonths: months,
+        duration: months ? formatDuration(months, locale) : "",
+        isCurrent: Boolean(period) && !item.endDate,
+      };
+    });
+  }
+
+  if (Array.isArray(data.certifications)) {
+    result.certifications = data.certifications.map((item) => ({
+      ...item,
+      dateRange: formatCertificationDates(item, locale, now),
+      isExpired: isExpired(item, now),
+    }));
+  }
+
+  if (Array.isArray(data.experience)) {
+    result.companyTotals = totals(data.experience, (item) => [item.company], current, locale);
+  }
+  if (data.skills && typeof data.skills === "object") {
+    const skillsOf = new Map();
+    for (const [skill, { experience, projects }] of skillLinks(data)) {
+      for (const item of [...experience, ...projects]) skillsOf.set(item, [...(skillsOf.get(item) || []), skill]);
+    }
+    result.skillTotals = totals([...skillsOf.keys()], (item) => skillsOf.get(item), current, locale);
+  }
+
+  return result;
+}
+
+/**
+ * A number of months as text, e.g. "2 years, 3 months" or "2 ans et 3 mois"
+ * @param {number} months - Whole months
+ * @param {string} [locale] - Language code
+ * @returns {string} Duration
+ */
+export function formatDuration(months, locale = "en") {
+  const years = Math.floor(months / 12);
+  const rest = months % 12;
+  const unit = (value, name) =>
+    new Intl.NumberFormat(locale, { style: "unit", unit: name, unitDisplay: "long" }).format(value);
+
+  const parts = [];
+  if (years > 0) parts.push(unit(years, "year"));
+  if (rest > 0 || years === 0) parts.push(unit(rest, "month"));
+  return new Intl.ListFormat(locale, { type: "unit", style: "long" }).format(parts);
+}
+
+/**
+ * Entries in date order: current ones first, then by end date and start
+ * date, newest first; undated entries keep their order at the end
+ * @param {object[]} items - Section entries
+ * @returns {object[]} Sorted copy
+ */
+export function sortByDate(items) {
+  const key = (item) => {
+    const start = monthSpan(item.startDate)?.first;
+    if (start === undefined) return [-Infinity, -Infinity];
+    return [item.endDate ? (monthSpan(item.endDate)?.last ?? start) : Infinity, start];
+  };
+  return items.toSorted((a, b) => {
+    const [aEnd, aStart] = key(a);
+    const [bEnd, bStart] = key(b);
+    return bEnd - aEnd || bStart - aStart;
+  });
+}
+
+/**
+ * Months an entry covers, as indexes (year × 12 + month - 1); a year-only
+ * start counts from January, a year-only end until December
+ * @returns {{start: number, end: number}|undefined} Inclusive range, ending
+ *   with the current month for ongoing entries; undefined without a valid
+ *   start, or if it hasn't started yet
+ */
+function entryPeriod(item, current) {
+  const start = monthSpan(item.startDate)?.first;
+  if (start === undefined) return;
+  const end = item.endDate ? monthSpan(item.endDate)?.last : current;
+  if (end === undefined || end < start) return;
+  return { start, end };
+}
+
+/**
+ * Total time per name across entries, counting overlapping entries once
+ * @param {object[]} items - Dated entries
+ * @param {Function} namesOf - Names an entry counts towards
+ * @returns {object} { [name]: { months, years, duration } } in order of first
+ *   appearance
+ */
+function totals(items, namesOf, current, locale) {
+  const periods = new Map();
+  for (const item of items) {
+    const period = entryPeriod(item, current);
+    if (!period) continue;
+    for (const name of namesOf(item)) {
+      if (!name) continue;
+      periods.set(name, [...(periods.get(name) || []), period]);
+    }
+  }
+
+  const result = {};
+  for (const [name, ranges] of periods) {
+    const months = countMonths(ranges);
+    result[name] = { months, years: Math.round((months / 12) * 10) / 10, duration: formatDuration(months, locale) };
+  }
+  return result;
+}
+
+function countMonths(ranges) {
+  let months = 0;
+  let covered = -Infinity;
+  for (const { start, end } of ranges.toSorted((a, b) => a.start - b.start)) {
+    if (end > covered) {
+      months += end - Math.max(start, covered + 1) + 1;
+      covered = end;
+    }
+  }
+  return months;
+}
@@ -0,0 +1,126 @@
+/**
+ * Content translations
+ * Entries are written in the default language. Translations sit next to the
+ * original text: per item in `translations[lang]`, and for category names in
+ * the skillTranslations/interestTranslations maps ({ category: { lang: name } }).
+ * Localizing overlays one language and falls back to the default text for
+ * every field that has no translation, and for a category name whose
+ * translation is already another category's name in that language.
+ * @module translations
+ */
+
+// Item fields that can be translated, per array section
+export const TRANSLATABLE_FIELDS = {
+  experience: ["title", "description", "highlights"],
+  projects: ["description"],
+  education: ["degree", "description"],
+};
+
+// Category sections, with their type map and their name-translation map
+export const CATEGORY_SECTIONS = {
+  skills: { types: "skillTypes", translations: "skillTranslations" },
+  interests: { types: "interestTypes", translations: "interestTranslations" },
+};
+
+/**
+ * Content languages configured for the plugin
+ * @param {object} application - Application instance
+ * @returns {{defaultLanguage: string, languages: string[]}} The default
+ *   language (what entries are written in) and every content language,
+ *   default first
+ */
+export function getLanguageSettings(application) {
+  const config = application.cvConfig || {};
+  const defaultLanguage = config.defaultLanguage || application.locale || "en";
+  const languages = [defaultLanguage, ...(config.contentLanguages || [])];
+  return { defaultLanguage, languages: [...new Set(languages)] };
+}
+
+/**
+ * Render the CV in one language
+ * @param {object} data - CV data
+ * @param {string} lang - Language code
+ * @returns {object} CV data with translated fields and category names, the
+ *   translation maps removed and `lang` set
+ */
+export function localizeCv(data, lang) {
+  const result = { ...data, lang };
+
+  for (const [section, fields] of Object.entries(TRANSLATABLE_FIELDS)) {
+    if (!Array.isArray(data[section])) continue;
+    result[section] = data[section].map((item) => localizeItem(item, fields, lang));
+  }
+
+  for (const [section, maps] of Object.entries(CATEGORY_SECTIONS)) {
+    const translations = data[maps.translations] || {};
+    const types = data[maps.types] || {};
+    const names = categoryNames(Object.keys(data[section] || {}), translations, lang);
+    result[section] = {};
+    result[maps.types] = {};
+    for (const [category, items] of Object.entries(data[section] || {})) {
+      const name = names.get(category);
+      result[section][name] = items;
+      if (types[category]) result[maps.types][name] = types[category];
+    }
+    delete result[maps.translations];
+  }
+
+  return result;
+}
+
+/**
+ * Category names in one language, keeping them unique: a translation that
+ * two categories share, or that is another category's name, falls back to
+ * the original name so neither category overwrites the other
+ * @param {string[]} categories - Category names in the default language
+ * @param {object} translations - { category: { lang: name } }
+ * @param {string} lang - Language code
+ * @returns {Map<string, string>} Category → name to show
+ */
+function categoryNames(categories, translations, lang) {
+  const names = new Map(categories.map((category) => [category, translations[category]?.[lang] || category]));
+  // A fallback can clash with another translation in turn, so repeat; every
+  // round turns at least one name back into an original, so this ends
+  for (let clashed = true; clashed; ) {
+    clashed = false;
+    const counts = new Map();
+    for (const name of names.values()) counts.set(name, (counts.get(name) || 0) + 1);
+    for (const [category, name] of names) {
+      if (name !== category && counts.get(name) > 1) {
+        names.set(category, category);
+        clashed = true;
+      }
+    }
+  }
+  return names;
+}
+
+/**
+ * Overlay one language onto an item
+ * @param {object} item - Section item
+ * @param {string[]} fields - Translatable fields of its section
+ * @param {string} lang - Language code
+ * @returns {object} Item without its `translations`
+ */
+function localizeItem(item, fields, lang) {
+  const { translations, ...localized } = item;
+  const translation = translations?.[lang] || {};
+  for (const field of fields) {
+    if (!isEmpty(translation[field])) localized[field] = translation[field];
+  }
+  return localized;
+}
+
+/**
+ * Drop empty fields from a submitted translation, so they fall back
+ * @param {object} fields - Translated field values
+ * @returns {object} Only the fields that were filled in
+ */
+export function compactTranslation(fields) {
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => !isEmpty(value)));
+}
+
+function isEmpty(value) {
+  if (Array.isArray(value)) return value.length === 0;
+  return value === undefined || value === null || String(value).trim() === "";
+}
@@ -0,0 +1,62 @@
+/**
+ * Multipart form parsing for file uploads
+ * Indiekit only parses JSON and urlencoded bodies, so upload routes receive
+ * the raw body (via express.raw) and split it here.
+ * @module upload
+ */
+
+/**
+ * Parse a multipart/form-data body
+ * @param {Buffer} body - Raw request body
+ * @param {string} contentType - Request Content-Type header (carries the boundary)
+ * @returns {{fields: object, files: Array<{name: string, filename: string, contentType: string, data: Buffer}>}}
+ *   Text fields by name, and uploaded files in form order
+ */
+export function parseMultipart(body, contentType = "") {
+  const fields = {};
+  const files = [];
+
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType);
+  if (!match || !Buffer.isBuffer(body)) return { fields, files };
+
+  const boundary = Buffer.from(`--${(match[1] || match[2]).trim()}`);
+  let start = body.indexOf(boundary);
+
+  while (start !== -1) {
+    start += boundary.length;
+    // A boundary followed by "--" closes the body
+    if (body[start] === 0x2d && body[start + 1] === 0x2d) break;
+
+    const next = body.indexOf(boundary, start);
+    if (next === -1) break;
+
+    // Each part sits between the CRLF after its boundary and the CRLF before the next
+    const part = body.subarray(start + 2, next - 2);
+    const headerEnd = part.indexOf("\r\n\r\n");
+    if (headerEnd !== -1) {
+      const headers = part.subarray(0, headerEnd).toString("utf8");
+      const content = part.subarray(headerEnd + 4);
+      const name = /;\s*name="([^"]*)"/i.exec(headers)?.[1];
+      const filename = /;\s*filename="([^"]*)"/i.exec(headers)?.[1];
+      const type = /content-type:\s*([^\r\n]+)/i.exec(headers)?.[1];
+
+      if (name !== undefined && filename !== undefined) {
+        // Browsers send an empty part when no file was chosen
+        if (filename) {
+          files.push({
+            name,
+            filename,
+            contentType: type || "application/octet-stream",
+            data: content,
+          });
+        }
+      } else if (name !== undefined) {
+        fields[name] = content.toString("utf8");
+      }
+    }
+
+    start = next;
+  }
+
+  return { fields, files };
+}
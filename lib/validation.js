@@ -0,0 +1,161 @@
+/**
+ * Form validation
+ * Checks dashboard entries before they are saved. Errors are returned as
+ * locale keys (cv.validation.*) so the dashboard can translate them next to
+ * the offending field. Imports are checked with the same rules.
+ * @module validation
+ */
+
+import { CEFR_LEVELS } from "./europass.js";
+import { isBefore, parseDate } from "./dates.js";
+import { SKILL_LEVELS } from "./skills.js";
+import { PUBLICATION_TYPES, isDoi } from "./publications.js";
+
+// Deliberately loose: something@something.tld, no spaces
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Array sections imports fill
+const IMPORTED_SECTIONS = ["experience", "projects", "education", "certifications", "publications", "languages"];
+
+// Errors that clear an imported field: links end up in href attributes
+const LINK_ERRORS = ["cv.validation.url", "cv.validation.doi"];
+
+// Per-section rules: required fields, the entry's date range (first and
+// last date), other single dates, which fields must be URLs, email addresses,
+// DOIs or numbers of years, and optional fields limited to a list of values
+const RULES = {
+  basics: { required: [], urls: ["website"], emails: ["email"] },
+  profiles: { required: ["network", "url"], urls: ["url"] },
+  experience: { required: ["title", "company"], dates: ["startDate", "endDate"] },
+  projects: { required: ["name"], dates: ["startDate", "endDate"], urls: ["url"] },
+  education: { required: ["degree", "institution"], dates: ["startDate", "endDate"] },
+  certifications: { required: ["name", "issuer"], dates: ["issueDate", "expiryDate"], urls: ["url"] },
+  publications: {
+    required: ["title"],
+    singleDates: ["date"],
+    urls: ["url"],
+    dois: ["doi"],
+    choices: { type: PUBLICATION_TYPES },
+  },
+  languages: { required: ["name"], choices: { cefr: CEFR_LEVELS } },
+  skills: { required: ["category", "items"] },
+  skillDetails: { required: [], singleDates: ["lastUsed"], years: ["years"], choices: { level: SKILL_LEVELS } },
+  interests: { required: ["category", "items"] },
+  variants: { required: ["name", "slug"] },
+};
+
+/**
+ * Validate a dashboard entry
+ * @param {string} section - Section name (experience, projects, skills, …)
+ * @param {object} entry - Entry as it would be saved
+ * @returns {object} Locale key per invalid field; empty if the entry is valid
+ */
+export function validateEntry(section, entry) {
+  const rules = RULES[section];
+  const errors = {};
+  if (!rules) return errors;
+
+  for (const field of rules.required) {
+    if (isBlank(entry[field])) errors[field] = "cv.validation.required";
+  }
+
+  if (rules.dates) {
+    const [first, last] = rules.dates;
+    // A year, month or day, stored or as typed ("2009-03", "c. 2009")
+    for (const field of rules.dates) {
+      if (parseDate(entry[field]) === undefined) errors[field] = "cv.validation.date";
+    }
+    // Only compare once both dates are well formed
+    if (!errors[first] && !errors[last] && entry[first] && entry[last]) {
+      if (isBefore(entry[last], entry[first])) errors[last] = "cv.validation.dateOrder";
+    }
+  }
+
+  for (const field of rules.singleDates || []) {
+    if (parseDate(entry[field]) === undefined) errors[field] = "cv.validation.date";
+  }
+
+  for (const field of rules.years || []) {
+    const value = entry[field];
+    if (value !== null && value !== undefined && value !== "" && !(Number(value) >= 0 && Number(value) <= 100)) {
+      errors[field] = "cv.validation.years";
+    }
+  }
+
+  for (const field of rules.urls || []) {
+    if (entry[field] && !isHttpUrl(entry[field])) errors[field] = "cv.validation.url";
+  }
+
+  for (const field of rules.emails || []) {
+    if (entry[field] && !EMAIL_PATTERN.test(entry[field])) errors[field] = "cv.validation.email";
+  }
+
+  for (const field of rules.dois || []) {
+    if (entry[field] && !isDoi(entry[field])) errors[field] = "cv.validation.doi";
+  }
+
+  for (const [field, values] of Object.entries(rules.choices || {})) {
+    if (entry[field] && !values.includes(entry[field])) errors[field] = "cv.validation.choice";
+  }
+
+  return errors;
+}
+
+/**
+ * Check imported entries like dashboard ones. Links that fail (URLs other
+ * than http(s), malformed DOIs) are cleared, and profile links without a
+ * valid URL dropped; other errors are kept for the dashboard to flag when
+ * the entry is next edited, so a file isn't refused over a missing field.
+ * @param {object} data - Imported CV data, or some of its sections
+ * @returns {object} Data with only http(s) links
+ */
+export function cleanImport(data) {
+  const result = { ...data };
+
+  if (data.basics && typeof data.basics === "object") {
+    result.basics = clearInvalidLinks("basics", data.basics);
+    if (Array.isArray(data.basics.profiles)) {
+      result.basics.profiles = data.basics.profiles
+        .map((profile) => clearInvalidLinks("profiles", profile))
+        .filter((profile) => profile.url);
+    }
+  }
+
+  for (const section of IMPORTED_SECTIONS) {
+    if (!Array.isArray(data[section])) continue;
+    result[section] = data[section].map((item) => clearInvalidLinks(section, item));
+  }
+
+  return result;
+}
+
+/**
+ * Check whether a validateEntry result has any errors
+ * @param {object} errors - Result of validateEntry
+ * @returns {boolean} True if at least one field is invalid
+ */
+export function hasErrors(errors) {
+  return Object.keys(errors).length > 0;
+}
+
+function clearInvalidLinks(section, entry) {
+  const result = { ...entry };
+  for (const [field, error] of Object.entries(validateEntry(section, entry))) {
+    if (LINK_ERRORS.includes(error)) result[field] = "";
+  }
+  return result;
+}
+
+function isBlank(value) {
+  if (Array.isArray(value)) return value.length === 0;
+  return !value || !String(value).trim();
+}
+
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === "http:" || url.protocol === "https:";
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,96 @@
+/**
+ * CV variants
+ * A variant is a named selection of the CV for one audience (e.g. "backend"):
+ * which experience, projects, skills and interests it includes, and in what
+ * order. Items are referenced by id, categories by name; sections a variant
+ * doesn't select from (basics, education, languages) are passed through.
+ * @module variants
+ */
+
+// Sections a variant selects from, and how their entries are referenced
+export const VARIANT_SECTIONS = {
+  experience: "items",
+  projects: "items",
+  skills: "categories",
+  interests: "categories",
+};
+
+// Parallel maps that follow their category section
+const CATEGORY_TYPES = {
+  skills: "skillTypes",
+  interests: "interestTypes",
+};
+
+/**
+ * Turn a variant name into a URL/file-safe slug
+ * @param {string} value - Variant name or slug
+ * @returns {string} Lowercase slug of letters, digits and dashes
+ */
+export function slugify(value) {
+  return String(value || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+/**
+ * Find a variant by slug
+ * @param {object} data - CV data
+ * @param {string} slug - Variant slug
+ * @returns {object|undefined} Variant
+ */
+export function findVariant(data, slug) {
+  return (data.variants || []).find((variant) => variant.slug === slug);
+}
+
+/**
+ * Select everything currently in the CV, in its current order
+ * Used as the starting point for a new variant.
+ * @param {object} data - CV data
+ * @returns {object} Selection per variant section
+ */
+export function selectAll(data) {
+  const sections = {};
+  for (const [section, kind] of Object.entries(VARIANT_SECTIONS)) {
+    sections[section] =
+      kind === "items"
+        ? (data[section] || []).map((item) => item.id)
+        : Object.keys(data[section] || {});
+  }
+  return sections;
+}
+
+/**
+ * Apply a variant to CV data
+ * @param {object} data - CV data
+ * @param {object} variant - Variant ({ sections: { experience: [id], … } })
+ * @returns {object} CV data restricted to (and ordered by) the variant's selection
+ */
+export function applyVariant(data, variant) {
+  const result = { ...data, variant: variant.slug };
+  delete result.variants;
+
+  for (const [section, kind] of Object.entries(VARIANT_SECTIONS)) {
+    const selected = variant.sections?.[section] || [];
+
+    if (kind === "items") {
+      const byId = new Map((data[section] || []).map((item) => [item.id, item]));
+      result[section] = selected.filter((id) => byId.has(id)).map((id) => byId.get(id));
+      continue;
+    }
+
+    const categories = data[section] || {};
+    const types = data[CATEGORY_TYPES[section]] || {};
+    result[section] = {};
+    result[CATEGORY_TYPES[section]] = {};
+    for (const category of selected) {
+      if (!(category in categories)) continue;
+      result[section][category] = categories[category];
+      if (types[category]) result[CATEGORY_TYPES[section]][category] = types[category];
+    }
+  }
+
+  return result;
+}
@@ -0,0 +1,123 @@
+/**
+ * Entry visibility
+ * Every entry (and skill/interest category) is public, private or draft.
+ * Public entries are published; private ones are kept for the owner's own
+ * records and can be shown through share links; drafts are staged and shown
+ * nowhere outside the dashboard. Entries without a visibility are public.
+ * The contact details in basics (email, phone) have one visibility together.
+ * @module visibility
+ */
+
+import { normalizeSkillDetails } from "./skills.js";
+import { isExpired } from "./certifications.js";
+
+export const VISIBILITIES = ["public", "private", "draft"];
+
+// Array sections whose items carry a `visibility` field
+const ITEM_SECTIONS = ["experience", "projects", "education", "certifications", "publications", "languages"];
+
+// Stored with the CV but not part of it: variant definitions, the revision
+// counter and dashboard settings
+const INTERNAL_FIELDS = [
+  "variants",
+  "revision",
+  "sortByDate",
+  "hideExpiredCertifications",
+  "skillVisibility",
+  "interestVisibility",
+];
+
+// Basics fields governed by basics.contactVisibility
+const CONTACT_FIELDS = ["email", "phone"];
+
+// Category sections, with the map holding each category's visibility and
+// the other per-category maps that should only list visible categories
+const CATEGORY_SECTIONS = {
+  skills: { visibility: "skillVisibility", maps: ["skillTypes", "skillTranslations"] },
+  interests: { visibility: "interestVisibility", maps: ["interestTypes", "interestTranslations"] },
+};
+
+/**
+ * Read a visibility from a form value
+ * @param {string} value - Submitted value
+ * @returns {string} One of VISIBILITIES; public when missing or unknown
+ */
+export function parseVisibility(value) {
+  return VISIBILITIES.includes(value) ? value : "public";
+}
+
+/**
+ * Keep only entries and categories with one of the given visibilities
+ * @param {object} data - CV data
+ * @param {string[]} [allowed] - Visibilities to keep (default: public only)
+ * @returns {object} CV data without the other entries and categories
+ */
+export function filterVisibility(data, allowed = ["public"]) {
+  const visible = (visibility) => allowed.includes(visibility || "public");
+  const result = { ...data };
+
+  for (const section of ITEM_SECTIONS) {
+    if (!Array.isArray(data[section])) continue;
+    result[section] = data[section].filter((item) => visible(item.visibility));
+  }
+
+  if (data.basics) {
+    result.basics = { ...data.basics };
+    if (Array.isArray(data.basics.profiles)) {
+      result.basics.profiles = data.basics.profiles.filter((profile) => visible(profile.visibility));
+    }
+    // Email and phone share one setting, the rest of basics is always public
+    if (!visible(data.basics.contactVisibility)) {
+      for (const field of CONTACT_FIELDS) delete result.basics[field];
+    }
+  }
+
+  for (const [section, fields] of Object.entries(CATEGORY_SECTIONS)) {
+    const visibility = data[fields.visibility] || {};
+    const keep = (category) => visible(visibility[category]);
+
+    result[section] = pickKeys(data[section], keep);
+    for (const field of [fields.visibility, ...fields.maps]) {
+      if (data[field]) result[field] = pickKeys(data[field], keep);
+    }
+  }
+
+  // Skill details are keyed by skill rather than category, and link to
+  // entries that may have just been filtered out
+  if (data.skillDetails) result.skillDetails = normalizeSkillDetails(data.skillDetails, result);
+
+  return result;
+}
+
+/**
+ * The CV as published: public entries and categories only, without expired
+ * certifications if the CV is set to hide them, and without the variants and
+ * editor settings stored alongside (apply a variant with the stored
+ * definitions, see applyView)
+ * @param {object} data - CV data
+ * @param {object} [options] - { now }: the date certifications expire by
+ * @returns {object} Public CV data
+ */
+export function publicView(data, { now = new Date() } = {}) {
+  const result = filterVisibility(data, ["public"]);
+  if (data.hideExpiredCertifications && Array.isArray(result.certifications)) {
+    result.certifications = result.certifications.filter((item) => !isExpired(item, now));
+  }
+  return withoutInternalFields(result);
+}
+
+/**
+ * Leave out what is stored with the CV but isn't part of it: the variant
+ * definitions, the revision counter and editor settings
+ * @param {object} data - CV data
+ * @returns {object} CV data without those fields
+ */
+export function withoutInternalFields(data) {
+  const result = { ...data };
+  for (const field of INTERNAL_FIELDS) delete result[field];
+  return result;
+}
+
+function pickKeys(object, keep) {
+  return Object.fromEntries(Object.entries(object || {}).filter(([key]) => keep(key)));
+}
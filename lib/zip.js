@@ -0,0 +1,173 @@
+/**
+ * ZIP archives
+ * Just enough of the format for uploaded data exports and generated Office
+ * documents: the central directory, and entries that are stored or deflated
+ * (no encryption, no ZIP64).
+ * @module zip
+ */
+
+import { deflateRawSync, inflateRawSync } from "node:zlib";
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+/**
+ * A file in an archive that unpacks to more than the caller allows
+ */
+export class ZipEntryTooLargeError extends Error {
+  constructor(path, maxSize) {
+    super(`${path} is larger than ${maxSize} bytes`);
+    this.name = "ZipEntryTooLargeError";
+    this.path = path;
+  }
+}
+
+/**
+ * Check whether a buffer looks like a ZIP archive
+ * @param {Buffer} buffer - File contents
+ * @returns {boolean} Whether it starts with a local file header
+ */
+export function isZip(buffer) {
+  return buffer.length >= 4 && buffer.readUInt32LE(0) === LOCAL_FILE_HEADER;
+}
+
+/**
+ * Read the files in a ZIP archive
+ * @param {Buffer} buffer - Archive contents
+ * @param {object} [options] - { filter, maxSize }: which paths to read
+ *   (others aren't unpacked at all), and the most bytes a file may unpack
+ *   to, so a small upload can't inflate into gigabytes
+ * @returns {Array<{path: string, data: Buffer}>} Files (directories left out)
+ * @throws {ZipEntryTooLargeError} When a file is larger than maxSize
+ */
+export function readZip(buffer, { filter = () => true, maxSize = Infinity } = {}) {
+  const end = findEndOfCentralDirectory(buffer);
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const files = [];
+
+  for (let index = 0; index < count; index++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+      throw new Error("Corrupt ZIP central directory");
+    }
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const path = buffer.toString("utf8", offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (path.endsWith("/") || !filter(path)) continue;
+
+    // The local header repeats the name and has its own extra field
+    const dataStart =
+      localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const raw = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    if (method === 0) {
+      if (raw.length > maxSize) throw new ZipEntryTooLargeError(path, maxSize);
+      files.push({ path, data: raw });
+    } else if (method === 8) {
+      files.push({ path, data: inflate(raw, path, maxSize) });
+    } else {
+      throw new Error(`Unsupported ZIP compression method ${method} for ${path}`);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Inflate an entry, giving up as soon as it grows past maxSize (the sizes in
+ * the headers can't be trusted)
+ */
+function inflate(raw, path, maxSize) {
+  try {
+    return inflateRawSync(raw, Number.isFinite(maxSize) ? { maxOutputLength: maxSize } : {});
+  } catch (error) {
+    if (error.code === "ERR_BUFFER_TOO_LARGE") throw new ZipEntryTooLargeError(path, maxSize);
+    throw error;
+  }
+}
+
+/**
+ * Write a ZIP archive, deflating every file
+ * @param {Array<{path: string, data: Buffer|string}>} files - Files in order
+ * @returns {Buffer} Archive contents
+ */
+export function writeZip(files) {
+  const local = [];
+  const central = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(file.data, "utf8");
+    const compressed = deflateRawSync(data);
+    const name = Buffer.from(file.path, "utf8");
+    const crc = crc32(data);
+
+    // Version needed, flags (bit 11: UTF-8 names), method, time, date, CRC and sizes
+    const fields = Buffer.alloc(26);
+    fields.writeUInt16LE(20, 0);
+    fields.writeUInt16LE(0x0800, 2);
+    fields.writeUInt16LE(8, 4);
+    fields.writeUInt16LE(0, 6);
+    fields.writeUInt16LE(0x21, 8); // 1980-01-01
+    fields.writeUInt32LE(crc, 10);
+    fields.writeUInt32LE(compressed.length, 14);
+    fields.writeUInt32LE(data.length, 18);
+    fields.writeUInt16LE(name.length, 22);
+    fields.writeUInt16LE(0, 24);
+
+    const header = Buffer.alloc(4);
+    header.writeUInt32LE(LOCAL_FILE_HEADER);
+    local.push(header, fields, name, compressed);
+
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(CENTRAL_DIRECTORY_ENTRY, 0);
+    entry.writeUInt16LE(20, 4);
+    fields.copy(entry, 6);
+    entry.writeUInt32LE(offset, 42);
+    central.push(entry, name);
+
+    offset += 30 + name.length + compressed.length;
+  }
+
+  const centralSize = central.reduce((size, chunk) => size + chunk.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...local, ...central, end]);
+}
+
+/**
+ * Find the end of central directory record, which sits at the very end of
+ * the archive unless followed by a comment (at most 64 KiB)
+ */
+function findEndOfCentralDirectory(buffer) {
+  const earliest = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let offset = buffer.length - 22; offset >= earliest; offset--) {
+    if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) return offset;
+  }
+  throw new Error("Not a ZIP archive");
+}
+
+// CRC-32 (IEEE) lookup table; zlib.crc32 needs a newer Node than we support
+const CRC_TABLE = Array.from({ length: 256 }, (value, index) => {
+  let crc = index;
+  for (let bit = 0; bit < 8; bit++) crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+  return crc >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
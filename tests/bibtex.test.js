@@ -0,0 +1,90 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  readBibtex,
+  parseBibtex,
+  latexToText,
+  splitAuthors,
+  markDuplicatePublications,
+  mergePublications,
+} from "../lib/bibtex.js";
+
+const bib = String.raw`@string{cacm = "Communications of the {ACM}"}
+@comment{an @article{skipped, title={No}} in a comment}
+
+@article{lovelace1843,
+  author = {Lovelace, Ada and Babbage, Charles},
+  title = {Notes on the {A}nalytical {E}ngine},
+  journal = cacm # " Letters",
+  year = 1843, month = oct,
+  doi = {https://doi.org/10.1000/xyz_1},
+}
+@inproceedings(muller2024,
+  author = "M{\"u}ller, J{\"o}rg and others",
+  title = "Rust in Production -- Lessons",
+  booktitle = {RustConf},
+  date = {2024-09-12},
+  url = {https://example.com/a_b%20c}
+)
+@misc{fosdem, author = {Ada Lovelace}, title = {Keynote}, howpublished = {Keynote at FOSDEM}, year = {2025}}
+@incollection{chapter, title = {A Chapter}, publisher = {Acme Press}, year = {2020}}
+@article{untitled, author = {Nobody}}
+`;
+
+test("parseBibtex: entries with lowercased names, strings expanded, comments skipped", () => {
+  const entries = parseBibtex(bib);
+  assert.deepEqual(
+    entries.map(({ type, key }) => `${type}:${key}`),
+    ["article:lovelace1843", "inproceedings:muller2024", "misc:fosdem", "incollection:chapter", "article:untitled"],
+  );
+  assert.equal(entries[0].fields.journal, "Communications of the {ACM} Letters");
+  assert.equal(entries[0].fields.year, "1843");
+});
+
+test("readBibtex: publications with plain text, dates, DOIs and types", () => {
+  const [paper, talk, keynote, chapter, ...rest] = readBibtex(bib);
+
+  assert.deepEqual(paper, {
+    title: "Notes on the Analytical Engine",
+    authors: ["Ada Lovelace", "Charles Babbage"],
+    venue: "Communications of the ACM Letters",
+    date: "1843-10",
+    doi: "10.1000/xyz_1",
+    url: "",
+    type: "article",
+  });
+  assert.equal(talk.title, "Rust in Production – Lessons");
+  assert.deepEqual(talk.authors, ["Jörg Müller"]);
+  assert.equal(talk.date, "2024-09-12");
+  assert.equal(talk.url, "https://example.com/a_b%20c");
+  // Misc entries count as talks when they say so
+  assert.equal(keynote.type, "talk");
+  assert.equal(chapter.type, "book");
+  assert.equal(chapter.venue, "Acme Press");
+  // No title, no publication
+  assert.equal(rest.length, 0);
+});
+
+test("latexToText and splitAuthors", () => {
+  assert.equal(latexToText(String.raw`Caf{\'e} \& {\"o}l \textit{x} --- {\ss}`), "Café & öl x — ß");
+  assert.deepEqual(splitAuthors("Lovelace, Ada and {Barnes and Noble} and others"), ["Ada Lovelace", "Barnes and Noble"]);
+});
+
+test("markDuplicatePublications and mergePublications: known DOIs and titles flagged, chosen ones added", () => {
+  const current = {
+    publications: [
+      { id: "p1", title: "Notes on the  analytical engine", authors: [], doi: "" },
+      { id: "p2", title: "Other", authors: [], doi: "10.1000/ABC" },
+    ],
+  };
+  const imported = markDuplicatePublications(current, [
+    { title: "Notes on the Analytical Engine", doi: "" },
+    { title: "Renamed", doi: "10.1000/abc" },
+    { title: "New", doi: "" },
+  ]);
+  assert.deepEqual(imported.map((item) => item.duplicate), [true, true, false]);
+
+  const merged = mergePublications(current, imported, { include: ["2"], visibility: "private" });
+  assert.deepEqual(merged.publications.at(-1), { title: "New", doi: "", visibility: "private" });
+  assert.equal(merged.publications.length, 3);
+});
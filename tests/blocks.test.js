@@ -26,9 +26,15 @@ const EXPECTED_IDS = [
   "cv-languages",
 ];
 
-test("CV_BLOCKS: exactly the 15 section ids, unchanged", () => {
-  assert.equal(CV_BLOCKS.length, 15);
-  assert.deepEqual(CV_BLOCKS.map((b) => b.id).sort(), [...EXPECTED_IDS].sort());
+// Blocks added after the migration, for sections the legacy builder never had
+const ADDED_IDS = ["cv-basics", "cv-certifications", "cv-publications"];
+
+test("CV_BLOCKS: the 15 legacy section ids, unchanged, plus the added blocks", () => {
+  assert.equal(CV_BLOCKS.length, EXPECTED_IDS.length + ADDED_IDS.length);
+  assert.deepEqual(
+    CV_BLOCKS.map((b) => b.id).sort(),
+    [...EXPECTED_IDS, ...ADDED_IDS].sort(),
+  );
 });
 
 test("CV_BLOCKS: every entry satisfies the v2 block contract", () => {
@@ -98,7 +104,24 @@ test("CV_BLOCKS: config-bearing sections carry the right schema + defaults", ()
     assert.equal(p.showTechnologies.type, "boolean");
     assert.deepEqual(byId[id].defaultConfig, { maxItems: 10, showTechnologies: true });
   }
+  // basics → which parts of the profile to show
+  assert.deepEqual(byId["cv-basics"].defaultConfig, {
+    showSummary: true,
+    showContact: true,
+    showProfiles: true,
+  });
+  // skill variants → levels and years, off unless asked for
+  for (const id of ["cv-skills", "cv-skills-personal", "cv-skills-work"]) {
+    assert.equal(byId[id].schema.properties.showLevels.type, "boolean");
+    assert.deepEqual(byId[id].defaultConfig, { showLevels: false, showYears: false });
+  }
+  // certifications → maxItems + whether to show expired ones
+  assert.equal(byId["cv-certifications"].schema.properties.showExpired.type, "boolean");
+  assert.deepEqual(byId["cv-certifications"].defaultConfig, { maxItems: 10, showExpired: true });
+  // publications → maxItems + citation or title only
+  assert.equal(byId["cv-publications"].schema.properties.showCitation.type, "boolean");
+  assert.deepEqual(byId["cv-publications"].defaultConfig, { maxItems: 10, showCitation: true });
   // config-less section → empty properties, no defaultConfig
-  assert.deepEqual(byId["cv-skills"].schema.properties, {});
-  assert.equal(byId["cv-skills"].defaultConfig, undefined);
+  assert.deepEqual(byId["cv-languages"].schema.properties, {});
+  assert.equal(byId["cv-languages"].defaultConfig, undefined);
 });
@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { isExpired, formatCertificationDates } from "../lib/certifications.js";
+import { publicView } from "../lib/visibility.js";
+import { withTimeline } from "../lib/timeline.js";
+import { setHideExpiredCertifications, getCvData } from "../lib/storage/cv.js";
+import { createApplication } from "./helpers/database.js";
+
+const now = new Date("2026-10-15");
+
+const cv = {
+  certifications: [
+    { id: "c1", name: "CKA", issuer: "The Linux Foundation", issueDate: "2023-10", expiryDate: "2026-10" },
+    { id: "c2", name: "AWS SAA", issuer: "Amazon", issueDate: "2021-05", expiryDate: "2024-05-31" },
+    { id: "c3", name: "PSM I", issuer: "Scrum.org", issueDate: "2019", expiryDate: null },
+  ],
+  hideExpiredCertifications: true,
+};
+
+test("isExpired: compares as far as the expiry date is known", () => {
+  assert.equal(isExpired({ expiryDate: "2026-10" }, now), false);
+  assert.equal(isExpired({ expiryDate: "2026" }, now), false);
+  assert.equal(isExpired({ expiryDate: "2026-10-14" }, now), true);
+  assert.equal(isExpired({ expiryDate: { value: "2026-09", precision: "month", circa: false } }, now), true);
+  assert.equal(isExpired({ expiryDate: null }, now), false);
+});
+
+test("formatCertificationDates: issue and expiry, in the CV's language", () => {
+  assert.equal(formatCertificationDates(cv.certifications[0], "en", now), "Issued Oct 2023 · Expires Oct 2026");
+  assert.equal(formatCertificationDates(cv.certifications[1], "en", now), "Issued May 2021 · Expired May 31, 2024");
+  assert.equal(formatCertificationDates(cv.certifications[2], "en", now), "Issued 2019");
+  assert.equal(formatCertificationDates({ expiryDate: "2030" }, "fr", now), "Expire 2030");
+});
+
+test("publicView: leaves expired certifications out only when asked to", () => {
+  assert.deepEqual(publicView(cv, { now }).certifications.map((item) => item.id), ["c1", "c3"]);
+  const shown = publicView({ ...cv, hideExpiredCertifications: false }, { now });
+  assert.equal(shown.certifications.length, 3);
+});
+
+test("withTimeline: certifications carry their dates as text and isExpired", () => {
+  const [current, expired] = withTimeline(cv, { now }).certifications;
+  assert.equal(current.dateRange, "Issued Oct 2023 · Expires Oct 2026");
+  assert.equal(current.isExpired, false);
+  assert.equal(expired.isExpired, true);
+});
+
+test("setHideExpiredCertifications: stored with the CV", async () => {
+  const application = createApplication({ _id: "cv", ...cv, hideExpiredCertifications: false, revision: 1 });
+
+  await setHideExpiredCertifications(application, true, 1);
+  const stored = await getCvData(application);
+  assert.equal(stored.hideExpiredCertifications, true);
+  assert.deepEqual(stored.certifications[0].expiryDate, { value: "2026-10", precision: "month", circa: false });
+});
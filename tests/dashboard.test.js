@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { dashboardController } from "../lib/controllers/dashboard.js";
+import { createApplication } from "./helpers/database.js";
+
+test("POST /save: takes only the new order from the form", async () => {
+  const application = createApplication({
+    _id: "cv",
+    experience: [
+      { id: "e1", title: "Engineer", company: "Acme", startDate: "2020-01" },
+      { id: "e2", title: "Lead", company: "Globex", startDate: "2022-01" },
+      { id: "e3", title: "Intern", company: "Initech", startDate: "2018-01" },
+    ],
+    skills: { Backend: ["Rust"], Tools: ["Git"] },
+    skillTypes: { Backend: "work" },
+    revision: 1,
+  });
+  application.cvEndpoint = "/cv";
+
+  const request = {
+    app: { locals: { application } },
+    body: {
+      revision: "1",
+      experience: JSON.stringify([
+        { id: "e2", title: "", company: "Globex", startDate: "not a date" },
+        { id: "e1", title: "Engineer", company: "Acme", url: "javascript:alert(1)" },
+        { id: "new", title: "Made up" },
+      ]),
+      skills: { Tools: "Git, Make", Backend: "Rust", Extra: "Anything" },
+      skillTypes: { Tools: "work" },
+    },
+  };
+  let location;
+  await dashboardController.save(request, { redirect: (url) => (location = url) });
+
+  assert.equal(location, "/cv?saved=1");
+  const stored = application.stored();
+  assert.deepEqual(
+    stored.experience.map(({ id, title }) => [id, title]),
+    [
+      ["e2", "Lead"],
+      ["e1", "Engineer"],
+      ["e3", "Intern"],
+    ],
+  );
+  assert.equal(stored.experience[1].url, undefined);
+  assert.deepEqual(stored.skills, { Tools: ["Git"], Backend: ["Rust"] });
+  assert.deepEqual(Object.keys(stored.skills), ["Tools", "Backend"]);
+  assert.deepEqual(stored.skillTypes, { Backend: "work" });
+});
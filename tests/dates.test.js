@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { dateValue, formatDate, formatDateRange, monthSpan, parseDate, withIsoDates } from "../lib/dates.js";
+
+test("parseDate: year, month or day precision, approximate prefixes", () => {
+  assert.deepEqual(parseDate("2009"), { value: "2009", precision: "year", circa: false });
+  assert.deepEqual(parseDate("2009-03"), { value: "2009-03", precision: "month", circa: false });
+  assert.deepEqual(parseDate("2009-03-14"), { value: "2009-03-14", precision: "day", circa: false });
+  assert.deepEqual(parseDate("c. 2009"), { value: "2009", precision: "year", circa: true });
+  assert.deepEqual(parseDate("2009-03", true), { value: "2009-03", precision: "month", circa: true });
+  assert.deepEqual(parseDate({ value: "2009", circa: true }), { value: "2009", precision: "year", circa: true });
+
+  assert.equal(parseDate(""), null);
+  assert.equal(parseDate(null), null);
+  assert.equal(parseDate("March 2009"), undefined);
+  assert.equal(parseDate("2009-02-30"), undefined);
+  assert.equal(parseDate(2009), undefined);
+});
+
+test("formatDate: only as precise as the date is, in the CV's language", () => {
+  assert.equal(formatDate({ value: "2009", precision: "year", circa: true }), "c. 2009");
+  assert.equal(formatDate("2009-03"), "Mar 2009");
+  assert.equal(formatDate("2009-03-14"), "Mar 14, 2009");
+  assert.equal(formatDate("2009-03", "de"), "März 2009");
+  assert.equal(formatDate("circa 2009", "fr"), "vers 2009");
+  // Text that was never a date is shown as typed
+  assert.equal(formatDate("Spring 2009"), "Spring 2009");
+
+  assert.equal(formatDateRange({ startDate: "c. 2001", endDate: "2004" }), "c. 2001 – 2004");
+  assert.equal(formatDateRange({ startDate: "2020-01", endDate: null }, "en", { separator: "--" }), "Jan 2020--Present");
+  assert.equal(formatDateRange({ endDate: "2016" }), "2016");
+});
+
+test("dateValue and monthSpan: ISO form and the months a date covers", () => {
+  assert.equal(dateValue({ value: "2009-03-14", precision: "day", circa: false }), "2009-03-14");
+  assert.equal(dateValue(null), "");
+  assert.deepEqual(monthSpan("2009"), { first: 2009 * 12, last: 2009 * 12 + 11 });
+  assert.deepEqual(monthSpan("2009-03-14"), { first: 2009 * 12 + 2, last: 2009 * 12 + 2 });
+  assert.equal(monthSpan(""), undefined);
+});
+
+test("withIsoDates: published dates as ISO strings, with precision and circa beside them", () => {
+  const data = withIsoDates({
+    experience: [
+      {
+        title: "Dev",
+        startDate: { value: "2009-03", precision: "month", circa: true },
+        endDate: null,
+        dateRange: "c. Mar 2009 – Present",
+      },
+    ],
+    projects: [{ name: "Old", startDate: "sometime" }],
+    skillUsage: { Rust: { level: null, lastUsed: { value: "2026", precision: "year", circa: false } } },
+    interests: { Outdoors: ["Hiking"] },
+  });
+
+  assert.deepEqual(data.experience[0], {
+    title: "Dev",
+    startDate: "2009-03",
+    startDatePrecision: "month",
+    startDateCirca: true,
+    endDate: null,
+    dateRange: "c. Mar 2009 – Present",
+  });
+  // Text that isn't a date stays as it was
+  assert.equal(data.projects[0].startDate, "sometime");
+  assert.equal(data.skillUsage.Rust.lastUsed, "2026");
+  assert.equal(data.skillUsage.Rust.lastUsedPrecision, "year");
+  assert.deepEqual(data.interests, { Outdoors: ["Hiking"] });
+});
@@ -0,0 +1,106 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readZip, writeZip } from "../lib/zip.js";
+import { renderResumeDocx } from "../lib/resume-docx.js";
+import { getLabels } from "../lib/labels.js";
+import { exportController } from "../lib/controllers/export.js";
+import { createApplication } from "./helpers/database.js";
+
+const cv = {
+  _id: "cv",
+  basics: { name: "Ada & Co", headline: "Engineer" },
+  experience: [
+    {
+      id: "e1",
+      title: "Lead",
+      company: "Acme",
+      startDate: "2020-01",
+      description: "Built **fast** <things>.",
+      highlights: ["Cut costs by *half*"],
+    },
+  ],
+  skills: { Backend: ["Rust", "Node.js"] },
+  languages: [{ name: "Portuguese", level: "native" }],
+  variants: [],
+};
+
+test("writeZip: archives read back, with UTF-8 names", () => {
+  const files = [
+    { path: "a.txt", data: "hello" },
+    { path: "dir/é.xml", data: Buffer.from("<x/>") },
+  ];
+  const read = readZip(writeZip(files));
+  assert.deepEqual(
+    read.map((file) => [file.path, file.data.toString()]),
+    [
+      ["a.txt", "hello"],
+      ["dir/é.xml", "<x/>"],
+    ],
+  );
+});
+
+test("renderResumeDocx: heading styles, bulleted highlights, tables", () => {
+  const docx = renderResumeDocx(cv, {
+    sections: ["basics", "experience", "skills", "languages"],
+    labels: getLabels("en"),
+  });
+  const parts = Object.fromEntries(readZip(docx).map((file) => [file.path, file.data.toString()]));
+
+  assert.ok(parts["[Content_Types].xml"].includes("/word/document.xml"));
+  assert.ok(parts["word/styles.xml"].includes('w:styleId="Heading1"'));
+  const document = parts["word/document.xml"];
+
+  assert.match(document, /<w:pStyle w:val="Title"\/><\/w:pPr><w:r><w:t xml:space="preserve">Ada &amp; Co</);
+  assert.match(document, /<w:pStyle w:val="Heading1"\/><\/w:pPr><w:r><w:t xml:space="preserve">Experience</);
+  assert.match(document, /<w:numId w:val="1"\/>.*?<w:i\/><\/w:rPr><w:t xml:space="preserve">half</);
+  assert.match(document, /<w:b\/><\/w:rPr><w:t xml:space="preserve">fast<\/w:t>/);
+  assert.ok(document.includes("&lt;things&gt;"));
+  assert.equal(document.match(/<w:tbl>/g).length, 2);
+  assert.ok(document.includes(">Native<"));
+
+  // Sections come out in the order asked for
+  const ordered = renderResumeDocx(cv, { sections: ["languages", "experience"], labels: getLabels("en") });
+  const body = readZip(ordered).find((file) => file.path === "word/document.xml").data.toString();
+  assert.ok(body.indexOf("Languages") < body.indexOf("Experience"));
+  assert.ok(!body.includes("Ada &amp; Co"));
+});
+
+test("GET /export.docx: Word download, query errors as JSON", async () => {
+  const download = async (query) => {
+    const response = {
+      statusCode: 200,
+      headers: {},
+      set(headers) {
+        Object.assign(this.headers, headers);
+        return this;
+      },
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      type(value) {
+        this.headers["Content-Type"] = value;
+        return this;
+      },
+      json(body) {
+        this.body = body;
+        return this;
+      },
+      send(body) {
+        this.body = body;
+        return this;
+      },
+    };
+    const request = { app: { locals: { application: createApplication(cv) } }, query, session: {} };
+    await exportController.docx(request, response);
+    return response;
+  };
+
+  const ok = await download({});
+  assert.equal(ok.statusCode, 200);
+  assert.equal(ok.headers["Content-Disposition"], 'attachment; filename="ada-co-cv.docx"');
+  assert.match(ok.headers["Content-Type"], /wordprocessingml/);
+  assert.ok(readZip(ok.body).some((file) => file.path === "word/document.xml"));
+
+  assert.equal((await download({ variant: "missing" })).statusCode, 404);
+});
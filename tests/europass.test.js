@@ -0,0 +1,182 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { toCefr, toEuropass, toEuropassXml, validateEuropass } from "../lib/europass.js";
+import { exportController } from "../lib/controllers/export.js";
+import { createApplication } from "./helpers/database.js";
+
+const now = new Date("2026-03-02T09:00:00.000Z");
+
+const cv = {
+  _id: "cv",
+  basics: {
+    name: "Ada María Example",
+    headline: "Engineer",
+    email: "ada@example.com",
+    phone: "+351 210 000 000",
+    contactVisibility: "private",
+    location: "Lisbon",
+    website: "https://ada.example",
+  },
+  experience: [
+    {
+      id: "e1",
+      title: "Lead",
+      company: "Acme & Co",
+      location: "Porto",
+      startDate: "2020-01",
+      endDate: null,
+      description: "Built **things**",
+      highlights: ["Cut costs"],
+    },
+    { id: "e2", title: "Intern", company: "Beta", startDate: "2018", endDate: "2019-06" },
+  ],
+  education: [{ id: "d1", degree: "MSc", institution: "Uni", startDate: "2014-09", endDate: "2016-07" }],
+  languages: [
+    { id: "l1", name: "Portuguese", level: "native" },
+    { id: "l2", name: "English", level: "fluent" },
+    { id: "l3", name: "French", level: "basic", cefr: "B1" },
+  ],
+  skills: { Backend: ["Rust", "Go"], Cooking: ["Bread"] },
+  skillTypes: { Backend: "work" },
+  variants: [],
+  lastUpdated: "2026-03-01T10:00:00.000Z",
+};
+
+test("toCefr: chosen level first, then one derived from the language level", () => {
+  assert.equal(toCefr({ level: "basic", cefr: "B1" }), "B1");
+  assert.equal(toCefr({ level: "fluent" }), "C1");
+  assert.equal(toCefr({ level: "advanced" }), "B2");
+  assert.equal(toCefr({ level: "intermediate" }), "B1");
+  assert.equal(toCefr({ level: "basic" }), "A2");
+  assert.equal(toCefr({ level: "native" }), null);
+  assert.equal(toCefr({ level: "native", cefr: "C2" }), "C2");
+});
+
+test("toEuropass: identification, periods, languages and skills", () => {
+  const { SkillsPassport: passport } = toEuropass(cv, { lang: "pt-BR", now });
+  const learner = passport.LearnerInfo;
+
+  assert.equal(passport.Locale, "pt");
+  assert.equal(passport.DocumentInfo.CreationDate, "2026-03-02T09:00:00.000Z");
+  assert.deepEqual(learner.Identification.PersonName, { FirstName: "Ada María", Surname: "Example" });
+  assert.deepEqual(learner.Identification.ContactInfo.Telephone, [
+    { Contact: "+351 210 000 000", Use: { Code: "mobile" } },
+  ]);
+
+  const [lead, intern] = learner.WorkExperience;
+  assert.deepEqual(lead.Period, { From: { Year: 2020, Month: "--01" }, Current: true });
+  assert.equal(lead.Activities, "<p>Built <strong>things</strong></p><ul><li>Cut costs</li></ul>");
+  assert.equal(lead.Employer.Name, "Acme & Co");
+  assert.deepEqual(intern.Period, { From: { Year: 2018 }, To: { Year: 2019, Month: "--06" }, Current: false });
+  assert.equal(learner.Education[0].Title, "MSc");
+
+  const { Linguistic } = learner.Skills;
+  assert.deepEqual(Linguistic.MotherTongue, [{ Description: { Label: "Portuguese" } }]);
+  assert.deepEqual(
+    Linguistic.ForeignLanguage.map((language) => [language.Description.Label, language.ProficiencyLevel.Writing]),
+    [
+      ["English", "C1"],
+      ["French", "B1"],
+    ],
+  );
+  assert.equal(learner.Skills.JobRelated.Description, "<p><strong>Backend</strong>: Rust, Go</p>");
+  assert.equal(learner.Skills.Other.Description, "<p><strong>Cooking</strong>: Bread</p>");
+
+  assert.deepEqual(validateEuropass({ SkillsPassport: passport }), []);
+  assert.equal(toEuropass(cv, { lang: "zh-Hans-CN", now }).SkillsPassport.Locale, "en");
+});
+
+test("toEuropassXml: lists, period attributes and escaping", () => {
+  const xml = toEuropassXml(toEuropass(cv, { lang: "en", now }));
+
+  assert.match(xml, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<SkillsPassport xmlns="http:\/\/europass.cedefop.europa.eu\/Europass"/);
+  assert.match(xml, / locale="en">/);
+  assert.match(xml, /<WorkExperienceList><WorkExperience><Period><From year="2020" month="--01"\/><Current>true<\/Current><\/Period>/);
+  assert.ok(xml.includes("<Employer><Name>Acme &amp; Co</Name>"));
+  assert.ok(xml.includes("<Activities>&lt;p&gt;Built &lt;strong&gt;things&lt;/strong&gt;&lt;/p&gt;"));
+  assert.ok(xml.includes("<MotherTongueList><MotherTongue><Description><Label>Portuguese</Label>"));
+  assert.ok(xml.includes("<ProficiencyLevel><Listening>C1</Listening><Reading>C1</Reading>"));
+});
+
+test("validateEuropass: reports what the schema would reject", () => {
+  const document = toEuropass(cv, { now });
+  const learner = document.SkillsPassport.LearnerInfo;
+  learner.Skills.Linguistic.ForeignLanguage[0].ProficiencyLevel.Writing = "fluent";
+  learner.WorkExperience[1].Period.To = { Year: 2017 };
+  learner.WorkExperience[0].Period.To = { Year: 2021 };
+  learner.Identification.ContactInfo.Website[0].Contact = "ada.example";
+
+  assert.deepEqual(validateEuropass(document), [
+    "ContactInfo.Website[0]: must be an http(s) URL",
+    "WorkExperience[0].Period: a current period has no end",
+    "WorkExperience[1].Period: ends before it starts",
+    "ForeignLanguage[0].Writing: must be a CEFR level",
+  ]);
+});
+
+test("toEuropass: leaves out values Europass would reject", () => {
+  const document = toEuropass(
+    {
+      basics: { name: "Ada", headline: " ", email: "not an email", website: "ada.example", profiles: [{ url: "javascript:x" }] },
+      experience: [{ title: " ", company: "Acme", startDate: "2020", endDate: "2019" }],
+      languages: [{ name: "", level: "fluent" }],
+    },
+    { now },
+  );
+  const learner = document.SkillsPassport.LearnerInfo;
+
+  assert.equal(learner.Identification.ContactInfo, undefined);
+  assert.equal(learner.Headline, undefined);
+  assert.deepEqual(learner.WorkExperience, [{ Employer: { Name: "Acme" } }]);
+  assert.equal(learner.Skills, undefined);
+  assert.deepEqual(validateEuropass(document), []);
+});
+
+test("GET /export/europass.:format: signed-in download, XML or JSON", async () => {
+  const download = async (format, query = {}) => {
+    const response = {
+      statusCode: 200,
+      headers: {},
+      set(headers) {
+        Object.assign(this.headers, headers);
+        return this;
+      },
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      type(value) {
+        this.headers["Content-Type"] = value;
+        return this;
+      },
+      json(body) {
+        this.body = body;
+        return this;
+      },
+      send(body) {
+        this.body = body;
+        return this;
+      },
+    };
+    const request = {
+      app: { locals: { application: createApplication(cv) } },
+      params: { format },
+      query,
+      session: { access_token: "token" },
+    };
+    await exportController.europass(request, response);
+    return response;
+  };
+
+  const xml = await download("xml");
+  assert.equal(xml.statusCode, 200);
+  assert.equal(xml.headers["Content-Type"], "application/xml");
+  assert.equal(xml.headers["Content-Disposition"], 'attachment; filename="ada-maria-example-cv-europass.xml"');
+  assert.ok(xml.body.includes("<Email><Contact>ada@example.com</Contact></Email>"));
+
+  const json = await download("json", { type: "work" });
+  assert.equal(json.body.SkillsPassport.LearnerInfo.Skills.Other, undefined);
+
+  assert.equal((await download("pdf")).statusCode, 404);
+  assert.equal((await download("json", { variant: "missing" })).statusCode, 404);
+});
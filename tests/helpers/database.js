@@ -0,0 +1,118 @@
+import { mkdtempSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+/**
+ * Minimal in-memory stand-in for the plugin's MongoDB collections: the
+ * single-document cvData reads and conditional writes, the append-only
+ * cvDataHistory snapshots and the cvShares links
+ * @param {object} [initial] - Stored CV document
+ * @returns {object} Application object as the storage modules expect it
+ */
+export function createApplication(initial) {
+  const documents = new Map();
+  if (initial) documents.set(initial._id, structuredClone(initial));
+
+  const cvData = {
+    async findOne(filter) {
+      const document = documents.get(filter._id);
+      return document ? structuredClone(document) : null;
+    },
+    async replaceOne(filter, document, options = {}) {
+      const existing = documents.get(filter._id);
+      if (existing && matches(existing, filter)) {
+        documents.set(filter._id, structuredClone(document));
+        return { matchedCount: 1, modifiedCount: 1, upsertedCount: 0 };
+      }
+      if (!options.upsert) {
+        return { matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+      }
+      if (existing) {
+        const error = new Error("E11000 duplicate key error");
+        error.code = 11000;
+        throw error;
+      }
+      documents.set(filter._id, structuredClone(document));
+      return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1 };
+    },
+  };
+
+  const collections = {
+    cvData,
+    cvDataHistory: createListCollection(),
+    cvShares: createListCollection(),
+  };
+
+  return {
+    contentDir: mkdtempSync(join(tmpdir(), "cv-test-")),
+    getCvDb: () => ({ collection: (name) => collections[name] }),
+    stored: (id = "cv") => documents.get(id),
+  };
+}
+
+/**
+ * Collection of many documents supporting insert, equality lookups,
+ * sorted listing, `$set` updates and range deletes
+ */
+function createListCollection() {
+  let documents = [];
+
+  return {
+    async insertOne(document) {
+      documents.push(structuredClone(document));
+      return { acknowledged: true };
+    },
+    async findOne(filter) {
+      const document = documents.find((d) => matches(d, filter));
+      return document ? structuredClone(document) : null;
+    },
+    find(filter = {}, { projection = {} } = {}) {
+      let results = documents.filter((d) => matches(d, filter));
+      return {
+        sort(order) {
+          const [[field, direction]] = Object.entries(order);
+          results = results.toSorted(
+            (a, b) => (a[field] < b[field] ? -1 : a[field] > b[field] ? 1 : 0) * direction,
+          );
+          return this;
+        },
+        async toArray() {
+          return results.map((document) => {
+            const copy = structuredClone(document);
+            for (const [field, include] of Object.entries(projection)) {
+              if (!include) delete copy[field];
+            }
+            return copy;
+          });
+        },
+      };
+    },
+    async updateOne(filter, update) {
+      const document = documents.find((d) => matches(d, filter));
+      if (!document) return { matchedCount: 0, modifiedCount: 0 };
+      Object.assign(document, structuredClone(update.$set));
+      return { matchedCount: 1, modifiedCount: 1 };
+    },
+    async deleteMany(filter) {
+      const before = documents.length;
+      documents = documents.filter((d) => !matches(d, filter));
+      return { deletedCount: before - documents.length };
+    },
+  };
+}
+
+/**
+ * Match a document against an equality / `$in` / `$lte` filter
+ */
+function matches(document, filter) {
+  return Object.entries(filter).every(([key, condition]) => {
+    const value = document[key] ?? null;
+    if (condition && typeof condition === "object" && "$in" in condition) {
+      return condition.$in.includes(value);
+    }
+    if (condition && typeof condition === "object" && "$lte" in condition) {
+      return value !== null && value <= condition.$lte;
+    }
+    return value === condition;
+  });
+}
@@ -0,0 +1,113 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { saveCvData, restoreCvRevision, getCvData } from "../lib/storage/cv.js";
+import { listHistory, getHistorySnapshot } from "../lib/storage/history.js";
+import { diffCv } from "../lib/diff.js";
+import { createApplication } from "./helpers/database.js";
+
+test("saveCvData: records a snapshot per revision, newest first", async () => {
+  const application = createApplication();
+  await saveCvData(application, { languages: [{ name: "English" }] });
+  await saveCvData(application, { languages: [{ name: "French" }], revision: 1 });
+
+  const revisions = await listHistory(application);
+  assert.deepEqual(
+    revisions.map((entry) => entry.revision),
+    [2, 1],
+  );
+  assert.equal(revisions[0].data, undefined);
+
+  const first = await getHistorySnapshot(application, 1);
+  assert.equal(first.data.languages[0].name, "English");
+});
+
+test("history keeps at most historyLimit snapshots", async () => {
+  const application = createApplication();
+  application.cvConfig = { historyLimit: 2 };
+  for (let revision = 0; revision < 4; revision++) {
+    await saveCvData(application, { projects: [], revision });
+  }
+
+  const revisions = await listHistory(application);
+  assert.deepEqual(
+    revisions.map((entry) => entry.revision),
+    [4, 3],
+  );
+});
+
+test("restoreCvRevision: saves the old data as a new revision", async () => {
+  const application = createApplication();
+  await saveCvData(application, { skills: { Tools: ["Git"] } });
+  await saveCvData(application, { skills: { Tools: ["Docker"] }, revision: 1 });
+
+  await restoreCvRevision(application, 1, 2);
+
+  const cv = await getCvData(application);
+  assert.equal(cv.revision, 3);
+  assert.deepEqual(cv.skills, { Tools: ["Git"] });
+  assert.equal((await listHistory(application)).length, 3);
+});
+
+test("diffCv: reports added, removed, changed and reordered entries", () => {
+  const from = {
+    experience: [
+      { id: "a", title: "Engineer", company: "Acme" },
+      { id: "b", title: "Intern", company: "Initech" },
+      { id: "c", title: "Lead", company: "Globex" },
+    ],
+    skills: { Tools: ["Git"] },
+  };
+  const to = {
+    experience: [
+      { id: "c", title: "Lead", company: "Globex" },
+      { id: "a", title: "Senior Engineer", company: "Acme" },
+      { id: "d", title: "CTO", company: "Hooli" },
+    ],
+    skills: { Tools: ["Git"] },
+    skillTypes: { Tools: "work" },
+  };
+
+  const sections = diffCv(from, to);
+  const experience = sections.find((entry) => entry.section === "experience");
+  assert.deepEqual(experience.added, [{ key: "d", label: "CTO — Hooli" }]);
+  assert.deepEqual(experience.removed, [{ key: "b", label: "Intern — Initech" }]);
+  assert.deepEqual(experience.changed[0].fields, [
+    { field: "title", from: "Engineer", to: "Senior Engineer" },
+  ]);
+  assert.equal(experience.reordered, true);
+
+  const skills = sections.find((entry) => entry.section === "skills");
+  assert.deepEqual(skills.changed[0].fields, [{ field: "type", from: "personal", to: "work" }]);
+});
+
+test("diffCv: compares category visibility, translated names and skill details", () => {
+  const from = {
+    skills: { Tools: ["Git"] },
+    skillDetails: { Git: { level: "advanced", years: 5 } },
+    interests: { Music: ["Jazz"] },
+  };
+  const to = {
+    skills: { Tools: ["Git"] },
+    skillVisibility: { Tools: "private" },
+    skillTranslations: { Tools: { fr: "Outils" } },
+    skillDetails: { Git: { level: "expert", years: 5 } },
+    interests: { Music: ["Jazz"] },
+    interestVisibility: { Music: "draft" },
+  };
+
+  const sections = diffCv(from, to);
+  const skills = sections.find((entry) => entry.section === "skills");
+  assert.deepEqual(skills.changed[0].fields, [
+    { field: "visibility", from: "public", to: "private" },
+    { field: "translations", from: "{}", to: '{"fr":"Outils"}' },
+  ]);
+
+  const interests = sections.find((entry) => entry.section === "interests");
+  assert.deepEqual(interests.changed[0].fields, [{ field: "visibility", from: "public", to: "draft" }]);
+
+  const details = sections.find((entry) => entry.section === "skillDetails");
+  assert.equal(details.title, "cv.skills.details.title");
+  assert.deepEqual(details.changed, [
+    { key: "Git", label: "Git", fields: [{ field: "level", from: "advanced", to: "expert" }] },
+  ]);
+});
@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { toJsonLd } from "../lib/jsonld.js";
+
+test("toJsonLd: expresses the CV as a schema.org Person", () => {
+  const person = toJsonLd({
+    basics: {
+      name: "Ada Example",
+      headline: "Backend Engineer",
+      location: "Lisbon",
+      profiles: [{ network: "GitHub", url: "https://github.com/ada" }],
+    },
+    experience: [
+      { title: "Engineer", company: "Acme", startDate: "2021-03", endDate: null },
+      { title: "Intern", company: "Initech", startDate: "2019-01", endDate: "2019-06" },
+    ],
+    education: [{ degree: "BSc Physics", institution: "Uni", endDate: "2018-06" }],
+    skills: { Languages: ["Rust", "Go"], Tools: ["Go", "Git"] },
+    languages: [{ name: "English", level: "fluent" }],
+  });
+
+  assert.equal(person["@context"], "https://schema.org");
+  assert.equal(person["@type"], "Person");
+  assert.equal(person.jobTitle, "Backend Engineer");
+  assert.deepEqual(person.sameAs, ["https://github.com/ada"]);
+  assert.deepEqual(person.address, { "@type": "PostalAddress", addressLocality: "Lisbon" });
+
+  assert.equal(person.hasOccupation.length, 2);
+  assert.deepEqual(person.hasOccupation[1], {
+    "@type": "OrganizationRole",
+    roleName: "Intern",
+    startDate: "2019-01",
+    endDate: "2019-06",
+    hasOccupation: { "@type": "Occupation", name: "Intern" },
+  });
+  assert.deepEqual(
+    person.worksFor.map((role) => role.worksFor.name),
+    ["Acme"],
+  );
+
+  assert.deepEqual(person.alumniOf, [{ "@type": "EducationalOrganization", name: "Uni" }]);
+  assert.equal(person.hasCredential[0]["@type"], "EducationalOccupationalCredential");
+  assert.equal(person.hasCredential[0].recognizedBy.name, "Uni");
+  assert.deepEqual(person.knowsAbout, ["Rust", "Go", "Git"]);
+  assert.deepEqual(person.knowsLanguage, [{ "@type": "Language", name: "English" }]);
+});
+
+test("toJsonLd: an empty CV is a bare Person", () => {
+  assert.deepEqual(toJsonLd({}), { "@context": "https://schema.org", "@type": "Person" });
+});
@@ -0,0 +1,158 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { toJsonResume, fromJsonResume } from "../lib/jsonresume.js";
+
+const cv = {
+  basics: {
+    name: "Ada Example",
+    headline: "Backend Engineer",
+    summary: "Builds reliable services.",
+    location: "Lisbon",
+    email: "ada@example.com",
+    phone: "+351 210 000 000",
+    website: "https://ada.example",
+    profiles: [{ id: "p1", network: "GitHub", username: "ada", url: "https://github.com/ada" }],
+  },
+  experience: [
+    {
+      title: "Senior Developer",
+      company: "Acme Inc",
+      location: "Lisbon",
+      startDate: "2020-01",
+      endDate: null,
+      type: "full-time",
+      experienceType: "work",
+      description: "Building things",
+      highlights: ["Led a team of 5"],
+    },
+    {
+      title: "Mentor",
+      company: "Code Club",
+      location: "",
+      startDate: "2018-03",
+      endDate: "2019-06",
+      type: "volunteer",
+      experienceType: "personal",
+      description: "",
+      highlights: [],
+    },
+  ],
+  projects: [
+    {
+      name: "Indiekit CV",
+      url: "https://github.com/rmdes/indiekit-endpoint-cv",
+      description: "CV editor",
+      technologies: ["Node.js", "MongoDB"],
+      status: "active",
+      projectType: "personal",
+      startDate: "2025-01",
+      endDate: null,
+    },
+  ],
+  skills: { Languages: ["JavaScript", "Python"] },
+  skillTypes: { Languages: "work" },
+  education: [
+    {
+      degree: "BSc Computer Science",
+      institution: "University of Example",
+      location: "Boston",
+      startDate: "2012-09",
+      endDate: "2016-06",
+      educationType: "work",
+      description: "",
+    },
+  ],
+  languages: [{ name: "English", level: "fluent" }],
+  interests: { Outdoors: ["Hiking"] },
+  interestTypes: { Outdoors: "personal" },
+  lastUpdated: "2026-02-13T10:30:00.000Z",
+};
+
+test("toJsonResume: maps sections onto the JSON Resume schema", () => {
+  const resume = toJsonResume(cv);
+
+  assert.deepEqual(resume.basics, {
+    name: "Ada Example",
+    label: "Backend Engineer",
+    email: "ada@example.com",
+    phone: "+351 210 000 000",
+    url: "https://ada.example",
+    summary: "Builds reliable services.",
+    location: { city: "Lisbon" },
+    profiles: [{ network: "GitHub", username: "ada", url: "https://github.com/ada" }],
+  });
+  assert.deepEqual(resume.work, [
+    {
+      name: "Acme Inc",
+      position: "Senior Developer",
+      location: "Lisbon",
+      startDate: "2020-01",
+      summary: "Building things",
+      highlights: ["Led a team of 5"],
+    },
+  ]);
+  assert.deepEqual(resume.volunteer, [
+    { organization: "Code Club", position: "Mentor", startDate: "2018-03", endDate: "2019-06" },
+  ]);
+  assert.equal(resume.education[0].studyType, "BSc Computer Science");
+  assert.deepEqual(resume.projects[0].keywords, ["Node.js", "MongoDB"]);
+  assert.deepEqual(resume.skills, [{ name: "Languages", keywords: ["JavaScript", "Python"] }]);
+  assert.deepEqual(resume.languages, [{ language: "English", fluency: "Fluent" }]);
+  assert.deepEqual(resume.interests, [{ name: "Outdoors", keywords: ["Hiking"] }]);
+  assert.equal(resume.meta.lastModified, cv.lastUpdated);
+});
+
+test("toJsonResume: tolerates an empty CV", () => {
+  const resume = toJsonResume({});
+  assert.deepEqual(resume.work, []);
+  assert.deepEqual(resume.skills, []);
+  assert.deepEqual(resume.meta, {});
+});
+
+test("fromJsonResume: round-trips an exported CV", () => {
+  const imported = fromJsonResume(toJsonResume(cv));
+
+  const { profiles, ...basics } = imported.basics;
+  const { profiles: expectedProfiles, ...expectedBasics } = cv.basics;
+  assert.deepEqual(basics, expectedBasics);
+  assert.deepEqual(profiles, expectedProfiles.map(({ id, ...profile }) => profile));
+
+  assert.equal(imported.experience.length, 2);
+  assert.equal(imported.experience[0].company, "Acme Inc");
+  assert.equal(imported.experience[0].endDate, null);
+  assert.equal(imported.experience[1].type, "volunteer");
+  assert.deepEqual(imported.skills, cv.skills);
+  assert.deepEqual(imported.interests, cv.interests);
+  assert.equal(imported.education[0].degree, "BSc Computer Science");
+  assert.deepEqual(imported.languages, cv.languages);
+});
+
+test("fromJsonResume: keeps date precision, normalizes fluency and keyword-less skills", () => {
+  const imported = fromJsonResume({
+    work: [{ name: "Acme", position: "Dev", startDate: "2019-04-15", endDate: "2021-01-31T12:00:00Z" }],
+    education: [{ institution: "Uni", studyType: "Bachelor", area: "Physics" }],
+    skills: [{ name: "Rust", level: "Advanced" }, { name: "Go" }],
+    languages: [
+      { language: "French", fluency: "Native or bilingual proficiency" },
+      { language: "German", fluency: "Elementary proficiency" },
+      { language: "Dutch" },
+    ],
+  });
+
+  assert.equal(imported.experience[0].startDate, "2019-04-15");
+  assert.equal(imported.experience[0].endDate, "2021-01-31");
+  assert.equal(imported.education[0].degree, "Bachelor in Physics");
+  assert.deepEqual(imported.skills, { Skills: ["Rust", "Go"] });
+  assert.deepEqual(
+    imported.languages.map((l) => l.level),
+    ["native", "basic", "intermediate"],
+  );
+  assert.deepEqual(imported.projects, []);
+  assert.deepEqual(imported.interests, {});
+});
+
+test("fromJsonResume: rejects documents that are not JSON Resume", () => {
+  assert.throws(() => fromJsonResume(null));
+  assert.throws(() => fromJsonResume([]));
+  assert.throws(() => fromJsonResume({ foo: "bar" }));
+});
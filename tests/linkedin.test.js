@@ -0,0 +1,161 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { deflateRawSync } from "node:zlib";
+import { parseCsv } from "../lib/csv.js";
+import { readZip, ZipEntryTooLargeError } from "../lib/zip.js";
+import { readLinkedInExport, markDuplicates, mergeLinkedIn, toMonth } from "../lib/linkedin.js";
+
+const positions = [
+  "Company Name,Title,Description,Location,Started On,Finished On",
+  'Acme,Lead Engineer,"Runs the platform team,\nships things",Lisbon,Mar 2022,',
+  "Initech,Engineer,,,Jan 2019,Dec 2021",
+].join("\r\n");
+
+const languages = "Name,Proficiency\nFrench,Native or bilingual proficiency\n";
+
+/**
+ * Build a ZIP archive (one deflated entry per file) the way zip tools do
+ */
+function makeZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const [path, text] of Object.entries(files)) {
+    const name = Buffer.from(path);
+    const data = deflateRawSync(Buffer.from(text));
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt16LE(name.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+    locals.push(local, name, data);
+    centrals.push(central, name);
+    offset += local.length + name.length + data.length;
+  }
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+test("parseCsv: quoted commas, quotes and line breaks", () => {
+  assert.deepEqual(parseCsv('a,"b, ""c""\nd"\r\n\r\ne,f'), [
+    ["a", 'b, "c"\nd'],
+    ["e", "f"],
+  ]);
+});
+
+test("readZip: reads deflated entries", () => {
+  const files = readZip(makeZip({ "Basic_LinkedInDataExport/Languages.csv": languages }));
+  assert.equal(files[0].path, "Basic_LinkedInDataExport/Languages.csv");
+  assert.equal(files[0].data.toString("utf8"), languages);
+});
+
+test("readZip and readLinkedInExport: only export files are unpacked, and only up to a size", () => {
+  const bomb = "0".repeat(64 * 1024);
+  const archive = makeZip({ "Messages.csv": bomb, "Languages.csv": languages });
+
+  const imported = readLinkedInExport([{ filename: "export.zip", data: archive }]);
+  assert.deepEqual(imported.files, ["Languages.csv"]);
+
+  assert.throws(() => readZip(archive, { maxSize: 1024 }), ZipEntryTooLargeError);
+  const small = readZip(archive, { filter: (path) => path === "Languages.csv", maxSize: 1024 });
+  assert.deepEqual(small.map((file) => file.path), ["Languages.csv"]);
+});
+
+test("toMonth: LinkedIn date formats", () => {
+  assert.equal(toMonth("Mar 2022"), "2022-03");
+  assert.equal(toMonth("2015"), "2015");
+  assert.equal(toMonth("04/2018"), "2018-04");
+  assert.equal(toMonth(""), "");
+  assert.equal(toMonth("13/2020"), "");
+  assert.equal(toMonth("0/2020"), "");
+  assert.equal(toMonth("2020-00"), "");
+});
+
+test("readLinkedInExport: maps a ZIP and loose CSVs onto CV entries", () => {
+  const imported = readLinkedInExport([
+    { filename: "export.zip", data: makeZip({ "Positions.csv": positions, "Ignored.csv": "x" }) },
+    { filename: "Skills.csv", data: Buffer.from("Name\nRust\nGo\n") },
+    { filename: "Languages.csv", data: Buffer.from(languages) },
+  ]);
+
+  assert.deepEqual(imported.files, ["Positions.csv", "Skills.csv", "Languages.csv"]);
+  assert.equal(imported.experience.length, 2);
+  assert.deepEqual(imported.experience[0], {
+    title: "Lead Engineer",
+    company: "Acme",
+    location: "Lisbon",
+    startDate: "2022-03",
+    endDate: null,
+    type: "full-time",
+    experienceType: "work",
+    description: "Runs the platform team,\nships things",
+    highlights: [],
+  });
+  assert.deepEqual(imported.skills, ["Rust", "Go"]);
+  assert.deepEqual(imported.languages, [{ name: "French", level: "native" }]);
+});
+
+test("markDuplicates and mergeLinkedIn: add only the chosen, new entries", () => {
+  const current = {
+    experience: [{ id: "e1", company: "ACME ", title: "Lead  engineer", startDate: "2022-03" }],
+    skills: { Backend: ["rust"] },
+    skillTypes: { Backend: "work" },
+  };
+  const imported = markDuplicates(
+    current,
+    readLinkedInExport([
+      { filename: "Positions.csv", data: Buffer.from(positions) },
+      { filename: "Skills.csv", data: Buffer.from("Name\nRust\nGo\n") },
+    ]),
+  );
+  assert.deepEqual(imported.experience.map((item) => item.duplicate), [true, false]);
+  assert.deepEqual(imported.skills, [
+    { name: "Rust", duplicate: true },
+    { name: "Go", duplicate: false },
+  ]);
+
+  const merged = mergeLinkedIn(current, imported, {
+    include: ["experience:1", "skills:1"],
+    visibility: "draft",
+    skillCategory: "Imported",
+  });
+  assert.deepEqual(merged.experience.map((item) => item.company), ["ACME ", "Initech"]);
+  assert.equal(merged.experience[1].visibility, "draft");
+  assert.equal("duplicate" in merged.experience[1], false);
+  assert.deepEqual(merged.skills, { Backend: ["rust"], Imported: ["Go"] });
+  assert.deepEqual(merged.skillVisibility, { Imported: "draft" });
+});
+
+test("readLinkedInExport: certifications with expiry and license number", () => {
+  const csv = [
+    "Name,Url,Authority,Started On,Finished On,License Number",
+    "Certified Kubernetes Administrator,https://cncf.io/verify/1,CNCF,Jan 2024,Jan 2027,LF-123",
+    "First Aid,,Red Cross,2019,,",
+  ].join("\n");
+  const imported = markDuplicates(
+    { certifications: [{ id: "c1", name: "first aid", issuer: "Red Cross" }] },
+    readLinkedInExport([{ filename: "Certifications.csv", data: Buffer.from(csv) }]),
+  );
+
+  assert.deepEqual(imported.certifications[0], {
+    name: "Certified Kubernetes Administrator",
+    issuer: "CNCF",
+    issueDate: "2024-01",
+    expiryDate: "2027-01",
+    credentialId: "LF-123",
+    url: "https://cncf.io/verify/1",
+    duplicate: false,
+  });
+  assert.equal(imported.certifications[1].duplicate, true);
+});
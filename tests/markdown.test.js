@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { join } from "node:path";
+import { renderInline, renderMarkdown, inlineTokens, toPlainText, withHtml } from "../lib/markdown.js";
+import { saveCvData } from "../lib/storage/cv.js";
+import { dashboardController } from "../lib/controllers/dashboard.js";
+import { createApplication } from "./helpers/database.js";
+
+test("renderInline: links, emphasis and code", () => {
+  assert.equal(
+    renderInline("Wrote [the parser](https://example.com/a_b) in **Rust**, see `parse_all*`"),
+    'Wrote <a href="https://example.com/a_b">the parser</a> in <strong>Rust</strong>, see <code>parse_all*</code>',
+  );
+  assert.equal(renderInline("_new_ snake_case_name"), "<em>new</em> snake_case_name");
+  assert.equal(renderInline("[projects](/cv#projects)"), '<a href="/cv#projects">projects</a>');
+});
+
+test("renderInline: escapes HTML and drops unsafe links", () => {
+  assert.equal(renderInline('<img src=x onerror="alert(1)">'), "&lt;img src=x onerror=&quot;alert(1)&quot;&gt;");
+  assert.equal(renderInline("[click](javascript:alert)"), "click");
+  assert.equal(renderInline("[click](data:text/html,hi)"), "click");
+  assert.equal(renderInline("[x](javascript:alert(1)) done"), "x done");
+});
+
+test("links with parentheses in the URL", () => {
+  const rust = "[Rust](https://en.wikipedia.org/wiki/Rust_(programming_language))";
+  assert.equal(renderInline(`${rust}.`), '<a href="https://en.wikipedia.org/wiki/Rust_(programming_language)">Rust</a>.');
+  assert.deepEqual(inlineTokens(rust), [
+    { open: "a", href: "https://en.wikipedia.org/wiki/Rust_(programming_language)" },
+    { text: "Rust" },
+    { close: "a" },
+  ]);
+  assert.equal(toPlainText(`${rust} and [x](javascript:alert(1))`), "Rust and x");
+});
+
+test("renderMarkdown: paragraphs and line breaks", () => {
+  assert.equal(renderMarkdown("One\ntwo\n\nThree"), "<p>One<br>two</p><p>Three</p>");
+  assert.equal(renderMarkdown(""), "");
+});
+
+test("withHtml: rendered fields next to the source, also in cv.json", async () => {
+  const cv = {
+    experience: [{ id: "e1", title: "Lead", description: "Built *Atlas*", highlights: ["`v2` launch"] }],
+    education: [{ id: "d1", degree: "BSc" }],
+  };
+  const [item] = withHtml(cv).experience;
+  assert.equal(item.description, "Built *Atlas*");
+  assert.equal(item.descriptionHtml, "<p>Built <em>Atlas</em></p>");
+  assert.deepEqual(item.highlightsHtml, ["<code>v2</code> launch"]);
+
+  const application = createApplication();
+  await saveCvData(application, cv);
+  const written = JSON.parse(readFileSync(join(application.contentDir, "_data", "cv.json"), "utf8"));
+  assert.equal(written.experience[0].descriptionHtml, "<p>Built <em>Atlas</em></p>");
+  // Stored data keeps only the Markdown
+  assert.equal(application.stored().experience[0].descriptionHtml, undefined);
+});
+
+test("POST /preview: renders text, 400 for anything else", () => {
+  const preview = (body) => {
+    const response = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(data) {
+        this.body = data;
+        return this;
+      },
+    };
+    dashboardController.preview({ body }, response);
+    return response;
+  };
+
+  assert.deepEqual(preview({ text: "One\ntwo", field: "highlights" }).body, { html: "<ul><li>One</li><li>two</li></ul>" });
+  assert.deepEqual(preview({ text: "**Hi**", field: "description" }).body, { html: "<p><strong>Hi</strong></p>" });
+  assert.equal(preview({ text: ["a", "b"], field: "highlights" }).statusCode, 400);
+  assert.equal(preview({ text: { a: 1 } }).statusCode, 400);
+  assert.equal(preview({}).statusCode, 400);
+});
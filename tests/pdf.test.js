@@ -0,0 +1,120 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { inflateSync } from "node:zlib";
+import { measureText, wrapText, writePdf } from "../lib/pdf.js";
+import { renderResumePdf } from "../lib/resume-pdf.js";
+import { getLabels } from "../lib/labels.js";
+import { exportController } from "../lib/controllers/export.js";
+import { createApplication } from "./helpers/database.js";
+
+const cv = {
+  _id: "cv",
+  basics: { name: "Ada Example", headline: "Engineer", email: "ada@example.com", contactVisibility: "private" },
+  experience: [
+    { id: "e1", title: "Lead", company: "Acme", startDate: "2020-01", description: "Built **things**." },
+    { id: "e2", title: "Side gig", company: "Self", startDate: "2019-01", visibility: "private" },
+  ],
+  skills: { Backend: ["Rust", "Node.js"] },
+  languages: [{ name: "Portuguese", level: "native" }],
+  variants: [],
+};
+
+test("measureText and wrapText: Helvetica metrics, long words split", () => {
+  // "Hello" in Helvetica: 722 + 556 + 222 + 222 + 556
+  assert.equal(measureText("Hello", "regular", 10), 22.78);
+  assert.ok(measureText("Hello", "bold", 10) > measureText("Hello", "regular", 10));
+  assert.equal(measureText("é", "regular", 10), measureText("e", "regular", 10));
+
+  assert.deepEqual(wrapText("one two three", "regular", 10, 40), ["one two", "three"]);
+  assert.deepEqual(wrapText("a\nb", "regular", 10, 100), ["a", "b"]);
+  const url = wrapText("https://example.com/a/very/long/path", "regular", 10, 60);
+  assert.ok(url.length > 1);
+  assert.equal(url.join(""), "https://example.com/a/very/long/path");
+});
+
+test("writePdf: header, cross-reference offsets and escaped text", () => {
+  const pdf = writePdf([[{ type: "text", x: 10, y: 10, text: "A (b) café", font: "regular", size: 10 }]], {
+    title: "Ada",
+  });
+  const text = pdf.toString("latin1");
+
+  assert.ok(text.startsWith("%PDF-1.4"));
+  assert.ok(text.trimEnd().endsWith("%%EOF"));
+  const offsets = [...text.matchAll(/^(\d{10}) 00000 n $/gm)].map((match) => Number(match[1]));
+  offsets.forEach((offset, index) => {
+    assert.equal(text.slice(offset, offset + `${index + 1} 0 obj`.length), `${index + 1} 0 obj`);
+  });
+  assert.equal(Number(/startxref\n(\d+)/.exec(text)[1]), text.indexOf("xref\n"));
+
+  const stream = /stream\n([\s\S]*?)\nendstream/.exec(text)[1];
+  assert.match(inflateSync(Buffer.from(stream, "latin1")).toString("latin1"), /\(A \\\(b\\\) caf\xe9\) Tj/);
+});
+
+test("renderResumePdf: long CVs flow onto more pages", () => {
+  const labels = getLabels("en");
+  const long = {
+    ...cv,
+    experience: Array.from({ length: 40 }, (value, index) => ({
+      title: `Role ${index}`,
+      company: "Acme",
+      startDate: "2020-01",
+      highlights: ["Shipped a feature that took a while to describe in full."],
+    })),
+  };
+  const pageCount = (pdf) => pdf.toString("latin1").match(/\/Type \/Page /g).length;
+
+  assert.equal(pageCount(renderResumePdf(cv, { sections: ["basics", "experience"], labels })), 1);
+  const pdf = renderResumePdf(long, { layout: "compact", sections: ["basics", "experience"], labels });
+  assert.ok(pageCount(pdf) > 1);
+  assert.match(inflatedText(pdf), new RegExp(`\\(${pageCount(pdf)} / ${pageCount(pdf)}\\) Tj`));
+});
+
+function inflatedText(pdf) {
+  const streams = [...pdf.toString("latin1").matchAll(/stream\n([\s\S]*?)\nendstream/g)];
+  return streams.map((match) => inflateSync(Buffer.from(match[1], "latin1")).toString("latin1")).join("\n");
+}
+
+function download(query, session) {
+  const response = {
+    statusCode: 200,
+    headers: {},
+    set(headers) {
+      Object.assign(this.headers, headers);
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    type(value) {
+      this.headers["Content-Type"] = value;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    send(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  const application = createApplication(cv);
+  const request = { app: { locals: { application } }, query, session };
+  return exportController.pdf(request, response).then(() => response);
+}
+
+test("GET /export.pdf: private entries only when signed in, errors as JSON", async () => {
+  const visitor = await download({ layout: "", variant: "" });
+  assert.equal(visitor.statusCode, 200);
+  assert.equal(visitor.headers["Content-Type"], "application/pdf");
+  assert.equal(visitor.headers["Content-Disposition"], 'inline; filename="ada-example-cv.pdf"');
+  const signedIn = await download({}, { access_token: "token" });
+  assert.ok(signedIn.body.length > visitor.body.length);
+
+  const layout = await download({ layout: "fancy" });
+  assert.equal(layout.statusCode, 400);
+  assert.match(layout.body.error, /layout/);
+  assert.equal((await download({ variant: "missing" })).statusCode, 404);
+  assert.equal((await download({ type: "other" })).statusCode, 400);
+});
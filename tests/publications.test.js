@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { formatCitation, normalizeDoi, isDoi, withCitations } from "../lib/publications.js";
+import { addToSection, getCvData } from "../lib/storage/cv.js";
+import { createApplication } from "./helpers/database.js";
+
+const paper = {
+  title: "Notes on the Analytical Engine",
+  authors: ["Ada Lovelace", "Charles Babbage"],
+  venue: "Scientific Memoirs",
+  date: { value: "1843-10", precision: "month", circa: false },
+  doi: "10.1000/xyz",
+  url: "https://example.com/notes",
+  type: "article",
+};
+
+test("normalizeDoi and isDoi: prefixes dropped, stored form checked", () => {
+  assert.equal(normalizeDoi(" https://doi.org/10.1000/xyz "), "10.1000/xyz");
+  assert.equal(normalizeDoi("doi: 10.1000/xyz"), "10.1000/xyz");
+  assert.equal(isDoi("10.1000/xyz"), true);
+  assert.equal(isDoi("10.10/xyz"), false);
+  assert.equal(isDoi("example.com/10.1000/xyz"), false);
+});
+
+test("formatCitation: authors, date, title, venue, then the DOI over the URL", () => {
+  assert.equal(
+    formatCitation(paper),
+    "Ada Lovelace and Charles Babbage (Oct 1843). Notes on the Analytical Engine. Scientific Memoirs. https://doi.org/10.1000/xyz",
+  );
+  assert.equal(formatCitation({ ...paper, doi: "" }, "en", { link: false }).endsWith("Scientific Memoirs."), true);
+  assert.equal(formatCitation({ title: "Why?", url: "https://example.com" }), "Why? https://example.com");
+  assert.match(formatCitation(paper, "fr"), /^Ada Lovelace et Charles Babbage \(oct\. 1843\)\./);
+});
+
+test("withCitations: every publication gets its citation", () => {
+  const data = withCitations({ publications: [paper] });
+  assert.equal(data.publications[0].citation, formatCitation(paper));
+  assert.deepEqual(withCitations({ experience: [] }), { experience: [] });
+});
+
+test("addToSection: publications are stored with an id and a normalized date", async () => {
+  const application = createApplication();
+  await addToSection(application, "publications", { ...paper, date: "c. 2024" });
+  const [stored] = (await getCvData(application)).publications;
+  assert.ok(stored.id);
+  assert.deepEqual(stored.date, { value: "2024", precision: "year", circa: true });
+});
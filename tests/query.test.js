@@ -0,0 +1,144 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { applyQuery, QueryError } from "../lib/query.js";
+import { apiController } from "../lib/controllers/api.js";
+import { createApplication } from "./helpers/database.js";
+
+const cv = {
+  basics: { name: "Ada Example" },
+  experience: [
+    { id: "e1", title: "Lead", experienceType: "work", startDate: "2022-01", endDate: null },
+    { id: "e2", title: "Engineer", experienceType: "work", startDate: "2019-01", endDate: "2021-12" },
+    { id: "e3", title: "Volunteer", experienceType: "personal", startDate: "2015-01", endDate: "2016-06" },
+  ],
+  projects: [{ id: "p1", name: "Parser" }],
+  skills: { Backend: ["Rust"], Hobbies: ["Knitting"] },
+  skillTypes: { Backend: "work", Hobbies: "personal" },
+  languages: [{ id: "l1", name: "English" }, { id: "l2", name: "French" }],
+  revision: 4,
+  lastUpdated: "2026-03-01T10:00:00.000Z",
+};
+
+test("applyQuery: filters by type, date and count, and picks sections", () => {
+  const work = applyQuery(cv, { type: "work" });
+  assert.deepEqual(work.experience.map((item) => item.id), ["e1", "e2"]);
+  // Items without a type count as personal
+  assert.deepEqual(work.projects, []);
+  assert.deepEqual(Object.keys(work.skills), ["Backend"]);
+
+  const recent = applyQuery(cv, { since: "2020-06-15" });
+  assert.deepEqual(recent.experience.map((item) => item.id), ["e1", "e2"]);
+  // A year counts from its January
+  assert.deepEqual(applyQuery(cv, { since: "2016" }).experience.map((item) => item.id), ["e1", "e2", "e3"]);
+  assert.deepEqual(applyQuery(cv, { since: "2017" }).experience.map((item) => item.id), ["e1", "e2"]);
+
+  assert.equal(applyQuery(cv, { limit: "1" }).languages.length, 1);
+
+  assert.deepEqual(applyQuery(cv, { sections: "skills,basics" }), {
+    revision: 4,
+    lastUpdated: cv.lastUpdated,
+    basics: cv.basics,
+    skills: cv.skills,
+    skillTypes: cv.skillTypes,
+  });
+});
+
+test("applyQuery: ?skill= keeps the entries a skill was used in", () => {
+  const data = {
+    ...cv,
+    skillUsage: {
+      Rust: { experience: [{ id: "e2", title: "Engineer" }], projects: [{ id: "p1", name: "Parser" }] },
+      Knitting: { experience: [], projects: [] },
+    },
+  };
+
+  const rust = applyQuery(data, { skill: "rust" });
+  assert.deepEqual(rust.experience.map((item) => item.id), ["e2"]);
+  assert.deepEqual(rust.projects.map((item) => item.id), ["p1"]);
+  assert.deepEqual(rust.languages, cv.languages);
+
+  assert.deepEqual(applyQuery(data, { skill: "Cobol" }).experience, []);
+});
+
+test("applyQuery: rejects parameters it can't apply", () => {
+  assert.throws(() => applyQuery(cv, { type: "hobby" }), QueryError);
+  assert.throws(() => applyQuery(cv, { limit: "-1" }), QueryError);
+  assert.throws(() => applyQuery(cv, { since: "last year" }), QueryError);
+  assert.throws(() => applyQuery(cv, { since: "2020-13" }), QueryError);
+  assert.throws(() => applyQuery(cv, { sections: "experience,secrets" }), /secrets/);
+});
+
+/**
+ * Just enough of an Express request/response pair for the API controller
+ */
+function call(handler, application, { query = {}, fresh = false } = {}) {
+  const response = {
+    statusCode: 200,
+    headers: {},
+    set(name, value) {
+      Object.assign(this.headers, typeof name === "object" ? name : { [name]: value });
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    type(value) {
+      this.headers["Content-Type"] = value;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    send(body) {
+      this.body = JSON.parse(body);
+      return this;
+    },
+    end() {
+      return this;
+    },
+  };
+  return handler({ app: { locals: { application } }, query, fresh }, response).then(() => response);
+}
+
+test("getData: validators, CORS, 400 for bad queries and 500 when storage fails", async () => {
+  const application = createApplication({ _id: "cv", ...cv });
+
+  const ok = await call(apiController.getData, application, { query: { sections: "basics" } });
+  assert.equal(ok.statusCode, 200);
+  assert.equal(ok.headers["Access-Control-Allow-Origin"], "*");
+  assert.equal(ok.headers["Last-Modified"], "Sun, 01 Mar 2026 10:00:00 GMT");
+  assert.match(ok.headers.ETag, /^".+"$/);
+  assert.deepEqual(ok.body.basics, cv.basics);
+
+  const notModified = await call(apiController.getData, application, { fresh: true });
+  assert.equal(notModified.statusCode, 304);
+  assert.equal(notModified.body, undefined);
+
+  const bad = await call(apiController.getData, application, { query: { limit: "lots" } });
+  assert.equal(bad.statusCode, 400);
+
+  const broken = {
+    getCvDb() {
+      throw new Error("connection refused");
+    },
+  };
+  const failed = await call(apiController.getData, broken);
+  assert.equal(failed.statusCode, 500);
+  assert.deepEqual(failed.body, { error: "Failed to load CV data" });
+});
+
+test("getData: ?variant= selects with the stored definitions, which stay unpublished", async () => {
+  const variants = [{ id: "v1", name: "Short", slug: "short", sections: { experience: ["e2"] } }];
+  const application = createApplication({ _id: "cv", ...cv, variants });
+
+  const full = await call(apiController.getData, application);
+  assert.equal(full.body.variants, undefined);
+  assert.equal(full.body.revision, undefined);
+
+  const short = await call(apiController.getData, application, { query: { variant: "short" } });
+  assert.equal(short.statusCode, 200);
+  assert.deepEqual(short.body.experience.map((item) => item.id), ["e2"]);
+  assert.equal(short.body.variant, "short");
+});
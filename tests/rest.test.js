@@ -0,0 +1,285 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { restController } from "../lib/controllers/rest.js";
+import { verifyToken } from "../lib/indieauth.js";
+import { createApplication } from "./helpers/database.js";
+
+const originalFetch = globalThis.fetch;
+afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+/**
+ * Answer token verification requests from a table of token → details
+ */
+function mockTokenEndpoint(tokens) {
+  const requests = [];
+  globalThis.fetch = async (url, options) => {
+    requests.push({ url, options });
+    const token = options.headers.Authorization.replace("Bearer ", "");
+    const details = tokens[token];
+    return new Response(JSON.stringify(details || { error: "invalid_token" }), { status: details ? 200 : 401 });
+  };
+  return requests;
+}
+
+function createCv() {
+  return createApplication({
+    _id: "cv",
+    basics: { name: "Ada", profiles: [{ id: "p1", network: "GitHub", url: "https://github.com/ada" }] },
+    experience: [{ id: "e1", title: "Engineer", company: "Acme", startDate: "2020-01", translations: { fr: { title: "Ingénieure" } } }],
+    projects: [],
+    skills: { Backend: ["Rust"] },
+    skillTypes: { Backend: "work" },
+    education: [],
+    languages: [],
+    interests: {},
+    variants: [],
+    revision: 3,
+  });
+}
+
+/**
+ * Run a handler with a JSON request and collect the response
+ */
+async function call(handler, application, { params = {}, body, method = "GET", headers = {} } = {}) {
+  const lowerHeaders = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  if (body !== undefined) lowerHeaders["content-type"] ??= "application/json";
+  const request = {
+    app: { locals: { application: { ...application, cvEndpoint: "/cv" }, publication: { me: "https://ada.example/" } } },
+    params,
+    body,
+    method,
+    get: (name) => lowerHeaders[name.toLowerCase()],
+    is: (type) => lowerHeaders["content-type"]?.startsWith(type) ? type : false,
+  };
+  const response = {
+    statusCode: 200,
+    headers: {},
+    set(name, value) {
+      Object.assign(this.headers, typeof name === "object" ? name : { [name]: value });
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    location(url) {
+      this.headers.Location = url;
+      return this;
+    },
+    json(data) {
+      this.body = data;
+      return this;
+    },
+    end() {
+      return this;
+    },
+  };
+  let passed = false;
+  await handler(request, response, () => {
+    passed = true;
+  });
+  return { ...response, passed, request };
+}
+
+test("verifyToken: active tokens for this site with the cv scope", async () => {
+  const requests = mockTokenEndpoint({
+    good: { active: true, me: "https://ada.example", scope: "create cv", client_id: "https://ci.example/" },
+    noscope: { active: true, me: "https://ada.example/", scope: "create update" },
+    elsewhere: { active: true, me: "https://someone.example/", scope: "cv" },
+    expired: { active: false },
+  });
+  const application = { introspectionEndpoint: "https://ada.example/auth/introspect" };
+  const options = { scope: "cv", me: "https://ada.example/" };
+
+  const token = await verifyToken(application, "good", options);
+  assert.deepEqual(token, { me: "https://ada.example", scope: ["create", "cv"], clientId: "https://ci.example/" });
+  assert.equal(requests[0].options.method, "POST");
+  assert.equal(requests[0].options.body, "token=good");
+
+  await assert.rejects(verifyToken(application, "noscope", options), { status: 403, code: "insufficient_scope" });
+  await assert.rejects(verifyToken(application, "elsewhere", options), { status: 401, code: "invalid_token" });
+  await assert.rejects(verifyToken(application, "expired", options), { status: 401 });
+  await assert.rejects(verifyToken(application, "unknown", options), { status: 401 });
+
+  // Without introspection, the IndieAuth token verification request
+  await verifyToken({ tokenEndpoint: "https://tokens.example/token" }, "good", options);
+  assert.equal(requests.at(-1).url, "https://tokens.example/token");
+  assert.equal(requests.at(-1).options.method, undefined);
+});
+
+test("authenticate: 401 without a token, 403 without the scope, dashboard session ignored", async () => {
+  mockTokenEndpoint({
+    ci: { me: "https://ada.example/", scope: "cv" },
+    micropub: { me: "https://ada.example/", scope: "create" },
+  });
+  const application = { tokenEndpoint: "https://ada.example/auth/token" };
+
+  const anonymous = await call(restController.authenticate, application);
+  assert.equal(anonymous.statusCode, 401);
+  assert.equal(anonymous.headers["WWW-Authenticate"], "Bearer");
+  assert.equal(anonymous.passed, false);
+
+  const micropub = await call(restController.authenticate, application, { headers: { Authorization: "Bearer micropub" } });
+  assert.equal(micropub.statusCode, 403);
+  assert.equal(micropub.headers["WWW-Authenticate"], 'Bearer error="insufficient_scope", scope="cv"');
+
+  const ci = await call(restController.authenticate, application, { headers: { Authorization: "Bearer ci" } });
+  assert.equal(ci.passed, true);
+  assert.deepEqual(ci.request.token.scope, ["cv"]);
+});
+
+test("authenticate: 500 without a site URL, 502 when the token endpoint times out", async () => {
+  const application = { tokenEndpoint: "https://ada.example/auth/token" };
+  const requests = mockTokenEndpoint({ ci: { me: "https://ada.example/", scope: "cv" } });
+
+  // Without the site's URL, a token issued for any site would pass
+  const response = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  const request = { app: { locals: { application, publication: {} } }, get: () => "Bearer ci" };
+  await restController.authenticate(request, response, () => assert.fail("passed without a site URL"));
+  assert.equal(response.statusCode, 500);
+  assert.equal(requests.length, 0);
+  await assert.rejects(verifyToken(application, "ci", { scope: "cv" }), /No publication URL/);
+
+  globalThis.fetch = async (url, options) => {
+    assert.ok(options.signal instanceof AbortSignal);
+    throw new DOMException("The operation was aborted due to timeout", "TimeoutError");
+  };
+  const slow = await call(restController.authenticate, application, { headers: { Authorization: "Bearer ci" } });
+  assert.equal(slow.statusCode, 502);
+  assert.equal(slow.passed, false);
+});
+
+test("GET /api/:section[/:id]: entries with private fields, categories by name", async () => {
+  const application = createCv();
+
+  const experience = await call(restController.list, application, { params: { section: "experience" } });
+  assert.equal(experience.body[0].title, "Engineer");
+  assert.equal(experience.headers.ETag, '"3"');
+
+  const basics = await call(restController.list, application, { params: { section: "basics" } });
+  assert.equal(basics.body.name, "Ada");
+  assert.equal(basics.body.profiles, undefined);
+
+  const skill = await call(restController.get, application, { params: { section: "skills", id: "Backend" } });
+  assert.deepEqual(skill.body, { category: "Backend", items: ["Rust"], type: "work", visibility: "public" });
+
+  assert.equal((await call(restController.get, application, { params: { section: "experience", id: "nope" } })).statusCode, 404);
+  assert.equal((await call(restController.list, application, { params: { section: "secrets" } })).statusCode, 404);
+});
+
+test("POST /api/:section: 201 with Location, 422 with a message per field", async () => {
+  const application = createCv();
+
+  const created = await call(restController.create, application, {
+    method: "POST",
+    params: { section: "projects" },
+    body: { name: "cv-cli", url: "https://example.com/cv-cli", technologies: ["Rust", " "], startDate: "2026-10", id: "mine" },
+  });
+  assert.equal(created.statusCode, 201);
+  assert.notEqual(created.body.id, "mine");
+  assert.equal(created.headers.Location, `/cv/api/projects/${created.body.id}`);
+  assert.deepEqual(created.body.technologies, ["Rust"]);
+  assert.equal(created.body.status, "active");
+  assert.equal(created.headers.ETag, '"4"');
+  assert.equal(application.stored().projects[0].name, "cv-cli");
+
+  const invalid = await call(restController.create, application, {
+    method: "POST",
+    params: { section: "experience" },
+    body: { title: "", company: 42, startDate: "March 2024" },
+  });
+  assert.equal(invalid.statusCode, 422);
+  assert.deepEqual(invalid.body.fields.title, { code: "required", message: "This field is required." });
+  assert.equal(invalid.body.fields.company.code, "text");
+  assert.equal(invalid.body.fields.startDate.code, "date");
+
+  const duplicate = await call(restController.create, application, {
+    method: "POST",
+    params: { section: "skills" },
+    body: { category: "Backend", items: ["Go"] },
+  });
+  assert.equal(duplicate.statusCode, 409);
+
+  const form = await call(restController.create, application, {
+    method: "POST",
+    params: { section: "projects" },
+    body: { name: "x" },
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+  });
+  assert.equal(form.statusCode, 415);
+  assert.equal((await call(restController.create, application, { method: "POST", params: { section: "basics" }, body: {} })).statusCode, 405);
+});
+
+test("PATCH and DELETE: partial updates, renames, If-Match", async () => {
+  const application = createCv();
+
+  const patched = await call(restController.update, application, {
+    method: "PATCH",
+    params: { section: "experience", id: "e1" },
+    body: { endDate: "2024-06", highlights: ["Shipped it"] },
+    headers: { "If-Match": '"3"' },
+  });
+  assert.equal(patched.statusCode, 200);
+  assert.equal(patched.body.title, "Engineer");
+  assert.deepEqual(patched.body.endDate, { value: "2024-06", precision: "month", circa: false });
+  assert.deepEqual(patched.body.translations, { fr: { title: "Ingénieure" } });
+
+  const stale = await call(restController.update, application, {
+    method: "PATCH",
+    params: { section: "experience", id: "e1" },
+    body: { title: "Lead" },
+    headers: { "If-Match": '"3"' },
+  });
+  assert.equal(stale.statusCode, 412);
+  assert.equal(stale.headers.ETag, '"4"');
+
+  const renamed = await call(restController.update, application, {
+    method: "PATCH",
+    params: { section: "skills", id: "Backend" },
+    body: { category: "Systems" },
+  });
+  assert.deepEqual(renamed.body, { category: "Systems", items: ["Rust"], type: "work", visibility: "public" });
+
+  const basics = await call(restController.update, application, {
+    method: "PATCH",
+    params: { section: "basics" },
+    body: { headline: "Engineer", email: "not an email" },
+  });
+  assert.equal(basics.body.fields.email.code, "email");
+
+  const removed = await call(restController.remove, application, { method: "DELETE", params: { section: "profiles", id: "p1" } });
+  assert.equal(removed.statusCode, 204);
+  assert.deepEqual(application.stored().basics.profiles, []);
+  const again = await call(restController.remove, application, { method: "DELETE", params: { section: "profiles", id: "p1" } });
+  assert.equal(again.statusCode, 404);
+});
+
+test("POST /api/publications: DOIs stored without the resolver or doi: prefix", async () => {
+  const application = createCv();
+
+  const created = await call(restController.create, application, {
+    method: "POST",
+    params: { section: "publications" },
+    body: { title: "Notes", doi: "https://doi.org/10.1000/xyz" },
+  });
+  assert.equal(created.statusCode, 201);
+  assert.equal(created.body.doi, "10.1000/xyz");
+
+  const patched = await call(restController.update, application, {
+    method: "PATCH",
+    params: { section: "publications", id: created.body.id },
+    body: { doi: "doi: 10.1000/abc" },
+  });
+  assert.equal(patched.body.doi, "10.1000/abc");
+});
@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getAffiliations, resumeController } from "../lib/controllers/resume.js";
+
+test("getAffiliations: current employers only, each once", () => {
+  const affiliations = getAffiliations([
+    { company: "Acme", endDate: null },
+    { company: "Initech", endDate: "2019-06" },
+    { company: "Acme", endDate: "" },
+    { company: "", endDate: null },
+  ]);
+  assert.deepEqual(affiliations, ["Acme"]);
+  assert.deepEqual(getAffiliations(undefined), []);
+});
+
+test("resumeController.get: a storage failure is a 500, not an empty CV", async () => {
+  const rendered = {};
+  const response = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    render(view, context) {
+      Object.assign(rendered, { view, context });
+    },
+  };
+  const application = {
+    getCvDb() {
+      throw new Error("connection refused");
+    },
+  };
+
+  await resumeController.get({ app: { locals: { application } } }, response);
+  assert.equal(response.statusCode, 500);
+  assert.equal(rendered.view, "cv-shared-unavailable");
+  assert.equal(rendered.context.reason, "error");
+});
@@ -0,0 +1,120 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { signShareToken, verifyShareToken, sharedView } from "../lib/shares.js";
+import { addShare, revokeShare, getShare } from "../lib/storage/shares.js";
+import { sharesController } from "../lib/controllers/shares.js";
+import { publicView } from "../lib/visibility.js";
+import { createApplication } from "./helpers/database.js";
+
+const secret = "test-secret";
+
+const cv = {
+  _id: "cv",
+  basics: { name: "Ada Example", email: "ada@example.com", phone: "+351 210 000 000", contactVisibility: "private" },
+  experience: [
+    { id: "e1", title: "Lead" },
+    { id: "e2", title: "Side gig", visibility: "private" },
+    { id: "e3", title: "Next job", visibility: "draft" },
+  ],
+  skills: { Backend: ["Rust"] },
+  variants: [],
+};
+
+test("share tokens: verify their own signature and reject tampering", () => {
+  const share = { id: "abc-123", expiresAt: "2030-01-01T00:00:00.000Z" };
+  const token = signShareToken(share, secret);
+
+  assert.deepEqual(verifyShareToken(token, secret), {
+    id: "abc-123",
+    expiresAt: new Date("2030-01-01T00:00:00.000Z"),
+  });
+  assert.equal(verifyShareToken(token, "other-secret"), null);
+  // A later expiry with the old signature
+  const [id, , signature] = token.split(".");
+  assert.equal(verifyShareToken(`${id}.zzzzzz.${signature}`, secret), null);
+  assert.equal(verifyShareToken("not a token", secret), null);
+});
+
+test("sharedView: private entries and contact details, scoped to sections", () => {
+  assert.equal(publicView(cv).basics.phone, undefined);
+
+  const full = sharedView(cv, { sections: [] });
+  assert.deepEqual(full.experience.map((item) => item.id), ["e1", "e2"]);
+  assert.equal(full.basics.phone, "+351 210 000 000");
+  assert.equal(full.variants, undefined);
+
+  const scoped = sharedView(cv, { sections: ["basics", "experience"] });
+  assert.deepEqual(Object.keys(scoped).sort(), ["basics", "experience"]);
+});
+
+test("sharedView: leaves out the revision and editor settings", () => {
+  const shared = sharedView(
+    {
+      ...cv,
+      revision: 7,
+      sortByDate: true,
+      hideExpiredCertifications: true,
+      skillVisibility: { Backend: "private" },
+      interestVisibility: {},
+    },
+    { sections: [] },
+  );
+  for (const field of ["variants", "revision", "sortByDate", "hideExpiredCertifications", "skillVisibility", "interestVisibility"]) {
+    assert.equal(field in shared, false, field);
+  }
+  assert.deepEqual(shared.skills, { Backend: ["Rust"] });
+});
+
+function open(application, token) {
+  const response = {
+    statusCode: 200,
+    headers: {},
+    set(headers) {
+      Object.assign(this.headers, headers);
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  const request = { app: { locals: { application } }, params: { token }, query: { format: "json" } };
+  return sharesController.get(request, response).then(() => response);
+}
+
+test("GET /shared/:token: serves the shared CV until revoked or expired", async () => {
+  const application = createApplication(cv);
+  application.cvConfig = { shareSecret: secret };
+
+  const share = await addShare(application, {
+    label: "Acme",
+    sections: ["basics", "experience"],
+    expiresAt: new Date(Date.now() + 60_000).toISOString(),
+  });
+  const token = signShareToken(share, secret);
+
+  const ok = await open(application, token);
+  assert.equal(ok.statusCode, 200);
+  assert.equal(ok.headers["Cache-Control"], "private, no-store");
+  assert.equal(ok.body.basics.email, "ada@example.com");
+  assert.equal(ok.body.skills, undefined);
+  assert.ok((await getShare(application, share.id)).lastAccessedAt);
+
+  assert.equal((await open(application, token.slice(0, -2) + "xx")).statusCode, 404);
+
+  await revokeShare(application, share.id);
+  assert.equal((await open(application, token)).statusCode, 404);
+
+  const expired = await addShare(application, {
+    label: "Old",
+    sections: [],
+    expiresAt: new Date(Date.now() - 60_000).toISOString(),
+  });
+  const gone = await open(application, signShareToken(expired, secret));
+  assert.equal(gone.statusCode, 410);
+  assert.equal((await getShare(application, expired.id)).lastAccessedAt, null);
+});
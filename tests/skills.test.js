@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeSkillDetails, withSkillUsage } from "../lib/skills.js";
+import { publicView } from "../lib/visibility.js";
+import { withTimeline } from "../lib/timeline.js";
+import { setSkillDetails, getCvData } from "../lib/storage/cv.js";
+import { createApplication } from "./helpers/database.js";
+
+const cv = {
+  experience: [
+    { id: "e1", title: "Engineer", company: "Acme", startDate: "2020-01", endDate: "2021-12" },
+    { id: "e2", title: "Consultant", company: "Hidden", startDate: "2022-01", endDate: "2022-12", visibility: "private" },
+  ],
+  projects: [
+    { id: "p1", name: "cv-cli", technologies: ["rust"], startDate: "2024-01", endDate: "2024-06" },
+    { id: "p2", name: "Site", technologies: ["Eleventy"] },
+  ],
+  skills: { Languages: ["Rust", "Go"] },
+  skillDetails: {
+    Rust: { level: "advanced", years: 4, lastUsed: null, experience: ["e1", "e2"], projects: [] },
+    Go: { level: null, years: null, lastUsed: null, experience: [], projects: ["p2"] },
+  },
+};
+
+test("withSkillUsage: linked entries and projects matched by technology", () => {
+  const data = withSkillUsage(publicView(cv));
+
+  assert.equal(data.skillDetails, undefined);
+  assert.deepEqual(data.skillUsage.Rust, {
+    level: "advanced",
+    years: 4,
+    lastUsed: null,
+    // The private entry stays out
+    experience: [{ id: "e1", title: "Engineer", company: "Acme" }],
+    projects: [{ id: "p1", name: "cv-cli" }],
+  });
+  assert.deepEqual(data.skillUsage.Go.projects, [{ id: "p2", name: "Site" }]);
+});
+
+test("withTimeline: skill totals count linked experience as well as projects", () => {
+  const { skillTotals } = withTimeline(cv, { now: new Date("2026-10-01") });
+  assert.equal(skillTotals.Rust.months, 24 + 12 + 6);
+  assert.equal(skillTotals.Go, undefined);
+});
+
+test("normalizeSkillDetails: drops unknown skills, levels and links", () => {
+  const details = normalizeSkillDetails(
+    {
+      Rust: { level: "guru", years: "2.5", lastUsed: "c. 2025", experience: "e1", projects: ["gone"] },
+      Go: { level: null, years: "", lastUsed: "", experience: [], projects: [] },
+      Cobol: { level: "expert" },
+    },
+    cv,
+  );
+
+  assert.deepEqual(details, {
+    Rust: {
+      level: null,
+      years: 2.5,
+      lastUsed: { value: "2025", precision: "year", circa: true },
+      experience: ["e1"],
+      projects: [],
+    },
+  });
+});
+
+test("setSkillDetails: stores details for a listed skill only", async () => {
+  const application = createApplication({ _id: "cv", ...cv, skillDetails: {}, revision: 1 });
+
+  await setSkillDetails(application, "Go", { level: "beginner", years: "1" }, 1);
+  const stored = await getCvData(application);
+  assert.deepEqual(stored.skillDetails.Go, { level: "beginner", years: 1, lastUsed: null, experience: [], projects: [] });
+
+  await assert.rejects(setSkillDetails(application, "Cobol", { level: "expert" }), /No skill named Cobol/);
+});
@@ -0,0 +1,149 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { join } from "node:path";
+import {
+  addToSection,
+  updateInSection,
+  removeFromSection,
+  moveInSection,
+  hasMissingItemIds,
+  hasStringDates,
+  saveCvData,
+  addSkillCategory,
+  updateBasics,
+  addProfile,
+  updateProfile,
+  RevisionConflictError,
+} from "../lib/storage/cv.js";
+import { createApplication } from "./helpers/database.js";
+
+test("saveCvData: gives every array item a persistent id", async () => {
+  const application = createApplication();
+  const saved = await saveCvData(application, {
+    experience: [{ title: "Dev" }, { id: "keep-me", title: "Lead" }],
+    languages: [{ name: "English" }],
+  });
+
+  assert.ok(saved.experience[0].id);
+  assert.equal(saved.experience[1].id, "keep-me");
+  assert.ok(saved.languages[0].id);
+  assert.equal(hasMissingItemIds(saved), false);
+});
+
+test("hasMissingItemIds: detects documents saved before ids existed", () => {
+  assert.equal(hasMissingItemIds({ experience: [{ title: "Dev" }] }), true);
+  assert.equal(hasMissingItemIds({ experience: [{ id: "a" }], projects: [] }), false);
+});
+
+test("saveCvData: stores dates as { value, precision, circa }", async () => {
+  const application = createApplication();
+  const stored = {
+    experience: [{ title: "Dev", startDate: "2019-04", endDate: "" }],
+    education: [{ degree: "BSc", startDate: "c. 2001", endDate: "2004" }],
+    projects: [{ name: "Old", startDate: "sometime" }],
+  };
+  assert.equal(hasStringDates(stored), true);
+
+  const saved = await saveCvData(application, stored);
+  assert.deepEqual(saved.experience[0].startDate, { value: "2019-04", precision: "month", circa: false });
+  assert.equal(saved.experience[0].endDate, null);
+  assert.deepEqual(saved.education[0].startDate, { value: "2001", precision: "year", circa: true });
+  // Nothing to convert it to, so it is kept rather than lost
+  assert.equal(saved.projects[0].startDate, "sometime");
+  assert.equal(hasStringDates(saved), false);
+
+  // cv.json keeps the ISO strings themes print
+  const written = JSON.parse(readFileSync(join(application.contentDir, "_data", "cv.json"), "utf8"));
+  assert.equal(written.education[0].startDate, "2001");
+  assert.equal(written.education[0].startDatePrecision, "year");
+  assert.equal(written.education[0].startDateCirca, true);
+});
+
+test("section helpers address items by id, not position", async () => {
+  const application = createApplication();
+  await addToSection(application, "projects", { name: "One" });
+  await addToSection(application, "projects", { name: "Two" });
+  await addToSection(application, "projects", { name: "Three" });
+  const [one, two, three] = application.stored().projects;
+
+  await moveInSection(application, "projects", three.id, "up");
+  assert.deepEqual(
+    application.stored().projects.map((p) => p.name),
+    ["One", "Three", "Two"],
+  );
+
+  // Positions changed, but edits and deletes still land on the right item
+  await updateInSection(application, "projects", two.id, { name: "Two (edited)" });
+  await removeFromSection(application, "projects", one.id);
+  const projects = application.stored().projects;
+  assert.deepEqual(
+    projects.map((p) => [p.id, p.name]),
+    [
+      [three.id, "Three"],
+      [two.id, "Two (edited)"],
+    ],
+  );
+});
+
+test("updateInSection: rejects an id that no longer exists", async () => {
+  const application = createApplication();
+  await addToSection(application, "education", { degree: "BSc" });
+  await assert.rejects(updateInSection(application, "education", "gone", { degree: "MSc" }));
+  assert.equal(application.stored().education[0].degree, "BSc");
+});
+
+test("saveCvData: bumps the revision on every write", async () => {
+  const application = createApplication();
+  const first = await saveCvData(application, {});
+  assert.equal(first.revision, 1);
+  const second = await saveCvData(application, first);
+  assert.equal(second.revision, 2);
+});
+
+test("saveCvData: upgrades documents stored before revisions existed", async () => {
+  const application = createApplication({ _id: "cv", experience: [], lastUpdated: null });
+  const saved = await saveCvData(application, { experience: [] });
+  assert.equal(saved.revision, 1);
+});
+
+test("saveCvData: rejects a write based on an outdated revision", async () => {
+  const application = createApplication();
+  const opened = await saveCvData(application, { projects: [{ name: "One" }] });
+  await saveCvData(application, { ...opened, projects: [] });
+
+  await assert.rejects(saveCvData(application, opened), RevisionConflictError);
+  // A fresh document (revision 0) must not overwrite an existing one either
+  await assert.rejects(saveCvData(application, { projects: [] }), RevisionConflictError);
+  assert.equal(application.stored().revision, 2);
+});
+
+test("section helpers reject changes made against an older revision", async () => {
+  const application = createApplication();
+  await addSkillCategory(application, "Tools", ["Git"], { skillType: "work", revision: 0 });
+  assert.equal(application.stored().revision, 1);
+
+  await assert.rejects(
+    addSkillCategory(application, "Tools", ["Docker"], { skillType: "work", revision: 0 }),
+    (error) => error instanceof RevisionConflictError && error.current === 1,
+  );
+  await addSkillCategory(application, "Tools", ["Docker"], { skillType: "work", revision: 1 });
+  assert.deepEqual(application.stored().skills, { Tools: ["Docker"] });
+});
+
+test("basics: fields update without touching profile links", async () => {
+  const application = createApplication();
+  await addProfile(application, { network: "GitHub", username: "ada", url: "https://github.com/ada" });
+  const [profile] = application.stored().basics.profiles;
+  assert.ok(profile.id);
+
+  await updateBasics(application, { name: "Ada", headline: "Engineer" });
+  await updateProfile(application, profile.id, { network: "GitHub", username: "ada-l", url: "https://github.com/ada-l" });
+
+  const { basics } = application.stored();
+  assert.equal(basics.name, "Ada");
+  assert.equal(basics.email, "");
+  assert.deepEqual(basics.profiles, [
+    { id: profile.id, network: "GitHub", username: "ada-l", url: "https://github.com/ada-l" },
+  ]);
+});
@@ -0,0 +1,134 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { escapeLatex, renderResumeLatex } from "../lib/resume-latex.js";
+import { escapeMarkdown, renderResumeMarkdown } from "../lib/resume-markdown.js";
+import { getLabels } from "../lib/labels.js";
+import { SECTION_NAMES } from "../lib/query.js";
+import { apiController } from "../lib/controllers/api.js";
+import { createApplication } from "./helpers/database.js";
+
+const cv = {
+  basics: {
+    name: "Ada María Example",
+    headline: "C# & *nix engineer",
+    email: "ada@example.com",
+    summary: "100% **remote**.",
+    profiles: [
+      { network: "GitHub", username: "ada", url: "https://github.com/ada" },
+      { network: "Mastodon", username: "ada", url: "https://social.example/@ada" },
+    ],
+  },
+  experience: [
+    {
+      id: "e1",
+      title: "Lead_dev",
+      company: "Acme {Inc}",
+      startDate: "2020-01",
+      endDate: null,
+      description: "Kept `a_b` and [docs](https://example.com/a_b#x) going",
+      highlights: ["Cut *costs* by 50% ~ $1M", "# not a heading"],
+    },
+    { id: "e2", title: "Secret", visibility: "private" },
+  ],
+  skills: { Backend: ["Rust", "C++"] },
+  languages: [{ name: "English", level: "fluent" }],
+  variants: [],
+  lastUpdated: "2026-03-01T10:00:00.000Z",
+};
+
+const options = { sections: SECTION_NAMES, labels: getLabels("en") };
+
+test("escapeLatex and escapeMarkdown: special characters stay literal", () => {
+  assert.equal(
+    escapeLatex("50% of $5 & #1 a_b {x} ~^\\"),
+    "50\\% of \\$5 \\& \\#1 a\\_b \\{x\\} \\textasciitilde{}\\textasciicircum{}\\textbackslash{}",
+  );
+  assert.equal(escapeMarkdown("*nix_ [x] <b> a|b"), "\\*nix\\_ \\[x\\] \\<b\\> a\\|b");
+  assert.equal(escapeMarkdown("# one\n2. two\n- three"), "\\# one\n2\\. two\n\\- three");
+});
+
+test("renderResumeLatex: a moderncv document with escaped text and Markdown as markup", () => {
+  const tex = renderResumeLatex(cv, options);
+
+  assert.match(tex, /^\\documentclass\[11pt,a4paper,sans\]\{moderncv\}/);
+  assert.ok(tex.includes("\\name{Ada María}{Example}"));
+  assert.ok(tex.includes("\\title{C\\# \\& *nix engineer}"));
+  assert.ok(tex.includes("\\social[github]{ada}"));
+  assert.ok(tex.includes("\\extrainfo{\\href{https://social.example/@ada}{Mastodon}}"));
+  assert.ok(tex.includes("100\\% \\textbf{remote}."));
+  assert.ok(tex.includes("\\cventry{Jan 2020--Present}{Lead\\_dev}{Acme \\{Inc\\}}{}{}{Kept \\texttt{a\\_b} and "));
+  assert.ok(tex.includes("\\href{https://example.com/a_b\\#x}{docs} going"));
+  assert.ok(tex.includes("\\item Cut \\emph{costs} by 50\\% \\textasciitilde{} \\$1M"));
+  assert.ok(tex.includes("\\cvitem{Backend}{Rust, C++}"));
+  assert.ok(tex.includes("\\cvitemwithcomment{English}{Fluent}{}"));
+  assert.ok(tex.trimEnd().endsWith("\\end{document}"));
+});
+
+test("renderResumeMarkdown: escaped fields, Markdown rewritten, sections in order", () => {
+  const markdown = renderResumeMarkdown(cv, options);
+
+  assert.match(markdown, /^# Ada María Example\n\n\*\*C# \\& \\\*nix engineer\*\*\n/);
+  assert.ok(markdown.includes("### Lead\\_dev\n\n*Acme {Inc} · Jan 2020 – Present*"));
+  assert.ok(markdown.includes("Kept `a_b` and [docs](https://example.com/a_b#x) going"));
+  assert.ok(markdown.includes("- \\# not a heading"));
+  assert.ok(markdown.includes("- **Backend:** Rust, C++"));
+
+  const reordered = renderResumeMarkdown(cv, { ...options, sections: ["skills", "experience"] });
+  assert.ok(reordered.startsWith("## Skills"));
+  assert.ok(reordered.indexOf("## Skills") < reordered.indexOf("## Experience"));
+});
+
+function call(format, query = {}) {
+  let passed = false;
+  const response = {
+    statusCode: 200,
+    headers: {},
+    set(name, value) {
+      Object.assign(this.headers, typeof name === "object" ? name : { [name]: value });
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    type(value) {
+      this.headers["Content-Type"] = value;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    send(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  const application = createApplication({ _id: "cv", ...cv });
+  const request = { app: { locals: { application } }, params: { format }, query, fresh: false };
+  const next = () => {
+    passed = true;
+  };
+  return apiController.getTextExport(request, response, next).then(() => ({ ...response, passed }));
+}
+
+test("GET /export/:format: public text documents from the data.json model", async () => {
+  const markdown = await call("markdown");
+  assert.equal(markdown.statusCode, 200);
+  assert.equal(markdown.headers["Content-Type"], "text/markdown");
+  assert.equal(markdown.headers["Content-Disposition"], 'inline; filename="ada-maria-example-cv.md"');
+  assert.match(markdown.headers.ETag, /^".+"$/);
+  assert.ok(!markdown.body.includes("Secret"));
+  const experience = await call("markdown", { sections: "experience" });
+  assert.ok(experience.body.startsWith("## Experience"));
+
+  const tex = await call("moderncv");
+  assert.equal(tex.headers["Content-Type"], "application/x-tex");
+  assert.ok(tex.body.includes("\\makecvtitle"));
+
+  // Left to the other export routes
+  assert.equal((await call("europass.xml")).passed, true);
+  assert.equal((await call("toString")).passed, true);
+  assert.equal((await call("markdown", { variant: "missing" })).statusCode, 404);
+  assert.equal((await call("markdown", { sections: "secrets" })).statusCode, 400);
+});
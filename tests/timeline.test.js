@@ -0,0 +1,91 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { formatDuration, sortByDate, withTimeline } from "../lib/timeline.js";
+import { setSortByDate } from "../lib/storage/cv.js";
+import { createApplication } from "./helpers/database.js";
+
+const now = new Date("2026-10-19T12:00:00Z");
+
+test("withTimeline: durations counted in whole months, ongoing ones until now", () => {
+  const cv = withTimeline(
+    {
+      experience: [
+        { title: "Lead", company: "Acme", startDate: "2024-01", endDate: null },
+        { title: "Dev", company: "Acme", startDate: "2021-03", endDate: "2024-06" },
+        { title: "Intern", company: "Initech", startDate: "2020-06", endDate: "2020-08" },
+        { title: "Undated", company: "Nowhere" },
+        { title: "Next", company: "Future Co", startDate: "2027-01" },
+      ],
+      education: [],
+    },
+    { now },
+  );
+
+  assert.deepEqual(
+    cv.experience.map(({ durationMonths, duration, isCurrent }) => [durationMonths, duration, isCurrent]),
+    [
+      [34, "2 years, 10 months", true],
+      [40, "3 years, 4 months", false],
+      [3, "3 months", false],
+      [null, "", false],
+      [null, "", false],
+    ],
+  );
+
+  // Overlapping roles at one company count once: 2021-03 to now
+  assert.deepEqual(cv.companyTotals, {
+    Acme: { months: 68, years: 5.7, duration: "5 years, 8 months" },
+    Initech: { months: 3, years: 0.3, duration: "3 months" },
+  });
+});
+
+test("withTimeline: skill totals from project technologies, localized", () => {
+  const cv = withTimeline(
+    {
+      skills: { Languages: ["Rust", "Go"], Tools: ["Docker"] },
+      projects: [
+        { name: "cli", technologies: ["rust", "Docker"], startDate: "2025-01", endDate: "2025-12" },
+        { name: "server", technologies: ["Rust"], startDate: "2025-07", endDate: "2026-06" },
+      ],
+    },
+    { now, locale: "fr" },
+  );
+
+  assert.deepEqual(cv.skillTotals, {
+    Rust: { months: 18, years: 1.5, duration: "1\u00a0an et 6\u00a0mois" },
+    Docker: { months: 12, years: 1, duration: "1\u00a0an" },
+  });
+  assert.equal(cv.projects[1].duration, "1\u00a0an");
+  assert.equal(formatDuration(25, "de"), "2 Jahre, 1 Monat");
+});
+
+test("sortByDate: current first, then newest end and start dates, undated last", () => {
+  const items = [
+    { id: "old", startDate: "2015-01", endDate: "2018-01" },
+    { id: "undated" },
+    { id: "recent", startDate: "2019-01", endDate: "2022-01" },
+    { id: "current", startDate: "2022-02", endDate: null },
+    { id: "same-end-later-start", startDate: "2020-01", endDate: "2022-01" },
+  ];
+  assert.deepEqual(
+    sortByDate(items).map((item) => item.id),
+    ["current", "same-end-later-start", "recent", "old", "undated"],
+  );
+});
+
+test("setSortByDate: keeps the section in date order on every save", async () => {
+  const application = createApplication({
+    _id: "cv",
+    experience: [
+      { id: "a", title: "Old", startDate: "2010-01", endDate: "2012-01" },
+      { id: "b", title: "New", startDate: "2020-01", endDate: null },
+    ],
+    revision: 1,
+  });
+
+  const saved = await setSortByDate(application, "experience", true, 1);
+  assert.deepEqual(saved.experience.map((item) => item.id), ["b", "a"]);
+  assert.deepEqual(saved.sortByDate, { experience: true });
+
+  await assert.rejects(setSortByDate(application, "languages", true), /no dates/);
+});
@@ -0,0 +1,134 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { getLanguageSettings, localizeCv } from "../lib/translations.js";
+import {
+  saveCvData,
+  translateInSection,
+  translateCategory,
+  editSkillCategory,
+} from "../lib/storage/cv.js";
+import { createApplication } from "./helpers/database.js";
+
+const cv = {
+  experience: [
+    {
+      id: "e1",
+      title: "Engineer",
+      company: "Acme",
+      description: "Built things",
+      highlights: ["Shipped v1"],
+      translations: { fr: { title: "Ingénieure", highlights: ["Livré la v1"] } },
+    },
+    { id: "e2", title: "Intern", company: "Initech" },
+  ],
+  education: [{ id: "d1", degree: "BSc Physics", translations: { fr: { degree: "Licence de physique" } } }],
+  skills: { Languages: ["Rust"], Tools: ["Git"] },
+  skillTypes: { Languages: "work", Tools: "work" },
+  skillTranslations: { Languages: { fr: "Langages" } },
+};
+
+test("localizeCv: overlays translations and falls back to the default text", () => {
+  const fr = localizeCv(cv, "fr");
+
+  assert.equal(fr.lang, "fr");
+  assert.deepEqual(fr.experience[0], {
+    id: "e1",
+    title: "Ingénieure",
+    company: "Acme",
+    description: "Built things",
+    highlights: ["Livré la v1"],
+  });
+  assert.equal(fr.experience[1].title, "Intern");
+  assert.equal(fr.education[0].degree, "Licence de physique");
+  assert.deepEqual(fr.skills, { Langages: ["Rust"], Tools: ["Git"] });
+  assert.deepEqual(fr.skillTypes, { Langages: "work", Tools: "work" });
+  assert.equal(fr.skillTranslations, undefined);
+});
+
+test("localizeCv: a translated category name never replaces another category", () => {
+  const fr = localizeCv(
+    {
+      skills: { Tools: ["Git"], Outils: ["Make"], Backend: ["Rust"], Servers: ["Nginx"], Ops: ["Ansible"], Infra: ["Terraform"] },
+      skillTypes: { Tools: "work", Outils: "personal" },
+      skillTranslations: {
+        // Another category's name
+        Tools: { fr: "Outils" },
+        // The same translation twice
+        Backend: { fr: "Serveur" },
+        Servers: { fr: "Serveur" },
+        // Swapped names are still unique
+        Ops: { fr: "Infra" },
+        Infra: { fr: "Ops" },
+      },
+    },
+    "fr",
+  );
+
+  assert.deepEqual(fr.skills, {
+    Tools: ["Git"],
+    Outils: ["Make"],
+    Backend: ["Rust"],
+    Servers: ["Nginx"],
+    Infra: ["Ansible"],
+    Ops: ["Terraform"],
+  });
+  assert.deepEqual(fr.skillTypes, { Tools: "work", Outils: "personal" });
+});
+
+test("getLanguageSettings: default language first, from config or locale", () => {
+  assert.deepEqual(getLanguageSettings({ locale: "de" }), {
+    defaultLanguage: "de",
+    languages: ["de"],
+  });
+  assert.deepEqual(
+    getLanguageSettings({ locale: "en", cvConfig: { contentLanguages: ["fr", "en"] } }),
+    { defaultLanguage: "en", languages: ["en", "fr"] },
+  );
+});
+
+test("translation storage: saves, clears and follows renames; writes cv.<lang>.json", async () => {
+  const application = createApplication();
+  application.cvConfig = { contentLanguages: ["fr"] };
+  await saveCvData(application, cv);
+
+  await translateInSection(application, "experience", "e2", "fr", {
+    title: "Stagiaire",
+    description: "",
+    highlights: [],
+  });
+  assert.deepEqual(application.stored().experience[1].translations, { fr: { title: "Stagiaire" } });
+
+  await translateInSection(application, "experience", "e2", "fr", { title: "" });
+  assert.deepEqual(application.stored().experience[1].translations, {});
+
+  await translateCategory(application, "skills", "Tools", "fr", "Outils");
+  await editSkillCategory(application, "Tools", "Tooling", ["Git"], { skillType: "work" });
+  assert.deepEqual(application.stored().skillTranslations.Tooling, { fr: "Outils" });
+
+  const file = join(application.contentDir, "_data", "cv.fr.json");
+  const written = JSON.parse(readFileSync(file, "utf8"));
+  assert.deepEqual(Object.keys(written.skills), ["Langages", "Outils"]);
+
+  // Languages dropped from the config lose their file
+  application.cvConfig = { contentLanguages: [] };
+  await translateCategory(application, "skills", "Tooling", "fr", "");
+  assert.equal(existsSync(file), false);
+});
+
+test("language files: a site's own cv.*.json files are left alone", async () => {
+  const application = createApplication();
+  const dataDir = join(application.contentDir, "_data");
+  mkdirSync(dataDir, { recursive: true });
+  writeFileSync(join(dataDir, "cv.links.json"), "[]");
+
+  application.cvConfig = { contentLanguages: ["fr"] };
+  await saveCvData(application, { experience: [] });
+  assert.ok(existsSync(join(dataDir, "cv.fr.json")));
+
+  application.cvConfig = { contentLanguages: [] };
+  await saveCvData(application, { experience: [], revision: 1 });
+  assert.equal(existsSync(join(dataDir, "cv.fr.json")), false);
+  assert.ok(existsSync(join(dataDir, "cv.links.json")));
+});
@@ -0,0 +1,51 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseMultipart } from "../lib/upload.js";
+
+const boundary = "----formboundary123";
+
+function body(parts) {
+  const chunks = parts.map(
+    (p) =>
+      `--${boundary}\r\n` +
+      `Content-Disposition: form-data; name="${p.name}"` +
+      (p.filename === undefined ? "" : `; filename="${p.filename}"`) +
+      "\r\n" +
+      (p.type ? `Content-Type: ${p.type}\r\n` : "") +
+      `\r\n${p.content}\r\n`,
+  );
+  return Buffer.from(chunks.join("") + `--${boundary}--\r\n`);
+}
+
+test("parseMultipart: splits text fields and files", () => {
+  const { fields, files } = parseMultipart(
+    body([
+      { name: "mode", content: "replace" },
+      { name: "resume", filename: "resume.json", type: "application/json", content: '{"work":[]}' },
+    ]),
+    `multipart/form-data; boundary=${boundary}`,
+  );
+
+  assert.deepEqual(fields, { mode: "replace" });
+  assert.equal(files.length, 1);
+  assert.equal(files[0].name, "resume");
+  assert.equal(files[0].filename, "resume.json");
+  assert.equal(files[0].contentType, "application/json");
+  assert.equal(files[0].data.toString("utf8"), '{"work":[]}');
+});
+
+test("parseMultipart: skips empty file inputs", () => {
+  const { files } = parseMultipart(
+    body([{ name: "resume", filename: "", content: "" }]),
+    `multipart/form-data; boundary="${boundary}"`,
+  );
+  assert.deepEqual(files, []);
+});
+
+test("parseMultipart: returns nothing without a boundary or buffer", () => {
+  assert.deepEqual(parseMultipart(Buffer.from("x"), "text/plain"), { fields: {}, files: [] });
+  assert.deepEqual(parseMultipart({}, `multipart/form-data; boundary=${boundary}`), {
+    fields: {},
+    files: [],
+  });
+});
@@ -0,0 +1,134 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateEntry, hasErrors, cleanImport } from "../lib/validation.js";
+import { fromJsonResume } from "../lib/jsonresume.js";
+
+test("validateEntry: accepts a complete entry", () => {
+  const errors = validateEntry("experience", {
+    title: "Engineer",
+    company: "Acme",
+    startDate: "2021-03",
+    endDate: null,
+  });
+  assert.equal(hasErrors(errors), false);
+});
+
+test("validateEntry: flags missing required fields", () => {
+  assert.deepEqual(validateEntry("education", { degree: "  ", institution: "" }), {
+    degree: "cv.validation.required",
+    institution: "cv.validation.required",
+  });
+  assert.deepEqual(validateEntry("skills", { category: "Tools", items: [] }), {
+    items: "cv.validation.required",
+  });
+});
+
+test("validateEntry: checks the date format and date order", () => {
+  assert.deepEqual(validateEntry("projects", { name: "Site", startDate: "March 2021" }), {
+    startDate: "cv.validation.date",
+  });
+  assert.deepEqual(validateEntry("projects", { name: "Site", startDate: "2021-13" }), {
+    startDate: "cv.validation.date",
+  });
+  assert.deepEqual(validateEntry("projects", { name: "Site", startDate: "2021-02-30" }), {
+    startDate: "cv.validation.date",
+  });
+  assert.deepEqual(
+    validateEntry("experience", {
+      title: "Engineer",
+      company: "Acme",
+      startDate: "2022-05",
+      endDate: "2021-11",
+    }),
+    { endDate: "cv.validation.dateOrder" },
+  );
+});
+
+test("validateEntry: years, days and approximate dates, compared as far as known", () => {
+  const entry = (startDate, endDate) => ({ degree: "BSc", institution: "Uni", startDate, endDate });
+  assert.deepEqual(validateEntry("education", entry("c. 2005", "2009")), {});
+  assert.deepEqual(validateEntry("education", entry("2009-05-14", "2009")), {});
+  assert.deepEqual(validateEntry("education", entry({ value: "2009-05", precision: "month", circa: false }, "2010-01-31")), {});
+  assert.deepEqual(validateEntry("education", entry("2009-05-14", "2009-05-02")), {
+    endDate: "cv.validation.dateOrder",
+  });
+});
+
+test("validateEntry: certifications can't expire before they were issued", () => {
+  const entry = (issueDate, expiryDate) => ({ name: "CKA", issuer: "The Linux Foundation", issueDate, expiryDate });
+  assert.deepEqual(validateEntry("certifications", entry("2024-03", "2027-03")), {});
+  assert.deepEqual(validateEntry("certifications", entry("2024-03", null)), {});
+  assert.deepEqual(validateEntry("certifications", entry("2024-03", "2023")), {
+    expiryDate: "cv.validation.dateOrder",
+  });
+  assert.deepEqual(validateEntry("certifications", { name: "", issuer: "", url: "credly.com" }), {
+    name: "cv.validation.required",
+    issuer: "cv.validation.required",
+    url: "cv.validation.url",
+  });
+});
+
+test("validateEntry: only accepts http(s) project URLs", () => {
+  assert.deepEqual(validateEntry("projects", { name: "Site", url: "example.com" }), {
+    url: "cv.validation.url",
+  });
+  assert.deepEqual(validateEntry("projects", { name: "Site", url: "javascript:alert(1)" }), {
+    url: "cv.validation.url",
+  });
+  assert.equal(hasErrors(validateEntry("projects", { name: "Site", url: "https://example.com" })), false);
+});
+
+test("validateEntry: limits language CEFR levels to A1–C2", () => {
+  assert.deepEqual(validateEntry("languages", { name: "French", cefr: "B2" }), {});
+  assert.deepEqual(validateEntry("languages", { name: "French", cefr: "" }), {});
+  assert.deepEqual(validateEntry("languages", { name: "French", cefr: "D1" }), {
+    cefr: "cv.validation.choice",
+  });
+});
+
+test("validateEntry: skill details take a known level, 0–100 years and a date", () => {
+  assert.deepEqual(validateEntry("skillDetails", { level: "expert", years: "4.5", lastUsed: "2026-09" }), {});
+  assert.deepEqual(validateEntry("skillDetails", { level: null, years: null, lastUsed: null }), {});
+  assert.deepEqual(validateEntry("skillDetails", { level: "guru", years: "-1", lastUsed: "recently" }), {
+    level: "cv.validation.choice",
+    years: "cv.validation.years",
+    lastUsed: "cv.validation.date",
+  });
+});
+
+test("validateEntry: publications take a DOI in its stored form and a known type", () => {
+  const entry = { title: "Notes", date: "2024-03", doi: "10.1000/xyz", url: "https://example.com", type: "talk" };
+  assert.deepEqual(validateEntry("publications", entry), {});
+  assert.deepEqual(validateEntry("publications", { title: "", doi: "doi.org/10.1000", type: "poster" }), {
+    title: "cv.validation.required",
+    doi: "cv.validation.doi",
+    type: "cv.validation.choice",
+  });
+});
+
+test("cleanImport: clears links that aren't http(s) and keeps the rest", () => {
+  const imported = cleanImport(
+    fromJsonResume({
+      basics: {
+        name: "Ada",
+        url: "javascript:alert(1)",
+        profiles: [
+          { network: "GitHub", url: "https://github.com/ada" },
+          { network: "Evil", url: "javascript:alert(2)" },
+        ],
+      },
+      projects: [{ name: "Site", url: "JavaScript:alert(3)" }],
+      certificates: [{ name: "CKA", issuer: "LF", url: "data:text/html,x" }],
+      publications: [{ name: "Notes", url: "https://example.com/notes" }],
+    }),
+  );
+
+  assert.equal(imported.basics.name, "Ada");
+  assert.equal(imported.basics.website, "");
+  assert.deepEqual(imported.basics.profiles.map((profile) => profile.network), ["GitHub"]);
+  assert.equal(imported.projects[0].url, "");
+  assert.equal(imported.projects[0].name, "Site");
+  assert.equal(imported.certifications[0].url, "");
+  assert.equal(imported.publications[0].url, "https://example.com/notes");
+  assert.deepEqual(cleanImport({ publications: [{ title: "X", doi: "not a doi" }] }).publications[0].doi, "");
+});
@@ -0,0 +1,151 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { existsSync, mkdirSync, readdirSync, readFileSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { applyVariant, findVariant, slugify } from "../lib/variants.js";
+import {
+  saveCvData,
+  addVariant,
+  updateVariant,
+  removeFromSection,
+  editSkillCategory,
+} from "../lib/storage/cv.js";
+import { importController } from "../lib/controllers/import.js";
+import { createApplication } from "./helpers/database.js";
+
+const cv = {
+  basics: { name: "Ada Example" },
+  experience: [
+    { id: "e1", title: "Engineer" },
+    { id: "e2", title: "Designer" },
+    { id: "e3", title: "Lead" },
+  ],
+  projects: [{ id: "p1", name: "Parser" }],
+  education: [{ id: "d1", degree: "BSc" }],
+  skills: { Backend: ["Rust"], Design: ["Figma"], Ops: ["Docker"] },
+  skillTypes: { Backend: "work", Design: "work", Ops: "work" },
+  interests: { Music: ["Jazz"] },
+  interestTypes: { Music: "personal" },
+  variants: [
+    {
+      id: "v1",
+      name: "Backend",
+      slug: "backend",
+      sections: {
+        experience: ["e3", "e1", "gone"],
+        projects: [],
+        skills: ["Ops", "Backend"],
+        interests: ["Music"],
+      },
+    },
+  ],
+};
+
+test("applyVariant: keeps only the selected entries, in the variant's order", () => {
+  const result = applyVariant(cv, findVariant(cv, "backend"));
+
+  assert.equal(result.variant, "backend");
+  assert.equal(result.variants, undefined);
+  // Ids that no longer exist in the CV are skipped
+  assert.deepEqual(result.experience.map((item) => item.id), ["e3", "e1"]);
+  assert.deepEqual(result.projects, []);
+  assert.deepEqual(Object.keys(result.skills), ["Ops", "Backend"]);
+  assert.deepEqual(result.skillTypes, { Ops: "work", Backend: "work" });
+  // Sections a variant doesn't select from are passed through
+  assert.deepEqual(result.education, cv.education);
+  assert.deepEqual(result.basics, cv.basics);
+});
+
+test("slugify: makes names safe for URLs and file names", () => {
+  assert.equal(slugify("Backend & Ops"), "backend-ops");
+  assert.equal(slugify("  Développeur  "), "developpeur");
+  assert.equal(slugify(""), "");
+});
+
+test("variant storage: new variants include everything, renames follow", async () => {
+  const application = createApplication();
+  await saveCvData(application, { ...cv, variants: [] });
+
+  const saved = await addVariant(application, { name: "Full", slug: "full" });
+  const [variant] = saved.variants;
+  assert.ok(variant.id);
+  assert.deepEqual(variant.sections.experience, ["e1", "e2", "e3"]);
+  assert.deepEqual(variant.sections.skills, ["Backend", "Design", "Ops"]);
+
+  await editSkillCategory(application, "Backend", "Server", ["Rust"], { skillType: "work" });
+  assert.deepEqual(application.stored().variants[0].sections.skills, ["Server", "Design", "Ops"]);
+
+  const file = join(application.contentDir, "_data", "cv-full.json");
+  assert.deepEqual(Object.keys(JSON.parse(readFileSync(file, "utf8")).skills), [
+    "Server",
+    "Design",
+    "Ops",
+  ]);
+
+  // Renaming the slug moves the data file
+  await updateVariant(application, variant.id, { ...application.stored().variants[0], slug: "short" });
+  assert.equal(existsSync(file), false);
+  assert.ok(existsSync(join(application.contentDir, "_data", "cv-short.json")));
+
+  await removeFromSection(application, "variants", variant.id);
+  assert.equal(existsSync(join(application.contentDir, "_data", "cv-short.json")), false);
+  assert.ok(existsSync(join(application.contentDir, "_data", "cv.json")));
+});
+
+test("variant storage: only files the plugin wrote are cleaned up", async () => {
+  const application = createApplication();
+  const dataDir = join(application.contentDir, "_data");
+  mkdirSync(dataDir, { recursive: true });
+  writeFileSync(join(dataDir, "cv-links.json"), "[]");
+
+  await saveCvData(application, { ...cv, variants: [] });
+  const saved = await addVariant(application, { name: "Full", slug: "full" });
+  await removeFromSection(application, "variants", saved.variants[0].id);
+
+  assert.equal(existsSync(join(dataDir, "cv-full.json")), false);
+  assert.ok(existsSync(join(dataDir, "cv-links.json")));
+});
+
+test("JSON Resume import: replaces the entries but keeps variants and settings", async () => {
+  const application = createApplication();
+  application.cvEndpoint = "/cv";
+  const dataDir = join(application.contentDir, "_data");
+  await saveCvData(application, { ...cv, sortByDate: { experience: true }, skillVisibility: { Backend: "private" } });
+  const { revision } = await addVariant(application, { name: "Full", slug: "full" });
+
+  const request = {
+    app: { locals: { application } },
+    body: {
+      data: JSON.stringify({ experience: [{ title: "Imported" }], variants: [{ name: "Evil", slug: "../../x" }] }),
+      revision: String(revision),
+    },
+  };
+  let location;
+  await importController.confirm(request, { redirect: (url) => (location = url) });
+
+  assert.equal(location, "/cv?saved=1");
+  const stored = application.stored();
+  assert.deepEqual(stored.experience.map((item) => item.title), ["Imported"]);
+  assert.deepEqual(stored.variants.map((variant) => variant.slug), ["backend", "full"]);
+  assert.deepEqual(stored.sortByDate, { experience: true });
+  assert.deepEqual(stored.skillVisibility, { Backend: "private" });
+  assert.ok(existsSync(join(dataDir, "cv-full.json")));
+});
+
+test("variant storage: slugs that aren't file-safe are neither written nor deleted", async () => {
+  const application = createApplication();
+  const dataDir = join(application.contentDir, "_data");
+  mkdirSync(join(application.contentDir, ".indiekit"), { recursive: true });
+  writeFileSync(join(application.contentDir, "cv-x.json"), "{}");
+  writeFileSync(
+    join(application.contentDir, ".indiekit", "cv-files.json"),
+    JSON.stringify({ variants: ["cv-../../cv-x.json", "cv-links.json/..", "cv.json"] }),
+  );
+
+  await saveCvData(application, { ...cv, variants: [{ name: "Evil", slug: "../../x" }] });
+
+  assert.ok(existsSync(join(application.contentDir, "cv-x.json")));
+  assert.deepEqual(readdirSync(dataDir).sort(), ["cv.json", "cv.jsonld"]);
+  const manifest = JSON.parse(readFileSync(join(application.contentDir, ".indiekit", "cv-files.json"), "utf8"));
+  assert.deepEqual(manifest.variants, []);
+});
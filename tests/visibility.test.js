@@ -0,0 +1,91 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { join } from "node:path";
+import { filterVisibility, parseVisibility, publicView } from "../lib/visibility.js";
+import { saveCvData, addSkillCategory, updateInSection } from "../lib/storage/cv.js";
+import { createApplication } from "./helpers/database.js";
+
+const cv = {
+  basics: {
+    name: "Ada Example",
+    profiles: [
+      { id: "g", network: "GitHub", url: "https://github.com/ada" },
+      { id: "x", network: "Old blog", url: "https://old.example", visibility: "private" },
+    ],
+  },
+  experience: [
+    { id: "e1", title: "Lead" },
+    { id: "e2", title: "Next job", visibility: "draft" },
+    { id: "e3", title: "Side gig", visibility: "private" },
+  ],
+  skills: { Backend: ["Rust"], Secret: ["Lockpicking"] },
+  skillTypes: { Backend: "work", Secret: "personal" },
+  skillVisibility: { Backend: "public", Secret: "private" },
+};
+
+test("publicView: strips private and draft entries, profiles and categories", () => {
+  const published = publicView(cv);
+  assert.deepEqual(published.experience.map((item) => item.id), ["e1"]);
+  assert.deepEqual(published.basics.profiles.map((profile) => profile.id), ["g"]);
+  assert.deepEqual(Object.keys(published.skills), ["Backend"]);
+  assert.deepEqual(published.skillTypes, { Backend: "work" });
+});
+
+test("filterVisibility: can include private entries while still hiding drafts", () => {
+  const shared = filterVisibility(cv, ["public", "private"]);
+  assert.deepEqual(shared.experience.map((item) => item.id), ["e1", "e3"]);
+  assert.deepEqual(Object.keys(shared.skills), ["Backend", "Secret"]);
+});
+
+test("parseVisibility: anything unknown is public", () => {
+  assert.equal(parseVisibility("draft"), "draft");
+  assert.equal(parseVisibility("secret"), "public");
+  assert.equal(parseVisibility(undefined), "public");
+});
+
+test("writeCvFile: only public entries reach cv.json, the dashboard keeps them all", async () => {
+  const application = createApplication();
+  await saveCvData(application, cv);
+  await addSkillCategory(application, "Staging", ["Zig"], { skillType: "work", visibility: "draft" });
+
+  const written = JSON.parse(
+    readFileSync(join(application.contentDir, "_data", "cv.json"), "utf8"),
+  );
+  assert.deepEqual(written.experience.map((item) => item.id), ["e1"]);
+  assert.deepEqual(Object.keys(written.skills), ["Backend"]);
+
+  const stored = application.stored();
+  assert.equal(stored.experience.length, 3);
+  assert.deepEqual(Object.keys(stored.skills), ["Backend", "Secret", "Staging"]);
+  assert.equal(stored.skillVisibility.Staging, "draft");
+});
+
+test("updateInSection: editing an entry keeps its translations", async () => {
+  const application = createApplication();
+  await saveCvData(application, {
+    experience: [{ id: "e1", title: "Lead", translations: { fr: { title: "Responsable" } } }],
+  });
+  await updateInSection(application, "experience", "e1", { title: "Team lead", visibility: "public" });
+  assert.deepEqual(application.stored().experience[0], {
+    id: "e1",
+    title: "Team lead",
+    visibility: "public",
+    translations: { fr: { title: "Responsable" } },
+  });
+});
+
+test("publicView: leaves out variants, the revision and editor settings", () => {
+  const published = publicView({
+    ...cv,
+    variants: [{ id: "v1", name: "Backend", slug: "backend", sections: {} }],
+    sortByDate: { experience: true },
+    hideExpiredCertifications: false,
+    revision: 7,
+    lastUpdated: "2026-10-01T00:00:00.000Z",
+  });
+  for (const field of ["variants", "revision", "sortByDate", "hideExpiredCertifications", "skillVisibility"]) {
+    assert.equal(field in published, false, field);
+  }
+  assert.equal(published.lastUpdated, "2026-10-01T00:00:00.000Z");
+});